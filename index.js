@@ -8,6 +8,7 @@ module.exports.util = process.requireApi('lib/util.js');
 module.exports.logger = process.requireApi('lib/logger.js');
 module.exports.imageProcessor = process.requireApi('lib/imageProcessor.js');
 module.exports.storages = process.requireApi('lib/storages/index.js');
+module.exports.caches = process.requireApi('lib/caches/index.js');
 module.exports.plugin = process.requireApi('lib/plugin/index.js');
 module.exports.middlewares = process.requireApi('lib/middlewares/index.js');
 module.exports.providers = process.requireApi('lib/providers/index.js');
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * @module caches/Cache
+ */
+
+/**
+ * Defines base cache for all caches.
+ *
+ * A cache keeps values by keys for a limited time. Values are expected to be strings so that any cache, including a
+ * cache shared by several processes, can hold them.
+ *
+ * This should not be used directly, use one of its subclasses instead.
+ *
+ * Asynchronous methods of caches return a Promise if called without callback.
+ *
+ * @example
+ * // Using a callback
+ * cache.get('key', function(error, value) {
+ *   console.log(value);
+ * });
+ *
+ * // Using a Promise
+ * var value = await cache.get('key');
+ *
+ * @class Cache
+ * @constructor
+ * @param {Object} configuration Cache configuration which depends on the Cache type
+ * @throws {TypeError} If configuration is missing
+ */
+function Cache(configuration) {
+  if (Object.prototype.toString.call(configuration) !== '[object Object]')
+    throw new TypeError('Cache configuration must be an Object');
+
+  Object.defineProperties(this,
+
+    /** @lends module:caches/Cache~Cache */
+    {
+
+      /**
+       * The cache configuration.
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      configuration: {
+        value: configuration
+      },
+
+      /**
+       * The statistics of the cache with the number of values found as "hits" and the number of values not found as
+       * "misses".
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      statistics: {
+        value: {hits: 0, misses: 0}
+      }
+
+    }
+
+  );
+
+}
+
+module.exports = Cache;
+
+/**
+ * Fetches a value from the cache.
+ *
+ * Implementations are expected to count hits and misses in statistics.
+ *
+ * @param {String} key The key of the value
+ * @param {module:caches/Cache~Cache~getCallback} [callback] The function to call when it's done
+ */
+Cache.prototype.get = function(key, callback) {
+  throw new Error('get method not implemented for this Cache');
+};
+
+/**
+ * Stores a value in the cache.
+ *
+ * @param {String} key The key of the value
+ * @param {String} value The value
+ * @param {module:caches/Cache~Cache~setCallback} [callback] The function to call when it's done
+ */
+Cache.prototype.set = function(key, value, callback) {
+  throw new Error('set method not implemented for this Cache');
+};
+
+/**
+ * Removes values from the cache.
+ *
+ * @param {String} [prefix] The prefix of the keys of the values to remove, all values are removed if not specified
+ * @param {module:caches/Cache~Cache~clearCallback} [callback] The function to call when it's done
+ */
+Cache.prototype.clear = function(prefix, callback) {
+  throw new Error('clear method not implemented for this Cache');
+};
+
+/**
+ * @callback module:caches/Cache~Cache~getCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(String|undefined)} value The value, undefined if not in the cache or expired
+ */
+
+/**
+ * @callback module:caches/Cache~Cache~setCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ */
+
+/**
+ * @callback module:caches/Cache~Cache~clearCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {Number} total The number of removed values
+ */
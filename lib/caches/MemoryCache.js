@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * @module caches/MemoryCache
+ */
+
+var util = require('util');
+var Cache = process.requireApi('lib/caches/Cache.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
+
+/**
+ * Defines a Cache which keeps its values in the memory of the process.
+ *
+ * Values expire after a time to live. When the cache is full, the least recently used value is removed to make room
+ * for a new one.
+ *
+ * @example
+ * // A cache of 500 values kept for 30 seconds
+ * var cache = new MemoryCache({max: 500, ttl: 30000});
+ *
+ * @class MemoryCache
+ * @extends module:caches/Cache~Cache
+ * @constructor
+ * @param {Object} configuration A cache configuration object
+ * @param {Number} [configuration.max=1000] The maximum number of values in the cache
+ * @param {Number} [configuration.ttl=60000] The time values stay in the cache, in milliseconds
+ * @throws {TypeError} If max or ttl are not positive numbers
+ */
+function MemoryCache(configuration) {
+  MemoryCache.super_.call(this, configuration);
+
+  Object.defineProperties(this,
+
+    /** @lends module:caches/MemoryCache~MemoryCache */
+    {
+
+      /**
+       * The maximum number of values in the cache.
+       *
+       * @type {Number}
+       * @instance
+       * @readonly
+       */
+      max: {value: configuration.max === undefined ? 1000 : configuration.max},
+
+      /**
+       * The time values stay in the cache, in milliseconds.
+       *
+       * @type {Number}
+       * @instance
+       * @readonly
+       */
+      ttl: {value: configuration.ttl === undefined ? 60000 : configuration.ttl},
+
+      /**
+       * The entries of the cache by keys, from the least recently used to the most recently used, with, for each
+       * entry, the value as "value" and the expiration timestamp as "expiresAt".
+       *
+       * @type {Map}
+       * @instance
+       * @readonly
+       */
+      entries: {value: new Map()}
+
+    }
+
+  );
+
+  if (!Number.isInteger(this.max) || this.max <= 0) throw new TypeError('max must be a positive integer');
+  if (typeof this.ttl !== 'number' || !(this.ttl > 0)) throw new TypeError('ttl must be a positive number');
+}
+
+module.exports = MemoryCache;
+util.inherits(MemoryCache, Cache);
+
+/**
+ * Fetches a value from the cache.
+ *
+ * The value becomes the most recently used one.
+ *
+ * @param {String} key The key of the value
+ * @param {module:caches/Cache~Cache~getCallback} [callback] The function to call when it's done
+ */
+MemoryCache.prototype.get = function(key, callback) {
+  var entry = this.entries.get(key);
+
+  if (entry && entry.expiresAt <= Date.now()) {
+    this.entries.delete(key);
+    entry = null;
+  }
+
+  if (!entry) {
+    this.statistics.misses++;
+    return process.nextTick(callback, null);
+  }
+
+  // Move the entry to the end of the most recently used entries
+  this.entries.delete(key);
+  this.entries.set(key, entry);
+
+  this.statistics.hits++;
+  process.nextTick(callback, null, entry.value);
+};
+
+/**
+ * Stores a value in the cache.
+ *
+ * The least recently used value is removed if the cache is full.
+ *
+ * @param {String} key The key of the value
+ * @param {String} value The value
+ * @param {module:caches/Cache~Cache~setCallback} [callback] The function to call when it's done
+ */
+MemoryCache.prototype.set = function(key, value, callback) {
+  this.entries.delete(key);
+
+  if (this.entries.size >= this.max) this.entries.delete(this.entries.keys().next().value);
+
+  this.entries.set(key, {value: value, expiresAt: Date.now() + this.ttl});
+  process.nextTick(callback, null);
+};
+
+/**
+ * Removes values from the cache.
+ *
+ * @param {String} [prefix] The prefix of the keys of the values to remove, all values are removed if not specified
+ * @param {module:caches/Cache~Cache~clearCallback} [callback] The function to call when it's done
+ */
+MemoryCache.prototype.clear = function(prefix, callback) {
+  var total = 0;
+
+  if (typeof prefix === 'function') {
+    callback = prefix;
+    prefix = null;
+  }
+
+  Array.from(this.entries.keys()).forEach(function(key) {
+    if (prefix && key.indexOf(prefix) !== 0) return;
+    this.entries.delete(key);
+    total++;
+  }.bind(this));
+
+  process.nextTick(callback, null, total);
+};
+
+promiseSupport.addPromiseSupportToMethods(MemoryCache.prototype, {
+  get: null,
+  set: null,
+  clear: null
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Caches keep values for a limited time.
+ *
+ * A cache is a key / value store where values expire. Caches can be used to keep the results of expensive operations,
+ * see [EntityProvider.withCache]{@link module:providers/EntityProvider~EntityProvider#withCache}.
+ *
+ * @example
+ * // Load module "caches"
+ * var caches = require('@openveo/api').caches;
+ *
+ * @module caches
+ * @property {module:caches/Cache} Cache Cache module
+ * @property {module:caches/MemoryCache} MemoryCache MemoryCache module
+ */
+
+module.exports.Cache = process.requireApi('lib/caches/Cache.js');
+module.exports.MemoryCache = process.requireApi('lib/caches/MemoryCache.js');
@@ -9,6 +9,7 @@ var utilExt = process.requireApi('lib/util.js');
 var errors = process.requireApi('lib/controllers/httpErrors.js');
 var EntityController = process.requireApi('lib/controllers/EntityController.js');
 var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
 
 /**
  * Defines base controller for all controllers which need to provide HTTP route actions for all requests
@@ -29,6 +30,11 @@ var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
  * - **String** user The id of the content entity owner
  * - **Array** groups The list of groups associated to the content entity
  *
+ * If the provider isolates tenants, permissions only apply within the tenant of the request, see
+ * [getTenantProvider]{@link module:controllers/EntityController~EntityController#getTenantProvider}: the super
+ * administrator and contents managers can't access entities of other tenants unless canAccessAllTenants explicitly
+ * grants it.
+ *
  * @class ContentController
  * @extends module:controllers/EntityController~EntityController
  * @constructor
@@ -123,6 +129,29 @@ function getUserAuthorizedGroups(user, operation) {
   return groups;
 }
 
+/**
+ * Gets the information needed to check permissions on an entity with revisions.
+ *
+ * If the entity does not exist anymore, or is in the trash, information comes from its last revision.
+ *
+ * @method getRevisedEntity
+ * @private
+ * @memberof module:controllers/ContentController~ContentController
+ * @param {module:providers/EntityProvider~EntityProvider} provider The provider of the entity
+ * @param {String} id The id of the entity
+ * @param {Function} callback The function to call with an eventual error and the entity with its "id" and "metadata",
+ * null if the entity never existed
+ */
+function getRevisedEntity(provider, id, callback) {
+  provider.getOne(new ResourceFilter().equal('id', id), {include: ['id', 'metadata']}, function(error, entity) {
+    if (error || entity) return callback(error, entity);
+
+    provider.getRevisions(id, function(error, revisions) {
+      callback(error, (revisions && revisions.length) ? revisions[0].state : null);
+    });
+  });
+}
+
 /**
  * Gets entities.
  *
@@ -139,6 +168,16 @@ function getUserAuthorizedGroups(user, operation) {
  *     "size": ... // The total number of entities
  * }
  *
+ * // Response example when paginating using cursors
+ * {
+ *   "entities" : [ ... ],
+ *   "pagination" : {
+ *     "limit": ..., // The limit number of entities by page
+ *     "size": ..., // The total number of entities
+ *     "nextCursor": ..., // The cursor of the next page, null if there is no next page
+ *     "previousCursor": ... // The cursor of the previous page, null if there is no previous page
+ * }
+ *
  * @param {Object} request ExpressJS HTTP Request
  * @param {Object} request.query Request query
  * @param {(String|Array)} [request.query.include] The list of fields to include from returned entities
@@ -146,15 +185,25 @@ function getUserAuthorizedGroups(user, operation) {
  * include is also specified.
  * @param {Number} [request.query.limit] A limit number of entities to retrieve per page (default to 10)
  * @param {Number} [request.query.page] The page number started at 0 for the first page (default to 0)
- * @param {String} [request.query.sortBy] The entity field to sort by
- * @param {String} [request.query.sortOrder] Either "asc" for ascendant or "desc" for descendant
+ * @param {String} [request.query.cursor] The cursor of the page to paginate using cursors instead of page numbers,
+ * an empty cursor for the first page. Ignores page if specified
+ * @param {(String|Array)} [request.query.sort] The ordered list of sort criteria, see
+ * [buildSort]{@link module:controllers/EntityController~EntityController#buildSort}. Ignores sortBy and sortOrder if
+ * specified
+ * @param {String} [request.query.sortBy] The entity field to sort by, one of the fields returned by
+ * getSortableFields if it returns any, deprecated use sort instead
+ * @param {String} [request.query.sortOrder] Either "asc" for ascendant or "desc" for descendant, deprecated use sort
+ * instead
+ * @param {Object} [request.query.filter] The filter on fields returned by getFilterableFields, see
+ * [ResourceFilter.fromQuery]{@link module:storages/ResourceFilter~ResourceFilter.fromQuery} for the grammar
  * @param {Object} response ExpressJS HTTP Response
  * @param {Function} next Function to defer execution to the next registered middleware
  */
 ContentController.prototype.getEntitiesAction = function(request, response, next) {
-  var provider = this.getProvider();
+  var provider = this.getTenantProvider(request);
   var sort = {};
   var query;
+  var filter;
   request.query = request.query || {};
 
   try {
@@ -163,27 +212,38 @@ ContentController.prototype.getEntitiesAction = function(request, response, next
       exclude: {type: 'array<string>'},
       limit: {type: 'number', gt: 0, default: 10},
       page: {type: 'number', gte: 0, default: 0},
+      cursor: {type: 'string'},
+      sort: {type: 'array<string>'},
       sortBy: {type: 'string'},
-      sortOrder: {type: 'string', in: ['asc', 'desc'], default: 'desc'}
+      sortOrder: {type: 'string', in: ['asc', 'desc'], default: 'desc'},
+      filter: {type: 'object'}
     });
+    filter = ResourceFilter.fromQuery(query.filter, {fields: this.getFilterableFields()});
+    if (query.sort) sort = this.buildSort(query.sort, filter);
+    else if (query.sortBy && this.getSortableFields().length) {
+      sort = this.buildSort([query.sortBy + ':' + query.sortOrder], filter);
+    }
   } catch (error) {
     return next(errors.GET_ENTITIES_WRONG_PARAMETERS);
   }
 
-  // Build sort description object
-  if (query.sortBy && query.sortOrder) sort[query.sortBy] = query.sortOrder;
+  // Build sort description object, sortBy is not restricted if no field has been declared sortable
+  if (!query.sort && query.sortBy && !this.getSortableFields().length) sort[query.sortBy] = query.sortOrder;
 
+  // Wrap the filter from the query so that its logical operations are not merged with the access rules
   provider.get(
-    this.addAccessFilter(null, request.user),
+    this.addAccessFilter(filter.operations.length ? new ResourceFilter().and([filter]) : null, request.user),
     {
       exclude: query.exclude,
       include: query.include
     },
     query.limit,
-    query.page,
+    query.cursor !== undefined ? {cursor: query.cursor || null} : query.page,
     sort,
     function(error, entities, pagination) {
-      if (error) {
+      if (error && error.code === databaseErrors.INVALID_CURSOR_ERROR) {
+        next(errors.GET_ENTITIES_WRONG_PARAMETERS);
+      } else if (error) {
         process.logger.error(error.message, {error: error, method: 'getEntitiesAction'});
         next(errors.GET_ENTITIES_ERROR);
       } else {
@@ -220,7 +280,7 @@ ContentController.prototype.getEntitiesAction = function(request, response, next
 ContentController.prototype.getEntityAction = function(request, response, next) {
   if (request.params.id) {
     var entityId = request.params.id;
-    var provider = this.getProvider();
+    var provider = this.getTenantProvider(request);
     var self = this;
     var fields;
     request.query = request.query || {};
@@ -293,7 +353,7 @@ ContentController.prototype.updateEntityAction = function(request, response, nex
   if (request.params.id && request.body) {
     var self = this;
     var entityId = request.params.id;
-    var provider = this.getProvider();
+    var provider = this.getTenantProvider(request).withContext({user: request.user && request.user.id});
     var data = request.body;
     var metadatas;
 
@@ -343,7 +403,11 @@ ContentController.prototype.updateEntityAction = function(request, response, nex
                 error.message || 'Fail updating',
                 {method: 'updateEntityAction', entity: entityId}
               );
-              next(errors.UPDATE_ENTITY_ERROR);
+              next(
+                error.code === databaseErrors.UPDATE_VERSION_CONFLICT_ERROR ?
+                  errors.UPDATE_ENTITY_CONFLICT_ERROR :
+                  errors.UPDATE_ENTITY_ERROR
+              );
             } else if (!total) {
               process.logger.error(
                 'The entity could not be updated',
@@ -390,7 +454,7 @@ ContentController.prototype.updateEntityAction = function(request, response, nex
  */
 ContentController.prototype.addEntitiesAction = function(request, response, next) {
   if (request.body) {
-    var provider = this.getProvider();
+    var provider = this.getTenantProvider(request);
     var parsedRequest;
     var datas;
 
@@ -449,7 +513,7 @@ ContentController.prototype.removeEntitiesAction = function(request, response, n
     var self = this;
     var entityIds = request.params.id.split(',');
     var entityIdsToRemove = [];
-    var provider = this.getProvider();
+    var provider = this.getTenantProvider(request).withContext({user: request.user && request.user.id});
 
     // Get information on entities which are about to be removed to validate that the user has enough permissions
     // to do it
@@ -503,6 +567,263 @@ ContentController.prototype.removeEntitiesAction = function(request, response, n
   }
 };
 
+/**
+ * Gets entities in the trash.
+ *
+ * If user does not have enough privilege to read a particular entity, the entity is not listed in the response.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "entities" : [ ... ],
+ *   "pagination" : {
+ *     "limit": ..., // The limit number of entities by page
+ *     "page": ..., // The actual page
+ *     "pages": ..., // The total number of pages
+ *     "size": ... // The total number of entities
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} request.query Request query
+ * @param {(String|Array)} [request.query.include] The list of fields to include from returned entities
+ * @param {(String|Array)} [request.query.exclude] The list of fields to exclude from returned entities. Ignored if
+ * include is also specified.
+ * @param {Number} [request.query.limit] A limit number of entities to retrieve per page (default to 10)
+ * @param {Number} [request.query.page] The page number started at 0 for the first page (default to 0)
+ * @param {String} [request.query.sortBy] The entity field to sort by, one of the fields returned by getSortableFields
+ * if it returns any
+ * @param {String} [request.query.sortOrder] Either "asc" for ascendant or "desc" for descendant
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+ContentController.prototype.getTrashAction = function(request, response, next) {
+  var provider = this.getTenantProvider(request);
+  var sort = {};
+  var query;
+  request.query = request.query || {};
+
+  try {
+    query = utilExt.shallowValidateObject(request.query, {
+      include: {type: 'array<string>'},
+      exclude: {type: 'array<string>'},
+      limit: {type: 'number', gt: 0, default: 10},
+      page: {type: 'number', gte: 0, default: 0},
+      sortBy: {type: 'string'},
+      sortOrder: {type: 'string', in: ['asc', 'desc'], default: 'desc'}
+    });
+    if (query.sortBy && this.getSortableFields().length) sort = this.buildSort([query.sortBy + ':' + query.sortOrder]);
+  } catch (error) {
+    return next(errors.GET_TRASH_WRONG_PARAMETERS);
+  }
+
+  // Build sort description object, sortBy is not restricted if no field has been declared sortable
+  if (query.sortBy && !this.getSortableFields().length) sort[query.sortBy] = query.sortOrder;
+
+  provider.getTrash(
+    this.addAccessFilter(null, request.user),
+    {
+      exclude: query.exclude,
+      include: query.include
+    },
+    query.limit,
+    query.page,
+    sort,
+    function(error, entities, pagination) {
+      if (error) {
+        process.logger.error(error.message, {error: error, method: 'getTrashAction'});
+        next(errors.GET_TRASH_ERROR);
+      } else {
+        response.send({
+          entities: entities,
+          pagination: pagination
+        });
+      }
+    }
+  );
+};
+
+/**
+ * Restores entities from the trash.
+ *
+ * User must have permission to remove the entities to restore them. If user doesn't have permission to restore a
+ * particular entity an HTTP forbidden error will be sent as response and no entity will be restored.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "total": 42
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} request.params Request parameters
+ * @param {String} request.params.id A comma separated list of entity ids to restore
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+ContentController.prototype.restoreEntitiesAction = function(request, response, next) {
+  if (request.params.id) {
+    var self = this;
+    var entityIds = request.params.id.split(',');
+    var entityIdsToRestore = [];
+    var provider = this.getTenantProvider(request);
+
+    // Get information on entities which are about to be restored to validate that the user has enough permissions
+    // to do it
+    provider.getTrash(
+      new ResourceFilter().in('id', entityIds),
+      {
+        include: ['id', 'metadata']
+      },
+      entityIds.length,
+      null,
+      null,
+      function(error, entities) {
+        if (error) {
+          process.logger.error(error.message, {error: error, method: 'restoreEntitiesAction'});
+          return next(errors.RESTORE_ENTITIES_ERROR);
+        }
+
+        // Make sure user is authorized to restore all the entities
+        entities.forEach(function(entity) {
+          if (self.isUserAuthorized(request.user, entity, ContentController.OPERATIONS.DELETE))
+            entityIdsToRestore.push(entity.id);
+        });
+
+        if (entityIdsToRestore.length !== entityIds.length) {
+          process.logger.error(
+            'Some entities can\'t be restored : abort',
+            {method: 'restoreEntitiesAction', entities: entityIds, restoredEntities: entityIdsToRestore}
+          );
+          return next(errors.RESTORE_ENTITIES_FORBIDDEN);
+        }
+
+        provider.restore(new ResourceFilter().in('id', entityIdsToRestore), function(error, total) {
+          if (error) {
+            process.logger.error(error.message, {error: error, method: 'restoreEntitiesAction'});
+            next(errors.RESTORE_ENTITIES_ERROR);
+          } else if (total != entityIdsToRestore.length) {
+            process.logger.error(
+              total + '/' + entityIds.length + ' restored',
+              {method: 'restoreEntitiesAction', entities: entityIdsToRestore}
+            );
+            next(errors.RESTORE_ENTITIES_ERROR);
+          } else {
+            response.send({total: total});
+          }
+        });
+
+      }
+    );
+
+  } else {
+
+    // Missing entity ids
+    next(errors.RESTORE_ENTITIES_MISSING_PARAMETERS);
+
+  }
+};
+
+/**
+ * Permanently removes entities from the trash.
+ *
+ * Only the super administrator and contents managers can purge the trash.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "total": 42
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} [request.query] Request query
+ * @param {Number} [request.query.retention] The number of milliseconds entities stay in the trash before being
+ * purged (default to 0)
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+ContentController.prototype.purgeTrashAction = function(request, response, next) {
+  if (!this.isUserAdmin(request.user) && !this.isUserManager(request.user)) {
+    process.logger.error('The trash could not be purged', {method: 'purgeTrashAction'});
+    return next(errors.PURGE_TRASH_FORBIDDEN);
+  }
+
+  ContentController.super_.prototype.purgeTrashAction.call(this, request, response, next);
+};
+
+/**
+ * Gets the revisions of an entity.
+ *
+ * User must have permission to update the entity.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "revisions" : [ ... ]
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} request.params Request parameters
+ * @param {String} request.params.id The id of the entity
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+ContentController.prototype.getRevisionsAction = function(request, response, next) {
+  if (!request.params.id) return next(errors.GET_REVISIONS_MISSING_PARAMETERS);
+
+  getRevisedEntity(this.getTenantProvider(request), request.params.id, function(error, entity) {
+    if (error) {
+      process.logger.error(error.message, {error: error, method: 'getRevisionsAction', entity: request.params.id});
+      return next(errors.GET_REVISIONS_ERROR);
+    }
+
+    if (entity && !this.isUserAuthorized(request.user, entity, ContentController.OPERATIONS.UPDATE)) {
+      process.logger.error('Revisions could not be read', {method: 'getRevisionsAction', entity: request.params.id});
+      return next(errors.GET_REVISIONS_FORBIDDEN);
+    }
+
+    ContentController.super_.prototype.getRevisionsAction.call(this, request, response, next);
+  }.bind(this));
+};
+
+/**
+ * Reverts an entity to the state it had before a revision.
+ *
+ * User must have permission to update the entity.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "total": 1
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} request.params Request parameters
+ * @param {String} request.params.id The id of the entity to revert
+ * @param {Number} request.params.revision The number of the revision holding the state to revert to
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+ContentController.prototype.revertEntityAction = function(request, response, next) {
+  if (!request.params.id || request.params.revision === undefined)
+    return next(errors.REVERT_ENTITY_MISSING_PARAMETERS);
+
+  getRevisedEntity(this.getTenantProvider(request), request.params.id, function(error, entity) {
+    if (error) {
+      process.logger.error(error.message, {error: error, method: 'revertEntityAction', entity: request.params.id});
+      return next(errors.REVERT_ENTITY_ERROR);
+    }
+
+    if (!entity) return next(errors.REVERT_ENTITY_NOT_FOUND_ERROR);
+
+    if (!this.isUserAuthorized(request.user, entity, ContentController.OPERATIONS.UPDATE)) {
+      process.logger.error('The entity could not be reverted', {method: 'revertEntityAction', entity: entity.id});
+      return next(errors.REVERT_ENTITY_FORBIDDEN);
+    }
+
+    ContentController.super_.prototype.revertEntityAction.call(this, request, response, next);
+  }.bind(this));
+};
+
 /**
  * Adds access rules to the given filter reference.
  *
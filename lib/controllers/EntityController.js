@@ -8,6 +8,7 @@ var util = require('util');
 var utilExt = process.requireApi('lib/util.js');
 var HttpController = process.requireApi('lib/controllers/HttpController.js');
 var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
 var errors = process.requireApi('lib/controllers/httpErrors.js');
 
 /**
@@ -39,6 +40,16 @@ util.inherits(EntityController, HttpController);
  *     "size": ... // The total number of entities
  * }
  *
+ * // Response example when paginating using cursors
+ * {
+ *   "entities" : [ ... ],
+ *   "pagination" : {
+ *     "limit": ..., // The limit number of entities by page
+ *     "size": ..., // The total number of entities
+ *     "nextCursor": ..., // The cursor of the next page, null if there is no next page
+ *     "previousCursor": ... // The cursor of the previous page, null if there is no previous page
+ * }
+ *
  * @param {Object} request ExpressJS HTTP Request
  * @param {Object} [request.query] Request query
  * @param {(String|Array)} [request.query.include] The list of fields to include from returned entities
@@ -46,15 +57,25 @@ util.inherits(EntityController, HttpController);
  * include is also specified.
  * @param {Number} [request.query.limit] A limit number of entities to retrieve per page (default to 10)
  * @param {Number} [request.query.page] The page number started at 0 for the first page (default to 0)
- * @param {String} [request.query.sortBy] The entity field to sort by
- * @param {String} [request.query.sortOrder] Either "asc" for ascendant or "desc" for descendant
+ * @param {String} [request.query.cursor] The cursor of the page to paginate using cursors instead of page numbers,
+ * an empty cursor for the first page. Ignores page if specified
+ * @param {(String|Array)} [request.query.sort] The ordered list of sort criteria, see
+ * [buildSort]{@link module:controllers/EntityController~EntityController#buildSort}. Ignores sortBy and sortOrder if
+ * specified
+ * @param {String} [request.query.sortBy] The entity field to sort by, one of the fields returned by
+ * getSortableFields if it returns any, deprecated use sort instead
+ * @param {String} [request.query.sortOrder] Either "asc" for ascendant or "desc" for descendant, deprecated use sort
+ * instead
+ * @param {Object} [request.query.filter] The filter on fields returned by getFilterableFields, see
+ * [ResourceFilter.fromQuery]{@link module:storages/ResourceFilter~ResourceFilter.fromQuery} for the grammar
  * @param {Object} response ExpressJS HTTP Response
  * @param {Function} next Function to defer execution to the next registered middleware
  */
 EntityController.prototype.getEntitiesAction = function(request, response, next) {
-  var provider = this.getProvider();
+  var provider = this.getTenantProvider(request);
   var sort = {};
   var query;
+  var filter;
   request.query = request.query || {};
 
   try {
@@ -63,27 +84,37 @@ EntityController.prototype.getEntitiesAction = function(request, response, next)
       exclude: {type: 'array<string>'},
       limit: {type: 'number', gt: 0, default: 10},
       page: {type: 'number', gte: 0, default: 0},
+      cursor: {type: 'string'},
+      sort: {type: 'array<string>'},
       sortBy: {type: 'string'},
-      sortOrder: {type: 'string', in: ['asc', 'desc'], default: 'desc'}
+      sortOrder: {type: 'string', in: ['asc', 'desc'], default: 'desc'},
+      filter: {type: 'object'}
     });
+    filter = ResourceFilter.fromQuery(query.filter, {fields: this.getFilterableFields()});
+    if (query.sort) sort = this.buildSort(query.sort, filter);
+    else if (query.sortBy && this.getSortableFields().length) {
+      sort = this.buildSort([query.sortBy + ':' + query.sortOrder], filter);
+    }
   } catch (error) {
     return next(errors.GET_ENTITIES_WRONG_PARAMETERS);
   }
 
-  // Build sort description object
-  if (query.sortBy && query.sortOrder) sort[query.sortBy] = query.sortOrder;
+  // Build sort description object, sortBy is not restricted if no field has been declared sortable
+  if (!query.sort && query.sortBy && !this.getSortableFields().length) sort[query.sortBy] = query.sortOrder;
 
   provider.get(
-    null,
+    filter.operations.length ? filter : null,
     {
       exclude: query.exclude,
       include: query.include
     },
     query.limit,
-    query.page,
+    query.cursor !== undefined ? {cursor: query.cursor || null} : query.page,
     sort,
     function(error, entities, pagination) {
-      if (error) {
+      if (error && error.code === databaseErrors.INVALID_CURSOR_ERROR) {
+        next(errors.GET_ENTITIES_WRONG_PARAMETERS);
+      } else if (error) {
         process.logger.error(error.message, {error: error, method: 'getEntitiesAction'});
         next(errors.GET_ENTITIES_ERROR);
       } else {
@@ -118,7 +149,7 @@ EntityController.prototype.getEntitiesAction = function(request, response, next)
 EntityController.prototype.getEntityAction = function(request, response, next) {
   if (request.params.id) {
     var entityId = request.params.id;
-    var provider = this.getProvider();
+    var provider = this.getTenantProvider(request);
     var query;
     request.query = request.query || {};
 
@@ -170,14 +201,16 @@ EntityController.prototype.getEntityAction = function(request, response, next) {
  * @param {Object} request ExpressJS HTTP Request
  * @param {Object} request.params Request parameters
  * @param {String} request.params.id The id of the entity to update
- * @param {Object} request.body The fields to update with their values
+ * @param {Object} request.body The fields to update with their values, for versioned entities the version field
+ * holds the version of the entity the modifications are based on, see
+ * [EntityProvider.updateOne]{@link module:providers/EntityProvider~EntityProvider#updateOne}
  * @param {Object} response ExpressJS HTTP Response
  * @param {Function} next Function to defer execution to the next registered middleware
  */
 EntityController.prototype.updateEntityAction = function(request, response, next) {
   if (request.params.id && request.body) {
     var entityId = request.params.id;
-    var provider = this.getProvider();
+    var provider = this.getTenantProvider(request).withContext({user: request.user && request.user.id});
 
     provider.updateOne(
       new ResourceFilter().equal('id', entityId),
@@ -188,7 +221,11 @@ EntityController.prototype.updateEntityAction = function(request, response, next
             error.message || 'Fail updating',
             {method: 'updateEntityAction', entities: entityId}
           );
-          next(errors.UPDATE_ENTITY_ERROR);
+          next(
+            error.code === databaseErrors.UPDATE_VERSION_CONFLICT_ERROR ?
+              errors.UPDATE_ENTITY_CONFLICT_ERROR :
+              errors.UPDATE_ENTITY_ERROR
+          );
         } else {
           response.send({total: total});
         }
@@ -219,7 +256,7 @@ EntityController.prototype.updateEntityAction = function(request, response, next
  */
 EntityController.prototype.addEntitiesAction = function(request, response, next) {
   if (request.body) {
-    var provider = this.getProvider(request);
+    var provider = this.getTenantProvider(request);
     var parsedRequest;
 
     try {
@@ -249,6 +286,8 @@ EntityController.prototype.addEntitiesAction = function(request, response, next)
 /**
  * Removes entities.
  *
+ * If the provider has soft delete enabled, entities are moved to the trash on behalf of the authenticated user.
+ *
  * @example
  * // Response example
  * {
@@ -264,7 +303,7 @@ EntityController.prototype.addEntitiesAction = function(request, response, next)
 EntityController.prototype.removeEntitiesAction = function(request, response, next) {
   if (request.params.id) {
     var entityIds = request.params.id.split(',');
-    var provider = this.getProvider(request);
+    var provider = this.getTenantProvider(request).withContext({user: request.user && request.user.id});
 
     provider.remove(
       new ResourceFilter().in('id', entityIds),
@@ -291,6 +330,252 @@ EntityController.prototype.removeEntitiesAction = function(request, response, ne
   }
 };
 
+/**
+ * Gets entities in the trash.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "entities" : [ ... ],
+ *   "pagination" : {
+ *     "limit": ..., // The limit number of entities by page
+ *     "page": ..., // The actual page
+ *     "pages": ..., // The total number of pages
+ *     "size": ... // The total number of entities
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} [request.query] Request query
+ * @param {(String|Array)} [request.query.include] The list of fields to include from returned entities
+ * @param {(String|Array)} [request.query.exclude] The list of fields to exclude from returned entities. Ignored if
+ * include is also specified.
+ * @param {Number} [request.query.limit] A limit number of entities to retrieve per page (default to 10)
+ * @param {Number} [request.query.page] The page number started at 0 for the first page (default to 0)
+ * @param {String} [request.query.sortBy] The entity field to sort by, one of the fields returned by getSortableFields
+ * if it returns any
+ * @param {String} [request.query.sortOrder] Either "asc" for ascendant or "desc" for descendant
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+EntityController.prototype.getTrashAction = function(request, response, next) {
+  var provider = this.getTenantProvider(request);
+  var sort = {};
+  var query;
+  request.query = request.query || {};
+
+  try {
+    query = utilExt.shallowValidateObject(request.query, {
+      include: {type: 'array<string>'},
+      exclude: {type: 'array<string>'},
+      limit: {type: 'number', gt: 0, default: 10},
+      page: {type: 'number', gte: 0, default: 0},
+      sortBy: {type: 'string'},
+      sortOrder: {type: 'string', in: ['asc', 'desc'], default: 'desc'}
+    });
+    if (query.sortBy && this.getSortableFields().length) sort = this.buildSort([query.sortBy + ':' + query.sortOrder]);
+  } catch (error) {
+    return next(errors.GET_TRASH_WRONG_PARAMETERS);
+  }
+
+  // Build sort description object, sortBy is not restricted if no field has been declared sortable
+  if (query.sortBy && !this.getSortableFields().length) sort[query.sortBy] = query.sortOrder;
+
+  provider.getTrash(
+    null,
+    {
+      exclude: query.exclude,
+      include: query.include
+    },
+    query.limit,
+    query.page,
+    sort,
+    function(error, entities, pagination) {
+      if (error) {
+        process.logger.error(error.message, {error: error, method: 'getTrashAction'});
+        next(errors.GET_TRASH_ERROR);
+      } else {
+        response.send({
+          entities: entities,
+          pagination: pagination
+        });
+      }
+    }
+  );
+};
+
+/**
+ * Restores entities from the trash.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "total": 42
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} request.params Request parameters
+ * @param {String} request.params.id A comma separated list of entity ids to restore
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+EntityController.prototype.restoreEntitiesAction = function(request, response, next) {
+  if (request.params.id) {
+    var entityIds = request.params.id.split(',');
+    var provider = this.getTenantProvider(request);
+
+    provider.restore(
+      new ResourceFilter().in('id', entityIds),
+      function(error, total) {
+        if (error) {
+          process.logger.error(error.message, {error: error, method: 'restoreEntitiesAction'});
+          next(errors.RESTORE_ENTITIES_ERROR);
+        } else if (total != entityIds.length) {
+          process.logger.error(
+            total + '/' + entityIds.length + ' restored',
+            {method: 'restoreEntitiesAction', entities: entityIds}
+          );
+          next(errors.RESTORE_ENTITIES_ERROR);
+        } else {
+          response.send({total: total});
+        }
+      }
+    );
+  } else {
+
+    // Missing entity ids
+    next(errors.RESTORE_ENTITIES_MISSING_PARAMETERS);
+
+  }
+};
+
+/**
+ * Permanently removes entities from the trash.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "total": 42
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} [request.query] Request query
+ * @param {Number} [request.query.retention] The number of milliseconds entities stay in the trash before being
+ * purged (default to 0)
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+EntityController.prototype.purgeTrashAction = function(request, response, next) {
+  var provider = this.getTenantProvider(request);
+  var query;
+  request.query = request.query || {};
+
+  try {
+    query = utilExt.shallowValidateObject(request.query, {
+      retention: {type: 'number', gte: 0, default: 0}
+    });
+  } catch (error) {
+    return next(errors.PURGE_TRASH_WRONG_PARAMETERS);
+  }
+
+  provider.purge(null, query.retention, function(error, total) {
+    if (error) {
+      process.logger.error(error.message, {error: error, method: 'purgeTrashAction'});
+      next(errors.PURGE_TRASH_ERROR);
+    } else {
+      response.send({total: total});
+    }
+  });
+};
+
+/**
+ * Gets the revisions of an entity.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "revisions" : [ ... ]
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} request.params Request parameters
+ * @param {String} request.params.id The id of the entity
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+EntityController.prototype.getRevisionsAction = function(request, response, next) {
+  if (request.params.id) {
+    var entityId = request.params.id;
+    var provider = this.getTenantProvider(request);
+
+    provider.getRevisions(entityId, function(error, revisions) {
+      if (error) {
+        process.logger.error(error.message, {error: error, method: 'getRevisionsAction', entity: entityId});
+        next(errors.GET_REVISIONS_ERROR);
+      } else {
+        response.send({revisions: revisions});
+      }
+    });
+  } else {
+
+    // Missing id of the entity
+    next(errors.GET_REVISIONS_MISSING_PARAMETERS);
+
+  }
+};
+
+/**
+ * Reverts an entity to the state it had before a revision.
+ *
+ * @example
+ * // Response example
+ * {
+ *   "total": 1
+ * }
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} request.params Request parameters
+ * @param {String} request.params.id The id of the entity to revert
+ * @param {Number} request.params.revision The number of the revision holding the state to revert to
+ * @param {Object} response ExpressJS HTTP Response
+ * @param {Function} next Function to defer execution to the next registered middleware
+ */
+EntityController.prototype.revertEntityAction = function(request, response, next) {
+  if (request.params.id && request.params.revision !== undefined) {
+    var entityId = request.params.id;
+    var provider = this.getTenantProvider(request).withContext({user: request.user && request.user.id});
+    var params;
+
+    try {
+      params = utilExt.shallowValidateObject(request.params, {
+        revision: {type: 'number', gt: 0, required: true}
+      });
+    } catch (error) {
+      return next(errors.REVERT_ENTITY_WRONG_PARAMETERS);
+    }
+
+    provider.revert(entityId, params.revision, function(error, total) {
+      if (error) {
+        process.logger.error(
+          error.message || 'Fail reverting',
+          {method: 'revertEntityAction', entity: entityId, revision: params.revision}
+        );
+        next(
+          error.code === databaseErrors.REVISION_NOT_FOUND_ERROR ?
+            errors.REVERT_ENTITY_NOT_FOUND_ERROR :
+            errors.REVERT_ENTITY_ERROR
+        );
+      } else {
+        response.send({total: total});
+      }
+    });
+  } else {
+
+    // Missing id of the entity or revision
+    next(errors.REVERT_ENTITY_MISSING_PARAMETERS);
+
+  }
+};
+
 /**
  * Gets an instance of the entity provider associated to the controller.
  *
@@ -300,3 +585,133 @@ EntityController.prototype.removeEntitiesAction = function(request, response, ne
 EntityController.prototype.getProvider = function() {
   throw new Error('getProvider not implemented for this EntityController');
 };
+
+/**
+ * Gets the entity provider associated to the controller, restricted to the tenant of a request.
+ *
+ * If the provider isolates tenants (see
+ * [EntityProvider.tenantField]{@link module:providers/EntityProvider~EntityProvider#tenantField}), operations are
+ * restricted to the tenant returned by getTenant unless canAccessAllTenants explicitly grants access to all tenants.
+ * Without tenant, operations fail. Actions use it to get the provider.
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @return {EntityProvider} The entity provider
+ */
+EntityController.prototype.getTenantProvider = function(request) {
+  var provider = this.getProvider(request);
+
+  if (!provider.tenantField) return provider;
+  if (this.canAccessAllTenants(request)) return provider.withAllTenants();
+  return provider.withContext({tenant: this.getTenant(request)});
+};
+
+/**
+ * Gets the tenant of a request.
+ *
+ * Override it to resolve the tenant differently, the tenant of the authenticated user is used by default.
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @param {Object} [request.user] The authenticated user
+ * @param {String} [request.user.tenant] The id of the tenant of the user
+ * @return {(String|undefined)} The id of the tenant, undefined if request has no tenant
+ */
+EntityController.prototype.getTenant = function(request) {
+  return request.user && request.user.tenant;
+};
+
+/**
+ * Tests if a request can access entities of all tenants.
+ *
+ * Override it to explicitly let some users, like the super administrator, access entities of all tenants. No request
+ * can access entities of all tenants by default.
+ *
+ * @example
+ * MyEntityController.prototype.canAccessAllTenants = function(request) {
+ *   return request.user && request.user.id === superAdminId;
+ * };
+ *
+ * @param {Object} request ExpressJS HTTP Request
+ * @return {Boolean} true if the request can access entities of all tenants, false otherwise
+ */
+EntityController.prototype.canAccessAllTenants = function(request) {
+  return false;
+};
+
+/**
+ * Gets the fields of the entities which can be filtered using getEntitiesAction.
+ *
+ * Override it to make fields filterable, no field is filterable by default.
+ *
+ * @example
+ * MyEntityController.prototype.getFilterableFields = function() {
+ *   return {
+ *     title: 'string',
+ *     duration: {type: 'number', operators: ['gt', 'gte', 'lt', 'lte']},
+ *     state: {type: 'number', operators: ['eq', 'in'], in: [0, 1, 2]}
+ *   };
+ * };
+ *
+ * @return {Object} The filterable fields with their types or their descriptions, see
+ * [ResourceFilter.fromQuery]{@link module:storages/ResourceFilter~ResourceFilter.fromQuery}
+ */
+EntityController.prototype.getFilterableFields = function() {
+  return {};
+};
+
+/**
+ * Gets the fields of the entities which can be used to sort entities using getEntitiesAction and getTrashAction.
+ *
+ * Override it to make fields sortable, no field is sortable by default. As long as no field is sortable, the
+ * deprecated sortBy parameter accepts any field.
+ *
+ * @return {Array} The list of sortable fields
+ */
+EntityController.prototype.getSortableFields = function() {
+  return [];
+};
+
+/**
+ * Builds the sort description object from a list of sort criteria.
+ *
+ * Each criterion is a sortable field followed by the sort order ("asc" or "desc", default to "asc") separated by a
+ * colon, several criteria can also be separated by commas. Criterion "score" sorts entities by their text search
+ * score and requires the filter to have a search operation.
+ *
+ * @example
+ * // Sort by publication date, most recent first, then by title
+ * var sort = controller.buildSort(['published:desc', 'title']);
+ *
+ * // {published: 'desc', title: 'asc'}
+ * console.log(sort);
+ *
+ * @param {Array} criteria The ordered list of sort criteria
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] The filter of the entities
+ * @return {Object} The list of fields to sort by with the field name as key and the sort order as value
+ * @throws {Error} An error if a field is not sortable, if an order is not valid or if a field is used twice
+ */
+EntityController.prototype.buildSort = function(criteria, filter) {
+  var sortableFields = this.getSortableFields();
+  var sort = {};
+
+  criteria.join(',').split(',').forEach(function(criterion) {
+    var chunks = criterion.trim().split(':');
+    var field = chunks[0];
+    var order = chunks[1] || 'asc';
+
+    if (Object.prototype.hasOwnProperty.call(sort, field)) throw new Error('Field ' + field + ' is used twice');
+    if (chunks.length > 2) throw new Error('Invalid sort criterion ' + criterion);
+
+    if (field === 'score' && chunks.length === 1) {
+      if (!filter || !filter.getComparisonOperation(ResourceFilter.OPERATORS.SEARCH))
+        throw new Error('Sorting by score requires a search');
+      sort.score = 'score';
+      return;
+    }
+
+    if (sortableFields.indexOf(field) < 0) throw new Error('Field ' + field + ' is not sortable');
+    if (order !== 'asc' && order !== 'desc') throw new Error('Invalid sort order ' + order);
+    sort[field] = order;
+  });
+
+  return sort;
+};
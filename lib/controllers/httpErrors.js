@@ -100,6 +100,76 @@ var HTTP_ERRORS = {
     module: 'api'
   },
 
+  /**
+   * A server error occurring when getting the list of entities in the trash.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  GET_TRASH_ERROR: {
+    code: 0x006,
+    httpCode: 500,
+    module: 'api'
+  },
+
+  /**
+   * A server error occurring when restoring entities from the trash.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  RESTORE_ENTITIES_ERROR: {
+    code: 0x007,
+    httpCode: 500,
+    module: 'api'
+  },
+
+  /**
+   * A server error occurring when purging the trash.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  PURGE_TRASH_ERROR: {
+    code: 0x008,
+    httpCode: 500,
+    module: 'api'
+  },
+
+  /**
+   * A server error occurring when getting the revisions of an entity.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  GET_REVISIONS_ERROR: {
+    code: 0x009,
+    httpCode: 500,
+    module: 'api'
+  },
+
+  /**
+   * A server error occurring when reverting an entity to a revision.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  REVERT_ENTITY_ERROR: {
+    code: 0x00a,
+    httpCode: 500,
+    module: 'api'
+  },
+
   // Not found errors
 
   /**
@@ -130,6 +200,20 @@ var HTTP_ERRORS = {
     module: 'api'
   },
 
+  /**
+   * Revision was not found when trying to revert an entity to it.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  REVERT_ENTITY_NOT_FOUND_ERROR: {
+    code: 0x102,
+    httpCode: 404,
+    module: 'api'
+  },
+
   // Authentication errors
 
   /**
@@ -174,6 +258,63 @@ var HTTP_ERRORS = {
     module: 'api'
   },
 
+  /**
+   * An authentication error occurring when the connected user doesn't have enough privileges to restore entities.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  RESTORE_ENTITIES_FORBIDDEN: {
+    code: 0x203,
+    httpCode: 403,
+    module: 'api'
+  },
+
+  /**
+   * An authentication error occurring when the connected user doesn't have enough privileges to purge the trash.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  PURGE_TRASH_FORBIDDEN: {
+    code: 0x204,
+    httpCode: 403,
+    module: 'api'
+  },
+
+  /**
+   * An authentication error occurring when the connected user doesn't have enough privileges to get the revisions of an
+   * entity.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  GET_REVISIONS_FORBIDDEN: {
+    code: 0x205,
+    httpCode: 403,
+    module: 'api'
+  },
+
+  /**
+   * An authentication error occurring when the connected user doesn't have enough privileges to revert an entity.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  REVERT_ENTITY_FORBIDDEN: {
+    code: 0x206,
+    httpCode: 403,
+    module: 'api'
+  },
+
   // Wrong parameters errors
 
   /**
@@ -286,6 +427,106 @@ var HTTP_ERRORS = {
     code: 0x307,
     httpCode: 400,
     module: 'api'
+  },
+
+  /**
+   * Getting the list of entities in the trash failed, wrong parameters.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  GET_TRASH_WRONG_PARAMETERS: {
+    code: 0x308,
+    httpCode: 400,
+    module: 'api'
+  },
+
+  /**
+   * A wrong parameters error occurring when a parameter is missing while restoring entities.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  RESTORE_ENTITIES_MISSING_PARAMETERS: {
+    code: 0x309,
+    httpCode: 400,
+    module: 'api'
+  },
+
+  /**
+   * Purging the trash failed, wrong parameters.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  PURGE_TRASH_WRONG_PARAMETERS: {
+    code: 0x30a,
+    httpCode: 400,
+    module: 'api'
+  },
+
+  /**
+   * A wrong parameters error occurring when a parameter is missing while getting the revisions of an entity.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  GET_REVISIONS_MISSING_PARAMETERS: {
+    code: 0x30b,
+    httpCode: 400,
+    module: 'api'
+  },
+
+  /**
+   * A wrong parameters error occurring when a parameter is missing while reverting an entity.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  REVERT_ENTITY_MISSING_PARAMETERS: {
+    code: 0x30c,
+    httpCode: 400,
+    module: 'api'
+  },
+
+  /**
+   * Reverting an entity failed, wrong parameters.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  REVERT_ENTITY_WRONG_PARAMETERS: {
+    code: 0x30d,
+    httpCode: 400,
+    module: 'api'
+  },
+
+  // Conflict errors
+
+  /**
+   * Entity has been modified by someone else since the version given when trying to update it.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  UPDATE_ENTITY_CONFLICT_ERROR: {
+    code: 0x400,
+    httpCode: 409,
+    module: 'api'
   }
 
 };
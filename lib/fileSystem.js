@@ -3,10 +3,20 @@
 /**
  * Defines functions to interact with the file system as an extension to the Node.js filesystem module.
  *
+ * All asynchronous functions return a Promise if called without callback.
+ *
  * @example
  * // Load module "fileSystem"
  * var fsApi = require('@openveo/api').fileSystem;
  *
+ * // Using a callback
+ * fsApi.mkdir('/tmp/directory', function(error) {
+ *   console.log(error);
+ * });
+ *
+ * // Using a Promise
+ * await fsApi.mkdir('/tmp/directory');
+ *
  * @module fileSystem
  */
 
@@ -19,6 +29,7 @@ var async = require('async');
 var nanoid = require('nanoid').nanoid;
 var StreamZip = require('node-stream-zip');
 var tar = require('tar-fs');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
 
 /**
  * Extracts a tar file.
@@ -650,6 +661,51 @@ module.exports.extract = function(filePath, destinationPath, callback) {
     callback(new TypeError('Invalid filePath and / or destinationPath, expected strings'));
 };
 
+/**
+ * Packs the content of a directory into a tar file.
+ *
+ * Paths of files inside the archive are relative to the directory.
+ *
+ * @method pack
+ * @static
+ * @param {String} directoryPath Path of the directory to pack
+ * @param {String} filePath Path of the tar file to create
+ * @param {callback} [callback] The function to call when done
+ */
+module.exports.pack = function(directoryPath, filePath, callback) {
+  callback = callback || function(error) {
+    if (error)
+      process.logger.error('Pack error', {error: error, path: directoryPath});
+    else
+      process.logger.silly(directoryPath + ' packed into ' + filePath);
+  };
+
+  if (!directoryPath || !filePath)
+    return callback(new TypeError('Invalid directoryPath and / or filePath, expected strings'));
+
+  var streamError;
+  var onError = function(error) {
+    if (streamError) return;
+    streamError = error;
+    callback(streamError);
+  };
+
+  this.mkdir(path.dirname(filePath), function(error) {
+    if (error) return callback(error);
+
+    var packer = tar.pack(path.normalize(directoryPath));
+    var tarFileWritableStream = fs.createWriteStream(path.normalize(filePath));
+
+    packer.on('error', onError);
+    tarFileWritableStream.on('error', onError);
+    tarFileWritableStream.on('finish', function() {
+      if (!streamError) callback();
+    });
+
+    packer.pipe(tarFileWritableStream);
+  });
+};
+
 /**
  * Copies a file or a directory.
  *
@@ -1075,6 +1131,22 @@ module.exports.prepend = function(filePath, data, callback) {
   });
 };
 
+promiseSupport.addPromiseSupportToMethods(module.exports, {
+  extract: null,
+  pack: null,
+  copy: null,
+  getJSONFileContent: null,
+  mkdir: null,
+  rmdir: null,
+  readdir: null,
+  readFile: null,
+  getFileType: null,
+  rm: null,
+  performActions: null,
+  replace: null,
+  prepend: null
+});
+
 /**
  * @callback module:fileSystem~readdirRecursiveCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
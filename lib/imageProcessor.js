@@ -3,10 +3,15 @@
 /**
  * Defines functions to manipulate images.
  *
+ * All functions return a Promise if called without callback.
+ *
  * @example
  * // Load module "imageProcessor"
  * var fsApi = require('@openveo/api').imageProcessor;
  *
+ * // Using a Promise
+ * var images = await fsApi.generateSprite(['/tmp/image1.jpg', '/tmp/image2.jpg'], '/tmp/sprite.jpg', 100, 100);
+ *
  * @module imageProcessor
  */
 
@@ -18,6 +23,7 @@ var gm = require('gm').subClass({
   imageMagick: true
 });
 var fileSystem = process.requireApi('lib/fileSystem.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
 
 /**
  * Generates a thumbnail from the given image.
@@ -638,6 +644,14 @@ module.exports.generateSprites = function(imagesPaths, destinationPath, width, h
   });
 };
 
+promiseSupport.addPromiseSupportToMethods(module.exports, {
+  generateThumbnail: null,
+  aggregate: null,
+  generateSprite: null,
+  generateSpriteFreely: null,
+  generateSprites: null
+});
+
 /**
  * @callback module:imageProcessor~generateSpritesCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
@@ -9,6 +9,7 @@ var path = require('path');
 var multer = require('multer');
 var async = require('async');
 var fileSystem = process.requireApi('lib/fileSystem.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
 
 /**
  * Defines a multipart parser to parse multipart requests.
@@ -50,6 +51,9 @@ var fileSystem = process.requireApi('lib/fileSystem.js');
  *     console.log(request.files);
  * });
  *
+ * // Or, without callback, using the returned Promise
+ * await parser.parse();
+ *
  * @class MultipartParser
  * @constructor
  * @param {Object} request HTTP Request containing a multipart body, it will be altered with parsing properties
@@ -180,7 +184,8 @@ MultipartParser.prototype.getFileName = function(originalFileName, fieldName, ca
 /**
  * Parses multipart content of the request and performs uploads if any.
  *
- * @param {callback} callback The function to call when done
+ * @param {callback} [callback] The function to call when done, if not specified a Promise is returned
+ * @return {(Promise|undefined)} A Promise if callback is not specified
  */
 MultipartParser.prototype.parse = function(callback) {
   var self = this;
@@ -227,6 +232,10 @@ MultipartParser.prototype.parse = function(callback) {
   });
 };
 
+promiseSupport.addPromiseSupportToMethods(MultipartParser.prototype, {
+  parse: null
+});
+
 /**
  * @callback module:multipart/MultipartParser~MultipartParser~getFileNameCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
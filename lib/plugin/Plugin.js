@@ -48,7 +48,8 @@ module.exports = Plugin;
 /**
  * Offers the possibility to initialize the plugin.
  *
- * A plugin may want, for example, to use this method to create indexes for its collections.
+ * A plugin may want, for example, to use this method to create indexes for its collections, see
+ * [EntityProvider.ensureIndexes]{@link module:providers/EntityProvider~EntityProvider#ensureIndexes}.
  *
  * @param {callback} callback Function to call when it's done
  */
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Provides functions to make callback based functions also return promises.
+ *
+ * This is used internally by modules which can't require the [util module]{@link module:util} without creating a
+ * circular dependency, use [util.addPromiseSupport]{@link module:util.addPromiseSupport} instead.
+ *
+ * @module promiseSupport
+ * @ignore
+ */
+
+/**
+ * Makes a callback based function return a Promise when called without callback.
+ *
+ * The callback is expected to be the last argument of the function. If the last argument given to the returned
+ * function is a function, the original function is called as is. Otherwise a callback is added at the position of
+ * the callback in the function signature and a Promise is returned. The Promise is rejected with the error given to
+ * the callback or resolved with the result. If the callback receives several results, the Promise is resolved with
+ * an object containing results by names.
+ *
+ * @method addPromiseSupport
+ * @static
+ * @param {Function} func The callback based function
+ * @param {Array} [resultNames] The names of the results received by the callback (except the error), required if
+ * the callback receives several results
+ * @param {Number} [requiredArgumentsCount=0] The number of arguments always expected before the callback, a function
+ * given as one of these arguments is not taken for the callback (e.g. 1 if the first argument is itself a function)
+ * @return {Function} The function returning a Promise if called without callback, the function keeps the same
+ * number of parameters as the original one
+ */
+module.exports.addPromiseSupport = function(func, resultNames, requiredArgumentsCount) {
+  var callbackIndex = Math.max(0, func.length - 1);
+
+  var promiseSupportedFunc = function() {
+    var self = this;
+    var args = Array.prototype.slice.call(arguments);
+
+    if (args.length > (requiredArgumentsCount || 0) && typeof args[args.length - 1] === 'function')
+      return func.apply(this, args);
+
+    return new Promise(function(resolve, reject) {
+      args.length = Math.min(args.length, callbackIndex);
+      args[callbackIndex] = function(error) {
+        if (error) return reject(error);
+        if (!resultNames || resultNames.length < 2) return resolve(arguments[1]);
+
+        var results = {};
+        for (var i = 0; i < resultNames.length; i++) results[resultNames[i]] = arguments[i + 1];
+        resolve(results);
+      };
+
+      func.apply(self, args);
+    });
+  };
+
+  Object.defineProperty(promiseSupportedFunc, 'length', {value: func.length});
+  return promiseSupportedFunc;
+};
+
+/**
+ * Makes callback based methods of an object return a Promise when called without callback.
+ *
+ * @example
+ * addPromiseSupportToMethods(MyClass.prototype, {
+ *   get: ['resources', 'pagination'],
+ *   remove: null
+ * });
+ *
+ * @method addPromiseSupportToMethods
+ * @static
+ * @param {Object} object The object holding the methods, usually a prototype
+ * @param {Object} methods The names of the results of the methods, indexed by method names, see
+ * [addPromiseSupport]{@link module:promiseSupport.addPromiseSupport} for more information about result names
+ */
+module.exports.addPromiseSupportToMethods = function(object, methods) {
+  Object.keys(methods).forEach(function(method) {
+    object[method] = module.exports.addPromiseSupport(object[method], methods[method]);
+  });
+};
@@ -5,22 +5,152 @@
  */
 
 var util = require('util');
+var stream = require('stream');
+var async = require('async');
+var nanoid = require('nanoid').nanoid;
 var Provider = process.requireApi('lib/providers/Provider.js');
+var FieldEncryption = process.requireApi('lib/providers/FieldEncryption.js');
+var utilExt = process.requireApi('lib/util.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var ndjson = process.requireApi('lib/storages/ndjson.js');
+
+/**
+ * The index of the revisions making revision numbers unique for each entity.
+ *
+ * @const
+ * @type {Object}
+ * @private
+ */
+var REVISIONS_INDEX = {key: {entity: 1, revision: 1}, name: 'byEntityRevision', unique: true};
+
+/**
+ * The maximum number of attempts to save a revision when another revision of the entity takes its number.
+ *
+ * @const
+ * @type {Number}
+ * @private
+ */
+var REVISION_ATTEMPTS = 5;
+
+/**
+ * The names of the arguments and results of the operations supporting hooks, indexed by operation names.
+ *
+ * @const
+ * @type {Object}
+ * @private
+ */
+var HOOKED_OPERATIONS = {
+  getOne: {args: ['filter', 'fields'], results: ['entity']},
+  get: {args: ['filter', 'fields', 'limit', 'page', 'sort'], results: ['entities', 'pagination']},
+  count: {args: ['filter'], results: ['total']},
+  distinct: {args: ['field', 'filter'], results: ['values']},
+  aggregate: {args: ['filter', 'groupBy', 'accumulators'], results: ['groups']},
+  add: {args: ['entities'], results: ['total', 'entities']},
+  updateOne: {args: ['filter', 'data'], results: ['total']},
+  updateMany: {args: ['filter', 'data'], results: ['total']},
+  upsertOne: {args: ['filter', 'data', 'insertDefaults'], results: ['inserted']},
+  remove: {args: ['filter'], results: ['total']},
+  removeField: {args: ['field', 'filter'], results: ['total']},
+  getTrash: {args: ['filter', 'fields', 'limit', 'page', 'sort'], results: ['entities', 'pagination']},
+  restore: {args: ['filter'], results: ['total']},
+  purge: {args: ['filter', 'retention'], results: ['total']},
+  getRevisions: {args: ['id'], results: ['revisions']},
+  revert: {args: ['id', 'revision'], results: ['total']}
+};
+
+/**
+ * Fired when entities have been added.
+ *
+ * @event module:providers/EntityProvider~EntityProvider#added
+ * @property {Object} event The event
+ * @property {Array} event.ids The ids of the added entities
+ */
+
+/**
+ * Fired when entities have been updated.
+ *
+ * @event module:providers/EntityProvider~EntityProvider#updated
+ * @property {Object} event The event
+ * @property {Array} event.ids The ids of the updated entities
+ * @property {Array} event.fields The paths of the modified fields
+ */
+
+/**
+ * Fired when entities have been removed.
+ *
+ * @event module:providers/EntityProvider~EntityProvider#removed
+ * @property {Object} event The event
+ * @property {Array} event.ids The ids of the removed entities
+ */
+
+/**
+ * Fired when observing changes failed, see
+ * [watch]{@link module:providers/EntityProvider~EntityProvider#watch}.
+ *
+ * @event module:providers/EntityProvider~EntityProvider#error
+ * @property {Error} error The error
+ */
 
 /**
  * Defines a provider holding a single type of resources.
  *
  * An entity provider manages a single type of resources. These resources are stored into the given storage / location.
  *
+ * All methods return a Promise if called without callback. If the callback receives several results, the Promise is
+ * resolved with an object containing results by names ("entities" and "pagination" for the get method, "total" and
+ * "entities" for the add method).
+ *
+ * @example
+ * // Using a callback
+ * provider.get(null, null, 10, 0, null, function(error, entities, pagination) {
+ *   console.log(entities, pagination);
+ * });
+ *
+ * // Using a Promise
+ * var result = await provider.get(null, null, 10, 0, null);
+ * console.log(result.entities, result.pagination);
+ *
+ * An entity provider emits events when entities are added, updated or removed through it. Payloads only contain ids
+ * and field paths so they can be forwarded to other processes. Ids of updated and removed entities are fetched before
+ * the operation, only if the event is listened to. Events of operations executed within a transaction are emitted
+ * even if the transaction is aborted afterwards. To also observe changes made by other processes, see
+ * [watch]{@link module:providers/EntityProvider~EntityProvider#watch}.
+ *
+ * @example
+ * provider.on('updated', function(event) {
+ *   console.log('Fields ' + event.fields.join(', ') + ' of entities ' + event.ids.join(', ') + ' have changed');
+ * });
+ *
  * @class EntityProvider
  * @extends module:providers/Provider~Provider
  * @constructor
  * @param {module:storages/Storage~Storage} storage The storage to use to store provider entities
  * @param {String} location The location of the entities in the storage
- * @throws {TypeError} If storage and / or location is not valid
+ * @param {Object} [options] Provider options
+ * @param {Array} [options.indexes] The indexes of the location using MongoDB format, each index must have a name,
+ * see [ensureIndexes]{@link module:providers/EntityProvider~EntityProvider#ensureIndexes}
+ * @param {String} [options.indexesPrefix] The prefix of the names of the indexes owned by the provider, only owned
+ * indexes are dropped when no longer declared. By default the provider owns no index and never drops indexes
+ * @param {String} [options.versionField] The field holding the version of the entities to enable optimistic
+ * concurrency control, see [updateOne]{@link module:providers/EntityProvider~EntityProvider#updateOne}
+ * @param {Boolean} [options.softDelete=false] true to move removed entities to the trash instead of removing them, see
+ * [remove]{@link module:providers/EntityProvider~EntityProvider#remove}
+ * @param {Boolean} [options.revisions=false] true to keep the history of the modifications of the entities, see
+ * [getRevisions]{@link module:providers/EntityProvider~EntityProvider#getRevisions}
+ * @param {Object} [options.encryption] The configuration of the encrypted fields of the entities, see
+ * [FieldEncryption]{@link module:providers/FieldEncryption~FieldEncryption} for the configuration and
+ * [encryption]{@link module:providers/EntityProvider~EntityProvider#encryption} for the restrictions
+ * @param {String} [options.tenantField] The top level field holding the id of the tenant of the entities to isolate
+ * tenants, see [tenantField]{@link module:providers/EntityProvider~EntityProvider#tenantField}
+ * @throws {TypeError} If storage, location, indexes, encryption and / or tenantField are not valid
  */
-function EntityProvider(storage, location) {
+function EntityProvider(storage, location, options) {
   EntityProvider.super_.call(this, storage);
+  options = options || {};
 
   Object.defineProperties(this,
 
@@ -34,159 +164,2145 @@ function EntityProvider(storage, location) {
        * @instance
        * @readonly
        */
-      location: {value: location}
+      location: {value: location},
+
+      /**
+       * The declared indexes of the location.
+       *
+       * @type {Array}
+       * @instance
+       * @readonly
+       */
+      indexes: {value: options.indexes || []},
+
+      /**
+       * The prefix of the names of the indexes owned by the provider, null if the provider owns no index.
+       *
+       * @type {(String|null)}
+       * @instance
+       * @readonly
+       */
+      indexesPrefix: {value: options.indexesPrefix || null},
+
+      /**
+       * The field holding the version of the entities, null if entities are not versioned.
+       *
+       * @type {(String|null)}
+       * @instance
+       * @readonly
+       */
+      versionField: {value: options.versionField || null},
+
+      /**
+       * Indicates if removed entities are moved to the trash. Entities in the trash are ignored when fetching,
+       * counting, updating and removing entities.
+       *
+       * @type {Boolean}
+       * @instance
+       * @readonly
+       */
+      softDelete: {value: Boolean(options.softDelete)},
+
+      /**
+       * The location of the revisions of the entities in the storage, null if revisions are disabled.
+       *
+       * @type {(String|null)}
+       * @instance
+       * @readonly
+       */
+      revisionsLocation: {value: options.revisions ? location + '_revisions' : null},
+
+      /**
+       * The encryption of the encrypted fields of the entities, null if no field is encrypted.
+       *
+       * Encrypted fields are encrypted when entities are added or updated and decrypted when entities are fetched,
+       * including revisions and distinct values. They can't be used in filters, except with an equal operation on a
+       * field encrypted in deterministic mode. Entities are sorted, aggregated and exported on their encrypted values.
+       * See [reencrypt]{@link module:providers/EntityProvider~EntityProvider#reencrypt} to rotate keys.
+       *
+       * @type {(module:providers/FieldEncryption~FieldEncryption|null)}
+       * @instance
+       * @readonly
+       */
+      encryption: {value: options.encryption ? new FieldEncryption(options.encryption) : null},
+
+      /**
+       * The top level field holding the id of the tenant of the entities, null if tenants are not isolated. Nested
+       * fields (e.g. "metadata.tenant") are not supported.
+       *
+       * If tenants are isolated, operations must be executed either for a tenant, set in the
+       * [context]{@link module:providers/Provider~Provider#withContext}, or explicitly for all tenants, see
+       * [withAllTenants]{@link module:providers/EntityProvider~EntityProvider#withAllTenants}. Otherwise they fail
+       * with a StorageError TENANT_ISOLATION_ERROR. For a tenant, operations only see the entities of the tenant,
+       * added entities are set to the tenant and modifying the tenant field is refused.
+       *
+       * @type {(String|null)}
+       * @instance
+       * @readonly
+       */
+      tenantField: {value: options.tenantField || null},
+
+      /**
+       * The stream of the changes of the location when the provider is watching changes, null otherwise.
+       *
+       * @type {(stream.Readable|null)}
+       * @instance
+       */
+      changeStream: {value: null, writable: true},
+
+      /**
+       * The cache of the results of getOne and get, null if results are not cached, see
+       * [withCache]{@link module:providers/EntityProvider~EntityProvider#withCache}.
+       *
+       * @type {(module:caches/Cache~Cache|null)}
+       * @instance
+       * @readonly
+       */
+      cache: {value: null},
+
+      /**
+       * The caches used by the provider and its copies, see
+       * [withCache]{@link module:providers/EntityProvider~EntityProvider#withCache}.
+       *
+       * Caches are shared by the provider and all its copies so that operations modifying entities through any of them
+       * invalidate all of them.
+       *
+       * @type {Array}
+       * @instance
+       * @readonly
+       */
+      caches: {value: []},
+
+      /**
+       * The middlewares registered for each hook, indexed by hook names, see
+       * [use]{@link module:providers/EntityProvider~EntityProvider#use}.
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      hooks: {value: {}}
 
     }
 
   );
 
-  if (Object.prototype.toString.call(this.location) !== '[object String]')
-    throw new TypeError('location must be a string');
-}
+  if (Object.prototype.toString.call(this.location) !== '[object String]')
+    throw new TypeError('location must be a string');
+
+  if (this.tenantField !== null && Object.prototype.toString.call(this.tenantField) !== '[object String]')
+    throw new TypeError('tenantField must be a string');
+
+  if (this.tenantField !== null && this.tenantField.indexOf('.') >= 0)
+    throw new TypeError('tenantField must be a top level field');
+
+  if (!Array.isArray(this.indexes) || this.indexes.some(function(index) {
+    return !index || !index.key || !index.name;
+  })) {
+    throw new TypeError('indexes must be an array of indexes with keys and names');
+  }
+}
+
+module.exports = EntityProvider;
+util.inherits(EntityProvider, Provider);
+
+/**
+ * Builds a comparable description of an index.
+ *
+ * Text indexes are described by their weights as MongoDB replaces the text fields of the keys by "_fts" and "_ftsx"
+ * and gives a weight of 1 to fields without weight.
+ *
+ * @method describeIndex
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {Object} index The index using MongoDB format
+ * @return {String} The description of the index
+ */
+function describeIndex(index) {
+  var key = {};
+  var weights = null;
+  var field;
+
+  for (field in index.key) {
+    if (field === '_fts' || field === '_ftsx')
+      weights = weights || {};
+    else if (index.key[field] === 'text') {
+      weights = weights || {};
+      weights[field] = 1;
+    } else
+      key[field] = index.key[field];
+  }
+
+  if (weights) {
+    for (field in index.weights) weights[field] = index.weights[field];
+    weights = Object.keys(weights).sort().map(function(field) {
+      return [field, weights[field]];
+    });
+  }
+
+  return JSON.stringify({
+    key: key,
+    weights: weights,
+    unique: Boolean(index.unique),
+    sparse: Boolean(index.sparse),
+    expireAfterSeconds: index.expireAfterSeconds,
+    partialFilterExpression: index.partialFilterExpression
+  });
+}
+
+/**
+ * Tests if two indexes can't live together on the same location.
+ *
+ * Two indexes conflict if they have the same keys or if they are both text indexes as a location can have only one
+ * text index.
+ *
+ * @method areIndexesConflicting
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {Object} index1 The first index using MongoDB format
+ * @param {Object} index2 The second index using MongoDB format
+ * @return {Boolean} true if indexes conflict, false otherwise
+ */
+function areIndexesConflicting(index1, index2) {
+  var description1 = JSON.parse(describeIndex(index1));
+  var description2 = JSON.parse(describeIndex(index2));
+
+  if (description1.weights && description2.weights) return true;
+  return JSON.stringify([description1.key, description1.weights]) ===
+    JSON.stringify([description2.key, description2.weights]);
+}
+
+/**
+ * Gets the ids of the entities matching a filter.
+ *
+ * @method getIds
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {Boolean} single true to get only the id of the first entity matching the filter
+ * @param {Function} callback The function to call with an eventual error and the list of ids
+ */
+function getIds(filter, single, callback) {
+  var fields = {include: ['id']};
+
+  if (single) {
+    return this.storage.getOne(this.location, filter, fields, function(error, entity) {
+      if (error) return callback(error);
+      callback(null, entity ? [entity.id] : []);
+    });
+  }
+
+  this.storage.distinct(this.location, 'id', filter, callback);
+}
+
+/**
+ * Gets the paths of the fields modified by an update.
+ *
+ * @method getUpdatedFields
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications, either the fields to set or
+ * an update
+ * @return {Array} The paths of the modified fields
+ */
+function getUpdatedFields(data) {
+  var fields = [];
+
+  ResourceUpdate.from(data).operations.forEach(function(operation) {
+    if (fields.indexOf(operation.field) < 0) fields.push(operation.field);
+  });
+
+  return fields;
+}
+
+/**
+ * Executes an operation updating or removing entities and emits the corresponding event.
+ *
+ * Ids of impacted entities are fetched before executing the operation as entities may not match the filter anymore
+ * afterwards. Nothing is fetched if nobody listens to the event or if the provider is watching changes, events then
+ * come from the storage.
+ *
+ * @method executeAndEmit
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {String} eventName The name of the event to emit, either "updated" or "removed"
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter impacted entities
+ * @param {Boolean} single true if the operation impacts only the first entity matching the filter
+ * @param {(Array|null)} fields The paths of the modified fields, null for a removal
+ * @param {Function} execute The function executing the operation with a callback expecting an eventual error and
+ * the number of impacted entities
+ * @param {Function} callback The function to call with the results of the operation
+ */
+function executeAndEmit(eventName, filter, single, fields, execute, callback) {
+  var self = this;
+  if (!this.listenerCount(eventName) || this.changeStream) return execute(callback);
+
+  getIds.call(this, filter, single, function(error, ids) {
+    if (error) return callback(error);
+
+    execute(function(error, total) {
+      if (!error && total && ids.length) self.emit(eventName, fields ? {ids: ids, fields: fields} : {ids: ids});
+      callback.apply(null, arguments);
+    });
+  });
+}
+
+/**
+ * Builds the modifications of a versioned entity.
+ *
+ * A value set to the version field is not a modification but the version the entity is expected to have. The version
+ * is incremented instead.
+ *
+ * @method buildVersionedUpdate
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications, either the fields to set or
+ * an update
+ * @return {Object} An object with the update incrementing the version as "update" and the expected version, if any,
+ * as "version"
+ */
+function buildVersionedUpdate(data) {
+  var update = new ResourceUpdate();
+  var version;
+
+  ResourceUpdate.from(data).operations.forEach(function(operation) {
+    if (operation.field !== this.versionField) update[operation.type](operation.field, operation.value);
+    else if (operation.type === ResourceUpdate.OPERATORS.SET) version = operation.value;
+  }.bind(this));
+
+  update.increment(this.versionField, 1);
+  return {update: update, version: version};
+}
+
+/**
+ * Restricts a filter with other rules.
+ *
+ * The given filter is left untouched.
+ *
+ * @method restrictFilter
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {module:storages/ResourceFilter~ResourceFilter} restriction Rules entities must also match
+ * @return {module:storages/ResourceFilter~ResourceFilter} The restricted filter
+ */
+function restrictFilter(filter, restriction) {
+  return filter ? new ResourceFilter().and([filter, restriction]) : restriction;
+}
+
+/**
+ * Restricts a filter to entities which are not in the trash, if the provider has soft delete enabled.
+ *
+ * @method excludeTrashed
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @return {module:storages/ResourceFilter~ResourceFilter} The restricted filter
+ */
+function excludeTrashed(filter) {
+  return this.softDelete ? restrictFilter(filter, new ResourceFilter().exists('deleted', false)) : filter;
+}
+
+/**
+ * Encrypts the values compared to encrypted fields in a filter, if the provider has encrypted fields.
+ *
+ * @method encryptFilter
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @return {module:storages/ResourceFilter~ResourceFilter} The encrypted filter
+ * @throws {module:errors/StorageError~StorageError} If an encrypted field is used in a way which is not allowed
+ */
+function encryptFilter(filter) {
+  return this.encryption ? this.encryption.encryptFilter(filter) : filter;
+}
+
+/**
+ * Gets the tenant operations are restricted to, if the provider isolates tenants.
+ *
+ * @method getTenant
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @return {(String|null)} The id of the tenant from the context, null if operations apply to all tenants
+ * @throws {module:errors/StorageError~StorageError} If tenants are isolated and the context has no tenant without
+ * explicitly applying to all tenants
+ */
+function getTenant() {
+  if (!this.tenantField) return null;
+  if (this.context.tenant !== undefined && this.context.tenant !== null) {
+    if (Object.prototype.toString.call(this.context.tenant) !== '[object String]' || !this.context.tenant)
+      throw new StorageError('Invalid tenant', databaseErrors.TENANT_ISOLATION_ERROR);
+
+    return this.context.tenant;
+  }
+  if (this.context.allTenants) return null;
+
+  throw new StorageError('No tenant for ' + this.location, databaseErrors.TENANT_ISOLATION_ERROR);
+}
+
+/**
+ * Restricts a filter to the entities of the tenant of the context, if the provider isolates tenants.
+ *
+ * @method restrictToTenant
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @return {module:storages/ResourceFilter~ResourceFilter} The restricted filter
+ * @throws {module:errors/StorageError~StorageError} If the tenant is missing
+ */
+function restrictToTenant(filter) {
+  var tenant = getTenant.call(this);
+  return tenant ? restrictFilter(filter, new ResourceFilter().equal(this.tenantField, tenant)) : filter;
+}
+
+/**
+ * Makes sure modifications do not move entities to another tenant.
+ *
+ * The tenant field can only be modified for all tenants.
+ *
+ * @method checkTenantUpdate
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications, either the fields to set or
+ * an update
+ * @throws {module:errors/StorageError~StorageError} If the tenant is missing or if modifications change the tenant
+ * field for a tenant
+ */
+function checkTenantUpdate(data) {
+  var tenantField = this.tenantField;
+  if (!getTenant.call(this)) return;
+
+  ResourceUpdate.from(data).operations.forEach(function(operation) {
+    if (operation.field === tenantField || operation.field.indexOf(tenantField + '.') === 0) {
+      throw new StorageError(
+        'Field "' + tenantField + '" can\'t be modified for a tenant',
+        databaseErrors.TENANT_ISOLATION_ERROR
+      );
+    }
+  });
+}
+
+/**
+ * Builds the filter of the entities an operation applies to.
+ *
+ * The filter is encrypted and restricted to entities of the tenant which are not in the trash.
+ *
+ * @method buildFilter
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @return {module:storages/ResourceFilter~ResourceFilter} The filter to give to the storage
+ * @throws {module:errors/StorageError~StorageError} If an encrypted field is used in a way which is not allowed or if
+ * the tenant is missing
+ */
+function buildFilter(filter) {
+  return restrictToTenant.call(this, excludeTrashed.call(this, encryptFilter.call(this, filter)));
+}
+
+/**
+ * Wraps the callback of a read operation to decrypt its results, if the provider has encrypted fields.
+ *
+ * @method decryptResults
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {Function} decrypt The function to call with the encryption and the first result of the operation,
+ * returning the decrypted result
+ * @param {Function} callback The function to call with an eventual error and the decrypted results
+ * @return {Function} The callback of the operation
+ */
+function decryptResults(decrypt, callback) {
+  var self = this;
+  if (!this.encryption) return callback;
+
+  return function(error) {
+    if (error) return callback(error);
+    var results = Array.prototype.slice.call(arguments, 1);
+
+    try {
+      results[0] = decrypt(self.encryption, results[0]);
+    } catch (decryptionError) {
+      return callback(decryptionError);
+    }
+
+    callback.apply(null, [null].concat(results));
+  };
+}
+
+/**
+ * Gets entities as stored, iterating on all pages.
+ *
+ * Contrary to getAll, the filter is given as is to the storage and entities are not decrypted.
+ *
+ * @method getStoredEntities
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {Object} sort The list of fields to sort by with the field name as key and the sort order as value
+ * @param {Function} callback The function to call with an eventual error and the list of entities
+ */
+function getStoredEntities(filter, sort, callback) {
+  var self = this;
+  var page = 0;
+  var entities = [];
+
+  var getPage = function() {
+    self.storage.get(self.location, filter, null, null, page, sort, function(error, pageEntities, pagination) {
+      if (error) return callback(error);
+
+      entities = entities.concat(pageEntities);
+      if (++page < pagination.pages) return getPage();
+      callback(null, entities);
+    });
+  };
+
+  getPage();
+}
+
+/**
+ * Fetches results from the cache or executes a read operation and caches its results.
+ *
+ * Results are cached by operation and parameters of the operation. Cache errors are ignored, results are then read
+ * from the storage.
+ *
+ * @method readThrough
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {String} operation The name of the read operation
+ * @param {Array} parameters The parameters of the operation the results depend on
+ * @param {Function} read The function executing the operation with a callback expecting an eventual error and the
+ * results
+ * @param {Function} callback The function to call with an eventual error and the results
+ */
+function readThrough(operation, parameters, read, callback) {
+  var self = this;
+  if (!this.cache) return read(callback);
+
+  var key = this.location + ':' + operation + ':' + ndjson.stringify(parameters);
+
+  this.cache.get(key, function(error, value) {
+    if (!error && value !== undefined && value !== null)
+      return callback.apply(null, [null].concat(ndjson.parse(value)));
+
+    read(function(error) {
+      if (error) return callback(error);
+
+      var results = Array.prototype.slice.call(arguments, 1);
+      self.cache.set(key, ndjson.stringify(results), function() {});
+      callback.apply(null, [null].concat(results));
+    });
+  });
+}
+
+/**
+ * Removes the cached results of the provider from all the caches used by the provider and its copies.
+ *
+ * Cache errors are ignored, cached results then expire by themselves.
+ *
+ * @method invalidateCache
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {Function} callback The function to call when it's done
+ */
+function invalidateCache(callback) {
+  var location = this.location;
+
+  async.each(this.caches, function(cache, callback) {
+    cache.clear(location + ':', function() {
+      callback();
+    });
+  }, function() {
+    callback();
+  });
+}
+
+/**
+ * Gets the differences between two states of an entity.
+ *
+ * @method diffEntities
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {Object} [previous] The previous state of the entity
+ * @param {Object} [current] The current state of the entity
+ * @return {Array} The modified fields with, for each field, the name as "field" and the values as "before" and "after"
+ */
+function diffEntities(previous, current) {
+  var diff = [];
+  previous = previous || {};
+  current = current || {};
+
+  Object.keys(previous).concat(Object.keys(current)).forEach(function(field) {
+    if (diff.some(function(change) {
+      return change.field === field;
+    })) {
+      return;
+    }
+
+    if (!utilExt.isContained(previous[field], current[field]) || !utilExt.isContained(current[field], previous[field]))
+      diff.push({field: field, before: previous[field], after: current[field]});
+  });
+
+  return diff;
+}
+
+/**
+ * Gets the provider of the revisions of the entities.
+ *
+ * @method getRevisionsProvider
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @return {module:providers/EntityProvider~EntityProvider} The provider of the revisions, using the same storage,
+ * tenant field and context
+ */
+function getRevisionsProvider() {
+  return new EntityProvider(this.storage, this.revisionsLocation, {
+    tenantField: this.tenantField,
+    indexes: [REVISIONS_INDEX],
+    indexesPrefix: REVISIONS_INDEX.name
+  }).withContext(this.context);
+}
+
+/**
+ * Tests if an error comes from a violated unique index.
+ *
+ * @method isDuplicateKeyError
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {Error} error The error to test
+ * @return {Boolean} true if the error is a duplicate key error of a MongoDatabase or a MemoryDatabase
+ */
+function isDuplicateKeyError(error) {
+  return error.code === databaseErrors.DUPLICATE_KEY_ERROR || error.code === 11000;
+}
+
+/**
+ * Saves a revision of an entity.
+ *
+ * The revision holds the previous state of the entity and its differences with the current state. Its number follows
+ * the number of the last revision of the entity. If a concurrent operation saved a revision with the same number in
+ * the meantime, the unique index on the revisions makes the insertion fail and the number is computed again.
+ *
+ * @method saveRevision
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {String} id The id of the entity
+ * @param {(Object|null)} previous The previous state of the entity, null if the entity did not exist
+ * @param {String} operation The operation which modified the entity, either "update", "remove" or "revert"
+ * @param {Function} callback The function to call with an eventual error when it's done
+ */
+function saveRevision(id, previous, operation, callback) {
+  var self = this;
+  var revisionsProvider = getRevisionsProvider.call(this);
+
+  var addRevision = function(revision, attempts) {
+    revisionsProvider.get(
+      new ResourceFilter().equal('entity', id),
+      {include: ['revision']},
+      1,
+      0,
+      {revision: 'desc'},
+      function(error, lastRevisions) {
+        if (error) return callback(error);
+
+        revision.revision = lastRevisions.length ? lastRevisions[0].revision + 1 : 1;
+        revisionsProvider.add([revision], function(error) {
+          if (error && isDuplicateKeyError(error) && attempts < REVISION_ATTEMPTS)
+            return addRevision(revision, attempts + 1);
+
+          callback(error);
+        });
+      }
+    );
+  };
+
+  this.storage.getOne(self.location, new ResourceFilter().equal('id', id), null, function(error, current) {
+    if (error) return callback(error);
+
+    var revision = {
+      id: nanoid(),
+      entity: id,
+      operation: operation,
+      date: Date.now(),
+      user: self.context.user || null,
+      state: previous,
+      diff: diffEntities(previous, current)
+    };
+    if (self.tenantField) revision[self.tenantField] = (previous || current || {})[self.tenantField];
+
+    addRevision(revision, 1);
+  });
+}
+
+/**
+ * Executes an operation modifying entities and saves a revision for each modified entity.
+ *
+ * States of entities are fetched before executing the operation. Nothing is fetched if revisions are disabled.
+ *
+ * @method executeAndSaveRevisions
+ * @private
+ * @this module:providers/EntityProvider~EntityProvider
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {String} operation The operation, either "update", "remove" or "revert"
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter modified entities
+ * @param {Boolean} single true if the operation modifies only the first entity matching the filter
+ * @param {Function} execute The function executing the operation with a callback expecting an eventual error and
+ * the number of modified entities
+ * @param {Function} callback The function to call with the results of the operation
+ */
+function executeAndSaveRevisions(operation, filter, single, execute, callback) {
+  var self = this;
+  if (!this.revisionsLocation) return execute(callback);
+
+  var getPreviousEntities = function(callback) {
+    if (!single) return getStoredEntities.call(self, filter, {id: 'desc'}, callback);
+
+    self.storage.getOne(self.location, filter, null, function(error, entity) {
+      callback(error, entity ? [entity] : []);
+    });
+  };
+
+  getPreviousEntities(function(error, previousEntities) {
+    if (error) return callback(error);
+
+    execute(function(error, total) {
+      if (error || !total) return callback(error, total);
+
+      async.eachSeries(previousEntities, function(previousEntity, callback) {
+        saveRevision.call(self, previousEntity.id, previousEntity, operation, callback);
+      }, function(error) {
+        callback(error, total);
+      });
+    });
+  });
+}
+
+/**
+ * Fetches an entity.
+ *
+ * If filter corresponds to more than one entity, the first found entity will be the returned one.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {Object} [fields] Fields to be included or excluded from the response, by default all fields are returned.
+ * Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {module:providers/EntityProvider~EntityProvider~getOneCallback} callback The function to call when it's done
+ */
+EntityProvider.prototype.getOne = function(filter, fields, callback) {
+  try {
+    filter = buildFilter.call(this, filter);
+  } catch (error) {
+    return callback(error);
+  }
+
+  readThrough.call(this, 'getOne', [filter, fields], function(callback) {
+    this.storage.getOne(this.location, filter, fields, callback);
+  }.bind(this), decryptResults.call(this, function(encryption, entity) {
+    return encryption.decryptEntity(entity);
+  }, callback));
+};
+
+/**
+ * Fetches entities.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {Object} [fields] Fields to be included or excluded from the response, by default all
+ * fields are returned. Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {Number} [limit] A limit number of entities to retrieve (10 by default)
+ * @param {(Number|Object)} [page] The page number started at 0 for the first page or an object with the cursor of
+ * the page to paginate using cursors, see [Storage.get]{@link module:storages/Storage~Storage#get}
+ * @param {String} [page.cursor] The cursor returned in the pagination of a previous call, the first page if not
+ * specified
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
+ * @param {module:providers/EntityProvider~EntityProvider~getCallback} callback The function to call when it's done
+ */
+EntityProvider.prototype.get = function(filter, fields, limit, page, sort, callback) {
+  try {
+    filter = buildFilter.call(this, filter);
+  } catch (error) {
+    return callback(error);
+  }
+
+  readThrough.call(this, 'get', [filter, fields, limit, page, sort], function(callback) {
+    this.storage.get(this.location, filter, fields, limit, page, sort, callback);
+  }.bind(this), decryptResults.call(this, function(encryption, entities) {
+    return encryption.decryptEntities(entities);
+  }, callback));
+};
+
+/**
+ * Gets all entities from storage iterating on all pages.
+ *
+ * All entities are loaded in memory, use [stream]{@link module:providers/EntityProvider~EntityProvider#stream} to go
+ * through a large number of entities.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {Object} [fields] Fields to be included or excluded from the response, by default all
+ * fields are returned. Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {Object} sort The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
+ * @param {module:providers/EntityProvider~EntityProvider~getAllCallback} callback Function to call when it's done
+ */
+EntityProvider.prototype.getAll = function(filter, fields, sort, callback) {
+  var self = this;
+  var page = 0;
+  var allEntities = [];
+
+  /**
+   * Fetches all entities iterating on all pages.
+   *
+   * @param {Function} callback The function to call when it's done
+   */
+  function getEntities(callback) {
+    self.get(filter, fields, null, page, sort, function(error, entities, pagination) {
+      if (error) return callback(error);
+
+      allEntities = allEntities.concat(entities);
+
+      if (page < pagination.pages - 1) {
+
+        // There are other pages
+        // Get next page
+        page++;
+        getEntities(callback);
+
+      } else {
+
+        // No more pages
+        // End it
+        callback(null);
+      }
+    });
+  }
+
+  getEntities(function(error) {
+    callback(error, allEntities);
+  });
+};
+
+/**
+ * Gets a readable stream of entities.
+ *
+ * Contrary to getAll, entities are fetched from the storage as the stream is consumed which makes it suitable to go
+ * through a large number of entities.
+ *
+ * @example
+ * provider.stream(null, {include: ['id']}, {id: 'asc'})
+ *   .on('data', function(entity) {
+ *     console.log(entity.id);
+ *   })
+ *   .on('error', function(error) {
+ *     console.log(error);
+ *   })
+ *   .on('end', function() {
+ *     console.log('All entities read');
+ *   });
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {Object} [fields] Fields to be included or excluded from the response, by default all
+ * fields are returned. Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
+ * @return {stream.Readable} A readable stream in object mode emitting entities
+ */
+EntityProvider.prototype.stream = function(filter, fields, sort) {
+  var self = this;
+
+  try {
+    filter = buildFilter.call(this, filter);
+  } catch (error) {
+    var errorStream = new stream.PassThrough({objectMode: true});
+    process.nextTick(function() {
+      errorStream.destroy(error);
+    });
+    return errorStream;
+  }
+
+  var entitiesStream = this.storage.stream(this.location, filter, fields, sort);
+  if (!this.encryption) return entitiesStream;
+
+  return stream.pipeline(entitiesStream, new stream.Transform({
+    objectMode: true,
+    transform: function(entity, encoding, callback) {
+      var decryptedEntity;
+
+      try {
+        decryptedEntity = self.encryption.decryptEntity(entity);
+      } catch (error) {
+        return callback(error);
+      }
+
+      callback(null, decryptedEntity);
+    }
+  }), function() {});
+};
+
+/**
+ * Counts entities.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to count
+ * @param {module:providers/EntityProvider~EntityProvider~countCallback} callback The function to call when it's done
+ */
+EntityProvider.prototype.count = function(filter, callback) {
+  try {
+    filter = buildFilter.call(this, filter);
+  } catch (error) {
+    return callback(error);
+  }
+
+  this.storage.count(this.location, filter, callback);
+};
+
+/**
+ * Gets the distinct values of a field of entities.
+ *
+ * If the field holds arrays, each item of the arrays is considered as a value.
+ *
+ * @param {String} field The field to get values from
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {module:providers/EntityProvider~EntityProvider~distinctCallback} callback The function to call when it's
+ * done
+ */
+EntityProvider.prototype.distinct = function(field, filter, callback) {
+  try {
+    filter = buildFilter.call(this, filter);
+  } catch (error) {
+    return callback(error);
+  }
+
+  this.storage.distinct(this.location, field, filter, decryptResults.call(this, function(encryption, values) {
+    return encryption.decryptValues(field, values);
+  }, callback));
+};
+
+/**
+ * Groups entities and computes values for each group.
+ *
+ * @example
+ * // Get the number of videos per group
+ * provider.aggregate(
+ *   null,
+ *   {group: {field: 'metadata.groups', unwind: true}},
+ *   {total: {type: openVeoApi.storages.Storage.ACCUMULATORS.COUNT}},
+ *   function(error, groups) {
+ *     // groups: [{group: 'group1', total: 42}, {group: 'group2', total: 12}]
+ *   }
+ * );
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to aggregate
+ * @param {Object} [groupBy] The fields to group entities by, see
+ * [Storage.aggregate]{@link module:storages/Storage~Storage#aggregate}
+ * @param {Object} accumulators The values to compute for each group, see
+ * [Storage.aggregate]{@link module:storages/Storage~Storage#aggregate}
+ * @param {module:providers/EntityProvider~EntityProvider~aggregateCallback} callback The function to call when it's
+ * done
+ */
+EntityProvider.prototype.aggregate = function(filter, groupBy, accumulators, callback) {
+  try {
+    filter = buildFilter.call(this, filter);
+  } catch (error) {
+    return callback(error);
+  }
+
+  this.storage.aggregate(this.location, filter, groupBy, accumulators, callback);
+};
+
+/**
+ * Adds entities.
+ *
+ * If entities are versioned, version of added entities starts at 0.
+ *
+ * @param {Array} entities The list of entities to store
+ * @param {module:providers/EntityProvider~EntityProvider~addCallback} [callback] The function to call when it's done
+ */
+EntityProvider.prototype.add = function(entities, callback) {
+  if (!entities || !entities.length) return callback(null, 0);
+
+  if (this.versionField) {
+    entities = entities.map(function(entity) {
+      if (entity[this.versionField] !== undefined) return entity;
+
+      var versionedEntity = Object.assign({}, entity);
+      versionedEntity[this.versionField] = 0;
+      return versionedEntity;
+    }.bind(this));
+  }
+
+  try {
+    var tenant = getTenant.call(this);
+
+    if (this.tenantField) {
+      entities = entities.map(function(entity) {
+        if (!tenant && !entity[this.tenantField]) {
+          throw new StorageError(
+            'Entities added for all tenants must have a "' + this.tenantField + '" field',
+            databaseErrors.TENANT_ISOLATION_ERROR
+          );
+        }
+        if (!tenant) return entity;
+
+        var tenantEntity = Object.assign({}, entity);
+        tenantEntity[this.tenantField] = tenant;
+        return tenantEntity;
+      }.bind(this));
+    }
+
+    if (this.encryption) entities = entities.map(this.encryption.encryptEntity.bind(this.encryption));
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  this.storage.add(this.location, entities, function(error, total, addedEntities) {
+    if (!error && total && this.listenerCount('added') && !this.changeStream) {
+      this.emit('added', {
+        ids: addedEntities.map(function(entity) {
+          return entity.id;
+        })
+      });
+    }
+
+    // Added entities have just been encrypted with the current key
+    if (!error && addedEntities && this.encryption) addedEntities = this.encryption.decryptEntities(addedEntities);
+
+    invalidateCache.call(this, function() {
+      this.executeCallback(callback, error, total, addedEntities);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Updates an entity.
+ *
+ * If entities are versioned, the version of the entity is incremented. Modifications may set the version field to
+ * the version the entity is expected to have: the update then fails with a StorageError
+ * UPDATE_VERSION_CONFLICT_ERROR if the entity has been updated since.
+ *
+ * @example
+ * // With a provider created with options.versionField set to "version"
+ * provider.updateOne(new ResourceFilter().equal('id', '42'), {title: 'New title', version: 3}, function(error) {
+ *   if (error && error.code === databaseErrors.UPDATE_VERSION_CONFLICT_ERROR)
+ *     console.log('Video has been modified by someone else');
+ * });
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter the entity to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set or an update
+ * @param {module:providers/EntityProvider~EntityProvider~updateOneCallback} [callback] The function to call when it's
+ * done
+ */
+EntityProvider.prototype.updateOne = function(filter, data, callback) {
+  var self = this;
+
+  try {
+    filter = buildFilter.call(this, filter);
+    checkTenantUpdate.call(this, data);
+    if (this.encryption) data = this.encryption.encryptUpdate(data);
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  var versionedUpdate = this.versionField ? buildVersionedUpdate.call(this, data) : {update: data};
+  var version = versionedUpdate.version;
+  var updateFilter = (version === undefined) ?
+    filter :
+    restrictFilter(filter, new ResourceFilter().equal(this.versionField, version));
+
+  executeAndEmit.call(this, 'updated', filter, true, getUpdatedFields(versionedUpdate.update), function(callback) {
+    executeAndSaveRevisions.call(self, 'update', updateFilter, true, function(callback) {
+      self.storage.updateOne(self.location, updateFilter, versionedUpdate.update, callback);
+    }, function(error, total) {
+      if (error || total || version === undefined) return callback(error, total);
+
+      // Nothing updated: either the entity does not exist or its version has changed
+      self.storage.getOne(self.location, filter, {include: ['id']}, function(error, entity) {
+        if (error) return callback(error);
+        if (!entity) return callback(null, 0);
+
+        callback(new StorageError(
+          'Entity is not at version ' + version + ' anymore',
+          databaseErrors.UPDATE_VERSION_CONFLICT_ERROR
+        ));
+      });
+    });
+  }, function(error, total) {
+    invalidateCache.call(self, function() {
+      self.executeCallback(callback, error, total);
+    });
+  });
+};
+
+/**
+ * Updates several entities.
+ *
+ * @example
+ * // Add all videos of a user to a group
+ * provider.updateMany(
+ *   new ResourceFilter().equal('user', 'user1'),
+ *   new ResourceUpdate().addToSet('metadata.groups', 'group1'),
+ *   function(error, total) {
+ *     console.log(total + ' entities updated');
+ *   }
+ * );
+ *
+ * If entities are versioned, versions of entities are incremented. If modifications set the version field, only
+ * entities at this version are updated.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set or an update
+ * @param {module:providers/EntityProvider~EntityProvider~updateManyCallback} [callback] The function to call when
+ * it's done
+ */
+EntityProvider.prototype.updateMany = function(filter, data, callback) {
+  try {
+    filter = buildFilter.call(this, filter);
+    checkTenantUpdate.call(this, data);
+    if (this.encryption) data = this.encryption.encryptUpdate(data);
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  var versionedUpdate = this.versionField ? buildVersionedUpdate.call(this, data) : {update: data};
+  var updateFilter = (versionedUpdate.version === undefined) ?
+    filter :
+    restrictFilter(filter, new ResourceFilter().equal(this.versionField, versionedUpdate.version));
+
+  executeAndEmit.call(this, 'updated', filter, false, getUpdatedFields(versionedUpdate.update), function(callback) {
+    executeAndSaveRevisions.call(this, 'update', updateFilter, false, function(callback) {
+      this.storage.updateMany(this.location, updateFilter, versionedUpdate.update, callback);
+    }.bind(this), callback);
+  }.bind(this), function(error, total) {
+    invalidateCache.call(this, function() {
+      this.executeCallback(callback, error, total);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Updates an entity or adds it if it does not exist.
+ *
+ * A new entity gets a generated id unless the filter, the modifications or the default fields already give one.
+ *
+ * If entities are versioned, the version of the entity is incremented, a new entity starts at version 1. A value set to
+ * the version field is ignored.
+ *
+ * Entities in the trash are ignored. If the filter only matches entities in the trash, the operation fails with a
+ * StorageError TRASHED_ENTITY_ERROR instead of adding an entity which may conflict with them, restore them first.
+ *
+ * @example
+ * // Count views of a video, creating the statistics if they don't exist yet
+ * provider.upsertOne(
+ *   new ResourceFilter().equal('videoId', '42'),
+ *   new ResourceUpdate().increment('views', 1),
+ *   {created: Date.now()},
+ *   function(error, inserted) {
+ *     console.log(inserted ? 'Statistics added' : 'Statistics updated');
+ *   }
+ * );
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter the entity to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set or an update
+ * @param {Object} [insertDefaults] The fields to set only if the entity is added
+ * @param {module:providers/EntityProvider~EntityProvider~upsertOneCallback} [callback] The function to call when
+ * it's done
+ */
+EntityProvider.prototype.upsertOne = function(filter, data, insertDefaults, callback) {
+  var self = this;
+  var idOperation = ResourceUpdate.from(data).operations.filter(function(operation) {
+    return operation.field === 'id';
+  })[0];
+  var filterIdOperation = filter && filter.getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'id');
+  insertDefaults = Object.assign({}, insertDefaults);
+
+  var tenantFilter;
+
+  if (!idOperation && insertDefaults.id === undefined && !filterIdOperation) insertDefaults.id = nanoid();
+
+  try {
+    var tenant = getTenant.call(this);
+    tenantFilter = restrictToTenant.call(this, encryptFilter.call(this, filter));
+    filter = excludeTrashed.call(this, tenantFilter);
+    checkTenantUpdate.call(this, data);
+    if (tenant) insertDefaults[this.tenantField] = tenant;
+
+    if (this.encryption) {
+      data = this.encryption.encryptUpdate(data);
+      insertDefaults = this.encryption.encryptEntity(insertDefaults);
+    }
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  if (this.versionField) data = buildVersionedUpdate.call(this, data).update;
+
+  var insertedId;
+  if (idOperation) insertedId = idOperation.value;
+  else if (insertDefaults.id !== undefined) insertedId = insertDefaults.id;
+  else insertedId = filterIdOperation.value;
+
+  var upsert = function(updatedIds) {
+    var inserted;
+
+    executeAndSaveRevisions.call(self, 'update', filter, true, function(callback) {
+      self.storage.upsertOne(self.location, filter, data, insertDefaults, function(error, isInserted) {
+        inserted = isInserted;
+
+        // Like add, an insertion does not save any revision
+        callback(error, inserted ? 0 : 1);
+      });
+    }, function(error) {
+      if (!error && !self.changeStream) {
+        if (inserted) self.emit('added', {ids: [insertedId]});
+        else if (updatedIds.length) self.emit('updated', {ids: updatedIds, fields: getUpdatedFields(data)});
+      }
+
+      invalidateCache.call(self, function() {
+        self.executeCallback(callback, error, inserted);
+      });
+    });
+  };
+
+  var checkTrash = function(callback) {
+    if (!self.softDelete) return callback();
+
+    var trashFilter = restrictFilter(tenantFilter, new ResourceFilter().exists('deleted', true));
+    self.storage.getOne(self.location, trashFilter, {include: ['id']}, function(error, trashedEntity) {
+      if (error || !trashedEntity) return callback(error);
+
+      self.storage.getOne(self.location, filter, {include: ['id']}, function(error, entity) {
+        if (error || entity) return callback(error);
+        callback(new StorageError(
+          'Entity ' + trashedEntity.id + ' of ' + self.location + ' is in the trash',
+          databaseErrors.TRASHED_ENTITY_ERROR
+        ));
+      });
+    });
+  };
+
+  checkTrash(function(error) {
+    if (error) return self.executeCallback(callback, error);
+    if (!self.listenerCount('updated') || self.changeStream) return upsert([]);
+
+    getIds.call(self, filter, true, function(error, ids) {
+      if (error) return self.executeCallback(callback, error);
+      upsert(ids);
+    });
+  });
+};
+
+/**
+ * Removes entities.
+ *
+ * If the provider has soft delete enabled, entities are moved to the trash instead: the "deleted" field of entities
+ * is set with the date of the removal and the id of the user from the
+ * [context]{@link module:providers/Provider~Provider#withContext}, if any.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to remove
+ * @param {module:providers/EntityProvider~EntityProvider~removeCallback} [callback] The function to call when it's done
+ */
+EntityProvider.prototype.remove = function(filter, callback) {
+  try {
+    filter = buildFilter.call(this, filter);
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  executeAndEmit.call(this, 'removed', filter, false, null, function(callback) {
+    executeAndSaveRevisions.call(this, 'remove', filter, false, function(callback) {
+      if (!this.softDelete) return this.storage.remove(this.location, filter, callback);
+
+      this.storage.updateMany(
+        this.location,
+        filter,
+        new ResourceUpdate().set('deleted', {date: Date.now(), user: this.context.user || null}),
+        callback
+      );
+    }.bind(this), callback);
+  }.bind(this), function(error, total) {
+    invalidateCache.call(this, function() {
+      this.executeCallback(callback, error, total);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Removes a field from entities.
+ *
+ * If entities are versioned, versions of the entities holding the field are incremented.
+ *
+ * @param {String} field The field to remove from entities
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to update
+ * @param {module:providers/EntityProvider~EntityProvider~removeFieldCallback} [callback] The function to call when
+ * it's done
+ */
+EntityProvider.prototype.removeField = function(field, filter, callback) {
+  try {
+
+    // Only entities holding the field are modified
+    filter = restrictFilter(buildFilter.call(this, filter), new ResourceFilter().exists(field, true));
+
+    checkTenantUpdate.call(this, new ResourceUpdate().unset(field));
+    if (this.encryption) this.encryption.encryptUpdate(new ResourceUpdate().unset(field));
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  executeAndEmit.call(this, 'updated', filter, false, [field], function(callback) {
+    executeAndSaveRevisions.call(this, 'update', filter, false, function(callback) {
+      if (!this.versionField || field === this.versionField)
+        return this.storage.removeField(this.location, field, filter, callback);
+
+      this.storage.updateMany(
+        this.location,
+        filter,
+        new ResourceUpdate().unset(field).increment(this.versionField, 1),
+        callback
+      );
+    }.bind(this), callback);
+  }.bind(this), function(error, total) {
+    invalidateCache.call(this, function() {
+      this.executeCallback(callback, error, total);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Fetches entities in the trash.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
+ * @param {Object} [fields] Fields to be included or excluded from the response, see
+ * [get]{@link module:providers/EntityProvider~EntityProvider#get}
+ * @param {Number} [limit] A limit number of entities to retrieve (10 by default)
+ * @param {Number} [page] The page number started at 0 for the first page
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc'})
+ * @param {module:providers/EntityProvider~EntityProvider~getCallback} callback The function to call when it's done
+ */
+EntityProvider.prototype.getTrash = function(filter, fields, limit, page, sort, callback) {
+  try {
+    filter = restrictToTenant.call(this, encryptFilter.call(this, filter));
+  } catch (error) {
+    return callback(error);
+  }
+
+  this.storage.get(
+    this.location,
+    restrictFilter(filter, new ResourceFilter().exists('deleted', true)),
+    fields,
+    limit,
+    page,
+    sort,
+    decryptResults.call(this, function(encryption, entities) {
+      return encryption.decryptEntities(entities);
+    }, callback)
+  );
+};
+
+/**
+ * Restores entities from the trash.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to restore
+ * @param {module:providers/EntityProvider~EntityProvider~restoreCallback} [callback] The function to call when it's
+ * done
+ * @fires module:providers/EntityProvider~EntityProvider#added
+ */
+EntityProvider.prototype.restore = function(filter, callback) {
+  try {
+    filter = restrictFilter(
+      restrictToTenant.call(this, encryptFilter.call(this, filter)),
+      new ResourceFilter().exists('deleted', true)
+    );
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  executeAndEmit.call(this, 'added', filter, false, null, function(callback) {
+    this.storage.updateMany(this.location, filter, new ResourceUpdate().unset('deleted'), callback);
+  }.bind(this), function(error, total) {
+    invalidateCache.call(this, function() {
+      this.executeCallback(callback, error, total);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Permanently removes entities from the trash.
+ *
+ * Like [remove]{@link module:providers/EntityProvider~EntityProvider#remove}, a "removed" event is emitted with the ids
+ * of the purged entities.
+ *
+ * @example
+ * // Purge entities in the trash for more than 30 days
+ * provider.purge(null, 30 * 24 * 60 * 60 * 1000, function(error, total) {
+ *   console.log(total + ' entities purged');
+ * });
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to purge
+ * @param {Number} [retention=0] The number of milliseconds entities stay in the trash before being purged, all
+ * entities matching the filter are purged by default
+ * @param {module:providers/EntityProvider~EntityProvider~purgeCallback} [callback] The function to call when it's
+ * done
+ * @fires module:providers/EntityProvider~EntityProvider#removed
+ */
+EntityProvider.prototype.purge = function(filter, retention, callback) {
+  try {
+    filter = restrictFilter(
+      restrictToTenant.call(this, encryptFilter.call(this, filter)),
+      new ResourceFilter().lesserThanEqual('deleted.date', Date.now() - (retention || 0))
+    );
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  executeAndEmit.call(this, 'removed', filter, false, null, function(callback) {
+    this.storage.remove(this.location, filter, callback);
+  }.bind(this), function(error, total) {
+    invalidateCache.call(this, function() {
+      this.executeCallback(callback, error, total);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Gets the revisions of an entity.
+ *
+ * If the provider has revisions enabled, a revision is saved each time an entity is updated, removed or reverted with
+ * updateOne, updateMany, upsertOne, removeField, remove and revert. Entities added with add or upsertOne have no
+ * revision until they are modified. A revision holds:
+ * - **String** id The id of the revision
+ * - **String** entity The id of the entity
+ * - **Number** revision The number of the revision, starting at 1 for each entity
+ * - **String** operation The operation which created the revision, either "update", "remove" or "revert"
+ * - **Number** date The date of the operation as a timestamp in milliseconds
+ * - **(String|null)** user The id of the user from the [context]{@link module:providers/Provider~Provider#withContext}
+ * - **(Object|null)** state The state of the entity before the operation, null if it did not exist
+ * - **Array** diff The fields modified by the operation with, for each field, the name as "field" and the values
+ * before and after the operation as "before" and "after"
+ *
+ * Revisions are stored in the location of the entities suffixed by "_revisions". Call
+ * [ensureIndexes]{@link module:providers/EntityProvider~EntityProvider#ensureIndexes} to create the index making
+ * revision numbers unique for each entity: without it, concurrent modifications of an entity may save revisions with
+ * the same number.
+ *
+ * @example
+ * provider.withContext({user: '42'}).updateOne(filter, {title: 'New title'}, function(error) {
+ *   provider.getRevisions(videoId, function(error, revisions) {
+ *     console.log(revisions[0].user + ' changed ' + revisions[0].diff[0].field);
+ *   });
+ * });
+ *
+ * @param {String} id The id of the entity
+ * @param {module:providers/EntityProvider~EntityProvider~getRevisionsCallback} callback The function to call when
+ * it's done
+ */
+EntityProvider.prototype.getRevisions = function(id, callback) {
+  if (!this.revisionsLocation) return callback(null, []);
+
+  getRevisionsProvider.call(this).getAll(
+    new ResourceFilter().equal('entity', id),
+    null,
+    {revision: 'desc'},
+    decryptResults.call(this, function(encryption, revisions) {
+      return revisions.map(function(revision) {
+        return Object.assign({}, revision, {
+          state: encryption.decryptEntity(revision.state),
+          diff: revision.diff.map(function(change) {
+            return {
+              field: change.field,
+              before: encryption.decryptValues(change.field, [change.before])[0],
+              after: encryption.decryptValues(change.field, [change.after])[0]
+            };
+          })
+        });
+      });
+    }, callback)
+  );
+};
+
+/**
+ * Reverts an entity to the state it had before a revision.
+ *
+ * Reverting an entity saves a new revision. A removed entity is added back and an entity in the trash is restored.
+ *
+ * @param {String} id The id of the entity
+ * @param {Number} revision The number of the revision holding the state to revert to
+ * @param {module:providers/EntityProvider~EntityProvider~revertCallback} [callback] The function to call when it's
+ * done
+ */
+EntityProvider.prototype.revert = function(id, revision, callback) {
+  var self = this;
+  var filter;
+
+  try {
+    filter = restrictToTenant.call(this, new ResourceFilter().equal('id', id));
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  if (!this.revisionsLocation) {
+    return this.executeCallback(
+      callback,
+      new StorageError('Revisions are disabled for ' + this.location, databaseErrors.REVISION_NOT_FOUND_ERROR)
+    );
+  }
+
+  async.parallel([
+    function(callback) {
+      getRevisionsProvider.call(self).getOne(
+        new ResourceFilter().equal('entity', id).equal('revision', revision),
+        null,
+        callback
+      );
+    },
+    function(callback) {
+      self.storage.getOne(self.location, filter, null, callback);
+    }
+  ], function(error, results) {
+    if (error) return self.executeCallback(callback, error);
+
+    var state = results[0] && results[0].state;
+    var current = results[1];
+    var update = new ResourceUpdate();
+
+    if (!state) {
+      return self.executeCallback(
+        callback,
+        new StorageError('No state to revert to for revision ' + revision, databaseErrors.REVISION_NOT_FOUND_ERROR)
+      );
+    }
+
+    if (!current) {
+
+      // Entity has been removed: add it back
+      return self.storage.add(self.location, [state], function(error, total) {
+        if (error) return self.executeCallback(callback, error);
+
+        saveRevision.call(self, id, null, 'revert', function(error) {
+          if (!error && !self.changeStream) self.emit('added', {ids: [id]});
+          invalidateCache.call(self, function() {
+            self.executeCallback(callback, error, total);
+          });
+        });
+      });
+
+    }
+
+    Object.keys(state).forEach(function(field) {
+      if (field !== 'id' && field !== self.versionField) update.set(field, state[field]);
+    });
+    Object.keys(current).forEach(function(field) {
+      if (state[field] === undefined && field !== self.versionField) update.unset(field);
+    });
+    if (self.versionField) update.increment(self.versionField, 1);
 
-module.exports = EntityProvider;
-util.inherits(EntityProvider, Provider);
+    executeAndEmit.call(self, 'updated', filter, true, getUpdatedFields(update), function(callback) {
+      executeAndSaveRevisions.call(self, 'revert', filter, true, function(callback) {
+        self.storage.updateOne(self.location, filter, update, callback);
+      }, callback);
+    }, function(error, total) {
+      invalidateCache.call(self, function() {
+        self.executeCallback(callback, error, total);
+      });
+    });
+  });
+};
 
 /**
- * Fetches an entity.
+ * Exports entities into an archive.
  *
- * If filter corresponds to more than one entity, the first found entity will be the returned one.
+ * Entities in the trash are not exported. See
+ * [Storage.exportArchive]{@link module:storages/Storage~Storage#exportArchive} for the format of the archive.
  *
- * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
- * @param {Object} [fields] Fields to be included or excluded from the response, by default all fields are returned.
- * Only "exclude" or "include" can be specified, not both
- * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
- * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
- * if include is also specified.
- * @param {module:providers/EntityProvider~EntityProvider~getOneCallback} callback The function to call when it's done
+ * @example
+ * provider.exportArchive('/tmp/videos.tar', new ResourceFilter().equal('state', 12), function(error, total) {
+ *   console.log(total + ' entities exported');
+ * });
+ *
+ * @param {String} filePath The path of the archive to create
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to export
+ * @param {module:providers/EntityProvider~EntityProvider~exportArchiveCallback} [callback] The function to call when
+ * it's done
  */
-EntityProvider.prototype.getOne = function(filter, fields, callback) {
-  this.storage.getOne(this.location, filter, fields, callback);
+EntityProvider.prototype.exportArchive = function(filePath, filter, callback) {
+  var locations = {};
+
+  try {
+    locations[this.location] = buildFilter.call(this, filter) || null;
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  this.storage.exportArchive(locations, filePath, function(error, totals) {
+    if (error) return this.executeCallback(callback, error);
+    this.executeCallback(callback, null, totals[this.location]);
+  }.bind(this));
 };
 
 /**
- * Fetches entities.
+ * Imports entities from an archive.
  *
- * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
- * @param {Object} [fields] Fields to be included or excluded from the response, by default all
- * fields are returned. Only "exclude" or "include" can be specified, not both
- * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
- * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
- * if include is also specified.
- * @param {Number} [limit] A limit number of entities to retrieve (10 by default)
- * @param {Number} [page] The page number started at 0 for the first page
- * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
- * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
- * @param {module:providers/EntityProvider~EntityProvider~getCallback} callback The function to call when it's done
+ * Only the entities of the location of the provider are imported, see
+ * [Storage.importArchive]{@link module:storages/Storage~Storage#importArchive} for conflict policies. Entities are
+ * imported as is: no event is emitted, no revision is saved and versions are kept. If the provider isolates tenants,
+ * entities keep their tenants thus they can only be imported for all tenants.
+ *
+ * @param {String} filePath The path of the archive
+ * @param {String} [policy="fail"] The conflict policy, see
+ * [Storage.CONFLICT_POLICIES]{@link module:storages/Storage~Storage.CONFLICT_POLICIES}
+ * @param {module:providers/EntityProvider~EntityProvider~importArchiveCallback} [callback] The function to call when
+ * it's done
  */
-EntityProvider.prototype.get = function(filter, fields, limit, page, sort, callback) {
-  this.storage.get(this.location, filter, fields, limit, page, sort, callback);
+EntityProvider.prototype.importArchive = function(filePath, policy, callback) {
+  var options = {policy: policy, locations: [this.location]};
+
+  try {
+    if (getTenant.call(this)) {
+      throw new StorageError(
+        'Entities of ' + this.location + ' can only be imported for all tenants',
+        databaseErrors.TENANT_ISOLATION_ERROR
+      );
+    }
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
+
+  this.storage.importArchive(filePath, options, function(error, results) {
+    invalidateCache.call(this, function() {
+      if (error) return this.executeCallback(callback, error);
+      this.executeCallback(callback, null, results[this.location] || {added: 0, overwritten: 0, skipped: 0});
+    }.bind(this));
+  }.bind(this));
 };
 
 /**
- * Gets all entities from storage iterating on all pages.
+ * Encrypts the encrypted fields of all entities with the current key.
  *
- * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities
- * @param {Object} [fields] Fields to be included or excluded from the response, by default all
- * fields are returned. Only "exclude" or "include" can be specified, not both
- * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
- * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
- * if include is also specified.
- * @param {Object} sort The list of fields to sort by with the field name as key and the sort order as
- * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
- * @param {module:providers/EntityProvider~EntityProvider~getAllCallback} callback Function to call when it's done
+ * To rotate keys, add a new key to the encryption configuration of the provider, make it the current key and
+ * re-encrypt entities. Previous keys can be removed from the configuration once done. Values which are not encrypted
+ * yet, e.g. stored before the field was declared as encrypted, are encrypted too. Entities in the trash are also
+ * re-encrypted. If the provider isolates tenants, only the entities of the tenant are re-encrypted. Entities are
+ * updated as is: no event is emitted, no revision is saved and versions are kept, thus modifications made to the
+ * entities while they are re-encrypted may be lost.
+ *
+ * @example
+ * var provider = new EntityProvider(database, 'platforms', {
+ *   encryption: {
+ *     fields: ['credentials.secret'],
+ *     keys: {2023: oldKey, 2024: newKey},
+ *     currentKey: '2024'
+ *   }
+ * });
+ *
+ * provider.reencrypt(function(error, total) {
+ *   console.log(total + ' entities re-encrypted, key "2023" can now be removed');
+ * });
+ *
+ * @param {module:providers/EntityProvider~EntityProvider~reencryptCallback} [callback] The function to call when it's
+ * done
  */
-EntityProvider.prototype.getAll = function(filter, fields, sort, callback) {
+EntityProvider.prototype.reencrypt = function(callback) {
   var self = this;
   var page = 0;
-  var allEntities = [];
+  var total = 0;
+  var filter;
+  if (!this.encryption) return this.executeCallback(callback, null, total);
 
-  /**
-   * Fetches all entities iterating on all pages.
-   *
-   * @param {Function} callback The function to call when it's done
-   */
-  function getEntities(callback) {
-    self.get(filter, fields, null, page, sort, function(error, entities, pagination) {
-      if (error) return callback(error);
+  try {
+    filter = restrictToTenant.call(this, null);
+  } catch (error) {
+    return this.executeCallback(callback, error);
+  }
 
-      allEntities = allEntities.concat(entities);
+  var fields = [];
+  this.encryption.fields.forEach(function(encryptedField) {
+    var field = encryptedField.field.split('.')[0];
+    if (fields.indexOf(field) < 0) fields.push(field);
+  });
 
-      if (page < pagination.pages - 1) {
+  var reencryptEntity = function(entity, callback) {
+    var update = new ResourceUpdate();
+    var encryptedEntity;
 
-        // There are other pages
-        // Get next page
-        page++;
-        getEntities(callback);
+    try {
+      encryptedEntity = self.encryption.encryptEntity(self.encryption.decryptEntity(entity));
+    } catch (error) {
+      return callback(error);
+    }
 
-      } else {
+    fields.forEach(function(field) {
+      if (encryptedEntity[field] !== undefined) update.set(field, encryptedEntity[field]);
+    });
 
-        // No more pages
-        // End it
+    self.storage.updateOne(self.location, new ResourceFilter().equal('id', entity.id), update, function(error) {
+      if (!error) total++;
+      callback(error);
+    });
+  };
+
+  var reencryptPage = function(callback) {
+    self.storage.get(self.location, filter, null, null, page, {id: 'asc'}, function(error, entities, pagination) {
+      if (error) return callback(error);
+
+      async.eachSeries(entities.filter(function(entity) {
+        return self.encryption.needsEncryption(entity);
+      }), reencryptEntity, function(error) {
+        if (error) return callback(error);
+        if (++page < pagination.pages) return reencryptPage(callback);
         callback(null);
-      }
+      });
     });
-  }
+  };
 
-  getEntities(function(error) {
-    callback(error, allEntities);
+  reencryptPage(function(error) {
+    invalidateCache.call(self, function() {
+      self.executeCallback(callback, error, total);
+    });
   });
 };
 
 /**
- * Adds entities.
+ * Gets a copy of the provider executing operations for all tenants.
  *
- * @param {Array} entities The list of entities to store
- * @param {module:providers/EntityProvider~EntityProvider~addCallback} [callback] The function to call when it's done
+ * This explicitly bypasses the isolation of tenants and should be reserved to operations performed on behalf of the
+ * administrators of the instance. A tenant set in the context still restricts operations to this tenant.
+ *
+ * @example
+ * // Count the videos of all customer organisations
+ * provider.withAllTenants().count(null, function(error, total) {
+ *   console.log(total + ' videos');
+ * });
+ *
+ * @return {module:providers/EntityProvider~EntityProvider} The provider executing operations for all tenants
  */
-EntityProvider.prototype.add = function(entities, callback) {
-  if (!entities || !entities.length) return callback(null, 0);
+EntityProvider.prototype.withAllTenants = function() {
+  return this.withContext({allTenants: true});
+};
 
-  this.storage.add(this.location, entities, function(error, total, addedEntities) {
-    this.executeCallback(callback, error, total, addedEntities);
-  }.bind(this));
+/**
+ * Gets a copy of the provider caching the results of getOne and get.
+ *
+ * Results are cached by filter, fields, limit, page and sort. Operations modifying entities through the provider, the
+ * returned copy or any other copy, remove all the cached results of the provider once executed. Modifications made by
+ * other processes, or directly through the storage, are only seen once cached results expire, unless the copy is
+ * [watching]{@link module:providers/EntityProvider~EntityProvider#watch} changes. Cached results are copies, they
+ * can be modified safely.
+ *
+ * Several providers can share the same cache as long as their locations are different: results are cached with keys
+ * prefixed by the location of the provider.
+ *
+ * @example
+ * var cache = new MemoryCache({max: 500, ttl: 30000});
+ * var cachedProvider = provider.withCache(cache);
+ *
+ * cachedProvider.getOne(new ResourceFilter().equal('id', '42'), null, function(error, entity) {
+ *   console.log(cache.statistics.hits + ' hits, ' + cache.statistics.misses + ' misses');
+ * });
+ *
+ * @param {(module:caches/Cache~Cache|null)} cache The cache to use, null to get a copy of the provider without cache
+ * @return {module:providers/EntityProvider~EntityProvider} The provider using the cache
+ */
+EntityProvider.prototype.withCache = function(cache) {
+  if (cache && this.caches.indexOf(cache) < 0) this.caches.push(cache);
+  return Object.create(this, {cache: {value: cache || null}});
 };
 
 /**
- * Updates an entity.
+ * Registers a middleware to execute before or after an operation.
  *
- * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter the entity to update
- * @param {Object} data The modifications to perform
- * @param {module:providers/EntityProvider~EntityProvider~updateOneCallback} [callback] The function to call when it's
- * done
+ * Hooks are named after the operations they apply to, prefixed by "before" or "after" (e.g. "beforeAdd",
+ * "afterGetOne"). Operations supporting hooks are getOne, get, count, distinct, aggregate, add, updateOne, updateMany,
+ * upsertOne, remove, removeField, getTrash, restore, purge, getRevisions and revert. getAll fetches entities through
+ * get thus get hooks apply to each page.
+ *
+ * Middlewares are executed in registration order with the provider as this:
+ * - before middlewares receive the arguments of the operation by names, they can modify them
+ * - after middlewares receive the results of the operation by names, they can modify them, and the arguments of the
+ *   operation, they are only executed if the operation succeeded
+ *
+ * A middleware may also return a promise instead of calling its callback. A middleware aborts the operation by
+ * calling its callback with an error, by returning a rejected promise or by throwing an error, the operation then
+ * fails with this error.
+ * Hooks are shared by the provider and all its copies, like the ones returned by
+ * [withContext]{@link module:providers/Provider~Provider#withContext}.
+ *
+ * @example
+ * provider.use('beforeAdd', function(args, callback) {
+ *   args.entities = args.entities.map(function(entity) {
+ *     return Object.assign({}, entity, {title: entity.title.trim()});
+ *   });
+ *   callback();
+ * });
+ *
+ * provider.use('afterGetOne', function(results, args, callback) {
+ *   if (results.entity) results.entity.url = '/entities/' + results.entity.id;
+ *   callback();
+ * });
+ *
+ * provider.use('beforeRemove', function(args, callback) {
+ *   if (!this.context.user) return callback(new Error('Entities can only be removed on behalf of a user'));
+ *   callback();
+ * });
+ *
+ * provider.use('afterAdd', function(results) {
+ *   return notifyAll(results.entities);
+ * });
+ *
+ * @param {String} hook The name of the hook
+ * @param {Function} middleware The function to execute, before middlewares are called with the arguments and a
+ * callback, after middlewares are called with the results, the arguments and a callback. The callback expects an
+ * eventual error. Callback is ignored if middleware returns a promise
+ * @return {module:providers/EntityProvider~EntityProvider} The provider to chain registrations
+ * @throws {TypeError} If hook or middleware are not valid
  */
-EntityProvider.prototype.updateOne = function(filter, data, callback) {
-  this.storage.updateOne(this.location, filter, data, function(error, total) {
-    this.executeCallback(callback, error, total);
-  }.bind(this));
+EntityProvider.prototype.use = function(hook, middleware) {
+  var operation = String(hook).replace(/^(before|after)/, '');
+  operation = operation.charAt(0).toLowerCase() + operation.slice(1);
+
+  if (!/^(before|after)[A-Z]/.test(hook) || !Object.prototype.hasOwnProperty.call(HOOKED_OPERATIONS, operation))
+    throw new TypeError('Unknown hook "' + hook + '"');
+
+  if (typeof middleware !== 'function')
+    throw new TypeError('middleware must be a function');
+
+  this.hooks[hook] = (this.hooks[hook] || []).concat(middleware);
+  return this;
 };
 
 /**
- * Removes entities.
+ * Starts observing the changes made to the entities by all processes using the same storage.
  *
- * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to remove
- * @param {module:providers/EntityProvider~EntityProvider~removeCallback} [callback] The function to call when it's done
+ * Events are then emitted from the changes observed by the storage, including the changes made through this
+ * provider, instead of being emitted by the provider operations. The storage must support
+ * [watch]{@link module:storages/Storage~Storage#watch}, see
+ * [MongoDatabase.watch]{@link module:storages/MongoDatabase~MongoDatabase#watch} for its requirements.
+ *
+ * If observing changes fails or the storage stops observing them, the provider stops watching and provider
+ * operations emit events again. An "error" event is emitted in case of failure if the provider has listeners for it.
+ *
+ * @example
+ * provider.on('removed', function(event) {
+ *   cache.remove(event.ids);
+ * });
+ * provider.watch();
+ *
+ * @param {Object} [options] Options depending on the storage, see the watch method of the storage
+ * @fires module:providers/EntityProvider~EntityProvider#added
+ * @fires module:providers/EntityProvider~EntityProvider#updated
+ * @fires module:providers/EntityProvider~EntityProvider#removed
+ * @fires module:providers/EntityProvider~EntityProvider#error
  */
-EntityProvider.prototype.remove = function(filter, callback) {
-  this.storage.remove(this.location, filter, function(error, total) {
-    this.executeCallback(callback, error, total);
+EntityProvider.prototype.watch = function(options) {
+  var changeStream;
+  if (this.changeStream) return;
+
+  changeStream = this.changeStream = this.storage.watch(this.location, options);
+  changeStream.on('data', function(change) {
+    var event = {ids: change.id === undefined ? [] : [change.id]};
+    if (change.type === 'updated') event.fields = change.fields;
+
+    invalidateCache.call(this, function() {
+      this.emit(change.type, event);
+    }.bind(this));
+  }.bind(this));
+  changeStream.on('error', function(error) {
+    if (this.changeStream === changeStream) this.unwatch();
+    if (this.listenerCount('error')) this.emit('error', error);
+  }.bind(this));
+  changeStream.on('close', function() {
+    if (this.changeStream === changeStream) this.changeStream = null;
   }.bind(this));
 };
 
 /**
- * Removes a field from entities.
+ * Stops observing changes made to the entities by all processes.
  *
- * @param {String} field The field to remove from entities
- * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities to update
- * @param {module:providers/EntityProvider~EntityProvider~removeFieldCallback} [callback] The function to call when
+ * Provider operations emit events again.
+ */
+EntityProvider.prototype.unwatch = function() {
+  if (!this.changeStream) return;
+
+  this.changeStream.destroy();
+  this.changeStream = null;
+};
+
+/**
+ * Reconciles the indexes of the location with the declared indexes.
+ *
+ * Declared indexes missing from the location are created and indexes owned by the provider which are no longer
+ * declared are dropped, only if the provider has been given a prefix for the names of its indexes (see
+ * indexesPrefix): other indexes, like the ones created by plugins or administrators, are never dropped. An index
+ * with the same name as a declared index but a different definition (e.g. a text index with different weights), or
+ * an index which prevents a declared index from being created, is reported as a conflict and left untouched:
+ * resolving it may require to rebuild a large index which is left to the administrator. The storage must be a
+ * [Database]{@link module:storages/Database~Database}.
+ *
+ * If the provider has revisions enabled, the unique index of the revisions on the id of the entity and the revision
+ * number ("byEntityRevision") is also reconciled and reported in the result.
+ *
+ * @example
+ * var provider = new EntityProvider(database, 'videos', {
+ *   indexes: [
+ *     {key: {title: 'text', description: 'text'}, weights: {title: 2}, name: 'querySearch'},
+ *     {key: {tags: 1}, name: 'byTags'}
+ *   ]
+ * });
+ *
+ * provider.ensureIndexes(function(error, result) {
+ *   console.log(result.created, result.dropped, result.conflicts);
+ * });
+ *
+ * @param {module:providers/EntityProvider~EntityProvider~ensureIndexesCallback} [callback] The function to call when
  * it's done
  */
-EntityProvider.prototype.removeField = function(field, filter, callback) {
-  this.storage.removeField(this.location, field, filter, function(error, total) {
-    this.executeCallback(callback, error, total);
-  }.bind(this));
+EntityProvider.prototype.ensureIndexes = function(callback) {
+  var self = this;
+  var result = {created: [], dropped: [], conflicts: []};
+
+  this.storage.getIndexes(this.location, function(error, existingIndexes) {
+
+    // MongoDB refuses to get indexes of a location which does not exist yet
+    if (error && error.code !== 26) return self.executeCallback(callback, error);
+    existingIndexes = existingIndexes || [];
+
+    var getIndex = function(indexes, name) {
+      return indexes.filter(function(index) {
+        return index.name === name;
+      })[0];
+    };
+
+    var obsoleteIndexes = existingIndexes.filter(function(existingIndex) {
+      return self.indexesPrefix &&
+        existingIndex.name !== '_id_' &&
+        existingIndex.name.indexOf(self.indexesPrefix) === 0 &&
+        !getIndex(self.indexes, existingIndex.name);
+    });
+    var remainingIndexes = existingIndexes.filter(function(existingIndex) {
+      return obsoleteIndexes.indexOf(existingIndex) < 0;
+    });
+    var missingIndexes = [];
+
+    self.indexes.forEach(function(index) {
+      var existingIndex = getIndex(remainingIndexes, index.name);
+
+      if (!existingIndex) {
+        existingIndex = remainingIndexes.filter(function(remainingIndex) {
+          return remainingIndex.name !== '_id_' && areIndexesConflicting(index, remainingIndex);
+        })[0];
+        if (!existingIndex) return missingIndexes.push(index);
+      } else if (describeIndex(index) === describeIndex(existingIndex)) return;
+
+      result.conflicts.push({name: index.name, declared: index, existing: existingIndex});
+    });
+
+    async.series([
+      function(callback) {
+        async.eachSeries(obsoleteIndexes, function(obsoleteIndex, callback) {
+          self.storage.dropIndex(self.location, obsoleteIndex.name, function(error) {
+            if (!error) result.dropped.push(obsoleteIndex.name);
+            callback(error);
+          });
+        }, callback);
+      },
+      function(callback) {
+        if (!missingIndexes.length) return callback();
+
+        self.storage.createIndexes(self.location, missingIndexes, function(error) {
+          if (!error) {
+            result.created = missingIndexes.map(function(index) {
+              return index.name;
+            });
+          }
+          callback(error);
+        });
+      },
+      function(callback) {
+        if (!self.revisionsLocation) return callback();
+
+        getRevisionsProvider.call(self).ensureIndexes(function(error, revisionsResult) {
+          if (error) return callback(error);
+
+          result.created = result.created.concat(revisionsResult.created);
+          result.dropped = result.dropped.concat(revisionsResult.dropped);
+          result.conflicts = result.conflicts.concat(revisionsResult.conflicts);
+          callback();
+        });
+      }
+    ], function(error) {
+      if (error) return self.executeCallback(callback, error);
+      self.executeCallback(callback, null, result);
+    });
+  });
 };
 
+/**
+ * Executes the middlewares of a hook in registration order.
+ *
+ * Middlewares either call their callback or return a promise, the callback of a middleware is executed only once.
+ *
+ * @method executeHook
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @this module:providers/EntityProvider~EntityProvider
+ * @param {String} hook The name of the hook
+ * @param {Array} parameters The parameters of the middlewares, except the callback
+ * @param {Function} callback The function to call with an eventual error when all middlewares have been executed
+ */
+function executeHook(hook, parameters, callback) {
+  var self = this;
+
+  async.eachSeries(this.hooks[hook] || [], function(middleware, callback) {
+    var result;
+    var called = false;
+    var next = function(error) {
+      if (called) return;
+      called = true;
+      callback(error || null);
+    };
+
+    try {
+      result = middleware.apply(self, parameters.concat(next));
+    } catch (error) {
+
+      // Errors thrown once the middleware called its callback come from the next operations and are not ours
+      if (called) throw error;
+      return next(error);
+
+    }
+
+    if (result && typeof result.then === 'function') {
+
+      // Leave the promise chain so that errors thrown by the next operations are not turned into rejections
+      result.then(function() {
+        process.nextTick(next);
+      }, function(error) {
+        process.nextTick(next, error || new Error('Middleware of hook "' + hook + '" rejected without reason'));
+      });
+
+    }
+  }, callback);
+}
+
+/**
+ * Makes an operation of the EntityProvider execute the middlewares of its before and after hooks.
+ *
+ * @method addHooks
+ * @private
+ * @memberof module:providers/EntityProvider~EntityProvider
+ * @param {String} operation The name of the operation, see HOOKED_OPERATIONS
+ */
+function addHooks(operation) {
+  var method = EntityProvider.prototype[operation];
+  var argNames = HOOKED_OPERATIONS[operation].args;
+  var resultNames = HOOKED_OPERATIONS[operation].results;
+  var hooksSuffix = operation.charAt(0).toUpperCase() + operation.slice(1);
+
+  var hookedMethod = function() {
+    var self = this;
+    var callback = arguments[argNames.length];
+    var args = {};
+
+    if (!this.hooks['before' + hooksSuffix] && !this.hooks['after' + hooksSuffix])
+      return method.apply(this, arguments);
+
+    for (var i = 0; i < argNames.length; i++) args[argNames[i]] = arguments[i];
+
+    executeHook.call(this, 'before' + hooksSuffix, [args], function(error) {
+      if (error) return self.executeCallback(callback, error);
+
+      method.apply(self, argNames.map(function(argName) {
+        return args[argName];
+      }).concat(function(error) {
+        var results = {};
+        if (error) return self.executeCallback(callback, error);
+
+        for (var i = 0; i < resultNames.length; i++) results[resultNames[i]] = arguments[i + 1];
+
+        executeHook.call(self, 'after' + hooksSuffix, [results, args], function(error) {
+          if (error) return self.executeCallback(callback, error);
+
+          self.executeCallback.apply(self, [callback, null].concat(resultNames.map(function(resultName) {
+            return results[resultName];
+          })));
+        });
+      }));
+    });
+  };
+
+  Object.defineProperty(hookedMethod, 'length', {value: method.length});
+  EntityProvider.prototype[operation] = hookedMethod;
+}
+
+Object.keys(HOOKED_OPERATIONS).forEach(addHooks);
+
+promiseSupport.addPromiseSupportToMethods(EntityProvider.prototype, {
+  getOne: null,
+  get: ['entities', 'pagination'],
+  getAll: null,
+  count: null,
+  distinct: null,
+  aggregate: null,
+  add: ['total', 'entities'],
+  updateOne: null,
+  updateMany: null,
+  upsertOne: null,
+  remove: null,
+  removeField: null,
+  getTrash: ['entities', 'pagination'],
+  restore: null,
+  purge: null,
+  getRevisions: null,
+  revert: null,
+  exportArchive: null,
+  importArchive: null,
+  reencrypt: null,
+  ensureIndexes: null
+});
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~exportArchiveCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|undefined)} total The number of exported entities
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~importArchiveCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Object|undefined)} result The number of added entities as "added", the number of replaced entities as
+ * "overwritten" and the number of ignored entities as "skipped"
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~reencryptCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|undefined)} total The number of re-encrypted entities
+ */
+
 /**
  * @callback module:providers/EntityProvider~EntityProvider~getOneCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
@@ -199,9 +2315,13 @@ EntityProvider.prototype.removeField = function(field, filter, callback) {
  * @param {Array|undefined} entities The list of retrieved entities
  * @param {Object|undefined} pagination Pagination information
  * @param {Number|undefined} pagination.limit The specified limit
- * @param {Number|undefined} pagination.page The actual page
- * @param {Number|undefined} pagination.pages The total number of pages
+ * @param {Number|undefined} pagination.page The actual page, only when paginating using page numbers
+ * @param {Number|undefined} pagination.pages The total number of pages, only when paginating using page numbers
  * @param {Number|undefined} pagination.size The total number of entities
+ * @param {String|null|undefined} pagination.nextCursor The cursor of the next page, only when paginating using
+ * cursors
+ * @param {String|null|undefined} pagination.previousCursor The cursor of the previous page, only when paginating
+ * using cursors
  */
 
 /**
@@ -223,6 +2343,18 @@ EntityProvider.prototype.removeField = function(field, filter, callback) {
  * @param {(Number|undefined)} 1 if everything went fine
  */
 
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~updateManyCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|undefined)} total The number of updated entities
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~upsertOneCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Boolean|undefined)} inserted true if the entity has been added, false if it has been updated
+ */
+
 /**
  * @callback module:providers/EntityProvider~EntityProvider~removeCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
@@ -234,3 +2366,56 @@ EntityProvider.prototype.removeField = function(field, filter, callback) {
  * @param {(Error|null)} error The error if an error occurred, null otherwise
  * @param {(Number|undefined)} total The number of updated entities
  */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~restoreCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|undefined)} total The number of restored entities
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~purgeCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|undefined)} total The number of purged entities
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~getRevisionsCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Array|undefined)} revisions The revisions of the entity, from the most recent to the oldest
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~revertCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|undefined)} total 1 if the entity has been reverted, 0 if it was already in the state of the
+ * revision
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~countCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|undefined)} total The number of entities
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~distinctCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Array|undefined)} values The distinct values
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~aggregateCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Array|undefined)} groups The list of groups with group values and accumulated values
+ */
+
+/**
+ * @callback module:providers/EntityProvider~EntityProvider~ensureIndexesCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Object|undefined)} result The result of the reconciliation
+ * @param {(Array|undefined)} result.created The names of the created indexes
+ * @param {(Array|undefined)} result.dropped The names of the dropped indexes
+ * @param {(Array|undefined)} result.conflicts The conflicts with, for each conflict, the name of the declared index
+ * and the declared and existing indexes in properties "declared" and "existing"
+ */
@@ -0,0 +1,543 @@
+'use strict';
+
+/**
+ * @module providers/FieldEncryption
+ */
+
+var crypto = require('crypto');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var ndjson = process.requireApi('lib/storages/ndjson.js');
+
+/**
+ * The prefix of encrypted values.
+ *
+ * @const
+ * @type {String}
+ * @private
+ */
+var PREFIX = 'enc:v1:';
+
+/**
+ * The encryption algorithm.
+ *
+ * @const
+ * @type {String}
+ * @private
+ */
+var ALGORITHM = 'aes-256-gcm';
+
+/**
+ * The length of the initialization vectors, in bytes.
+ *
+ * @const
+ * @type {Number}
+ * @private
+ */
+var IV_LENGTH = 12;
+
+/**
+ * The length of the authentication tags, in bytes.
+ *
+ * @const
+ * @type {Number}
+ * @private
+ */
+var TAG_LENGTH = 16;
+
+/**
+ * Defines the encryption of some fields of entities.
+ *
+ * Values of encrypted fields are encrypted using AES-256-GCM and stored as strings holding the id of the key used to
+ * encrypt them, thus several keys can be configured to decrypt values while only the current one is used to encrypt
+ * them.
+ *
+ * A field is encrypted either in random mode (the default), where the same value never gives the same encrypted value,
+ * or in deterministic mode, where the same value of the same field always gives the same encrypted value with the same
+ * key. Only deterministic fields can be filtered, using equality only.
+ *
+ * Values which are not encrypted, e.g. stored before the field was declared as encrypted, are read as is.
+ *
+ * @example
+ * var encryption = new FieldEncryption({
+ *   fields: ['credentials.password', {field: 'email', deterministic: true}],
+ *   keys: {
+ *     '2023': process.env.KEY_2023,
+ *     '2024': process.env.KEY_2024
+ *   },
+ *   currentKey: '2024'
+ * });
+ *
+ * @class FieldEncryption
+ * @constructor
+ * @param {Object} configuration Encryption configuration
+ * @param {Array} configuration.fields The paths of the encrypted fields, fields in sub documents and in arrays of sub
+ * documents use the dot notation, a field can also be described by an object with the path as "field" and a
+ * "deterministic" property set to true to encrypt it in deterministic mode
+ * @param {Object} configuration.keys The keys by ids, either as Buffers or base64 encoded strings of 32 bytes, ids
+ * can only contain letters, digits, underscores and dashes
+ * @param {String} [configuration.currentKey] The id of the key used to encrypt values, required if there are several
+ * keys
+ * @throws {TypeError} If configuration is not valid
+ */
+function FieldEncryption(configuration) {
+  if (Object.prototype.toString.call(configuration) !== '[object Object]')
+    throw new TypeError('Encryption configuration must be an Object');
+
+  var keys = {};
+  var keyIds = Object.keys(configuration.keys || {});
+
+  keyIds.forEach(function(keyId) {
+    var key = configuration.keys[keyId];
+    if (typeof key === 'string') key = Buffer.from(key, 'base64');
+
+    if (!/^[\w-]+$/.test(keyId)) throw new TypeError('Invalid key id "' + keyId + '"');
+    if (!Buffer.isBuffer(key) || key.length !== 32) throw new TypeError('Key "' + keyId + '" must be 32 bytes long');
+    keys[keyId] = key;
+  });
+
+  Object.defineProperties(this,
+
+    /** @lends module:providers/FieldEncryption~FieldEncryption */
+    {
+
+      /**
+       * The encrypted fields with, for each field, the path as "field" and the mode as "deterministic".
+       *
+       * @type {Array}
+       * @instance
+       * @readonly
+       */
+      fields: {
+        value: (configuration.fields || []).map(function(field) {
+          return (typeof field === 'string') ? {field: field, deterministic: false} : {
+            field: field && field.field,
+            deterministic: Boolean(field && field.deterministic)
+          };
+        })
+      },
+
+      /**
+       * The keys by ids.
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      keys: {value: keys},
+
+      /**
+       * The id of the key used to encrypt values.
+       *
+       * @type {String}
+       * @instance
+       * @readonly
+       */
+      currentKey: {value: configuration.currentKey || (keyIds.length === 1 ? keyIds[0] : undefined)}
+
+    }
+
+  );
+
+  if (!this.fields.length || this.fields.some(function(field) {
+    return typeof field.field !== 'string' || !field.field;
+  })) {
+    throw new TypeError('fields must be a non empty array of field paths');
+  }
+
+  if (!this.keys[this.currentKey]) throw new TypeError('currentKey must be the id of a configured key');
+}
+
+module.exports = FieldEncryption;
+
+/**
+ * Gets the path of a field without array indexes and positional operators.
+ *
+ * @method normalizePath
+ * @private
+ * @memberof module:providers/FieldEncryption~FieldEncryption
+ * @param {String} field The path of the field
+ * @return {String} The path of the field as declared in encrypted fields
+ */
+function normalizePath(field) {
+  return field.split('.').filter(function(part) {
+    return !/^(\d+|\$(\[\w*\])?)$/.test(part);
+  }).join('.');
+}
+
+/**
+ * Transforms the value of a field of a document.
+ *
+ * The document is left untouched, objects holding the field are copied. If a field of the path holds an array, the
+ * field of each item of the array is transformed.
+ *
+ * @method transformField
+ * @private
+ * @memberof module:providers/FieldEncryption~FieldEncryption
+ * @param {*} document The document holding the field
+ * @param {Array} parts The parts of the path of the field relative to the document
+ * @param {Function} transform The function to call with the value of the field, returning the new value
+ * @return {*} The transformed document
+ */
+function transformField(document, parts, transform) {
+  if (Array.isArray(document)) {
+    return document.map(function(item) {
+      return transformField(item, parts, transform);
+    });
+  }
+
+  if (Object.prototype.toString.call(document) !== '[object Object]' || document[parts[0]] === undefined)
+    return document;
+
+  var transformedDocument = Object.assign({}, document);
+  transformedDocument[parts[0]] = (parts.length === 1) ?
+    transform(document[parts[0]]) :
+    transformField(document[parts[0]], parts.slice(1), transform);
+
+  return transformedDocument;
+}
+
+/**
+ * Gets the encrypted fields relative to a field.
+ *
+ * @method getRelativeFields
+ * @private
+ * @this module:providers/FieldEncryption~FieldEncryption
+ * @memberof module:providers/FieldEncryption~FieldEncryption
+ * @param {String} field The path of the field, without array indexes
+ * @return {Object} The encrypted field as "self" if the field is encrypted, the encrypted field holding the field as
+ * "parent" if the field is inside an encrypted field and the encrypted fields inside the field as "children" with,
+ * for each child, the encrypted field as "field" and its path relative to the field as "parts"
+ */
+function getRelativeFields(field) {
+  var relativeFields = {self: null, parent: null, children: []};
+
+  this.fields.forEach(function(encryptedField) {
+    if (encryptedField.field === field) relativeFields.self = encryptedField;
+    else if (field.indexOf(encryptedField.field + '.') === 0) relativeFields.parent = encryptedField;
+    else if (encryptedField.field.indexOf(field + '.') === 0) {
+      relativeFields.children.push({
+        field: encryptedField,
+        parts: encryptedField.field.slice(field.length + 1).split('.')
+      });
+    }
+  });
+
+  return relativeFields;
+}
+
+/**
+ * Builds the error of a forbidden use of an encrypted field.
+ *
+ * @method buildEncryptedFieldError
+ * @private
+ * @memberof module:providers/FieldEncryption~FieldEncryption
+ * @param {String} field The path of the field
+ * @param {String} operation The operation
+ * @return {module:errors/StorageError~StorageError} The error
+ */
+function buildEncryptedFieldError(field, operation) {
+  return new StorageError(
+    'Operation "' + operation + '" is not allowed on encrypted field "' + field + '"',
+    databaseErrors.ENCRYPTED_FIELD_ERROR
+  );
+}
+
+/**
+ * Encrypts a value.
+ *
+ * @method encryptValue
+ * @private
+ * @this module:providers/FieldEncryption~FieldEncryption
+ * @memberof module:providers/FieldEncryption~FieldEncryption
+ * @param {Object} field The encrypted field holding the value
+ * @param {*} value The value to encrypt
+ * @param {String} keyId The id of the key to use
+ * @return {String} The encrypted value
+ */
+function encryptValue(field, value, keyId) {
+  var key = this.keys[keyId];
+  var data = Buffer.from(ndjson.stringify(value), 'utf8');
+  var iv = field.deterministic ?
+    crypto.createHmac('sha256', key).update(field.field + '\0').update(data).digest().subarray(0, IV_LENGTH) :
+    crypto.randomBytes(IV_LENGTH);
+
+  var cipher = crypto.createCipheriv(ALGORITHM, key, iv, {authTagLength: TAG_LENGTH});
+  cipher.setAAD(Buffer.from(field.field, 'utf8'));
+  var encryptedData = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return PREFIX + keyId + ':' + (field.deterministic ? 'd' : 'r') + ':' +
+    Buffer.concat([iv, cipher.getAuthTag(), encryptedData]).toString('base64');
+}
+
+/**
+ * Decrypts a value.
+ *
+ * @method decryptValue
+ * @private
+ * @this module:providers/FieldEncryption~FieldEncryption
+ * @memberof module:providers/FieldEncryption~FieldEncryption
+ * @param {Object} field The encrypted field holding the value
+ * @param {*} value The value to decrypt, returned as is if not encrypted
+ * @return {*} The decrypted value
+ * @throws {module:errors/StorageError~StorageError} If value can't be decrypted
+ */
+function decryptValue(field, value) {
+  if (typeof value !== 'string' || value.indexOf(PREFIX) !== 0) return value;
+
+  var parts = value.slice(PREFIX.length).split(':');
+  var key = this.keys[parts[0]];
+  var data = Buffer.from(parts[2] || '', 'base64');
+
+  if (!key) {
+    throw new StorageError(
+      'Key "' + parts[0] + '" of field "' + field.field + '" is not configured',
+      databaseErrors.DECRYPTION_ERROR
+    );
+  }
+
+  try {
+    var decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      data.subarray(0, IV_LENGTH),
+      {authTagLength: TAG_LENGTH}
+    );
+    decipher.setAAD(Buffer.from(field.field, 'utf8'));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+    return ndjson.parse(Buffer.concat([
+      decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8'));
+  } catch (error) {
+    throw new StorageError(
+      'Value of field "' + field.field + '" can\'t be decrypted: ' + error.message,
+      databaseErrors.DECRYPTION_ERROR
+    );
+  }
+}
+
+/**
+ * Encrypts the encrypted fields of a value.
+ *
+ * @method encryptFields
+ * @private
+ * @this module:providers/FieldEncryption~FieldEncryption
+ * @memberof module:providers/FieldEncryption~FieldEncryption
+ * @param {String} field The path of the field holding the value, without array indexes
+ * @param {*} value The value of the field
+ * @return {*} The value with its encrypted fields encrypted
+ */
+function encryptFields(field, value) {
+  var self = this;
+  var relativeFields = getRelativeFields.call(this, field);
+
+  if (relativeFields.parent) throw buildEncryptedFieldError(field, ResourceUpdate.OPERATORS.SET);
+  if (relativeFields.self) return encryptValue.call(this, relativeFields.self, value, this.currentKey);
+
+  return relativeFields.children.reduce(function(value, child) {
+    return transformField(value, child.parts, function(childValue) {
+      return encryptValue.call(self, child.field, childValue, self.currentKey);
+    });
+  }, value);
+}
+
+/**
+ * Encrypts the encrypted fields of an entity.
+ *
+ * @param {Object} entity The entity, left untouched
+ * @return {Object} A copy of the entity with encrypted fields encrypted with the current key
+ */
+FieldEncryption.prototype.encryptEntity = function(entity) {
+  var self = this;
+
+  return this.fields.reduce(function(encryptedEntity, field) {
+    return transformField(encryptedEntity, field.field.split('.'), function(value) {
+      return encryptValue.call(self, field, value, self.currentKey);
+    });
+  }, entity);
+};
+
+/**
+ * Decrypts the encrypted fields of an entity.
+ *
+ * @param {(Object|null|undefined)} entity The entity, left untouched
+ * @return {(Object|null|undefined)} A copy of the entity with encrypted fields decrypted
+ * @throws {module:errors/StorageError~StorageError} If a value can't be decrypted
+ */
+FieldEncryption.prototype.decryptEntity = function(entity) {
+  var self = this;
+  if (!entity) return entity;
+
+  return this.fields.reduce(function(decryptedEntity, field) {
+    return transformField(decryptedEntity, field.field.split('.'), function(value) {
+      return decryptValue.call(self, field, value);
+    });
+  }, entity);
+};
+
+/**
+ * Decrypts the encrypted fields of entities.
+ *
+ * @param {Array} entities The entities, left untouched
+ * @return {Array} Copies of the entities with encrypted fields decrypted
+ * @throws {module:errors/StorageError~StorageError} If a value can't be decrypted
+ */
+FieldEncryption.prototype.decryptEntities = function(entities) {
+  return entities.map(this.decryptEntity.bind(this));
+};
+
+/**
+ * Decrypts values of a field.
+ *
+ * @param {String} field The path of the field holding the values
+ * @param {Array} values The values, duplicates resulting from values encrypted with different keys are removed
+ * @return {Array} The decrypted values
+ * @throws {module:errors/StorageError~StorageError} If a value can't be decrypted
+ */
+FieldEncryption.prototype.decryptValues = function(field, values) {
+  var self = this;
+  var relativeFields = getRelativeFields.call(this, normalizePath(field));
+  var serializedValues = [];
+
+  return values.map(function(value) {
+    if (relativeFields.self) return decryptValue.call(self, relativeFields.self, value);
+
+    return relativeFields.children.reduce(function(value, child) {
+      return transformField(value, child.parts, function(childValue) {
+        return decryptValue.call(self, child.field, childValue);
+      });
+    }, value);
+  }).filter(function(value) {
+    var serializedValue = ndjson.stringify(value);
+    if (serializedValues.indexOf(serializedValue) >= 0) return false;
+
+    serializedValues.push(serializedValue);
+    return true;
+  });
+};
+
+/**
+ * Tests if encrypted fields of an entity are not encrypted with the current key.
+ *
+ * @param {Object} entity The entity as stored
+ * @return {Boolean} true if at least one value is not encrypted or is encrypted with another key than the current one
+ */
+FieldEncryption.prototype.needsEncryption = function(entity) {
+  var self = this;
+  var needsEncryption = false;
+
+  this.fields.forEach(function(field) {
+    transformField(entity, field.field.split('.'), function(value) {
+      if (typeof value !== 'string' || value.indexOf(PREFIX + self.currentKey + ':') !== 0) needsEncryption = true;
+      return value;
+    });
+  });
+
+  return needsEncryption;
+};
+
+/**
+ * Encrypts the values of modifications.
+ *
+ * Encrypted fields, or fields holding encrypted fields, can be set or removed. Items holding encrypted fields can be
+ * added to arrays. Any other modification of an encrypted field is refused as it would require its clear value.
+ *
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications, either the fields to set or
+ * an update, left untouched
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The update with encrypted values
+ * @throws {module:errors/StorageError~StorageError} If an encrypted field is modified in a way which is not allowed
+ */
+FieldEncryption.prototype.encryptUpdate = function(data) {
+  var self = this;
+  var update = new ResourceUpdate();
+
+  ResourceUpdate.from(data).operations.forEach(function(operation) {
+    var field = normalizePath(operation.field);
+    var relativeFields = getRelativeFields.call(self, field);
+    var value = operation.value;
+    var isEncrypted = relativeFields.self || relativeFields.parent || relativeFields.children.length;
+
+    if (isEncrypted) {
+      switch (operation.type) {
+        case ResourceUpdate.OPERATORS.SET:
+          value = encryptFields.call(self, field, value);
+          break;
+        case ResourceUpdate.OPERATORS.UNSET:
+          if (relativeFields.parent) throw buildEncryptedFieldError(operation.field, operation.type);
+          break;
+        case ResourceUpdate.OPERATORS.PUSH:
+        case ResourceUpdate.OPERATORS.ADD_TO_SET:
+          if (relativeFields.self || relativeFields.parent)
+            throw buildEncryptedFieldError(operation.field, operation.type);
+
+          value = encryptFields.call(self, field, value);
+          break;
+        default:
+          throw buildEncryptedFieldError(operation.field, operation.type);
+      }
+    }
+
+    update.operations.push({type: operation.type, field: operation.field, value: value});
+  });
+
+  return update;
+};
+
+/**
+ * Encrypts the values of the operations of a filter.
+ *
+ * Encrypted fields can only be compared with an equal operation, if encrypted in deterministic mode. The value is
+ * then compared to its encrypted values with all the keys to match values which have not been encrypted with the
+ * current key yet.
+ *
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter entities, left untouched
+ * @param {String} [prefix] The path of the field holding the sub documents the filter applies to, for filters of
+ * elemMatch operations
+ * @return {(module:storages/ResourceFilter~ResourceFilter|undefined)} A copy of the filter with encrypted values
+ * @throws {module:errors/StorageError~StorageError} If an encrypted field is used in an operation which is not allowed
+ */
+FieldEncryption.prototype.encryptFilter = function(filter, prefix) {
+  var self = this;
+  if (!filter) return filter;
+
+  var encryptedFilter = new ResourceFilter();
+
+  filter.operations.forEach(function(operation) {
+    var encryptedOperation = Object.assign({}, operation);
+
+    if (operation.filters) {
+      encryptedOperation.filters = operation.filters.map(function(subFilter) {
+        return self.encryptFilter(subFilter, prefix);
+      });
+    } else if (operation.field !== undefined) {
+      var field = normalizePath((prefix ? prefix + '.' : '') + operation.field);
+      var relativeFields = getRelativeFields.call(self, field);
+
+      if (relativeFields.parent) throw buildEncryptedFieldError(operation.field, operation.type);
+
+      if (relativeFields.self) {
+        if (operation.type !== ResourceFilter.OPERATORS.EQUAL || !relativeFields.self.deterministic)
+          throw buildEncryptedFieldError(operation.field, operation.type);
+
+        var encryptedValues = Object.keys(self.keys).map(function(keyId) {
+          return encryptValue.call(self, relativeFields.self, operation.value, keyId);
+        });
+
+        if (encryptedValues.length === 1) encryptedOperation.value = encryptedValues[0];
+        else {
+          encryptedOperation.type = ResourceFilter.OPERATORS.IN;
+          encryptedOperation.value = encryptedValues;
+        }
+      } else if (operation.type === ResourceFilter.OPERATORS.ELEM_MATCH)
+        encryptedOperation.value = self.encryptFilter(operation.value, field);
+    }
+
+    encryptedFilter.operations.push(encryptedOperation);
+  });
+
+  return encryptedFilter;
+};
@@ -4,6 +4,8 @@
  * @module providers/Provider
  */
 
+var events = require('events');
+var util = require('util');
 var Storage = process.requireApi('lib/storages/Storage.js');
 
 /**
@@ -12,11 +14,15 @@ var Storage = process.requireApi('lib/storages/Storage.js');
  * A provider manages resources from its associated storage.
  *
  * @class Provider
+ * @extends EventEmitter
+ * @see {@link https://nodejs.org/dist/latest-v16.x/docs/api/events.html#events_class_eventemitter}
  * @constructor
  * @param {module:storages/Storage~Storage} storage The storage to use to store provider resources
  * @throws {TypeError} If storage is not valid
  */
 function Provider(storage) {
+  Provider.super_.call(this);
+
   Object.defineProperties(this,
 
     /** @lends module:provider/Provider~Provider */
@@ -29,7 +35,17 @@ function Provider(storage) {
        * @instance
        * @readonly
        */
-      storage: {value: storage}
+      storage: {value: storage},
+
+      /**
+       * Information about the context operations are executed in, see
+       * [withContext]{@link module:providers/Provider~Provider#withContext}.
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      context: {value: {}}
 
     }
 
@@ -40,6 +56,7 @@ function Provider(storage) {
 }
 
 module.exports = Provider;
+util.inherits(Provider, events.EventEmitter);
 
 /**
  * Executes the given callback or log the error message if no callback specified.
@@ -60,3 +77,45 @@ Provider.prototype.executeCallback = function() {
   if (error instanceof Error)
     process.logger.error('An error occured while executing callback with message: ' + error.message);
 };
+
+/**
+ * Gets a copy of the provider working within a storage transaction.
+ *
+ * The copy uses the transaction as its storage, operations of the copy are thus part of the transaction. See
+ * [Storage.transaction]{@link module:storages/Storage~Storage#transaction}.
+ *
+ * @example
+ * // Remove a video and its chapters
+ * storage.transaction(function(transaction, done) {
+ *   videoProvider.withTransaction(transaction).remove(videosFilter, function(error) {
+ *     if (error) return done(error);
+ *     chapterProvider.withTransaction(transaction).remove(chaptersFilter, done);
+ *   });
+ * }, callback);
+ *
+ * @param {module:storages/Storage~Storage} transaction The storage bound to the transaction
+ * @return {module:providers/Provider~Provider} The provider working within the transaction
+ */
+Provider.prototype.withTransaction = function(transaction) {
+  return Object.create(this, {storage: {value: transaction}});
+};
+
+/**
+ * Gets a copy of the provider working within a context.
+ *
+ * The context holds information about the circumstances of the operations, like the user performing them. Context
+ * information is merged with the information of the current context.
+ *
+ * @example
+ * // Remove videos on behalf of a user
+ * videoProvider.withContext({user: request.user.id}).remove(videosFilter, callback);
+ *
+ * @param {Object} context Information about the context
+ * @param {String} [context.user] The id of the user performing the operations
+ * @param {String} [context.tenant] The id of the tenant operations are restricted to, see
+ * [EntityProvider]{@link module:providers/EntityProvider~EntityProvider#tenantField}
+ * @return {module:providers/Provider~Provider} The provider working within the context
+ */
+Provider.prototype.withContext = function(context) {
+  return Object.create(this, {context: {value: Object.assign({}, this.context, context)}});
+};
@@ -0,0 +1,493 @@
+'use strict';
+
+/**
+ * @module storages/MigrationRunner
+ */
+
+var async = require('async');
+var nanoid = require('nanoid').nanoid;
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
+
+/**
+ * Defines a runner to apply and revert database migrations of plugins.
+ *
+ * A migration describes how to go from the previous version of a plugin to the version of the migration ("up") and
+ * optionally how to go back ("down"). Migrations use the database primitives (createIndexes, dropIndex,
+ * renameCollection, removeCollection, removeField, updateMany, ...) to modify the database.
+ *
+ * Applied migrations are recorded, per plugin, in a dedicated collection. Pending migrations are applied in version
+ * order. A lock, stored in another collection, prevents two server instances from migrating at the same time. If the
+ * lock has been taken over by another server instance, because it expired, migrations stop with a
+ * MIGRATION_LOCKED_ERROR.
+ *
+ * @example
+ * var runner = new MigrationRunner(database);
+ *
+ * runner.up('my-plugin', [
+ *   {
+ *     version: '1.1.0',
+ *     up: function(database, callback) {
+ *       database.renameCollection('my-plugin_items', 'my-plugin_videos', callback);
+ *     },
+ *     down: function(database, callback) {
+ *       database.renameCollection('my-plugin_videos', 'my-plugin_items', callback);
+ *     }
+ *   }
+ * ], null, function(error, versions) {
+ *   console.log('Applied migrations: ' + versions.join(', '));
+ * });
+ *
+ * @class MigrationRunner
+ * @constructor
+ * @param {module:storages/Database~Database} database The database to migrate
+ * @param {Object} [options] Runner options
+ * @param {String} [options.location="migrations"] The collection holding applied migrations
+ * @param {String} [options.lockLocation="migrations_locks"] The collection holding the lock
+ * @param {Number} [options.lockTimeout=600000] The number of milliseconds after which a lock is considered as
+ * abandoned, for example if the server holding it crashed. The lock is extended before each migration thus a single
+ * migration must not last longer
+ */
+function MigrationRunner(database, options) {
+  options = options || {};
+
+  Object.defineProperties(this,
+
+    /** @lends module:storages/MigrationRunner~MigrationRunner */
+    {
+
+      /**
+       * The database to migrate.
+       *
+       * @type {module:storages/Database~Database}
+       * @instance
+       * @readonly
+       */
+      database: {value: database},
+
+      /**
+       * The collection holding applied migrations.
+       *
+       * @type {String}
+       * @instance
+       * @readonly
+       */
+      location: {value: options.location || 'migrations'},
+
+      /**
+       * The collection holding the lock.
+       *
+       * @type {String}
+       * @instance
+       * @readonly
+       */
+      lockLocation: {value: options.lockLocation || 'migrations_locks'},
+
+      /**
+       * The number of milliseconds after which a lock is considered as abandoned.
+       *
+       * @type {Number}
+       * @instance
+       * @readonly
+       */
+      lockTimeout: {value: options.lockTimeout || 600000},
+
+      /**
+       * The identifier of the runner used to own the lock.
+       *
+       * @type {String}
+       * @instance
+       * @readonly
+       */
+      id: {value: nanoid()}
+
+    }
+
+  );
+}
+
+module.exports = MigrationRunner;
+
+/**
+ * The id of the lock document.
+ *
+ * @const
+ * @type {String}
+ * @default
+ * @static
+ */
+MigrationRunner.LOCK_ID = 'migrations';
+
+/**
+ * Compares two versions.
+ *
+ * Versions are made of numbers separated by dots (e.g. "1.12.0"), missing numbers are considered to be 0.
+ *
+ * @static
+ * @param {String} version1 The first version
+ * @param {String} version2 The second version
+ * @return {Number} A negative number if version1 is lower than version2, a positive number if version1 is greater
+ * than version2, 0 if versions are equal
+ */
+MigrationRunner.compareVersions = function(version1, version2) {
+  var numbers1 = String(version1).split('.');
+  var numbers2 = String(version2).split('.');
+
+  for (var i = 0; i < Math.max(numbers1.length, numbers2.length); i++) {
+    var difference = (parseInt(numbers1[i]) || 0) - (parseInt(numbers2[i]) || 0);
+    if (difference) return difference;
+  }
+
+  return 0;
+};
+
+/**
+ * Tests if an error comes from a violated unique index.
+ *
+ * @method isDuplicateKeyError
+ * @private
+ * @memberof module:storages/MigrationRunner~MigrationRunner
+ * @param {Error} error The error to test
+ * @return {Boolean} true if the error is a duplicate key error of a MongoDatabase or a MemoryDatabase
+ */
+function isDuplicateKeyError(error) {
+  return error.code === databaseErrors.DUPLICATE_KEY_ERROR || error.code === 11000;
+}
+
+/**
+ * Creates the indexes required by the runner.
+ *
+ * @method createIndexes
+ * @private
+ * @this module:storages/MigrationRunner~MigrationRunner
+ * @memberof module:storages/MigrationRunner~MigrationRunner
+ * @param {callback} callback The function to call when it's done
+ */
+function createIndexes(callback) {
+  async.series([
+    function(callback) {
+      this.database.createIndexes(this.location, [
+        {key: {plugin: 1, version: 1}, name: 'byPluginVersion', unique: true}
+      ], callback);
+    }.bind(this),
+    function(callback) {
+      this.database.createIndexes(this.lockLocation, [{key: {id: 1}, name: 'byId', unique: true}], callback);
+    }.bind(this)
+  ], function(error) {
+    callback(error);
+  });
+}
+
+/**
+ * Acquires the lock.
+ *
+ * The lock is inserted if it does not exist or taken over if it has expired. The unique index on the lock id makes
+ * the insertion fail if another runner holds a valid lock.
+ *
+ * @method acquireLock
+ * @private
+ * @this module:storages/MigrationRunner~MigrationRunner
+ * @memberof module:storages/MigrationRunner~MigrationRunner
+ * @param {callback} callback The function to call when it's done
+ */
+function acquireLock(callback) {
+  var now = Date.now();
+  var filter = new ResourceFilter().equal('id', MigrationRunner.LOCK_ID).lesserThan('expiresAt', now);
+
+  this.database.upsertOne(this.lockLocation, filter, {owner: this.id, expiresAt: now + this.lockTimeout}, null,
+    function(error) {
+      if (error && isDuplicateKeyError(error)) {
+        return callback(new StorageError(
+          'Migrations are already running on another server',
+          databaseErrors.MIGRATION_LOCKED_ERROR
+        ));
+      }
+      callback(error);
+    }
+  );
+}
+
+/**
+ * Extends the lock for another lockTimeout milliseconds.
+ *
+ * The lock is only extended if it is still owned by the runner, it may have expired and have been taken over by
+ * another runner.
+ *
+ * @method refreshLock
+ * @private
+ * @this module:storages/MigrationRunner~MigrationRunner
+ * @memberof module:storages/MigrationRunner~MigrationRunner
+ * @param {callback} callback The function to call when it's done
+ */
+function refreshLock(callback) {
+
+  // Increment a counter so that the lock is modified even if its expiration date did not change
+  var update = new ResourceUpdate().set('expiresAt', Date.now() + this.lockTimeout).increment('refreshes', 1);
+
+  this.database.updateOne(
+    this.lockLocation,
+    new ResourceFilter().equal('id', MigrationRunner.LOCK_ID).equal('owner', this.id),
+    update,
+    function(error, total) {
+      if (error) return callback(error);
+      if (!total) {
+        return callback(new StorageError(
+          'Migrations lock has been taken over by another server',
+          databaseErrors.MIGRATION_LOCKED_ERROR
+        ));
+      }
+      callback();
+    }
+  );
+}
+
+/**
+ * Releases the lock if owned by the runner.
+ *
+ * @method releaseLock
+ * @private
+ * @this module:storages/MigrationRunner~MigrationRunner
+ * @memberof module:storages/MigrationRunner~MigrationRunner
+ * @param {callback} callback The function to call when it's done
+ */
+function releaseLock(callback) {
+  this.database.remove(
+    this.lockLocation,
+    new ResourceFilter().equal('id', MigrationRunner.LOCK_ID).equal('owner', this.id),
+    function(error) {
+      callback(error);
+    }
+  );
+}
+
+/**
+ * Executes a migration step and records it.
+ *
+ * @method executeStep
+ * @private
+ * @this module:storages/MigrationRunner~MigrationRunner
+ * @memberof module:storages/MigrationRunner~MigrationRunner
+ * @param {String} plugin The name of the plugin
+ * @param {Object} step The step with the version, the function to execute and whether the migration is applied or
+ * reverted
+ * @param {callback} callback The function to call when it's done
+ */
+function executeStep(plugin, step, callback) {
+  step.execute(this.database, function(error) {
+    if (error) return callback(error);
+
+    if (step.isUp) {
+      return this.database.add(this.location, [{plugin: plugin, version: step.version, appliedAt: new Date()}],
+        function(error) {
+          callback(error);
+        }
+      );
+    }
+
+    this.database.remove(
+      this.location,
+      new ResourceFilter().equal('plugin', plugin).equal('version', step.version),
+      function(error) {
+        callback(error);
+      }
+    );
+  }.bind(this));
+}
+
+/**
+ * Builds migration steps from applied migrations and executes them.
+ *
+ * Steps are built once the lock is held so that migrations applied by another server in the meantime are taken into
+ * account. In dry-run mode, nothing is locked nor executed.
+ *
+ * @method run
+ * @private
+ * @this module:storages/MigrationRunner~MigrationRunner
+ * @memberof module:storages/MigrationRunner~MigrationRunner
+ * @param {String} plugin The name of the plugin
+ * @param {Boolean} dryRun true to only build steps
+ * @param {Function} buildSteps The function building the steps from the versions of applied migrations, it throws
+ * an error if steps can't be built
+ * @param {module:storages/MigrationRunner~MigrationRunner~migrateCallback} callback The function to call when it's
+ * done
+ */
+function run(plugin, dryRun, buildSteps, callback) {
+  var self = this;
+  var isLocked = false;
+  var steps = [];
+
+  async.series([
+
+    // Create indexes, the unique index on the lock id is required to acquire the lock
+    function(callback) {
+      if (dryRun) return callback();
+      createIndexes.call(self, callback);
+    },
+
+    // Acquire the lock
+    function(callback) {
+      if (dryRun) return callback();
+      acquireLock.call(self, function(error) {
+        isLocked = !error;
+        callback(error);
+      });
+    },
+
+    // Build steps
+    function(callback) {
+      self.getApplied(plugin, function(error, applied) {
+        if (error) return callback(error);
+
+        try {
+          steps = buildSteps(applied);
+        } catch (buildError) {
+          return callback(buildError);
+        }
+
+        callback();
+      });
+    },
+
+    // Execute steps, extending the lock before each one
+    function(callback) {
+      if (dryRun) return callback();
+      async.eachSeries(steps, function(step, callback) {
+        refreshLock.call(self, function(error) {
+          if (error) return callback(error);
+          executeStep.call(self, plugin, step, callback);
+        });
+      }, callback);
+    }
+
+  ], function(error) {
+    var versions = steps.map(function(step) {
+      return step.version;
+    });
+
+    if (!isLocked) return callback(error || null, error ? undefined : versions);
+
+    releaseLock.call(self, function(releaseError) {
+      error = error || releaseError;
+      if (error) return callback(error);
+      callback(null, versions);
+    });
+  });
+}
+
+/**
+ * Gets the versions of the applied migrations of a plugin.
+ *
+ * @param {String} plugin The name of the plugin
+ * @param {module:storages/MigrationRunner~MigrationRunner~getAppliedCallback} callback The function to call when
+ * it's done
+ */
+MigrationRunner.prototype.getApplied = function(plugin, callback) {
+  this.database.distinct(this.location, 'version', new ResourceFilter().equal('plugin', plugin),
+    function(error, versions) {
+      if (error) return callback(error);
+      callback(null, versions.sort(MigrationRunner.compareVersions));
+    }
+  );
+};
+
+/**
+ * Applies pending migrations of a plugin.
+ *
+ * Migrations not applied yet are applied in ascending version order. If a migration fails, next migrations are not
+ * applied, previously applied migrations are kept.
+ *
+ * @param {String} plugin The name of the plugin
+ * @param {Array} migrations The list of migrations of the plugin
+ * @param {String} migrations[].version The version of the plugin the migration leads to
+ * @param {module:storages/MigrationRunner~MigrationRunner~migrationFunction} migrations[].up The function applying
+ * the migration
+ * @param {module:storages/MigrationRunner~MigrationRunner~migrationFunction} [migrations[].down] The function
+ * reverting the migration
+ * @param {Object} [options] Migration options
+ * @param {String} [options.version] The version to stop at, all pending migrations are applied by default
+ * @param {Boolean} [options.dryRun=false] true to only get the migrations which would be applied without applying
+ * them
+ * @param {module:storages/MigrationRunner~MigrationRunner~migrateCallback} [callback] The function to call when
+ * it's done
+ */
+MigrationRunner.prototype.up = function(plugin, migrations, options, callback) {
+  options = options || {};
+
+  run.call(this, plugin, options.dryRun, function(applied) {
+    return migrations.filter(function(migration) {
+      return applied.indexOf(migration.version) < 0 &&
+        (!options.version || MigrationRunner.compareVersions(migration.version, options.version) <= 0);
+    }).sort(function(migration1, migration2) {
+      return MigrationRunner.compareVersions(migration1.version, migration2.version);
+    }).map(function(migration) {
+      return {version: migration.version, execute: migration.up, isUp: true};
+    });
+  }, callback);
+};
+
+/**
+ * Reverts applied migrations of a plugin.
+ *
+ * Migrations are reverted in descending version order. Without target version only the last applied migration is
+ * reverted.
+ *
+ * @param {String} plugin The name of the plugin
+ * @param {Array} migrations The list of migrations of the plugin, see
+ * [up]{@link module:storages/MigrationRunner~MigrationRunner#up}
+ * @param {Object} [options] Migration options
+ * @param {String} [options.version] The version to go back to, migrations with a greater version are reverted
+ * @param {Boolean} [options.dryRun=false] true to only get the migrations which would be reverted without reverting
+ * them
+ * @param {module:storages/MigrationRunner~MigrationRunner~migrateCallback} [callback] The function to call when
+ * it's done
+ */
+MigrationRunner.prototype.down = function(plugin, migrations, options, callback) {
+  options = options || {};
+
+  run.call(this, plugin, options.dryRun, function(applied) {
+    return applied.reverse().filter(function(version, index) {
+      if (options.version) return MigrationRunner.compareVersions(version, options.version) > 0;
+      return index === 0;
+    }).map(function(version) {
+      var migration = migrations.filter(function(migration) {
+        return migration.version === version;
+      })[0];
+
+      if (!migration || !migration.down) {
+        throw new StorageError(
+          'Migration ' + version + ' of plugin ' + plugin + ' can\'t be reverted',
+          databaseErrors.MIGRATION_NOT_REVERSIBLE_ERROR
+        );
+      }
+
+      return {version: version, execute: migration.down, isUp: false};
+    });
+  }, callback);
+};
+
+promiseSupport.addPromiseSupportToMethods(MigrationRunner.prototype, {
+  getApplied: null,
+  up: null,
+  down: null
+});
+
+/**
+ * @callback module:storages/MigrationRunner~MigrationRunner~migrationFunction
+ * @param {module:storages/Database~Database} database The database to migrate
+ * @param {callback} callback The function to call when migration is done
+ */
+
+/**
+ * @callback module:storages/MigrationRunner~MigrationRunner~getAppliedCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Array|Undefined)} versions The versions of the applied migrations in ascending order
+ */
+
+/**
+ * @callback module:storages/MigrationRunner~MigrationRunner~migrateCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Array|Undefined)} versions The versions of the applied or reverted migrations, in execution order
+ */
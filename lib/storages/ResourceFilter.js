@@ -4,6 +4,8 @@
  * @module storages/ResourceFilter
  */
 
+var utilExt = process.requireApi('lib/util.js');
+
 /**
  * Defines a storage filter.
  *
@@ -85,10 +87,67 @@ ResourceFilter.OPERATORS = {
   LESSER_THAN: 'lesserThan',
   LESSER_THAN_EQUAL: 'lesserThanEqual',
   REGEX: 'regex',
-  SEARCH: 'search'
+  SEARCH: 'search',
+  ELEM_MATCH: 'elemMatch',
+  SIZE: 'size',
+  TYPE: 'type',
+  EQUAL_IGNORE_CASE: 'equalIgnoreCase',
+  NEAR: 'near',
+  WITHIN_BOX: 'withinBox'
 };
 Object.freeze(ResourceFilter.OPERATORS);
 
+/**
+ * The types available for the "type" operation.
+ *
+ * @const
+ * @type {Object}
+ * @default
+ * @static
+ */
+ResourceFilter.TYPES = {
+  STRING: 'string',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  ARRAY: 'array',
+  OBJECT: 'object',
+  NULL: 'null'
+};
+Object.freeze(ResourceFilter.TYPES);
+
+/**
+ * The radius of the earth in meters used to compute distances of "near" operations, just like MongoDB does.
+ *
+ * @const
+ * @type {Number}
+ * @default
+ * @static
+ */
+ResourceFilter.EARTH_RADIUS = 6378100;
+
+/**
+ * The operators of the query string grammar with their corresponding operators.
+ *
+ * @const
+ * @type {Object}
+ * @default
+ * @static
+ */
+ResourceFilter.QUERY_OPERATORS = {
+  eq: ResourceFilter.OPERATORS.EQUAL,
+  ne: ResourceFilter.OPERATORS.NOT_EQUAL,
+  gt: ResourceFilter.OPERATORS.GREATER_THAN,
+  gte: ResourceFilter.OPERATORS.GREATER_THAN_EQUAL,
+  lt: ResourceFilter.OPERATORS.LESSER_THAN,
+  lte: ResourceFilter.OPERATORS.LESSER_THAN_EQUAL,
+  in: ResourceFilter.OPERATORS.IN,
+  nin: ResourceFilter.OPERATORS.NOT_IN,
+  exists: ResourceFilter.OPERATORS.EXISTS,
+  regex: ResourceFilter.OPERATORS.REGEX
+};
+Object.freeze(ResourceFilter.QUERY_OPERATORS);
+
 /**
  * Validates the type of a value.
  *
@@ -109,6 +168,149 @@ function isValidType(value, authorizedTypes) {
   return false;
 }
 
+/**
+ * Validates geographic coordinates.
+ *
+ * @method isValidCoordinates
+ * @private
+ * @memberof module:storages/ResourceFilter~ResourceFilter
+ * @param {Array} value The coordinates to test
+ * @return {Boolean} true if value holds a longitude between -180 and 180 and a latitude between -90 and 90
+ */
+function isValidCoordinates(value) {
+  return isValidType(value, ['Array']) &&
+    value.length === 2 &&
+    isValidType(value[0], ['Number']) &&
+    isValidType(value[1], ['Number']) &&
+    value[0] >= -180 && value[0] <= 180 &&
+    value[1] >= -90 && value[1] <= 90;
+}
+
+/**
+ * Tests if an operator is a logical operator.
+ *
+ * @method isLogicalOperator
+ * @private
+ * @memberof module:storages/ResourceFilter~ResourceFilter
+ * @param {String} operator The operator
+ * @return {Boolean} true if the operator is "or", "nor" or "and", false otherwise
+ */
+function isLogicalOperator(operator) {
+  return [
+    ResourceFilter.OPERATORS.OR,
+    ResourceFilter.OPERATORS.NOR,
+    ResourceFilter.OPERATORS.AND
+  ].indexOf(operator) >= 0;
+}
+
+/**
+ * Encodes the value of an operation to be serialized into JSON.
+ *
+ * Dates and regular expressions are encoded into objects as JSON does not support them.
+ *
+ * @method encodeValue
+ * @private
+ * @memberof module:storages/ResourceFilter~ResourceFilter
+ * @param {*} value The value to encode
+ * @return {*} The encoded value
+ */
+function encodeValue(value) {
+  if (isValidType(value, ['Date'])) return {$date: value.toISOString()};
+  if (isValidType(value, ['RegExp'])) return {$regex: value.source, $flags: value.flags};
+  if (isValidType(value, ['Array'])) return value.map(encodeValue);
+  return value;
+}
+
+/**
+ * Decodes the value of an operation encoded by encodeValue.
+ *
+ * @method decodeValue
+ * @private
+ * @memberof module:storages/ResourceFilter~ResourceFilter
+ * @param {*} value The value to decode
+ * @return {*} The decoded value
+ * @throws {TypeError} An error if the value is not a valid date or regular expression
+ */
+function decodeValue(value) {
+  if (isValidType(value, ['Array'])) return value.map(decodeValue);
+  if (!isValidType(value, ['Object'])) return value;
+
+  if (value.$date !== undefined) {
+    var date = new Date(value.$date);
+    if (isNaN(date.getTime())) throw new TypeError('Invalid date');
+    return date;
+  }
+
+  if (value.$regex !== undefined) {
+    try {
+      return new RegExp(value.$regex, value.$flags);
+    } catch (error) {
+      throw new TypeError('Invalid regular expression');
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Converts a value from a query string to the type of a field.
+ *
+ * @method parseQueryValue
+ * @private
+ * @memberof module:storages/ResourceFilter~ResourceFilter
+ * @param {*} value The value from the query string
+ * @param {String} type The type of the field, either "string", "number", "boolean" or "date"
+ * @return {(String|Number|Boolean|Date)} The converted value
+ * @throws {TypeError} An error if the value can't be converted
+ */
+function parseQueryValue(value, type) {
+  if (!isValidType(value, ['String', 'Number', 'Boolean'])) throw new TypeError('Invalid value');
+
+  switch (type) {
+    case 'string':
+      return String(value);
+    case 'number':
+      if (value === '' || isNaN(Number(value))) throw new TypeError('Invalid number ' + value);
+      return Number(value);
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new TypeError('Invalid boolean ' + value);
+    case 'date':
+      var date = new Date(/^[0-9]+$/.test(value) ? Number(value) : value);
+      if (value === '' || isNaN(date.getTime())) throw new TypeError('Invalid date ' + value);
+      return date;
+    default:
+      throw new TypeError('Unknown field type ' + type);
+  }
+}
+
+/**
+ * Converts a value from a query string to the type of a filterable field and validates it.
+ *
+ * @method parseFieldValue
+ * @private
+ * @memberof module:storages/ResourceFilter~ResourceFilter
+ * @param {*} value The value from the query string
+ * @param {Object} field The description of the filterable field
+ * @param {String} field.type The type of the field, either "string", "number", "boolean" or "date"
+ * @return {(String|Number|Boolean|Date)} The converted value
+ * @throws {TypeError} An error if the value can't be converted or does not respect the field validation rules
+ */
+function parseFieldValue(value, field) {
+  var validation = Object.assign({}, field);
+  var parsedValue = parseQueryValue(value, field.type);
+  delete validation.operators;
+
+  try {
+    utilExt.shallowValidateObject({value: parsedValue}, {value: validation});
+  } catch (error) {
+    throw new TypeError(error.message);
+  }
+
+  return parsedValue;
+}
+
 /**
  * Adds a comparison operation to the filter.
  *
@@ -353,6 +555,135 @@ ResourceFilter.prototype.regex = function(field, value) {
   );
 };
 
+/**
+ * Adds an "element match" operation to the filter.
+ *
+ * Field must be an array of sub documents, at least one of them must match all the operations of the sub filter.
+ *
+ * @example
+ * // Entities with a chapter tagged "intro" and published
+ * new ResourceFilter().elemMatch('chapters', new ResourceFilter().equal('tag', 'intro').equal('published', true));
+ *
+ * @param {String} field The name of the field
+ * @param {module:storages/ResourceFilter~ResourceFilter} value The filter the sub documents have to match, with
+ * fields relative to the sub documents
+ * @return {module:storages/ResourceFilter~ResourceFilter} The actual filter
+ * @throws {TypeError} An error if field and / or value is not valid
+ */
+ResourceFilter.prototype.elemMatch = function(field, value) {
+  if (!(value instanceof ResourceFilter)) throw new TypeError('Invalid value');
+
+  return addComparisonOperation.call(this, field, value, ResourceFilter.OPERATORS.ELEM_MATCH, ['Object']);
+};
+
+/**
+ * Adds a "size" operation to the filter.
+ *
+ * @param {String} field The name of the field
+ * @param {Number} value The expected number of items of the array field
+ * @return {module:storages/ResourceFilter~ResourceFilter} The actual filter
+ * @throws {TypeError} An error if field and / or value is not valid
+ */
+ResourceFilter.prototype.size = function(field, value) {
+  if (!Number.isInteger(value) || value < 0) throw new TypeError('Invalid value');
+
+  return addComparisonOperation.call(this, field, value, ResourceFilter.OPERATORS.SIZE, ['Number']);
+};
+
+/**
+ * Adds a "type" operation to the filter.
+ *
+ * @param {String} field The name of the field
+ * @param {String} value The expected type of the field, see
+ * [TYPES]{@link module:storages/ResourceFilter~ResourceFilter.TYPES}
+ * @return {module:storages/ResourceFilter~ResourceFilter} The actual filter
+ * @throws {TypeError} An error if field and / or value is not valid
+ */
+ResourceFilter.prototype.type = function(field, value) {
+  var types = Object.keys(ResourceFilter.TYPES).map(function(key) {
+    return ResourceFilter.TYPES[key];
+  });
+  if (types.indexOf(value) < 0) throw new TypeError('Invalid value');
+
+  return addComparisonOperation.call(this, field, value, ResourceFilter.OPERATORS.TYPE, ['String']);
+};
+
+/**
+ * Adds a "case insensitive equal" operation to the filter.
+ *
+ * @param {String} field The name of the field
+ * @param {String} value The value to compare the field to, regardless of the case
+ * @return {module:storages/ResourceFilter~ResourceFilter} The actual filter
+ * @throws {TypeError} An error if field and / or value is not valid
+ */
+ResourceFilter.prototype.equalIgnoreCase = function(field, value) {
+  return addComparisonOperation.call(this, field, value, ResourceFilter.OPERATORS.EQUAL_IGNORE_CASE, ['String']);
+};
+
+/**
+ * Adds a "greater than or equal" and a "lesser than or equal" operations to the filter.
+ *
+ * @param {String} field The name of the field
+ * @param {(String|Number|Date)} min The lowest value of the field, included
+ * @param {(String|Number|Date)} max The highest value of the field, included
+ * @return {module:storages/ResourceFilter~ResourceFilter} The actual filter
+ * @throws {TypeError} An error if field, min and / or max are not valid
+ */
+ResourceFilter.prototype.between = function(field, min, max) {
+  if (!isValidType(min, ['String', 'Date', 'Number']) || !isValidType(max, ['String', 'Date', 'Number']))
+    throw new TypeError('Invalid value');
+
+  return this.greaterThanEqual(field, min).lesserThanEqual(field, max);
+};
+
+/**
+ * Adds a "near" operation to the filter.
+ *
+ * Field must hold a location, either a GeoJSON point or a legacy coordinates pair [longitude, latitude]. The location
+ * must be within the given distance of the given point on the earth sphere.
+ *
+ * @example
+ * // Events within 10 kilometers of Paris
+ * new ResourceFilter().near('location', [2.3522, 48.8566], 10000);
+ *
+ * @param {String} field The name of the field
+ * @param {Array} coordinates The coordinates of the point as [longitude, latitude]
+ * @param {Number} distance The maximum distance in meters
+ * @return {module:storages/ResourceFilter~ResourceFilter} The actual filter
+ * @throws {TypeError} An error if field, coordinates and / or distance are not valid
+ */
+ResourceFilter.prototype.near = function(field, coordinates, distance) {
+  if (!isValidCoordinates(coordinates)) throw new TypeError('Invalid coordinates');
+  if (!isValidType(distance, ['Number']) || distance < 0) throw new TypeError('Invalid distance');
+
+  return addComparisonOperation.call(
+    this,
+    field,
+    {coordinates: coordinates, distance: distance},
+    ResourceFilter.OPERATORS.NEAR,
+    ['Object']
+  );
+};
+
+/**
+ * Adds a "within box" operation to the filter.
+ *
+ * Field must hold a location, either a GeoJSON point or a legacy coordinates pair [longitude, latitude]. The location
+ * must be within the box.
+ *
+ * @param {String} field The name of the field
+ * @param {Array} value The bottom left and top right corners of the box as
+ * [[longitude, latitude], [longitude, latitude]]
+ * @return {module:storages/ResourceFilter~ResourceFilter} The actual filter
+ * @throws {TypeError} An error if field and / or value is not valid
+ */
+ResourceFilter.prototype.withinBox = function(field, value) {
+  if (!isValidType(value, ['Array']) || value.length !== 2 || !value.every(isValidCoordinates))
+    throw new TypeError('Invalid value');
+
+  return addComparisonOperation.call(this, field, value, ResourceFilter.OPERATORS.WITHIN_BOX, ['Array']);
+};
+
 /**
  * Adds a "or" operation to the filter.
  *
@@ -471,3 +802,189 @@ ResourceFilter.prototype.getComparisonOperation = function(operator, field) {
 
   return null;
 };
+
+/**
+ * Gets the JSON representation of the filter.
+ *
+ * Dates are represented by an object with the ISO date as "$date" property and regular expressions by an object with
+ * the pattern as "$regex" property and the flags as "$flags" property. It makes the filter serializable with
+ * JSON.stringify, see [fromJSON]{@link module:storages/ResourceFilter~ResourceFilter.fromJSON} to build it back.
+ *
+ * @example
+ * var json = JSON.stringify(new ResourceFilter().equal('field', 42).or([new ResourceFilter().regex('title', /foo/)]));
+ *
+ * // [{"type":"equal","field":"field","value":42},
+ * // {"type":"or","filters":[[{"type":"regex","field":"title","value":{"$regex":"foo","$flags":""}}]]}]
+ * console.log(json);
+ *
+ * @return {Array} The list of operations, logical operations holding the JSON representation of their filters
+ */
+ResourceFilter.prototype.toJSON = function() {
+  return this.operations.map(function(operation) {
+    if (isLogicalOperator(operation.type)) {
+      return {
+        type: operation.type,
+        filters: operation.filters.map(function(filter) {
+          return filter.toJSON();
+        })
+      };
+    }
+
+    var json = {type: operation.type};
+    if (operation.field !== undefined) json.field = operation.field;
+    json.value = (operation.value instanceof ResourceFilter) ? operation.value.toJSON() : encodeValue(operation.value);
+    return json;
+  });
+};
+
+/**
+ * Builds a filter from its JSON representation.
+ *
+ * @example
+ * var filter = ResourceFilter.fromJSON('[{"type":"greaterThan","field":"date","value":{"$date":"2020-01-01"}}]');
+ *
+ * @static
+ * @param {(Array|String)} json The JSON representation of the filter as returned by
+ * [toJSON]{@link module:storages/ResourceFilter~ResourceFilter#toJSON}, either parsed or not
+ * @return {module:storages/ResourceFilter~ResourceFilter} The filter
+ * @throws {TypeError} An error if the JSON representation is not valid, or if operators or values are not valid
+ */
+ResourceFilter.fromJSON = function(json) {
+  var filter = new ResourceFilter();
+  var operators = Object.keys(ResourceFilter.OPERATORS).map(function(key) {
+    return ResourceFilter.OPERATORS[key];
+  });
+
+  if (isValidType(json, ['String'])) {
+    try {
+      json = JSON.parse(json);
+    } catch (error) {
+      throw new TypeError('Invalid JSON');
+    }
+  }
+
+  if (!isValidType(json, ['Array'])) throw new TypeError('Invalid filter');
+
+  json.forEach(function(operation) {
+    if (!isValidType(operation, ['Object'])) throw new TypeError('Invalid operation');
+
+    if (operators.indexOf(operation.type) < 0) throw new TypeError('Unknown operator ' + operation.type);
+
+    if (isLogicalOperator(operation.type)) {
+      if (!isValidType(operation.filters, ['Array'])) throw new TypeError('Invalid filters');
+      filter[operation.type](operation.filters.map(ResourceFilter.fromJSON));
+    } else if (operation.type === ResourceFilter.OPERATORS.SEARCH)
+      filter.search(operation.value);
+    else if (operation.type === ResourceFilter.OPERATORS.ELEM_MATCH)
+      filter.elemMatch(operation.field, ResourceFilter.fromJSON(operation.value));
+    else if (operation.type === ResourceFilter.OPERATORS.NEAR) {
+      if (!isValidType(operation.value, ['Object'])) throw new TypeError('Invalid value');
+      filter.near(operation.field, operation.value.coordinates, operation.value.distance);
+    } else
+      filter[operation.type](operation.field, decodeValue(operation.value));
+  });
+
+  return filter;
+};
+
+/**
+ * Builds a filter from a parsed query string.
+ *
+ * The query string grammar associates each field to its operations using brackets, with operators from
+ * [QUERY_OPERATORS]{@link module:storages/ResourceFilter~ResourceFilter.QUERY_OPERATORS}. A field associated
+ * directly to a value is an equal operation. Logical operations "or", "nor" and "and" hold lists of filters using the
+ * same grammar and "search" holds the search query. Values are converted to the types of the fields. Values of "in"
+ * and "nin" are either lists or comma separated values. Values of "regex" are matched as case insensitive texts
+ * anywhere in the field, as any regular expression from a client could be too costly to execute.
+ *
+ * A filterable field is described either by its type or by an object with its type, the list of its authorized query
+ * operators and [shallowValidateObject]{@link module:util.shallowValidateObject} rules (e.g. "in", "gte") applied to
+ * the compared values.
+ *
+ * @example
+ * // With request.query parsed from:
+ * // ?filter[duration][gte]=60&filter[or][0][title][regex]=foo&filter[or][1][user]=42
+ * var filter = ResourceFilter.fromQuery(request.query.filter, {
+ *   fields: {
+ *     duration: {type: 'number', operators: ['gt', 'gte', 'lt', 'lte'], gte: 0},
+ *     title: 'string',
+ *     user: 'string'
+ *   }
+ * });
+ *
+ * @static
+ * @param {Object} [query] The parsed query string
+ * @param {Object} options Parsing options
+ * @param {Object} options.fields The filterable fields with their types ("string", "number", "boolean" or "date")
+ * or their descriptions
+ * @param {Boolean} [options.search=false] true to authorize the "search" operation
+ * @return {module:storages/ResourceFilter~ResourceFilter} The filter
+ * @throws {TypeError} An error if the query contains unknown or unauthorized operators, fields which are not
+ * filterable or values which can't be converted or are not valid
+ */
+ResourceFilter.fromQuery = function(query, options) {
+  var filter = new ResourceFilter();
+  var fields = options.fields || {};
+  if (query === undefined || query === null || query === '') return filter;
+  if (!isValidType(query, ['Object'])) throw new TypeError('Invalid filter');
+
+  Object.keys(query).forEach(function(key) {
+    var value = query[key];
+
+    if (isLogicalOperator(key)) {
+
+      // qs parses big arrays as objects with indexes as keys
+      if (isValidType(value, ['Object'])) {
+        value = Object.keys(value).map(function(index) {
+          return value[index];
+        });
+      }
+      if (!isValidType(value, ['Array'])) throw new TypeError('Invalid filters for ' + key);
+
+      filter[key](value.map(function(subQuery) {
+        return ResourceFilter.fromQuery(subQuery, options);
+      }));
+      return;
+    }
+
+    if (key === ResourceFilter.OPERATORS.SEARCH) {
+      if (!options.search) throw new TypeError('Search is not authorized');
+      filter.search(parseQueryValue(value, 'string'));
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) throw new TypeError('Field ' + key + ' is not filterable');
+    var field = isValidType(fields[key], ['String']) ? {type: fields[key]} : fields[key];
+    var operations = isValidType(value, ['Object']) ? value : {eq: value};
+
+    Object.keys(operations).forEach(function(queryOperator) {
+      var operator = ResourceFilter.QUERY_OPERATORS[queryOperator];
+      var operationValue = operations[queryOperator];
+
+      if (!Object.prototype.hasOwnProperty.call(ResourceFilter.QUERY_OPERATORS, queryOperator))
+        throw new TypeError('Unknown operator ' + queryOperator);
+
+      if (field.operators && field.operators.indexOf(queryOperator) < 0)
+        throw new TypeError('Operator ' + queryOperator + ' is not authorized on field ' + key);
+
+      if (operator === ResourceFilter.OPERATORS.IN || operator === ResourceFilter.OPERATORS.NOT_IN) {
+        if (isValidType(operationValue, ['String'])) operationValue = operationValue.split(',');
+        if (!isValidType(operationValue, ['Array'])) throw new TypeError('Invalid list for ' + key);
+
+        filter[operator](key, operationValue.map(function(item) {
+          return parseFieldValue(item, field);
+        }));
+      } else if (operator === ResourceFilter.OPERATORS.EXISTS)
+        filter.exists(key, parseQueryValue(operationValue, 'boolean'));
+      else if (operator === ResourceFilter.OPERATORS.REGEX) {
+        filter.regex(
+          key,
+          new RegExp(utilExt.escapeTextForRegExp(parseQueryValue(operationValue, 'string')), 'i')
+        );
+      } else
+        filter[operator](key, parseFieldValue(operationValue, field));
+    });
+  });
+
+  return filter;
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * @module storages/ResourceUpdate
+ */
+
+/**
+ * Defines a storage update.
+ *
+ * An update is a uniform way of describing modifications to perform on resources, common to all storages. Contrary
+ * to a plain object of fields to set, an update can describe atomic modifications like incrementing a counter or
+ * adding an item to an array, without having to read the resource first.
+ *
+ * @example
+ * var update = new ResourceUpdate()
+ * .set('field1', 42)
+ * .unset('field2')
+ * .increment('field3', 1)
+ * .push('field4', 'value')
+ * .pull('field5', 'value')
+ * .addToSet('field6', 'value');
+ *
+ * @class ResourceUpdate
+ * @constructor
+ */
+function ResourceUpdate() {
+  Object.defineProperties(this,
+
+    /** @lends module:storages/ResourceUpdate~ResourceUpdate */
+    {
+
+      /**
+       * The list of operations.
+       *
+       * @type {Array}
+       * @instance
+       * @readonly
+       */
+      operations: {
+        value: []
+      }
+
+    }
+
+  );
+}
+
+module.exports = ResourceUpdate;
+
+/**
+ * The available operators.
+ *
+ * @const
+ * @type {Object}
+ * @default
+ * @static
+ */
+ResourceUpdate.OPERATORS = {
+  SET: 'set',
+  UNSET: 'unset',
+  INCREMENT: 'increment',
+  PUSH: 'push',
+  PULL: 'pull',
+  ADD_TO_SET: 'addToSet'
+};
+Object.freeze(ResourceUpdate.OPERATORS);
+
+/**
+ * Adds an operation to the update.
+ *
+ * @method addOperation
+ * @private
+ * @this module:storages/ResourceUpdate~ResourceUpdate
+ * @memberof module:storages/ResourceUpdate~ResourceUpdate
+ * @param {String} field The name of the field
+ * @param {*} value The value of the operation
+ * @param {String} operator Resource update operator
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The actual update
+ * @throws {TypeError} An error if field is not valid
+ */
+function addOperation(field, value, operator) {
+  if (Object.prototype.toString.call(field) !== '[object String]' || !field) throw new TypeError('Invalid field');
+
+  this.operations.push({
+    type: operator,
+    field: field,
+    value: value
+  });
+  return this;
+}
+
+/**
+ * Builds an update from a plain object of fields to set.
+ *
+ * @static
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data Either the fields to set with field names as
+ * keys and values as values, or an update which is returned as is
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The update
+ */
+ResourceUpdate.from = function(data) {
+  if (data instanceof ResourceUpdate) return data;
+
+  var update = new ResourceUpdate();
+  for (var field in data) update.set(field, data[field]);
+  return update;
+};
+
+/**
+ * Adds a set operation to the update.
+ *
+ * @param {String} field The name of the field
+ * @param {*} value The new value of the field
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The actual update
+ * @throws {TypeError} An error if field is not valid
+ */
+ResourceUpdate.prototype.set = function(field, value) {
+  return addOperation.call(this, field, value, ResourceUpdate.OPERATORS.SET);
+};
+
+/**
+ * Adds an unset operation to the update.
+ *
+ * @param {String} field The name of the field to remove
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The actual update
+ * @throws {TypeError} An error if field is not valid
+ */
+ResourceUpdate.prototype.unset = function(field) {
+  return addOperation.call(this, field, undefined, ResourceUpdate.OPERATORS.UNSET);
+};
+
+/**
+ * Adds an increment operation to the update.
+ *
+ * If the field does not exist, it is created with the value.
+ *
+ * @param {String} field The name of the field
+ * @param {Number} value The value to add to the field, could be negative
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The actual update
+ * @throws {TypeError} An error if field and / or value is not valid
+ */
+ResourceUpdate.prototype.increment = function(field, value) {
+  if (Object.prototype.toString.call(value) !== '[object Number]') throw new TypeError('Invalid value');
+  return addOperation.call(this, field, value, ResourceUpdate.OPERATORS.INCREMENT);
+};
+
+/**
+ * Adds a push operation to the update.
+ *
+ * The value is added at the end of the array, if the field does not exist, it is created.
+ *
+ * @param {String} field The name of the field holding an array
+ * @param {*} value The value to add to the array
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The actual update
+ * @throws {TypeError} An error if field is not valid
+ */
+ResourceUpdate.prototype.push = function(field, value) {
+  return addOperation.call(this, field, value, ResourceUpdate.OPERATORS.PUSH);
+};
+
+/**
+ * Adds a pull operation to the update.
+ *
+ * All items of the array equal to the value are removed.
+ *
+ * @param {String} field The name of the field holding an array
+ * @param {*} value The value to remove from the array
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The actual update
+ * @throws {TypeError} An error if field is not valid
+ */
+ResourceUpdate.prototype.pull = function(field, value) {
+  return addOperation.call(this, field, value, ResourceUpdate.OPERATORS.PULL);
+};
+
+/**
+ * Adds an addToSet operation to the update.
+ *
+ * The value is added at the end of the array only if the array does not already contain it. If the field does not
+ * exist, it is created.
+ *
+ * @param {String} field The name of the field holding an array
+ * @param {*} value The value to add to the array
+ * @return {module:storages/ResourceUpdate~ResourceUpdate} The actual update
+ * @throws {TypeError} An error if field is not valid
+ */
+ResourceUpdate.prototype.addToSet = function(field, value) {
+  return addOperation.call(this, field, value, ResourceUpdate.OPERATORS.ADD_TO_SET);
+};
@@ -4,6 +4,11 @@
  * @module storages/Storage
  */
 
+var events = require('events');
+var util = require('util');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
+var archive = process.requireApi('lib/storages/archive.js');
+
 /**
  * Defines base storage for all storages.
  *
@@ -11,7 +16,26 @@
  *
  * This should not be used directly, use one of its subclasses instead.
  *
+ * Asynchronous methods of storages return a Promise if called without callback. If the callback receives several
+ * results, the Promise is resolved with an object containing results by names (e.g. "resources" and "pagination"
+ * for the get method, "total" and "resources" for the add method).
+ *
+ * @example
+ * // Using a callback
+ * storage.get('collection', null, null, 10, 0, null, function(error, resources, pagination) {
+ *   console.log(resources, pagination);
+ * });
+ *
+ * // Using a Promise
+ * var result = await storage.get('collection', null, null, 10, 0, null);
+ * console.log(result.resources, result.pagination);
+ *
+ * Storages may emit events about their state, see
+ * [MongoDatabase]{@link module:storages/MongoDatabase~MongoDatabase} for example.
+ *
  * @class Storage
+ * @extends EventEmitter
+ * @see {@link https://nodejs.org/dist/latest-v16.x/docs/api/events.html#events_class_eventemitter}
  * @constructor
  * @param {Object} configuration Storage configuration which depends on the Storage type
  * @throws {TypeError} If configuration is missing
@@ -20,6 +44,8 @@ function Storage(configuration) {
   if (Object.prototype.toString.call(configuration) !== '[object Object]')
     throw new TypeError('Storage configuration must be an Object');
 
+  Storage.super_.call(this);
+
   Object.defineProperties(this,
 
     /** @lends module:storages/Storage~Storage */
@@ -43,6 +69,52 @@ function Storage(configuration) {
 }
 
 module.exports = Storage;
+util.inherits(Storage, events.EventEmitter);
+
+/**
+ * The available aggregation accumulators.
+ *
+ * @const
+ * @type {Object}
+ * @default
+ * @static
+ */
+Storage.ACCUMULATORS = {
+  COUNT: 'count',
+  SUM: 'sum',
+  AVERAGE: 'avg',
+  MIN: 'min',
+  MAX: 'max'
+};
+Object.freeze(Storage.ACCUMULATORS);
+
+/**
+ * The available units to group resources by date.
+ *
+ * Dates are grouped in UTC and group values are strings like "2023", "2023-02" or "2023-02-27".
+ *
+ * @const
+ * @type {Object}
+ * @default
+ * @static
+ */
+Storage.DATE_UNITS = {
+  YEAR: 'year',
+  MONTH: 'month',
+  DAY: 'day'
+};
+Object.freeze(Storage.DATE_UNITS);
+
+/**
+ * The available policies to resolve conflicts when importing resources which already exist, see
+ * [importArchive]{@link module:storages/Storage~Storage#importArchive}.
+ *
+ * @const
+ * @type {Object}
+ * @default
+ * @static
+ */
+Storage.CONFLICT_POLICIES = archive.CONFLICT_POLICIES;
 
 /**
  * Adds resources to the storage.
@@ -58,6 +130,22 @@ Storage.prototype.add = function(location, resources, callback) {
 /**
  * Fetches resources from the storage.
  *
+ * Resources are paginated either using page numbers or using cursors. Page numbers are simple but getting a page
+ * requires to skip resources of all previous pages and resources may be skipped or repeated if resources are added
+ * or removed between two calls. Cursors point to the resource after which (or before which) the page begins, use
+ * nextCursor or previousCursor from the pagination of a call as the cursor of the next call. Resources must have a
+ * unique "id" property, used to order resources with the same sort values. Cursors can't be used to sort by text
+ * score.
+ *
+ * @example
+ * // Get the first page of resources using cursors
+ * storage.get('location', null, null, 10, {}, {date: 'desc'}, function(error, resources, pagination) {
+ *
+ *   // Then the next page
+ *   storage.get('location', null, null, 10, {cursor: pagination.nextCursor}, {date: 'desc'}, callback);
+ *
+ * });
+ *
  * @param {String} location The storage location where to search for resources
  * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources
  * @param {Object} [fields] Expected resource fields to be included or excluded from the response, by default all
@@ -66,7 +154,10 @@ Storage.prototype.add = function(location, resources, callback) {
  * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
  * if include is also specified.
  * @param {Number} [limit] A limit number of resources to retrieve (10 by default)
- * @param {Number} [page] The page number started at 0 for the first page
+ * @param {(Number|Object)} [page] The page number started at 0 for the first page or an object with the cursor of
+ * the page to paginate using cursors
+ * @param {String} [page.cursor] The cursor returned in the pagination of a previous call, the first page if not
+ * specified
  * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
  * value (e.g. {field1: 'asc', field2: 'desc'})
  * @param {module:storages/Storage~Storage~getCallback} callback The function to call when it's done
@@ -91,18 +182,115 @@ Storage.prototype.getOne = function(location, filter, fields, callback) {
   throw new Error('getOne method not implemented for this Storage');
 };
 
+/**
+ * Gets a readable stream of resources from the storage.
+ *
+ * Resources are read from the storage as the stream is consumed, the stream can thus be used to go through all the
+ * resources of a location without loading them all in memory. The stream emits an "error" event if something went
+ * wrong. Destroying the stream releases resources held by the storage.
+ *
+ * @param {String} location The storage location where to search for resources
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources
+ * @param {Object} [fields] Expected resource fields to be included or excluded from the response, by default all
+ * fields are returned. Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc'})
+ * @return {stream.Readable} A readable stream in object mode emitting resources
+ */
+Storage.prototype.stream = function(location, filter, fields, sort) {
+  throw new Error('stream method not implemented for this Storage');
+};
+
+/**
+ * Gets a readable stream of the changes made to the resources of a storage location.
+ *
+ * Contrary to the events emitted by [EntityProvider]{@link module:providers/EntityProvider~EntityProvider}, changes
+ * made by other processes using the same storage are also observed. Destroying the stream stops observing changes.
+ *
+ * @param {String} location The storage location to observe
+ * @param {Object} [options] Options depending on the Storage type
+ * @return {stream.Readable} A readable stream in object mode emitting
+ * [changes]{@link module:storages/Storage~Storage~change}
+ */
+Storage.prototype.watch = function(location, options) {
+  throw new Error('watch method not implemented for this Storage');
+};
+
 /**
  * Updates a resource in the storage.
  *
  * @param {String} location The storage location where to find the resource to update
  * @param {module:storages/ResourceFilter~ResourceFilter} filter Rules to filter the resource to update
- * @param {Object} data The modifications to perform
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set with field names as keys and values as values or an update
  * @param {module:storages/Storage~Storage~updateOneCallback} [callback] The function to call when it's done
  */
 Storage.prototype.updateOne = function(location, filter, data, callback) {
   throw new Error('updateOne method not implemented for this Storage');
 };
 
+/**
+ * Updates several resources in the storage.
+ *
+ * @example
+ * // Increment views of all videos of a user
+ * storage.updateMany(
+ *   'videos',
+ *   new ResourceFilter().equal('user', 'user1'),
+ *   new ResourceUpdate().increment('views', 1),
+ *   function(error, total) {
+ *     console.log(total + ' videos updated');
+ *   }
+ * );
+ *
+ * @param {String} location The storage location where to find the resources to update
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set with field names as keys and values as values or an update
+ * @param {module:storages/Storage~Storage~updateManyCallback} [callback] The function to call when it's done
+ */
+Storage.prototype.updateMany = function(location, filter, data, callback) {
+  throw new Error('updateMany method not implemented for this Storage');
+};
+
+/**
+ * Updates a resource or inserts it if it does not exist.
+ *
+ * If a resource matches the filter, the modifications are applied to it as with
+ * [updateOne]{@link module:storages/Storage~Storage#updateOne}. Otherwise a new resource is inserted with the fields
+ * of the equality rules of the filter, the default fields and the modifications. Default fields are only used when
+ * inserting and are overridden by the modifications.
+ *
+ * Without a unique index on the filtered fields, concurrent upserts with the same filter may insert several
+ * resources.
+ *
+ * @example
+ * // Count views of a video, creating the statistics if they don't exist yet
+ * storage.upsertOne(
+ *   'statistics',
+ *   new ResourceFilter().equal('videoId', '42'),
+ *   new ResourceUpdate().increment('views', 1),
+ *   {created: Date.now()},
+ *   function(error, inserted) {
+ *     console.log(inserted ? 'Statistics created' : 'Statistics updated');
+ *   }
+ * );
+ *
+ * @param {String} location The storage location where to find the resource to update
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter the resource to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set with field names as keys and values as values or an update
+ * @param {Object} [insertDefaults] The fields to set only if the resource is inserted with field names as keys and
+ * values as values
+ * @param {module:storages/Storage~Storage~upsertOneCallback} [callback] The function to call when it's done
+ */
+Storage.prototype.upsertOne = function(location, filter, data, insertDefaults, callback) {
+  throw new Error('upsertOne method not implemented for this Storage');
+};
+
 /**
  * Removes resources from the storage.
  *
@@ -126,6 +314,184 @@ Storage.prototype.removeField = function(location, field, filter, callback) {
   throw new Error('removeField method not implemented for this Storage');
 };
 
+/**
+ * Counts resources of a storage location.
+ *
+ * @param {String} location The storage location where to count resources
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources to count
+ * @param {module:storages/Storage~Storage~countCallback} callback The function to call when it's done
+ */
+Storage.prototype.count = function(location, filter, callback) {
+  throw new Error('count method not implemented for this Storage');
+};
+
+/**
+ * Gets the distinct values of a field of resources.
+ *
+ * If the field holds arrays, each item of the arrays is considered as a value.
+ *
+ * @param {String} location The storage location where to search for resources
+ * @param {String} field The field to get values from
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources
+ * @param {module:storages/Storage~Storage~distinctCallback} callback The function to call when it's done
+ */
+Storage.prototype.distinct = function(location, field, filter, callback) {
+  throw new Error('distinct method not implemented for this Storage');
+};
+
+/**
+ * Groups resources and computes values for each group.
+ *
+ * Each group is described by an object containing the group values and the accumulated values, with the same names
+ * as in groupBy and accumulators. Groups are sorted by group values in ascending order.
+ *
+ * @example
+ * // Count videos and sum their views by group and by month
+ * storage.aggregate(
+ *   'videos',
+ *   new ResourceFilter().equal('state', 12),
+ *   {
+ *     group: {field: 'metadata.groups', unwind: true},
+ *     month: {field: 'date', unit: Storage.DATE_UNITS.MONTH}
+ *   },
+ *   {
+ *     total: {type: Storage.ACCUMULATORS.COUNT},
+ *     views: {type: Storage.ACCUMULATORS.SUM, field: 'views'}
+ *   },
+ *   function(error, groups) {
+ *     // groups: [{group: 'group1', month: '2023-01', total: 42, views: 1024}, ...]
+ *   }
+ * );
+ *
+ * @param {String} location The storage location where to search for resources
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources to aggregate
+ * @param {Object} [groupBy] The fields to group resources by, with the group names as keys and either the path of
+ * the field or a description of the field as values. If not specified, all resources are part of a single group
+ * @param {String} groupBy[].field The path of the field holding the value to group by
+ * @param {String} [groupBy[].unit] The [date unit]{@link module:storages/Storage~Storage.DATE_UNITS} to group by
+ * if the field holds dates (Date or timestamp in milliseconds)
+ * @param {Boolean} [groupBy[].unwind=false] true to group by each item of the field if it holds an array,
+ * resources without values for the field are then ignored
+ * @param {Object} accumulators The values to compute for each group, with the names as keys
+ * @param {String} accumulators[].type The [accumulator]{@link module:storages/Storage~Storage.ACCUMULATORS}
+ * @param {String} [accumulators[].field] The path of the field to accumulate, required for all accumulators except
+ * "count"
+ * @param {module:storages/Storage~Storage~aggregateCallback} callback The function to call when it's done
+ */
+Storage.prototype.aggregate = function(location, filter, groupBy, accumulators, callback) {
+  throw new Error('aggregate method not implemented for this Storage');
+};
+
+/**
+ * Executes several operations as a single unit of work.
+ *
+ * Operations have to be executed on the transaction given to the work function, which is a storage bound to the
+ * transaction, not on the storage itself. Modifications are committed if work succeeds and discarded if it fails.
+ *
+ * Storages unable to execute transactions may emulate them or not, by default work is executed on the storage itself
+ * and modifications made before a failure are kept.
+ *
+ * @example
+ * // Remove a video and its chapters
+ * storage.transaction(function(transaction, done) {
+ *   transaction.remove('videos', new ResourceFilter().equal('id', '42'), function(error) {
+ *     if (error) return done(error);
+ *     transaction.remove('chapters', new ResourceFilter().equal('videoId', '42'), done);
+ *   });
+ * }, function(error) {
+ *   if (error) console.log('Video has not been removed');
+ * });
+ *
+ * @param {module:storages/Storage~Storage~transactionWork} work The function executing the operations
+ * @param {module:storages/Storage~Storage~transactionCallback} [callback] The function to call when it's done
+ */
+Storage.prototype.transaction = function(work, callback) {
+  work(this, callback);
+};
+
+// Work, the first argument, is a function too
+Storage.prototype.transaction = promiseSupport.addPromiseSupport(Storage.prototype.transaction, null, 1);
+
+/**
+ * Exports resources into an archive.
+ *
+ * The archive is a tar file holding a NDJSON file per location, named after the location (e.g. "videos.ndjson"), with
+ * a resource per line. Resources are read using [stream]{@link module:storages/Storage~Storage#stream}, the archive
+ * can thus be imported into any other storage.
+ *
+ * @example
+ * // Export published videos and all the categories
+ * storage.exportArchive({
+ *   videos: new ResourceFilter().equal('state', 12),
+ *   categories: null
+ * }, '/tmp/content.tar', function(error, totals) {
+ *   console.log(totals.videos + ' videos exported');
+ * });
+ *
+ * @param {(Array|Object)} locations The list of locations to export or the filters of the resources to export by
+ * location, a null filter exports all the resources of the location
+ * @param {String} filePath The path of the archive to create
+ * @param {module:storages/Storage~Storage~exportArchiveCallback} [callback] The function to call when it's done
+ */
+Storage.prototype.exportArchive = function(locations, filePath, callback) {
+  archive.export(this, locations, filePath, callback);
+};
+
+/**
+ * Imports resources from an archive created by [exportArchive]{@link module:storages/Storage~Storage#exportArchive}.
+ *
+ * Resources conflict with existing resources having the same "id" property. Conflicts are resolved using a policy:
+ * - **fail** to import nothing if a resource already exists, the import fails with a StorageError
+ * IMPORT_CONFLICT_ERROR
+ * - **skip** to keep existing resources and import only the others
+ * - **overwrite** to replace existing resources by the imported ones
+ *
+ * Resources are imported by batches without transaction: with "skip" and "overwrite" policies, resources imported
+ * before a failure are kept. With the "overwrite" policy, the existing resources of a batch are replaced within a
+ * [transaction]{@link module:storages/Storage~Storage#transaction}, MongoDatabase then requires a replica set. An
+ * archive which is not a valid export, or with several resources having the same id in a batch, makes the import fail
+ * with a StorageError INVALID_ARCHIVE_ERROR.
+ *
+ * @example
+ * storage.importArchive('/tmp/content.tar', {policy: 'skip'}, function(error, results) {
+ *   console.log(results.videos.added + ' videos added, ' + results.videos.skipped + ' already there');
+ * });
+ *
+ * @param {String} filePath The path of the archive
+ * @param {Object} [options] Import options
+ * @param {String} [options.policy="fail"] The conflict policy, see
+ * [CONFLICT_POLICIES]{@link module:storages/Storage~Storage.CONFLICT_POLICIES}
+ * @param {Array} [options.locations] The list of locations to import, all the locations of the archive by default
+ * @param {module:storages/Storage~Storage~importArchiveCallback} [callback] The function to call when it's done
+ */
+Storage.prototype.importArchive = function(filePath, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  archive.import(this, filePath, options, callback);
+};
+
+promiseSupport.addPromiseSupportToMethods(Storage.prototype, {
+  exportArchive: null,
+  importArchive: null
+});
+
+/**
+ * @callback module:storages/Storage~Storage~exportArchiveCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Object|Undefined)} totals The number of exported resources by location
+ */
+
+/**
+ * @callback module:storages/Storage~Storage~importArchiveCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Object|Undefined)} results The results by location with, for each location, the number of added
+ * resources as "added", the number of replaced resources as "overwritten" and the number of ignored resources as
+ * "skipped"
+ */
+
 /**
  * @callback module:storages/Storage~Storage~addCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
@@ -139,9 +505,13 @@ Storage.prototype.removeField = function(location, field, filter, callback) {
  * @param {(Array|Undefined)} resources The list of retrieved resources
  * @param {(Object|Undefined)} pagination Pagination information
  * @param {(Number|Undefined)} pagination.limit The specified limit
- * @param {(Number|Undefined)} pagination.page The actual page
- * @param {(Number|Undefined)} pagination.pages The total number of pages
+ * @param {(Number|Undefined)} pagination.page The actual page, only when paginating using page numbers
+ * @param {(Number|Undefined)} pagination.pages The total number of pages, only when paginating using page numbers
  * @param {(Number|Undefined)} pagination.size The total number of resources
+ * @param {(String|null|Undefined)} pagination.nextCursor The cursor of the next page, null if there is no next
+ * page, only when paginating using cursors
+ * @param {(String|null|Undefined)} pagination.previousCursor The cursor of the previous page, null if there is no
+ * previous page, only when paginating using cursors
  */
 
 /**
@@ -156,6 +526,18 @@ Storage.prototype.removeField = function(location, field, filter, callback) {
  * @param {(Number|Undefined)} 1 if everything went fine
  */
 
+/**
+ * @callback module:storages/Storage~Storage~updateManyCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|Undefined)} total The number of modified resources
+ */
+
+/**
+ * @callback module:storages/Storage~Storage~upsertOneCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Boolean|Undefined)} inserted true if the resource has been inserted, false if it has been updated
+ */
+
 /**
  * @callback module:storages/Storage~Storage~removeCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
@@ -167,3 +549,41 @@ Storage.prototype.removeField = function(location, field, filter, callback) {
  * @param {(Error|null)} error The error if an error occurred, null otherwise
  * @param {(Number|Undefined)} The number of updated resources
  */
+
+/**
+ * @callback module:storages/Storage~Storage~countCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Number|Undefined)} total The number of resources
+ */
+
+/**
+ * @callback module:storages/Storage~Storage~distinctCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Array|Undefined)} values The distinct values
+ */
+
+/**
+ * @callback module:storages/Storage~Storage~aggregateCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Array|Undefined)} groups The list of groups with group values and accumulated values
+ */
+
+/**
+ * @callback module:storages/Storage~Storage~transactionWork
+ * @param {module:storages/Storage~Storage} transaction The storage bound to the transaction
+ * @param {module:storages/Storage~Storage~transactionCallback} done The function to call when all operations are
+ * done, with an error to discard modifications
+ */
+
+/**
+ * @callback module:storages/Storage~Storage~transactionCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {*} result The result given by the work function
+ */
+
+/**
+ * @typedef {Object} module:storages/Storage~Storage~change
+ * @property {String} type The type of change, either "added", "updated" or "removed"
+ * @property {*} id The id of the changed resource, undefined if not known
+ * @property {Array} fields The paths of the modified fields for an update, an empty array otherwise
+ */
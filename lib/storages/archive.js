@@ -0,0 +1,428 @@
+'use strict';
+
+/**
+ * Defines functions to export resources of a storage into an archive and import them back.
+ *
+ * An archive is a tar file holding a NDJSON file per location, named after the location with the ".ndjson"
+ * extension. Each line of a file is a resource of the location. Resources are expected to have a unique "id" property
+ * to detect conflicts when importing.
+ *
+ * @module storages/archive
+ * @ignore
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var async = require('async');
+var nanoid = require('nanoid').nanoid;
+var fileSystem = process.requireApi('lib/fileSystem.js');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var ndjson = process.requireApi('lib/storages/ndjson.js');
+
+/**
+ * The extension of the files of the locations in an archive.
+ *
+ * @const
+ * @type {String}
+ * @private
+ */
+var FILE_EXTENSION = '.ndjson';
+
+/**
+ * The maximum number of resources imported at once.
+ *
+ * @const
+ * @type {Number}
+ * @private
+ */
+var BATCH_SIZE = 500;
+
+/**
+ * The available policies to resolve conflicts when importing resources which already exist.
+ *
+ * @const
+ * @type {Object}
+ * @static
+ */
+var CONFLICT_POLICIES = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  FAIL: 'fail'
+};
+Object.freeze(CONFLICT_POLICIES);
+module.exports.CONFLICT_POLICIES = CONFLICT_POLICIES;
+
+/**
+ * Gets a new temporary directory path.
+ *
+ * @method getTemporaryDirectory
+ * @private
+ * @memberof module:storages/archive
+ * @return {String} The path of a directory which does not exist yet
+ */
+function getTemporaryDirectory() {
+  return path.join(os.tmpdir(), 'openveo-archive-' + nanoid());
+}
+
+/**
+ * Writes the resources of a location into a NDJSON file.
+ *
+ * @method writeLocation
+ * @private
+ * @memberof module:storages/archive
+ * @param {module:storages/Storage~Storage} storage The storage
+ * @param {String} location The location of the resources
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources
+ * @param {String} filePath The path of the file to write
+ * @param {Function} callback The function to call with an eventual error and the number of written resources
+ */
+function writeLocation(storage, location, filter, filePath, callback) {
+  var total = 0;
+  var serializer = new stream.Transform({
+    writableObjectMode: true,
+    transform: function(resource, encoding, callback) {
+      total++;
+      callback(null, ndjson.stringify(resource) + '\n');
+    }
+  });
+
+  stream.pipeline(storage.stream(location, filter), serializer, fs.createWriteStream(filePath), function(error) {
+    callback(error, total);
+  });
+}
+
+/**
+ * Reads the resources of a NDJSON file by batches.
+ *
+ * The file is read as resources are processed.
+ *
+ * @method readLocation
+ * @private
+ * @memberof module:storages/archive
+ * @param {String} filePath The path of the file to read
+ * @param {Function} iteratee The function to call for each batch of resources with the list of resources and a
+ * callback expecting an eventual error
+ * @param {Function} callback The function to call with an eventual error when all resources have been processed
+ */
+function readLocation(filePath, iteratee, callback) {
+  var readStream = fs.createReadStream(filePath, {encoding: 'utf8'});
+  var remaining = '';
+  var lineNumber = 0;
+  var ended = false;
+
+  var end = function(error) {
+    if (ended) return;
+    ended = true;
+    if (error) readStream.destroy();
+    callback(error);
+  };
+
+  var processLines = function(lines, callback) {
+    var resources = [];
+    var batches = [];
+
+    try {
+      lines.forEach(function(line) {
+        lineNumber++;
+        if (!line.trim()) return;
+
+        var resource = ndjson.parse(line);
+        if (Object.prototype.toString.call(resource) !== '[object Object]') throw new Error('Not an object');
+        resources.push(resource);
+      });
+    } catch (error) {
+      return callback(new StorageError(
+        'Invalid resource at line ' + lineNumber + ' of ' + path.basename(filePath),
+        databaseErrors.INVALID_ARCHIVE_ERROR
+      ));
+    }
+
+    for (var i = 0; i < resources.length; i += BATCH_SIZE) batches.push(resources.slice(i, i + BATCH_SIZE));
+    async.eachSeries(batches, iteratee, callback);
+  };
+
+  readStream.on('data', function(data) {
+    var lines = (remaining + data).split('\n');
+    remaining = lines.pop();
+
+    readStream.pause();
+    processLines(lines, function(error) {
+      if (error) return end(error);
+      readStream.resume();
+    });
+  });
+  readStream.on('end', function() {
+    processLines([remaining], end);
+  });
+  readStream.on('error', end);
+}
+
+/**
+ * Gets the ids of the resources of a batch which already exist in a location.
+ *
+ * @method getExistingIds
+ * @private
+ * @memberof module:storages/archive
+ * @param {module:storages/Storage~Storage} storage The storage
+ * @param {String} location The location of the resources
+ * @param {Array} resources The resources
+ * @param {Function} callback The function to call with an eventual error and the list of ids
+ */
+function getExistingIds(storage, location, resources, callback) {
+  var ids = resources.filter(function(resource) {
+    return resource.id !== undefined;
+  }).map(function(resource) {
+    return resource.id;
+  });
+
+  if (!ids.length) return callback(null, []);
+  storage.distinct(location, 'id', new ResourceFilter().in('id', ids), callback);
+}
+
+/**
+ * Checks that the resources of a batch have different ids.
+ *
+ * @method checkDuplicates
+ * @private
+ * @memberof module:storages/archive
+ * @param {String} location The location of the resources
+ * @param {Array} resources The resources
+ * @return {(module:errors/StorageError~StorageError|null)} An INVALID_ARCHIVE_ERROR if two resources have the same
+ * id, null otherwise
+ */
+function checkDuplicates(location, resources) {
+  var ids = [];
+  var duplicateResource = resources.filter(function(resource) {
+    if (resource.id === undefined) return false;
+    if (ids.indexOf(resource.id) >= 0) return true;
+    ids.push(resource.id);
+    return false;
+  })[0];
+
+  if (!duplicateResource) return null;
+  return new StorageError(
+    'Resource ' + duplicateResource.id + ' appears several times in ' + location,
+    databaseErrors.INVALID_ARCHIVE_ERROR
+  );
+}
+
+/**
+ * Imports a batch of resources into a location.
+ *
+ * With the "overwrite" policy, existing resources are replaced within a transaction so that they are not lost if
+ * adding the imported ones fails.
+ *
+ * @method importBatch
+ * @private
+ * @memberof module:storages/archive
+ * @param {module:storages/Storage~Storage} storage The storage
+ * @param {String} location The location of the resources
+ * @param {Array} resources The resources
+ * @param {String} policy The conflict policy
+ * @param {Object} result The result of the import of the location to complete with the numbers of added, overwritten
+ * and skipped resources
+ * @param {Function} callback The function to call with an eventual error when it's done
+ */
+function importBatch(storage, location, resources, policy, result, callback) {
+  var duplicateError = checkDuplicates(location, resources);
+  if (duplicateError) return callback(duplicateError);
+
+  getExistingIds(storage, location, resources, function(error, existingIds) {
+    if (error) return callback(error);
+
+    var conflictingResources = resources.filter(function(resource) {
+      return resource.id !== undefined && existingIds.indexOf(resource.id) >= 0;
+    });
+    var addedResources = resources;
+
+    if (conflictingResources.length && policy === CONFLICT_POLICIES.FAIL) {
+      return callback(new StorageError(
+        'Resource ' + conflictingResources[0].id + ' already exists in ' + location,
+        databaseErrors.IMPORT_CONFLICT_ERROR
+      ));
+    }
+
+    if (policy === CONFLICT_POLICIES.SKIP) {
+      addedResources = resources.filter(function(resource) {
+        return conflictingResources.indexOf(resource) < 0;
+      });
+    }
+
+    var execute = function(storage, callback) {
+      async.series([
+        function(callback) {
+          if (policy !== CONFLICT_POLICIES.OVERWRITE || !existingIds.length) return callback();
+          storage.remove(location, new ResourceFilter().in('id', existingIds), callback);
+        },
+        function(callback) {
+          if (!addedResources.length) return callback();
+          storage.add(location, addedResources, callback);
+        }
+      ], function(error) {
+        callback(error);
+      });
+    };
+    var end = function(error) {
+      if (error) return callback(error);
+
+      var overwritten = policy === CONFLICT_POLICIES.OVERWRITE ? conflictingResources.length : 0;
+      result.added += addedResources.length - overwritten;
+      result.overwritten += overwritten;
+      result.skipped += resources.length - addedResources.length;
+      callback();
+    };
+
+    if (policy === CONFLICT_POLICIES.OVERWRITE && existingIds.length) return storage.transaction(execute, end);
+    execute(storage, end);
+  });
+}
+
+/**
+ * Exports resources of a storage into an archive.
+ *
+ * @method export
+ * @static
+ * @param {module:storages/Storage~Storage} storage The storage
+ * @param {(Array|Object)} locations The list of locations to export or the filters of the resources to export by
+ * location, a null filter exports all the resources of the location
+ * @param {String} filePath The path of the archive to create
+ * @param {Function} callback The function to call with an eventual error and the number of exported resources by
+ * location
+ */
+module.exports.export = function(storage, locations, filePath, callback) {
+  var directoryPath = getTemporaryDirectory();
+  var filters = {};
+  var totals = {};
+
+  if (Array.isArray(locations)) {
+    locations.forEach(function(location) {
+      filters[location] = null;
+    });
+  } else
+    filters = locations || {};
+
+  var invalidLocation = Object.keys(filters).filter(function(location) {
+    return !location || location !== path.basename(location);
+  })[0];
+
+  if (invalidLocation !== undefined)
+    return process.nextTick(callback, new TypeError('Invalid location "' + invalidLocation + '"'));
+
+  async.series([
+    function(callback) {
+      fileSystem.mkdir(directoryPath, callback);
+    },
+    function(callback) {
+      async.eachSeries(Object.keys(filters), function(location, callback) {
+        var locationPath = path.join(directoryPath, location + FILE_EXTENSION);
+
+        writeLocation(storage, location, filters[location], locationPath, function(error, total) {
+          totals[location] = total;
+          callback(error);
+        });
+      }, callback);
+    },
+    function(callback) {
+      fileSystem.pack(directoryPath, filePath, callback);
+    }
+  ], function(error) {
+    fileSystem.rm(directoryPath, function() {
+      if (error) return callback(error);
+      callback(null, totals);
+    });
+  });
+};
+
+/**
+ * Imports resources of an archive into a storage.
+ *
+ * With the "fail" policy, conflicts are detected before importing anything.
+ *
+ * @method import
+ * @static
+ * @param {module:storages/Storage~Storage} storage The storage
+ * @param {String} filePath The path of the archive
+ * @param {Object} [options] Import options
+ * @param {String} [options.policy="fail"] The conflict policy, see CONFLICT_POLICIES
+ * @param {Array} [options.locations] The list of locations to import, all locations of the archive by default
+ * @param {Function} callback The function to call with an eventual error and the result of the import by location
+ */
+module.exports.import = function(storage, filePath, options, callback) {
+  var directoryPath = getTemporaryDirectory();
+  var policies = Object.keys(CONFLICT_POLICIES).map(function(key) {
+    return CONFLICT_POLICIES[key];
+  });
+  var results = {};
+  var locations;
+  options = options || {};
+  var policy = options.policy || CONFLICT_POLICIES.FAIL;
+
+  if (policies.indexOf(policy) < 0)
+    return process.nextTick(callback, new TypeError('Unknown conflict policy "' + policy + '"'));
+
+  async.series([
+    function(callback) {
+      fileSystem.extract(filePath, directoryPath, function(error) {
+        if (!error) return callback();
+        callback(new StorageError(
+          'Invalid archive ' + filePath + ': ' + error.message,
+          databaseErrors.INVALID_ARCHIVE_ERROR
+        ));
+      });
+    },
+    function(callback) {
+      fs.readdir(directoryPath, function(error, files) {
+        if (error) return callback(error);
+
+        locations = files.filter(function(file) {
+          return path.extname(file) === FILE_EXTENSION;
+        }).map(function(file) {
+          return path.basename(file, FILE_EXTENSION);
+        }).filter(function(location) {
+          return !options.locations || options.locations.indexOf(location) >= 0;
+        });
+
+        callback();
+      });
+    },
+    function(callback) {
+      if (policy !== CONFLICT_POLICIES.FAIL) return callback();
+
+      // Make sure nothing conflicts before importing anything
+      async.eachSeries(locations, function(location, callback) {
+        readLocation(path.join(directoryPath, location + FILE_EXTENSION), function(resources, callback) {
+          var duplicateError = checkDuplicates(location, resources);
+          if (duplicateError) return callback(duplicateError);
+
+          getExistingIds(storage, location, resources, function(error, existingIds) {
+            if (error) return callback(error);
+            if (!existingIds.length) return callback();
+
+            callback(new StorageError(
+              'Resource ' + existingIds[0] + ' already exists in ' + location,
+              databaseErrors.IMPORT_CONFLICT_ERROR
+            ));
+          });
+        }, callback);
+      }, callback);
+    },
+    function(callback) {
+      async.eachSeries(locations, function(location, callback) {
+        results[location] = {added: 0, overwritten: 0, skipped: 0};
+
+        readLocation(path.join(directoryPath, location + FILE_EXTENSION), function(resources, callback) {
+          importBatch(storage, location, resources, policy, results[location], callback);
+        }, callback);
+      }, callback);
+    }
+  ], function(error) {
+    fileSystem.rm(directoryPath, function() {
+      if (error) return callback(error);
+      callback(null, results);
+    });
+  });
+};
@@ -7,6 +7,8 @@
 
 var util = require('util');
 var Storage = process.requireApi('lib/storages/Storage.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
 
 /**
  * Defines base database for all databases.
@@ -86,6 +88,56 @@ function Database(configuration) {
 module.exports = Database;
 util.inherits(Database, Storage);
 
+/**
+ * Validates and normalizes the description of an aggregation.
+ *
+ * @static
+ * @param {Object} [groupBy] The fields to group resources by, see
+ * [Storage.aggregate]{@link module:storages/Storage~Storage#aggregate}
+ * @param {Object} accumulators The values to compute for each group, see
+ * [Storage.aggregate]{@link module:storages/Storage~Storage#aggregate}
+ * @return {Object} The aggregation with the list of groups in property "groups" (name, field, unit and unwind) and
+ * the list of accumulators in property "accumulators" (name, type and field)
+ * @throws {module:errors/StorageError~StorageError} If an accumulator or a date unit is not supported
+ */
+Database.buildAggregation = function(groupBy, accumulators) {
+  var accumulatorTypes = Object.keys(Storage.ACCUMULATORS).map(function(key) {
+    return Storage.ACCUMULATORS[key];
+  });
+  var dateUnits = Object.keys(Storage.DATE_UNITS).map(function(key) {
+    return Storage.DATE_UNITS[key];
+  });
+
+  var groups = Object.keys(groupBy || {}).map(function(name) {
+    var group = (typeof groupBy[name] === 'string') ? {field: groupBy[name]} : groupBy[name];
+
+    if (group.unit && dateUnits.indexOf(group.unit) < 0) {
+      throw new StorageError(
+        'Date unit ' + group.unit + ' not supported',
+        databaseErrors.BUILD_AGGREGATION_UNKNOWN_DATE_UNIT_ERROR
+      );
+    }
+
+    return {name: name, field: group.field, unit: group.unit, unwind: group.unwind || false};
+  });
+
+  return {
+    groups: groups,
+    accumulators: Object.keys(accumulators || {}).map(function(name) {
+      var accumulator = accumulators[name];
+
+      if (accumulatorTypes.indexOf(accumulator.type) < 0) {
+        throw new StorageError(
+          'Accumulator ' + accumulator.type + ' not supported',
+          databaseErrors.BUILD_AGGREGATION_UNKNOWN_ACCUMULATOR_ERROR
+        );
+      }
+
+      return {name: name, type: accumulator.type, field: accumulator.field};
+    })
+  };
+};
+
 /**
  * Establishes connection to the database.
  *
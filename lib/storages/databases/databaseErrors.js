@@ -49,6 +49,239 @@ var DATABASE_ERRORS = {
    */
   BUILD_FILTERS_UNKNOWN_OPERATION_ERROR: {
     code: 0x002
+  },
+
+  /**
+   * An error occurring when a write operation violates a unique index.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  DUPLICATE_KEY_ERROR: {
+    code: 0x003
+  },
+
+  /**
+   * An error occurring when dropping an index which does not exist.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  DROP_INDEX_NOT_FOUND_ERROR: {
+    code: 0x004
+  },
+
+  /**
+   * An error occurring when creating an index with the name of an existing index but a different definition.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  CREATE_INDEXES_CONFLICT_ERROR: {
+    code: 0x005
+  },
+
+  /**
+   * An error occurring when renaming a collection to the name of an existing collection.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  RENAME_COLLECTION_TARGET_EXISTS_ERROR: {
+    code: 0x006
+  },
+
+  /**
+   * An error occurring when an unsupported aggregation accumulator is used.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  BUILD_AGGREGATION_UNKNOWN_ACCUMULATOR_ERROR: {
+    code: 0x007
+  },
+
+  /**
+   * An error occurring when an unsupported date unit is used to group resources.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  BUILD_AGGREGATION_UNKNOWN_DATE_UNIT_ERROR: {
+    code: 0x008
+  },
+
+  /**
+   * An error occurring when an unsupported ResourceUpdate operation is used.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  BUILD_UPDATE_UNKNOWN_OPERATION_ERROR: {
+    code: 0x009
+  },
+
+  /**
+   * An error occurring when an update operation can't be applied to the actual value of a field (e.g. incrementing
+   * a string).
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  UPDATE_INVALID_FIELD_TYPE_ERROR: {
+    code: 0x00a
+  },
+
+  /**
+   * An error occurring when migrations are already running on another server.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  MIGRATION_LOCKED_ERROR: {
+    code: 0x00b
+  },
+
+  /**
+   * An error occurring when reverting a migration which does not exist or does not have a "down" function.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  MIGRATION_NOT_REVERSIBLE_ERROR: {
+    code: 0x00c
+  },
+
+  /**
+   * An error occurring when updating a resource whose version is not the expected one anymore.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  UPDATE_VERSION_CONFLICT_ERROR: {
+    code: 0x00d
+  },
+
+  /**
+   * An error occurring when reverting a resource to a revision which does not exist.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  REVISION_NOT_FOUND_ERROR: {
+    code: 0x00e
+  },
+
+  /**
+   * An error occurring when fetching resources with a cursor which is not valid or does not match the sort order.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  INVALID_CURSOR_ERROR: {
+    code: 0x00f
+  },
+
+  /**
+   * An error occurring when importing an archive holding resources which already exist, with the "fail" conflict
+   * policy.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  IMPORT_CONFLICT_ERROR: {
+    code: 0x010
+  },
+
+  /**
+   * An error occurring when importing an archive which is not a valid export.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  INVALID_ARCHIVE_ERROR: {
+    code: 0x011
+  },
+
+  /**
+   * An error occurring when filtering or modifying an encrypted field in a way which would require to know its clear
+   * value.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  ENCRYPTED_FIELD_ERROR: {
+    code: 0x012
+  },
+
+  /**
+   * An error occurring when an encrypted value can't be decrypted, either because its key is not configured anymore
+   * or because it has been altered.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  DECRYPTION_ERROR: {
+    code: 0x013
+  },
+
+  /**
+   * An error occurring when an operation on entities isolated by tenant is executed without tenant or tries to move
+   * entities to another tenant.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  TENANT_ISOLATION_ERROR: {
+    code: 0x014
+  },
+
+  /**
+   * An error occurring when an operation targets entities which are in the trash.
+   *
+   * @const
+   * @type {Object}
+   * @default
+   * @inner
+   */
+  TRASHED_ENTITY_ERROR: {
+    code: 0x015
   }
 
 };
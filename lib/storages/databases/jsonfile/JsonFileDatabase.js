@@ -0,0 +1,454 @@
+'use strict';
+
+/**
+ * @module storages/JsonFileDatabase
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var async = require('async');
+var MemoryDatabase = process.requireApi('lib/storages/databases/memory/MemoryDatabase.js');
+var fileSystem = process.requireApi('lib/fileSystem.js');
+var ndjson = process.requireApi('lib/storages/ndjson.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
+
+/**
+ * The extension of collection files.
+ *
+ * @const
+ * @type {String}
+ * @private
+ * @memberof module:storages/JsonFileDatabase~JsonFileDatabase
+ */
+var FILE_EXTENSION = '.ndjson';
+
+/**
+ * Defines a Database which persists its collections into JSON files.
+ *
+ * Each collection is persisted as an append-only NDJSON file inside the configured directory: every write appends
+ * lines describing the modified documents to the file. Files are periodically compacted to only keep the actual
+ * state of the collection. All collections are loaded in memory when connecting, this is thus meant for small
+ * single node deployments.
+ *
+ * Writes are flushed to the disk before callbacks are called and compaction never overwrites a file in place, a line
+ * partially written because of a crash is ignored when loading the collection.
+ *
+ * @example
+ * var database = openVeoApi.storages.factory.get('jsonfile', {directory: '/var/lib/openveo/data'});
+ *
+ * @class JsonFileDatabase
+ * @extends module:storages/MemoryDatabase~MemoryDatabase
+ * @constructor
+ * @param {Object} configuration A database configuration object
+ * @param {String} configuration.directory The path of the directory where to store collection files
+ * @param {Number} [configuration.compactionInterval=60000] The interval in milliseconds between two compactions of
+ * collection files
+ * @param {Number} [configuration.compactionThreshold=1000] The number of obsolete lines in a collection file
+ * triggering an immediate compaction
+ * @throws {TypeError} If directory is missing
+ */
+function JsonFileDatabase(configuration) {
+  JsonFileDatabase.super_.call(this, configuration);
+
+  Object.defineProperties(this,
+
+    /** @lends module:storages/JsonFileDatabase~JsonFileDatabase */
+    {
+
+      /**
+       * The path of the directory holding collection files.
+       *
+       * @type {String}
+       * @instance
+       * @readonly
+       */
+      directory: {value: configuration.directory},
+
+      /**
+       * The interval in milliseconds between two compactions.
+       *
+       * @type {Number}
+       * @instance
+       * @readonly
+       */
+      compactionInterval: {value: configuration.compactionInterval || 60000},
+
+      /**
+       * The number of obsolete lines in a collection file triggering an immediate compaction.
+       *
+       * @type {Number}
+       * @instance
+       * @readonly
+       */
+      compactionThreshold: {value: configuration.compactionThreshold || 1000},
+
+      /**
+       * The number of lines of each collection file indexed by collection names.
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      linesCounts: {value: {}},
+
+      /**
+       * The queue of file operations, file operations are executed one by one.
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      queue: {
+        value: async.queue(function(task, callback) {
+          task(callback);
+        }, 1)
+      },
+
+      /**
+       * The compaction timer.
+       *
+       * @type {Object}
+       * @instance
+       */
+      timer: {value: null, writable: true}
+
+    }
+
+  );
+
+  if (Object.prototype.toString.call(this.directory) !== '[object String]')
+    throw new TypeError('JsonFileDatabase configuration must have a directory');
+}
+
+module.exports = JsonFileDatabase;
+util.inherits(JsonFileDatabase, MemoryDatabase);
+
+/**
+ * Appends lines to a file and flushes them to the disk.
+ *
+ * @method appendLines
+ * @private
+ * @memberof module:storages/JsonFileDatabase~JsonFileDatabase
+ * @param {String} filePath The path of the file
+ * @param {Array} lines The lines to append
+ * @param {callback} callback The function to call when it's done
+ */
+function appendLines(filePath, lines, callback) {
+  fs.open(filePath, 'a', function(error, fd) {
+    if (error) return callback(error);
+
+    fs.write(fd, lines.join('\n') + '\n', function(writeError) {
+      if (writeError) return fs.close(fd, callback.bind(null, writeError));
+
+      fs.fdatasync(fd, function(syncError) {
+        fs.close(fd, function(closeError) {
+          callback(syncError || closeError || null);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Replaces the content of a file without ever leaving a partially written file.
+ *
+ * Content is written to a temporary file which then replaces the original file.
+ *
+ * @method writeFileSafely
+ * @private
+ * @memberof module:storages/JsonFileDatabase~JsonFileDatabase
+ * @param {String} filePath The path of the file
+ * @param {Array} lines The new lines of the file
+ * @param {callback} callback The function to call when it's done
+ */
+function writeFileSafely(filePath, lines, callback) {
+  var temporaryFilePath = filePath + '.tmp';
+
+  fs.open(temporaryFilePath, 'w', function(error, fd) {
+    if (error) return callback(error);
+
+    fs.write(fd, lines.length ? lines.join('\n') + '\n' : '', function(writeError) {
+      if (writeError) return fs.close(fd, callback.bind(null, writeError));
+
+      fs.fdatasync(fd, function(syncError) {
+        fs.close(fd, function(closeError) {
+          if (syncError || closeError) return callback(syncError || closeError);
+          fs.rename(temporaryFilePath, filePath, callback);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Loads a collection from its file.
+ *
+ * @method loadCollection
+ * @private
+ * @memberof module:storages/JsonFileDatabase~JsonFileDatabase
+ * @param {String} filePath The path of the collection file
+ * @param {module:storages/JsonFileDatabase~JsonFileDatabase~loadCollectionCallback} callback The function to call
+ * when it's done
+ */
+function loadCollection(filePath, callback) {
+  fs.readFile(filePath, {encoding: 'utf8'}, function(error, content) {
+    if (error) return callback(error);
+
+    var lines = content.split('\n');
+    var documents = [];
+    var positions = {};
+    var indexes;
+    var linesCount = 0;
+
+    // Without a final line break, lines appended afterwards would be merged with the last line
+    var torn = content.length > 0 && content[content.length - 1] !== '\n';
+
+    for (var i = 0; i < lines.length; i++) {
+      var record;
+      if (!lines[i]) continue;
+
+      try {
+        record = ndjson.parse(lines[i]);
+      } catch (parseError) {
+
+        // The last line may have been partially written if process crashed while writing it
+        if (i >= lines.length - 2) {
+          torn = true;
+          continue;
+        }
+        return callback(new Error('Corrupted line ' + (i + 1) + ' in file ' + filePath + ': ' + parseError.message));
+      }
+
+      linesCount++;
+
+      if (record.type === 'put') {
+        if (positions[record.document._id] !== undefined)
+          documents[positions[record.document._id]] = record.document;
+        else {
+          positions[record.document._id] = documents.length;
+          documents.push(record.document);
+        }
+      } else if (record.type === 'remove') {
+        if (positions[record.id] !== undefined) {
+          documents[positions[record.id]] = null;
+          delete positions[record.id];
+        }
+      } else if (record.type === 'indexes')
+        indexes = record.indexes;
+    }
+
+    callback(null, {
+      documents: documents.filter(function(document) {
+        return document !== null;
+      }),
+      indexes: indexes,
+      linesCount: linesCount,
+      torn: torn
+    });
+  });
+}
+
+/**
+ * Gets the path of the file of a collection.
+ *
+ * @param {String} collection The name of the collection
+ * @return {String} The path of the collection file
+ */
+JsonFileDatabase.prototype.getFilePath = function(collection) {
+  return path.join(this.directory, encodeURIComponent(collection) + FILE_EXTENSION);
+};
+
+/**
+ * Loads all collections from the directory and starts the compaction timer.
+ *
+ * @param {callback} callback The function to call when all collections are loaded
+ */
+JsonFileDatabase.prototype.connect = function(callback) {
+  var self = this;
+
+  async.waterfall([
+
+    // Make sure directory exists
+    function(callback) {
+      fileSystem.mkdir(self.directory, callback);
+    },
+
+    // Get collection files
+    function(callback) {
+      fs.readdir(self.directory, callback);
+    },
+
+    // Load collections
+    function(files, callback) {
+      async.eachSeries(files, function(file, callback) {
+        if (path.extname(file) !== FILE_EXTENSION) return callback();
+
+        var collection = decodeURIComponent(path.basename(file, FILE_EXTENSION));
+        loadCollection(path.join(self.directory, file), function(error, data) {
+          if (error) return callback(error);
+
+          var collectionData = self.getCollection(collection);
+          collectionData.documents = data.documents;
+          if (data.indexes) collectionData.indexes = data.indexes;
+          self.linesCounts[collection] = data.linesCount;
+
+          // Rewrite a file with a partially written last line before accepting writes
+          if (data.torn) return self.compact(collection, callback);
+          callback();
+        });
+      }, callback);
+    }
+
+  ], function(error) {
+    if (error) return callback(error);
+
+    clearInterval(self.timer);
+    self.timer = setInterval(function() {
+      self.compactAll(function(error) {
+        if (error) process.logger.error('Compaction failed', {error: error, directory: self.directory});
+      });
+    }, self.compactionInterval);
+    self.timer.unref();
+
+    callback(null);
+  });
+};
+
+/**
+ * Stops the compaction timer and compacts all collection files.
+ *
+ * @param {callback} callback The function to call when it's done
+ */
+JsonFileDatabase.prototype.close = function(callback) {
+  clearInterval(this.timer);
+  this.timer = null;
+  this.compactAll(callback);
+};
+
+/**
+ * Gets the number of obsolete lines in a collection file.
+ *
+ * @param {String} collection The name of the collection
+ * @return {Number} The number of lines which do not describe the actual state of the collection
+ */
+JsonFileDatabase.prototype.getObsoleteLinesCount = function(collection) {
+  if (!this.collections[collection]) return 0;
+  return Math.max(0, (this.linesCounts[collection] || 0) - this.collections[collection].documents.length - 1);
+};
+
+/**
+ * Rewrites a collection file to only keep the actual state of the collection.
+ *
+ * @param {String} collection The name of the collection
+ * @param {callback} callback The function to call when it's done
+ */
+JsonFileDatabase.prototype.compact = function(collection, callback) {
+  var self = this;
+
+  this.queue.push(function(callback) {
+    var collectionData = self.collections[collection];
+    if (!collectionData) return callback();
+
+    var lines = [ndjson.stringify({type: 'indexes', indexes: collectionData.indexes})];
+    collectionData.documents.forEach(function(document) {
+      lines.push(ndjson.stringify({type: 'put', document: document}));
+    });
+
+    writeFileSafely(self.getFilePath(collection), lines, function(error) {
+      if (!error) self.linesCounts[collection] = lines.length;
+      callback(error);
+    });
+  }, function(error) {
+    callback(error || null);
+  });
+};
+
+/**
+ * Compacts all collection files having obsolete lines.
+ *
+ * @param {callback} callback The function to call when it's done
+ */
+JsonFileDatabase.prototype.compactAll = function(callback) {
+  var self = this;
+  var collections = Object.keys(this.collections).filter(function(collection) {
+    return self.getObsoleteLinesCount(collection) > 0;
+  });
+
+  async.each(collections, this.compact.bind(this), function(error) {
+    callback(error || null);
+  });
+};
+
+/**
+ * Persists changes made to a collection into the collection file.
+ *
+ * @param {String} collection The name of the collection
+ * @param {Object} changes The changes
+ * @param {Array} [changes.documents] The list of added or updated documents
+ * @param {Array} [changes.removed] The list of ids (_id) of removed documents
+ * @param {Boolean} [changes.indexes] true if collection indexes have changed
+ * @param {String} [changes.renamed] The new name of the collection if collection has been renamed
+ * @param {Boolean} [changes.dropped] true if collection has been removed
+ * @param {callback} callback The function to call when it's done
+ */
+JsonFileDatabase.prototype.persist = function(collection, changes, callback) {
+  var self = this;
+  var filePath = this.getFilePath(collection);
+
+  this.queue.push(function(callback) {
+    var ignoreMissingFile = function(error) {
+      callback(error && error.code !== 'ENOENT' ? error : null);
+    };
+
+    if (changes.dropped) {
+      delete self.linesCounts[collection];
+      return fs.unlink(filePath, ignoreMissingFile);
+    }
+
+    if (changes.renamed) {
+      self.linesCounts[changes.renamed] = self.linesCounts[collection];
+      delete self.linesCounts[collection];
+      return fs.rename(filePath, self.getFilePath(changes.renamed), ignoreMissingFile);
+    }
+
+    var lines = [];
+
+    if (changes.indexes && self.collections[collection])
+      lines.push(ndjson.stringify({type: 'indexes', indexes: self.collections[collection].indexes}));
+
+    (changes.documents || []).forEach(function(document) {
+      lines.push(ndjson.stringify({type: 'put', document: document}));
+    });
+
+    (changes.removed || []).forEach(function(id) {
+      lines.push(ndjson.stringify({type: 'remove', id: id}));
+    });
+
+    appendLines(filePath, lines, function(error) {
+      if (!error) self.linesCounts[collection] = (self.linesCounts[collection] || 0) + lines.length;
+      callback(error);
+    });
+  }, function(error) {
+    if (error) return callback(error);
+    if (self.getObsoleteLinesCount(collection) < self.compactionThreshold) return callback(null);
+    self.compact(collection, callback);
+  });
+};
+
+promiseSupport.addPromiseSupportToMethods(JsonFileDatabase.prototype, {
+  connect: null,
+  close: null,
+  compact: null,
+  compactAll: null
+});
+
+/**
+ * @callback module:storages/JsonFileDatabase~JsonFileDatabase~loadCollectionCallback
+ * @param {(Error|null)} error The error if an error occurred, null otherwise
+ * @param {(Object|Undefined)} data The collection data
+ * @param {(Array|Undefined)} data.documents The list of documents
+ * @param {(Array|Undefined)} data.indexes The list of indexes if found in the file
+ * @param {(Number|Undefined)} data.linesCount The number of valid lines in the file
+ * @param {(Boolean|Undefined)} data.torn true if the last line of the file has been partially written
+ */
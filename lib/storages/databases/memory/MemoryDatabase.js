@@ -0,0 +1,1838 @@
+'use strict';
+
+/**
+ * @module storages/MemoryDatabase
+ */
+
+var util = require('util');
+var crypto = require('crypto');
+var Readable = require('stream').Readable;
+var session = require('express-session');
+var async = require('async');
+var Storage = process.requireApi('lib/storages/Storage.js');
+var Database = process.requireApi('lib/storages/databases/Database.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var keyset = process.requireApi('lib/storages/keyset.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
+
+/**
+ * Defines a Database which keeps all its collections in memory.
+ *
+ * A MemoryDatabase mimics the behaviour of a [MongoDatabase]{@link module:storages/MongoDatabase~MongoDatabase}
+ * without requiring a MongoDB server which makes it a good fit for tests. Data are lost when the process ends.
+ *
+ * @example
+ * var database = openVeoApi.storages.factory.get('memory', {});
+ *
+ * @class MemoryDatabase
+ * @extends module:storages/Database~Database
+ * @constructor
+ * @param {Object} configuration A database configuration object, no property is required
+ */
+function MemoryDatabase(configuration) {
+  MemoryDatabase.super_.call(this, configuration);
+
+  Object.defineProperties(this,
+
+    /** @lends module:storages/MemoryDatabase~MemoryDatabase */
+    {
+
+      /**
+       * The collections indexed by names with, for each collection, the list of documents and the list of indexes.
+       *
+       * @type {Object}
+       * @instance
+       * @readonly
+       */
+      collections: {value: {}}
+
+    }
+
+  );
+}
+
+module.exports = MemoryDatabase;
+util.inherits(MemoryDatabase, Database);
+
+/**
+ * Gets the type of a value.
+ *
+ * @method getType
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value The value to get the type from
+ * @return {String} The type as returned by Object.prototype.toString (e.g. "[object String]")
+ */
+function getType(value) {
+  return Object.prototype.toString.call(value);
+}
+
+/**
+ * Makes a deep copy of a value.
+ *
+ * @method cloneValue
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value The value to copy
+ * @return {*} The copy
+ */
+function cloneValue(value) {
+  var type = getType(value);
+
+  if (type === '[object Array]') return value.map(cloneValue);
+  if (type === '[object Date]') return new Date(value.getTime());
+  if (type === '[object RegExp]') return new RegExp(value.source, value.flags);
+  if (type === '[object Object]') {
+    var copy = {};
+    for (var property in value) copy[property] = cloneValue(value[property]);
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * Tests if two values are deeply equal.
+ *
+ * @method areEqual
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value1 The first value
+ * @param {*} value2 The second value
+ * @return {Boolean} true if both values are equal, false otherwise
+ */
+function areEqual(value1, value2) {
+  var type = getType(value1);
+
+  if (type !== getType(value2)) return false;
+  if (type === '[object Date]') return value1.getTime() === value2.getTime();
+  if (type === '[object RegExp]') return value1.toString() === value2.toString();
+  if (type === '[object Array]') {
+    if (value1.length !== value2.length) return false;
+    for (var i = 0; i < value1.length; i++)
+      if (!areEqual(value1[i], value2[i])) return false;
+    return true;
+  }
+  if (type === '[object Object]') {
+    var keys1 = Object.keys(value1);
+    var keys2 = Object.keys(value2);
+    if (keys1.length !== keys2.length) return false;
+    for (var j = 0; j < keys1.length; j++)
+      if (keys1[j] !== keys2[j] || !areEqual(value1[keys1[j]], value2[keys1[j]])) return false;
+    return true;
+  }
+
+  return value1 === value2;
+}
+
+/**
+ * Gets the rank of a value type in the MongoDB comparison order.
+ *
+ * @method getTypeRank
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value The value
+ * @return {Number} The rank of the value type
+ */
+function getTypeRank(value) {
+  switch (getType(value)) {
+    case '[object Undefined]':
+    case '[object Null]':
+      return 0;
+    case '[object Number]':
+      return 1;
+    case '[object String]':
+      return 2;
+    case '[object Object]':
+      return 3;
+    case '[object Array]':
+      return 4;
+    case '[object Boolean]':
+      return 5;
+    case '[object Date]':
+      return 6;
+    default:
+      return 7;
+  }
+}
+
+/**
+ * Compares two values using the MongoDB comparison order.
+ *
+ * @method compareValues
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value1 The first value
+ * @param {*} value2 The second value
+ * @return {Number} A negative number if value1 is lesser than value2, a positive number if value1 is greater than
+ * value2, 0 if they are equal
+ */
+function compareValues(value1, value2) {
+  var rank1 = getTypeRank(value1);
+  var rank2 = getTypeRank(value2);
+
+  if (rank1 !== rank2) return rank1 - rank2;
+
+  switch (rank1) {
+    case 0:
+      return 0;
+    case 1:
+    case 2:
+    case 5:
+      return value1 < value2 ? -1 : (value1 > value2 ? 1 : 0);
+    case 6:
+      return value1.getTime() - value2.getTime();
+    default:
+      return compareValues(JSON.stringify(value1), JSON.stringify(value2));
+  }
+}
+
+/**
+ * Tests if two values are of comparable types regarding MongoDB comparison operators ($gt, $lt, ...).
+ *
+ * @method areComparable
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value1 The first value
+ * @param {*} value2 The second value
+ * @return {Boolean} true if values can be compared, false otherwise
+ */
+function areComparable(value1, value2) {
+  return getTypeRank(value1) === getTypeRank(value2) && [1, 2, 5, 6].indexOf(getTypeRank(value1)) >= 0;
+}
+
+/**
+ * Gets the values of a document property.
+ *
+ * Property can be a path of properties separated by dots (e.g. "metadata.user"). When a property of the path holds
+ * an array, the rest of the path is resolved against each item of the array, just like MongoDB does.
+ *
+ * @method getValues
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} document The document
+ * @param {String} path The path of the property
+ * @return {Array} The list of found values, empty if the property does not exist
+ */
+function getValues(document, path) {
+  var values = [document];
+  var properties = path.split('.');
+
+  properties.forEach(function(property) {
+    var nextValues = [];
+
+    values.forEach(function(value) {
+      var valueType = getType(value);
+
+      if (valueType === '[object Array]' && !/^\d+$/.test(property)) {
+        value.forEach(function(item) {
+          if (getType(item) === '[object Object]' && item[property] !== undefined)
+            nextValues.push(item[property]);
+        });
+      } else if ((valueType === '[object Object]' || valueType === '[object Array]') && value[property] !== undefined)
+        nextValues.push(value[property]);
+    });
+
+    values = nextValues;
+  });
+
+  return values;
+}
+
+/**
+ * Gets the list of candidate values of a document property to compare with a filter value.
+ *
+ * Arrays are expanded so an operation matches if one of the items of the array matches, just like MongoDB does.
+ *
+ * @method getCandidateValues
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} document The document
+ * @param {String} path The path of the property
+ * @return {Array} The list of candidate values
+ */
+function getCandidateValues(document, path) {
+  var candidates = [];
+
+  getValues(document, path).forEach(function(value) {
+    candidates.push(value);
+    if (getType(value) === '[object Array]') candidates = candidates.concat(value);
+  });
+
+  return candidates;
+}
+
+/**
+ * Sets the value of a document property.
+ *
+ * Property can be a path of properties separated by dots (e.g. "metadata.user"), missing intermediate objects are
+ * created.
+ *
+ * @method setValue
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} document The document
+ * @param {String} path The path of the property
+ * @param {*} value The value to set
+ */
+function setValue(document, path, value) {
+  var properties = path.split('.');
+  var parent = document;
+
+  for (var i = 0; i < properties.length - 1; i++) {
+    var parentType = getType(parent[properties[i]]);
+    if (parentType !== '[object Object]' && parentType !== '[object Array]') parent[properties[i]] = {};
+    parent = parent[properties[i]];
+  }
+
+  parent[properties[properties.length - 1]] = value;
+}
+
+/**
+ * Removes a document property.
+ *
+ * @method unsetValue
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} document The document
+ * @param {String} path The path of the property
+ * @return {Boolean} true if the property has been removed, false if it didn't exist
+ */
+function unsetValue(document, path) {
+  var properties = path.split('.');
+  var parent = document;
+
+  for (var i = 0; i < properties.length - 1; i++) {
+    parent = parent[properties[i]];
+    if (getType(parent) !== '[object Object]' && getType(parent) !== '[object Array]') return false;
+  }
+
+  var property = properties[properties.length - 1];
+  if (!Object.prototype.hasOwnProperty.call(parent, property)) return false;
+
+  delete parent[property];
+  return true;
+}
+
+/**
+ * Builds the document to return from a search result.
+ *
+ * @method buildResult
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} result The search result as returned by find
+ * @param {Object} fields Expected document fields to be included or excluded
+ * @param {Object} [sort] The list of fields to sort by
+ * @return {Object} The document with the text score if sorting by text score
+ */
+function buildResult(result, fields, sort) {
+  var document = MemoryDatabase.buildDocument(
+    result.document,
+    fields.include || fields.exclude,
+    fields.include ? true : false
+  );
+
+  // Automatically add the text score if sorting by text score
+  for (var field in sort) {
+    if (sort[field] === 'score') {
+      document[field] = result.score;
+      break;
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Gets the value of a document property without going through arrays.
+ *
+ * @method getValue
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} document The document
+ * @param {String} path The path of the property
+ * @return {*} The value, undefined if the property does not exist
+ */
+function getValue(document, path) {
+  var properties = path.split('.');
+  var value = document;
+
+  for (var i = 0; i < properties.length; i++) {
+    var valueType = getType(value);
+    if (valueType !== '[object Object]' && valueType !== '[object Array]') return undefined;
+    value = value[properties[i]];
+  }
+
+  return value;
+}
+
+/**
+ * Applies an update to a document.
+ *
+ * @method applyUpdate
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} document The document to modify
+ * @param {module:storages/ResourceUpdate~ResourceUpdate} update The update to apply
+ * @throws {module:errors/StorageError~StorageError} If an operation is not supported or can't be applied to the
+ * actual value of a field
+ */
+function applyUpdate(document, update) {
+  update.operations.forEach(function(operation) {
+    var value = getValue(document, operation.field);
+    var valueType = getType(value);
+    var isArrayOperation = [
+      ResourceUpdate.OPERATORS.PUSH,
+      ResourceUpdate.OPERATORS.PULL,
+      ResourceUpdate.OPERATORS.ADD_TO_SET
+    ].indexOf(operation.type) >= 0;
+
+    if (
+      value !== undefined && (
+        (operation.type === ResourceUpdate.OPERATORS.INCREMENT && valueType !== '[object Number]') ||
+        (isArrayOperation && valueType !== '[object Array]')
+      )
+    ) {
+      throw new StorageError(
+        'Can\'t apply operation ' + operation.type + ' on field ' + operation.field + ' of type ' + valueType,
+        databaseErrors.UPDATE_INVALID_FIELD_TYPE_ERROR
+      );
+    }
+
+    switch (operation.type) {
+      case ResourceUpdate.OPERATORS.SET:
+        setValue(document, operation.field, cloneValue(operation.value));
+        break;
+      case ResourceUpdate.OPERATORS.UNSET:
+        unsetValue(document, operation.field);
+        break;
+      case ResourceUpdate.OPERATORS.INCREMENT:
+        setValue(document, operation.field, (value || 0) + operation.value);
+        break;
+      case ResourceUpdate.OPERATORS.PUSH:
+        setValue(document, operation.field, (value || []).concat([cloneValue(operation.value)]));
+        break;
+      case ResourceUpdate.OPERATORS.ADD_TO_SET:
+        value = value || [];
+        if (!value.some(function(item) {
+          return areEqual(item, operation.value);
+        })) value = value.concat([cloneValue(operation.value)]);
+        setValue(document, operation.field, value);
+        break;
+      case ResourceUpdate.OPERATORS.PULL:
+        if (value === undefined) break;
+        setValue(document, operation.field, value.filter(function(item) {
+          return !areEqual(item, operation.value);
+        }));
+        break;
+      default:
+        throw new StorageError(
+          'Update operation ' + operation.type + ' not supported',
+          databaseErrors.BUILD_UPDATE_UNKNOWN_OPERATION_ERROR
+        );
+    }
+  });
+}
+
+/**
+ * Gets the fields a document inserted by an upsert inherits from a filter, just like MongoDB does.
+ *
+ * Only equality operations, at the root of the filter or in "and" operations, are retained.
+ *
+ * @method getFilterEqualities
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] The filter
+ * @return {Array} The list of equality operations with field and value
+ */
+function getFilterEqualities(filter) {
+  var equalities = [];
+  if (!filter) return equalities;
+
+  filter.operations.forEach(function(operation) {
+    if (operation.type === ResourceFilter.OPERATORS.EQUAL) equalities.push(operation);
+    else if (operation.type === ResourceFilter.OPERATORS.AND) {
+      operation.filters.forEach(function(andFilter) {
+        equalities = equalities.concat(getFilterEqualities(andFilter));
+      });
+    }
+  });
+
+  return equalities;
+}
+
+/**
+ * Restores collections to the state they had when a snapshot has been taken.
+ *
+ * Restored changes are persisted.
+ *
+ * @method restoreSnapshot
+ * @private
+ * @this module:storages/MemoryDatabase~MemoryDatabase
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} snapshot The collections data, documents and indexes indexed by collection names
+ * @param {callback} callback The function to call when it's done
+ */
+function restoreSnapshot(snapshot, callback) {
+  var self = this;
+  var changes = {};
+  var collections = Object.keys(snapshot).concat(Object.keys(this.collections).filter(function(collection) {
+    return !snapshot[collection];
+  }));
+
+  collections.forEach(function(collection) {
+    var state = snapshot[collection];
+    var collectionData = self.collections[collection];
+    var documents = collectionData ? collectionData.documents : [];
+    var indexes = collectionData ? collectionData.indexes : null;
+
+    if (!state) {
+      delete self.collections[collection];
+      changes[collection] = {dropped: true};
+      return;
+    }
+
+    if (collectionData === state.collectionData && documents === state.documents && indexes === state.indexes) return;
+
+    var ids = state.documents.map(function(document) {
+      return document._id;
+    });
+
+    changes[collection] = {
+      documents: state.documents.filter(function(document) {
+        return documents.indexOf(document) < 0;
+      }),
+      removed: documents.filter(function(document) {
+        return ids.indexOf(document._id) < 0;
+      }).map(function(document) {
+        return document._id;
+      }),
+      indexes: indexes !== state.indexes
+    };
+
+    state.collectionData.documents = state.documents;
+    state.collectionData.indexes = state.indexes;
+    self.collections[collection] = state.collectionData;
+  });
+
+  async.eachSeries(Object.keys(changes), function(collection, callback) {
+    self.persist(collection, changes[collection], callback);
+  }, callback);
+}
+
+/**
+ * Gets the value of a document property as MongoDB aggregation expressions do.
+ *
+ * @method getAggregationValue
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} document The document
+ * @param {String} path The path of the property
+ * @return {*} The value, an array if the path goes through arrays, null if the property does not exist
+ */
+function getAggregationValue(document, path) {
+  var values = getValues(document, path);
+  if (!values.length) return null;
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Formats a date as MongoDB $dateToString does with the formats associated to the date units.
+ *
+ * @method formatDate
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {(Date|Number|String)} value The date, a timestamp in milliseconds or a date string
+ * @param {String} unit The [date unit]{@link module:storages/Storage~Storage.DATE_UNITS}
+ * @return {(String|null)} The formatted date in UTC or null if value is not a date
+ */
+function formatDate(value, unit) {
+  if (value === null || value === undefined) return null;
+
+  var date = new Date(getType(value) === '[object Date]' ? value.getTime() : value);
+  if (isNaN(date.getTime())) return null;
+
+  var lengths = {};
+  lengths[Storage.DATE_UNITS.YEAR] = 4;
+  lengths[Storage.DATE_UNITS.MONTH] = 7;
+  lengths[Storage.DATE_UNITS.DAY] = 10;
+  return date.toISOString().slice(0, lengths[unit]);
+}
+
+/**
+ * Computes the value of an accumulator for a group of documents.
+ *
+ * @method accumulate
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} accumulator The accumulator with its type and field
+ * @param {Array} members The members of the group, each member having a document and the values of unwound fields
+ * @return {*} The accumulated value
+ */
+function accumulate(accumulator, members) {
+  if (accumulator.type === Storage.ACCUMULATORS.COUNT) return members.length;
+
+  var values = members.map(function(member) {
+    if (Object.prototype.hasOwnProperty.call(member.unwound, accumulator.field))
+      return member.unwound[accumulator.field];
+    return getAggregationValue(member.document, accumulator.field);
+  });
+  var numbers = values.filter(function(value) {
+    return getType(value) === '[object Number]';
+  });
+  var sum = numbers.reduce(function(total, number) {
+    return total + number;
+  }, 0);
+  var comparableValues = values.filter(function(value) {
+    return value !== null && value !== undefined;
+  }).sort(compareValues);
+
+  switch (accumulator.type) {
+    case Storage.ACCUMULATORS.SUM:
+      return sum;
+    case Storage.ACCUMULATORS.AVERAGE:
+      return numbers.length ? sum / numbers.length : null;
+    case Storage.ACCUMULATORS.MIN:
+      return comparableValues.length ? comparableValues[0] : null;
+    default:
+      return comparableValues.length ? comparableValues[comparableValues.length - 1] : null;
+  }
+}
+
+/**
+ * Gets all string values of a document, recursively.
+ *
+ * @method getStringValues
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value The value to analyze
+ * @return {Array} The list of strings
+ */
+function getStringValues(value) {
+  var type = getType(value);
+  var strings = [];
+
+  if (type === '[object String]') return [value];
+  if (type === '[object Array]' || type === '[object Object]') {
+    for (var property in value) strings = strings.concat(getStringValues(value[property]));
+  }
+
+  return strings;
+}
+
+/**
+ * Gets the coordinates of a location.
+ *
+ * @method getCoordinates
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value The location, either a GeoJSON point or a legacy coordinates pair [longitude, latitude]
+ * @return {(Array|null)} The coordinates as [longitude, latitude] or null if value is not a location
+ */
+function getCoordinates(value) {
+  var coordinates = (getType(value) === '[object Object]' && value.type === 'Point') ? value.coordinates : value;
+
+  if (
+    getType(coordinates) !== '[object Array]' ||
+    coordinates.length !== 2 ||
+    getType(coordinates[0]) !== '[object Number]' ||
+    getType(coordinates[1]) !== '[object Number]'
+  ) {
+    return null;
+  }
+
+  return coordinates;
+}
+
+/**
+ * Computes the distance between two points on the earth sphere using the haversine formula.
+ *
+ * @method getDistance
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Array} point1 The coordinates of the first point as [longitude, latitude]
+ * @param {Array} point2 The coordinates of the second point as [longitude, latitude]
+ * @return {Number} The distance in meters
+ */
+function getDistance(point1, point2) {
+  var toRadians = function(degrees) {
+    return degrees * Math.PI / 180;
+  };
+  var latitudeDelta = toRadians(point2[1] - point1[1]);
+  var longitudeDelta = toRadians(point2[0] - point1[0]);
+  var a = Math.pow(Math.sin(latitudeDelta / 2), 2) +
+    Math.cos(toRadians(point1[1])) * Math.cos(toRadians(point2[1])) * Math.pow(Math.sin(longitudeDelta / 2), 2);
+
+  return 2 * ResourceFilter.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Gets the type of a value as expected by the "type" operation.
+ *
+ * @method getFilterType
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {*} value The value
+ * @return {(String|undefined)} The [type]{@link module:storages/ResourceFilter~ResourceFilter.TYPES} of the value
+ */
+function getFilterType(value) {
+  switch (getType(value)) {
+    case '[object String]': return ResourceFilter.TYPES.STRING;
+    case '[object Number]': return ResourceFilter.TYPES.NUMBER;
+    case '[object Boolean]': return ResourceFilter.TYPES.BOOLEAN;
+    case '[object Date]': return ResourceFilter.TYPES.DATE;
+    case '[object Array]': return ResourceFilter.TYPES.ARRAY;
+    case '[object Object]': return ResourceFilter.TYPES.OBJECT;
+    case '[object Null]': return ResourceFilter.TYPES.NULL;
+    default: return undefined;
+  }
+}
+
+/**
+ * Generates a unique document id similar to a MongoDB ObjectId hexadecimal representation.
+ *
+ * @method generateId
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @return {String} The generated id
+ */
+function generateId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Generates the name of an index from its keys, just like MongoDB does.
+ *
+ * @method generateIndexName
+ * @private
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {Object} key The index keys
+ * @return {String} The index name (e.g. "field1_1_field2_-1")
+ */
+function generateIndexName(key) {
+  var chunks = [];
+  for (var field in key) chunks.push(field + '_' + key[field]);
+  return chunks.join('_');
+}
+
+/**
+ * Fetches documents from a collection without counting them.
+ *
+ * @method fetchDocuments
+ * @private
+ * @this module:storages/MemoryDatabase~MemoryDatabase
+ * @memberof module:storages/MemoryDatabase~MemoryDatabase
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents
+ * @param {Object} [fields] Expected document fields to be included or excluded from the response, see
+ * [get]{@link module:storages/MemoryDatabase~MemoryDatabase#get}
+ * @param {Number} limit The maximum number of documents to fetch
+ * @param {Number} skip The number of documents to skip
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as value
+ * @param {Function} callback The function to call with an eventual error and the list of documents
+ */
+function fetchDocuments(collection, filter, fields, limit, skip, sort, callback) {
+  var results;
+
+  try {
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  process.nextTick(callback, null, MemoryDatabase.sortDocuments(results, sort).slice(skip, skip + limit).map(
+    function(result) {
+      return buildResult(result, fields || {}, sort);
+    }
+  ));
+}
+
+/**
+ * Computes the text search score of a document.
+ *
+ * Search query is split into terms. Each occurrence of a term in an indexed field increases the score by the
+ * weight of the field. Comparison is case insensitive.
+ *
+ * @method computeTextScore
+ * @static
+ * @param {Object} document The document
+ * @param {String} query The search query
+ * @param {Object} [weights] The weights of the fields to search in with field paths as keys and weights as values,
+ * if not specified all string values of the document are searched in with a weight of 1
+ * @return {Number} The score, 0 if document does not match
+ */
+MemoryDatabase.computeTextScore = function(document, query, weights) {
+  var terms = query.toLowerCase().split(/\s+/).filter(function(term) {
+    return term ? true : false;
+  });
+  var score = 0;
+  var texts = [];
+
+  if (weights) {
+    for (var field in weights) {
+      getCandidateValues(document, field).forEach(function(value) {
+        if (getType(value) === '[object String]') texts.push({text: value.toLowerCase(), weight: weights[field]});
+      });
+    }
+  } else {
+    texts = getStringValues(document).map(function(text) {
+      return {text: text.toLowerCase(), weight: 1};
+    });
+  }
+
+  texts.forEach(function(text) {
+    terms.forEach(function(term) {
+      score += (text.text.split(term).length - 1) * text.weight;
+    });
+  });
+
+  return score;
+};
+
+/**
+ * Tests if a document matches a ResourceFilter.
+ *
+ * @static
+ * @param {Object} document The document to test
+ * @param {module:storages/ResourceFilter~ResourceFilter} [resourceFilter] The filter, if not specified all documents
+ * match
+ * @param {Object} [textWeights] The weights of the fields to look into for the search operation, see
+ * [computeTextScore]{@link module:storages/MemoryDatabase~MemoryDatabase.computeTextScore}
+ * @return {Boolean} true if the document matches the filter, false otherwise
+ * @throws {module:errors/StorageError~StorageError} If an operation is not supported
+ */
+MemoryDatabase.isMatching = function(document, resourceFilter, textWeights) {
+  if (!resourceFilter) return true;
+
+  return resourceFilter.operations.every(function(operation) {
+    var candidates = operation.field ? getCandidateValues(document, operation.field) : [];
+    var isEqual = function(value) {
+      return candidates.some(function(candidate) {
+        return areEqual(candidate, value);
+      });
+    };
+    var compare = function(comparator) {
+      return candidates.some(function(candidate) {
+        return areComparable(candidate, operation.value) && comparator(compareValues(candidate, operation.value));
+      });
+    };
+
+    switch (operation.type) {
+      case ResourceFilter.OPERATORS.EQUAL:
+        return isEqual(operation.value);
+      case ResourceFilter.OPERATORS.EXISTS:
+        return (getValues(document, operation.field).length > 0) === operation.value;
+      case ResourceFilter.OPERATORS.NOT_EQUAL:
+        return !isEqual(operation.value);
+      case ResourceFilter.OPERATORS.GREATER_THAN:
+        return compare(function(result) {
+          return result > 0;
+        });
+      case ResourceFilter.OPERATORS.GREATER_THAN_EQUAL:
+        return compare(function(result) {
+          return result >= 0;
+        });
+      case ResourceFilter.OPERATORS.LESSER_THAN:
+        return compare(function(result) {
+          return result < 0;
+        });
+      case ResourceFilter.OPERATORS.LESSER_THAN_EQUAL:
+        return compare(function(result) {
+          return result <= 0;
+        });
+      case ResourceFilter.OPERATORS.IN:
+        return operation.value.some(isEqual);
+      case ResourceFilter.OPERATORS.NOT_IN:
+        return !operation.value.some(isEqual);
+      case ResourceFilter.OPERATORS.REGEX:
+        return candidates.some(function(candidate) {
+          return getType(candidate) === '[object String]' && candidate.search(operation.value) !== -1;
+        });
+      case ResourceFilter.OPERATORS.ELEM_MATCH:
+        return getValues(document, operation.field).some(function(value) {
+          return getType(value) === '[object Array]' && value.some(function(item) {
+            return getType(item) === '[object Object]' && MemoryDatabase.isMatching(item, operation.value, textWeights);
+          });
+        });
+      case ResourceFilter.OPERATORS.SIZE:
+        return getValues(document, operation.field).some(function(value) {
+          return getType(value) === '[object Array]' && value.length === operation.value;
+        });
+      case ResourceFilter.OPERATORS.TYPE:
+        return candidates.some(function(candidate) {
+          return getFilterType(candidate) === operation.value;
+        });
+      case ResourceFilter.OPERATORS.EQUAL_IGNORE_CASE:
+        return candidates.some(function(candidate) {
+          return getType(candidate) === '[object String]' &&
+            candidate.toLowerCase() === operation.value.toLowerCase();
+        });
+      case ResourceFilter.OPERATORS.NEAR:
+        return getValues(document, operation.field).some(function(value) {
+          var coordinates = getCoordinates(value);
+          return coordinates !== null &&
+            getDistance(coordinates, operation.value.coordinates) <= operation.value.distance;
+        });
+      case ResourceFilter.OPERATORS.WITHIN_BOX:
+        return getValues(document, operation.field).some(function(value) {
+          var coordinates = getCoordinates(value);
+          return coordinates !== null &&
+            coordinates[0] >= operation.value[0][0] && coordinates[0] <= operation.value[1][0] &&
+            coordinates[1] >= operation.value[0][1] && coordinates[1] <= operation.value[1][1];
+        });
+      case ResourceFilter.OPERATORS.AND:
+        return operation.filters.every(function(filter) {
+          return MemoryDatabase.isMatching(document, filter, textWeights);
+        });
+      case ResourceFilter.OPERATORS.OR:
+        return operation.filters.some(function(filter) {
+          return MemoryDatabase.isMatching(document, filter, textWeights);
+        });
+      case ResourceFilter.OPERATORS.NOR:
+        return !operation.filters.some(function(filter) {
+          return MemoryDatabase.isMatching(document, filter, textWeights);
+        });
+      case ResourceFilter.OPERATORS.SEARCH:
+        return MemoryDatabase.computeTextScore(document, operation.value, textWeights) > 0;
+      default:
+        throw new StorageError(
+          'Operation ' + operation.type + ' not supported',
+          databaseErrors.BUILD_FILTERS_UNKNOWN_OPERATION_ERROR
+        );
+    }
+  });
+};
+
+/**
+ * Builds a copy of a document with only the expected fields.
+ *
+ * Just like [MongoDatabase]{@link module:storages/MongoDatabase~MongoDatabase}, property "_id" is never part of the
+ * copy.
+ *
+ * @static
+ * @param {Object} document The document to copy
+ * @param {Array} [fields] The list of fields to include or exclude
+ * @param {Boolean} [doesInclude] true to include fields and exclude all other fields or false to exclude fields and
+ * include all other fields
+ * @return {Object} The copy of the document
+ */
+MemoryDatabase.buildDocument = function(document, fields, doesInclude) {
+  var copy;
+
+  if (fields && doesInclude) {
+    copy = {};
+    fields.forEach(function(field) {
+      var values = getValues(document, field);
+      if (values.length) setValue(copy, field, cloneValue(values[0]));
+    });
+  } else {
+    copy = cloneValue(document);
+    (fields || []).forEach(function(field) {
+      unsetValue(copy, field);
+    });
+  }
+
+  delete copy._id;
+  return copy;
+};
+
+/**
+ * Sorts a list of documents.
+ *
+ * @static
+ * @param {Array} documents The list of documents to sort, each item being an object with the document as "document"
+ * property and its text search score as "score" property
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
+ * @return {Array} The sorted list
+ */
+MemoryDatabase.sortDocuments = function(documents, sort) {
+  if (!sort || !Object.keys(sort).length) return documents;
+
+  return documents.slice().sort(function(item1, item2) {
+    for (var field in sort) {
+      var result;
+
+      if (sort[field] === 'score')
+        result = item2.score - item1.score;
+      else {
+        result = compareValues(getValues(item1.document, field)[0], getValues(item2.document, field)[0]);
+        if (sort[field] !== 'asc') result = -result;
+      }
+
+      if (result) return result;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Gets a collection, creating it if it does not exist yet.
+ *
+ * @param {String} collection The name of the collection
+ * @return {Object} The collection with documents in property "documents" and indexes in property "indexes"
+ */
+MemoryDatabase.prototype.getCollection = function(collection) {
+  if (!this.collections[collection]) {
+    this.collections[collection] = {
+      documents: [],
+      indexes: [{v: 2, key: {_id: 1}, name: '_id_'}]
+    };
+  }
+
+  return this.collections[collection];
+};
+
+/**
+ * Gets the weights of the fields of the text index of a collection.
+ *
+ * @param {String} collection The name of the collection
+ * @return {(Object|undefined)} The weights by fields, undefined if the collection does not have any text index
+ */
+MemoryDatabase.prototype.getTextWeights = function(collection) {
+  var indexes = this.collections[collection] ? this.collections[collection].indexes : [];
+
+  for (var i = 0; i < indexes.length; i++) {
+    var weights;
+
+    for (var field in indexes[i].key) {
+      if (indexes[i].key[field] === 'text') {
+        weights = weights || {};
+        weights[field] = (indexes[i].weights && indexes[i].weights[field]) || 1;
+      }
+    }
+
+    if (weights) return weights;
+  }
+};
+
+/**
+ * Finds documents of a collection matching a filter.
+ *
+ * @param {String} collection The name of the collection
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents
+ * @return {Array} The list of matching documents, each item being an object with the document as "document"
+ * property, its text search score as "score" property and its position in the collection as "index" property
+ * @throws {module:errors/StorageError~StorageError} If an operation is not supported
+ */
+MemoryDatabase.prototype.find = function(collection, filter) {
+  var documents = this.collections[collection] ? this.collections[collection].documents : [];
+  var textWeights = this.getTextWeights(collection);
+  var searchOperation = filter && filter.getComparisonOperation(ResourceFilter.OPERATORS.SEARCH);
+  var results = [];
+
+  documents.forEach(function(document, index) {
+    if (MemoryDatabase.isMatching(document, filter, textWeights)) {
+      results.push({
+        document: document,
+        index: index,
+        score: searchOperation ? MemoryDatabase.computeTextScore(document, searchOperation.value, textWeights) : 0
+      });
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Validates that a list of documents respects the unique indexes of a collection.
+ *
+ * @param {String} collection The name of the collection
+ * @param {Array} documents The complete list of documents of the collection
+ * @return {(module:errors/StorageError~StorageError|null)} The error if a unique index is violated, null otherwise
+ */
+MemoryDatabase.prototype.validateUniqueIndexes = function(collection, documents) {
+  var indexes = this.getCollection(collection).indexes;
+
+  for (var i = 0; i < indexes.length; i++) {
+    var keys = {};
+    if (!indexes[i].unique) continue;
+
+    for (var j = 0; j < documents.length; j++) {
+      var values = [];
+      var isMissing = true;
+
+      for (var field in indexes[i].key) {
+        var value = getValues(documents[j], field)[0];
+        if (value !== undefined) isMissing = false;
+        values.push(value === undefined ? null : value);
+      }
+
+      if (isMissing && indexes[i].sparse) continue;
+
+      var key = JSON.stringify(values);
+      if (keys[key]) {
+        return new StorageError(
+          'Duplicate key ' + key + ' for index "' + indexes[i].name + '" of collection "' + collection + '"',
+          databaseErrors.DUPLICATE_KEY_ERROR
+        );
+      }
+      keys[key] = true;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Persists changes made to a collection.
+ *
+ * MemoryDatabase does not persist anything, this is the extension point for sub classes which need to
+ * store changes somewhere.
+ *
+ * @param {String} collection The name of the collection
+ * @param {Object} changes The changes
+ * @param {Array} [changes.documents] The list of added or updated documents
+ * @param {Array} [changes.removed] The list of ids (_id) of removed documents
+ * @param {Boolean} [changes.indexes] true if collection indexes have changed
+ * @param {String} [changes.renamed] The new name of the collection if collection has been renamed
+ * @param {Boolean} [changes.dropped] true if collection has been removed
+ * @param {callback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.persist = function(collection, changes, callback) {
+  process.nextTick(callback, null);
+};
+
+/**
+ * Establishes connection to the database.
+ *
+ * There is nothing to connect to.
+ *
+ * @param {callback} callback The function to call when connection to the database is established
+ */
+MemoryDatabase.prototype.connect = function(callback) {
+  process.nextTick(callback, null);
+};
+
+/**
+ * Closes connection to the database.
+ *
+ * @param {callback} callback The function to call when connection is closed
+ */
+MemoryDatabase.prototype.close = function(callback) {
+  process.nextTick(callback, null);
+};
+
+/**
+ * Executes operations as a single unit of work.
+ *
+ * MemoryDatabase emulates transactions: operations are applied immediately, and thus visible outside the
+ * transaction, and collections are restored to their state before the transaction if work fails or throws an error.
+ * Modifications made outside the transaction while it is running are also lost in this case.
+ *
+ * @param {module:storages/Storage~Storage~transactionWork} work The function executing the operations
+ * @param {module:storages/Storage~Storage~transactionCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.transaction = function(work, callback) {
+  var snapshot = {};
+
+  for (var collection in this.collections) {
+    snapshot[collection] = {
+      collectionData: this.collections[collection],
+      documents: this.collections[collection].documents,
+      indexes: this.collections[collection].indexes
+    };
+  }
+
+  var isDone = false;
+  var done = function(error, result) {
+    isDone = true;
+    if (!error) return callback(null, result);
+
+    restoreSnapshot.call(this, snapshot, function() {
+      callback(error);
+    });
+  }.bind(this);
+
+  try {
+    work(this, done);
+  } catch (error) {
+
+    // Errors thrown once work is done do not come from work
+    if (isDone) throw error;
+    done(error);
+
+  }
+};
+
+/**
+ * Inserts several documents into a collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {Array} documents Document(s) to insert into the collection
+ * @param {module:storages/Storage~Storage~addCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.add = function(collection, documents, callback) {
+  var collectionData = this.getCollection(collection);
+  var newDocuments = documents.map(function(document) {
+    var newDocument = cloneValue(document);
+    if (newDocument._id === undefined) newDocument._id = generateId();
+    return newDocument;
+  });
+  var error = this.validateUniqueIndexes(collection, collectionData.documents.concat(newDocuments));
+
+  if (error) return process.nextTick(callback, error);
+
+  collectionData.documents = collectionData.documents.concat(newDocuments);
+
+  this.persist(collection, {documents: newDocuments}, function(error) {
+    if (error) return callback(error);
+
+    callback(null, newDocuments.length, newDocuments.map(function(document) {
+      return MemoryDatabase.buildDocument(document);
+    }));
+  });
+};
+
+/**
+ * Removes several documents from a collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents to remove
+ * @param {module:storages/Storage~Storage~removeCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.remove = function(collection, filter, callback) {
+  var results;
+
+  try {
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  if (!results.length) return process.nextTick(callback, null, 0);
+
+  var removedDocuments = results.map(function(result) {
+    return result.document;
+  });
+  var collectionData = this.collections[collection];
+  collectionData.documents = collectionData.documents.filter(function(document) {
+    return removedDocuments.indexOf(document) < 0;
+  });
+
+  this.persist(collection, {
+    removed: removedDocuments.map(function(document) {
+      return document._id;
+    })
+  }, function(error) {
+    if (error) return callback(error);
+    callback(null, removedDocuments.length);
+  });
+};
+
+/**
+ * Removes a property from documents of a collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {String} property The name of the property to remove
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents to update
+ * @param {module:storages/Storage~Storage~removeFieldCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.removeField = function(collection, property, filter, callback) {
+  var results;
+  var collectionData;
+  var documents;
+  var updatedDocuments = [];
+
+  try {
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  if (!results.length) return process.nextTick(callback, null, 0);
+
+  // Replace documents instead of modifying them so that transactions can be rolled back
+  collectionData = this.collections[collection];
+  documents = collectionData.documents.slice();
+
+  results.forEach(function(result) {
+    var updatedDocument = cloneValue(result.document);
+
+    if (unsetValue(updatedDocument, property)) {
+      documents[result.index] = updatedDocument;
+      updatedDocuments.push(updatedDocument);
+    }
+  });
+
+  if (!updatedDocuments.length) return process.nextTick(callback, null, 0);
+
+  collectionData.documents = documents;
+
+  this.persist(collection, {documents: updatedDocuments}, function(error) {
+    if (error) return callback(error);
+    callback(null, updatedDocuments.length);
+  });
+};
+
+/**
+ * Updates a document from collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter the document to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set or an update
+ * @param {module:storages/Storage~Storage~updateOneCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.updateOne = function(collection, filter, data, callback) {
+  this.update(collection, filter, data, false, callback);
+};
+
+/**
+ * Updates several documents from collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set or an update
+ * @param {module:storages/Storage~Storage~updateManyCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.updateMany = function(collection, filter, data, callback) {
+  this.update(collection, filter, data, true, callback);
+};
+
+/**
+ * Updates a document from collection or inserts it if it does not exist.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter the document to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set or an update
+ * @param {Object} [insertDefaults] The fields to set only if the document is inserted
+ * @param {module:storages/Storage~Storage~upsertOneCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.upsertOne = function(collection, filter, data, insertDefaults, callback) {
+  var results;
+  var document = {};
+
+  try {
+    results = this.find(collection, filter);
+
+    if (!results.length) {
+      getFilterEqualities(filter).forEach(function(equality) {
+        setValue(document, equality.field, cloneValue(equality.value));
+      });
+      for (var field in insertDefaults) setValue(document, field, cloneValue(insertDefaults[field]));
+      applyUpdate(document, ResourceUpdate.from(data));
+    }
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  if (results.length) {
+    return this.update(collection, filter, data, false, function(error) {
+      if (error) return callback(error);
+      callback(null, false);
+    });
+  }
+
+  this.add(collection, [document], function(error) {
+    if (error) return callback(error);
+    callback(null, true);
+  });
+};
+
+/**
+ * Updates the first document or all the documents matching a filter.
+ *
+ * Documents are all updated or none of them is if an error occurs.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents to update
+ * @param {(Object|module:storages/ResourceUpdate~ResourceUpdate)} data The modifications to perform, either the
+ * fields to set or an update
+ * @param {Boolean} multiple true to update all documents matching the filter, false to update only the first one
+ * @param {module:storages/Storage~Storage~updateManyCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.update = function(collection, filter, data, multiple, callback) {
+  var results;
+  var collectionData;
+  var documents;
+  var update = ResourceUpdate.from(data);
+  var updatedDocuments = [];
+
+  try {
+    results = this.find(collection, filter);
+    if (!results.length) return process.nextTick(callback, null, 0);
+    if (!multiple) results = results.slice(0, 1);
+
+    collectionData = this.collections[collection];
+    documents = collectionData.documents.slice();
+
+    results.forEach(function(result) {
+      var updatedDocument = cloneValue(result.document);
+      applyUpdate(updatedDocument, update);
+
+      if (!areEqual(updatedDocument, result.document)) {
+        documents[result.index] = updatedDocument;
+        updatedDocuments.push(updatedDocument);
+      }
+    });
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  if (!updatedDocuments.length) return process.nextTick(callback, null, 0);
+
+  var uniqueError = this.validateUniqueIndexes(collection, documents);
+  if (uniqueError) return process.nextTick(callback, uniqueError);
+
+  collectionData.documents = documents;
+
+  this.persist(collection, {documents: updatedDocuments}, function(error) {
+    if (error) return callback(error);
+    callback(null, updatedDocuments.length);
+  });
+};
+
+/**
+ * Fetches documents from the collection.
+ *
+ * Documents are paginated using page numbers or cursors, see
+ * [Storage.get]{@link module:storages/Storage~Storage#get}.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents
+ * @param {Object} [fields] Expected resource fields to be included or excluded from the response, by default all
+ * fields are returned. Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {Number} [limit] A limit number of documents to retrieve (10 by default)
+ * @param {(Number|Object)} [page] The page number started at 0 for the first page or an object with the cursor of
+ * the page to paginate using cursors
+ * @param {String} [page.cursor] The cursor returned in the pagination of a previous call, the first page if not
+ * specified
+ * @param {Object} sort The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
+ * @param {module:storages/Storage~Storage~getCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.get = function(collection, filter, fields, limit, page, sort, callback) {
+  if (Object.prototype.toString.call(page) === '[object Object]') {
+    return keyset.get(
+      fetchDocuments.bind(this, collection),
+      this.count.bind(this, collection),
+      filter,
+      fields,
+      limit,
+      page.cursor,
+      sort,
+      callback
+    );
+  }
+
+  var results;
+  limit = limit || 10;
+  fields = fields || {};
+  page = page || 0;
+  var skip = limit * page || 0;
+
+  try {
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  var documents = MemoryDatabase.sortDocuments(results, sort).slice(skip, skip + limit).map(function(result) {
+    return buildResult(result, fields, sort);
+  });
+
+  process.nextTick(callback, null, documents, {
+    limit: limit,
+    page: page,
+    pages: Math.ceil(results.length / limit),
+    size: results.length
+  });
+};
+
+/**
+ * Fetches a single document from the storage.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents
+ * @param {Object} [fields] Expected document fields to be included or excluded from the response, by default all
+ * fields are returned. Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {module:storages/Storage~Storage~getOneCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.getOne = function(collection, filter, fields, callback) {
+  var results;
+  fields = fields || {};
+
+  try {
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  if (!results.length) return process.nextTick(callback, null, null);
+
+  process.nextTick(
+    callback,
+    null,
+    MemoryDatabase.buildDocument(results[0].document, fields.include || fields.exclude, fields.include ? true : false)
+  );
+};
+
+/**
+ * Gets a readable stream of documents from the collection.
+ *
+ * Documents matching the filter are determined when the stream is read for the first time. Further modifications of
+ * the collection are not reflected in the stream.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents
+ * @param {Object} [fields] Expected document fields to be included or excluded from the response, by default all
+ * fields are returned. Only "exclude" or "include" can be specified, not both
+ * @param {Array} [fields.include] The list of fields to include in the response, all other fields are excluded
+ * @param {Array} [fields.exclude] The list of fields to exclude from response, all other fields are included. Ignored
+ * if include is also specified.
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as
+ * value (e.g. {field1: 'asc', field2: 'desc', field3: 'score'})
+ * @return {stream.Readable} A readable stream in object mode emitting documents
+ */
+MemoryDatabase.prototype.stream = function(collection, filter, fields, sort) {
+  var self = this;
+  var results;
+  var index = 0;
+  fields = fields || {};
+
+  return new Readable({
+    objectMode: true,
+    read: function() {
+      if (!results) {
+        try {
+          results = MemoryDatabase.sortDocuments(self.find(collection, filter), sort);
+        } catch (error) {
+          return this.destroy(error);
+        }
+      }
+
+      while (index < results.length) {
+        if (!this.push(buildResult(results[index++], fields, sort))) return;
+      }
+
+      this.push(null);
+    }
+  });
+};
+
+/**
+ * Counts documents of a collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents to count
+ * @param {module:storages/Storage~Storage~countCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.count = function(collection, filter, callback) {
+  var results;
+
+  try {
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  process.nextTick(callback, null, results.length);
+};
+
+/**
+ * Gets the distinct values of a field of documents.
+ *
+ * @param {String} collection The collection to work on
+ * @param {String} field The field to get values from
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents
+ * @param {module:storages/Storage~Storage~distinctCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.distinct = function(collection, field, filter, callback) {
+  var results;
+  var values = [];
+
+  try {
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  results.forEach(function(result) {
+    getValues(result.document, field).forEach(function(value) {
+      var candidates = getType(value) === '[object Array]' ? value : [value];
+
+      candidates.forEach(function(candidate) {
+        var isKnown = values.some(function(knownValue) {
+          return areEqual(knownValue, candidate);
+        });
+        if (!isKnown) values.push(cloneValue(candidate));
+      });
+    });
+  });
+
+  process.nextTick(callback, null, values);
+};
+
+/**
+ * Groups documents and computes values for each group.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter documents to aggregate
+ * @param {Object} [groupBy] The fields to group documents by, see
+ * [Storage.aggregate]{@link module:storages/Storage~Storage#aggregate}
+ * @param {Object} accumulators The values to compute for each group, see
+ * [Storage.aggregate]{@link module:storages/Storage~Storage#aggregate}
+ * @param {module:storages/Storage~Storage~aggregateCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.aggregate = function(collection, filter, groupBy, accumulators, callback) {
+  var aggregation;
+  var results;
+  var groups = {};
+
+  try {
+    aggregation = Database.buildAggregation(groupBy, accumulators);
+    results = this.find(collection, filter);
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  results.forEach(function(result) {
+
+    // Get all combinations of group values of the document, a document is part of several groups if an array is
+    // unwound
+    var members = [{document: result.document, values: {}, unwound: {}}];
+
+    aggregation.groups.forEach(function(group) {
+      var nextMembers = [];
+
+      members.forEach(function(member) {
+        var value = Object.prototype.hasOwnProperty.call(member.unwound, group.field) ?
+          member.unwound[group.field] :
+          getAggregationValue(member.document, group.field);
+        var items = [value];
+
+        if (group.unwind) {
+          if (value === null) items = [];
+          else if (getType(value) === '[object Array]') items = value;
+        }
+
+        items.forEach(function(item) {
+          var nextMember = {
+            document: member.document,
+            values: Object.assign({}, member.values),
+            unwound: Object.assign({}, member.unwound)
+          };
+
+          if (group.unwind) nextMember.unwound[group.field] = item;
+          nextMember.values[group.name] = group.unit ? formatDate(item, group.unit) : item;
+          nextMembers.push(nextMember);
+        });
+      });
+
+      members = nextMembers;
+    });
+
+    members.forEach(function(member) {
+      var key = JSON.stringify(aggregation.groups.map(function(group) {
+        return member.values[group.name];
+      }));
+
+      if (!groups[key]) groups[key] = {values: member.values, members: []};
+      groups[key].members.push(member);
+    });
+  });
+
+  var aggregatedGroups = Object.keys(groups).map(function(key) {
+    var group = groups[key];
+    var aggregatedGroup = {};
+
+    for (var name in group.values) aggregatedGroup[name] = cloneValue(group.values[name]);
+    aggregation.accumulators.forEach(function(accumulator) {
+      aggregatedGroup[accumulator.name] = cloneValue(accumulate(accumulator, group.members));
+    });
+
+    return aggregatedGroup;
+  });
+
+  aggregatedGroups.sort(function(group1, group2) {
+    for (var i = 0; i < aggregation.groups.length; i++) {
+      var result = compareValues(group1[aggregation.groups[i].name], group2[aggregation.groups[i].name]);
+      if (result) return result;
+    }
+    return 0;
+  });
+
+  process.nextTick(callback, null, aggregatedGroups);
+};
+
+/**
+ * Gets the list of indexes for a collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {module:storages/Database~Database~getIndexesCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.getIndexes = function(collection, callback) {
+  var collectionData = this.collections[collection];
+  process.nextTick(callback, null, collectionData ? cloneValue(collectionData.indexes) : []);
+};
+
+/**
+ * Creates indexes for a collection.
+ *
+ * Indexes are only used to compute text search scores and to enforce unique constraints.
+ *
+ * @param {String} collection The collection to work on
+ * @param {Array} indexes A list of indexes using MongoDB format
+ * @param {module:storages/Database~Database~createIndexesCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.createIndexes = function(collection, indexes, callback) {
+  var collectionData = this.getCollection(collection);
+  var newIndexes = collectionData.indexes.slice();
+  var names = [];
+
+  for (var i = 0; i < indexes.length; i++) {
+    var index = cloneValue(indexes[i]);
+    index.v = 2;
+    index.name = index.name || generateIndexName(index.key);
+
+    var existingIndexes = newIndexes.filter(function(existingIndex) {
+      return existingIndex.name === index.name;
+    });
+
+    if (existingIndexes.length) {
+      if (!areEqual(existingIndexes[0].key, index.key)) {
+        return process.nextTick(callback, new StorageError(
+          'An index with name "' + index.name + '" already exists with a different definition',
+          databaseErrors.CREATE_INDEXES_CONFLICT_ERROR
+        ));
+      }
+    } else
+      newIndexes.push(index);
+
+    names.push(index.name);
+  }
+
+  var previousIndexes = collectionData.indexes;
+  collectionData.indexes = newIndexes;
+
+  var error = this.validateUniqueIndexes(collection, collectionData.documents);
+  if (error) {
+    collectionData.indexes = previousIndexes;
+    return process.nextTick(callback, error);
+  }
+
+  this.persist(collection, {indexes: true}, function(error) {
+    if (error) return callback(error);
+    callback(null, names);
+  });
+};
+
+/**
+ * Drops an index from a collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {String} indexName The name of the index to drop
+ * @param {module:storages/Database~Database~dropIndexCallback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.dropIndex = function(collection, indexName, callback) {
+  var collectionData = this.collections[collection];
+  var indexes = collectionData ? collectionData.indexes : [];
+  var remainingIndexes = indexes.filter(function(index) {
+    return index.name !== indexName;
+  });
+
+  if (indexName === '_id_' || remainingIndexes.length === indexes.length) {
+    return process.nextTick(callback, new StorageError(
+      'Index "' + indexName + '" not found in collection "' + collection + '"',
+      databaseErrors.DROP_INDEX_NOT_FOUND_ERROR
+    ));
+  }
+
+  collectionData.indexes = remainingIndexes;
+  this.persist(collection, {indexes: true}, function(error) {
+    if (error) return callback(error);
+    callback(null, {});
+  });
+};
+
+/**
+ * Gets an express-session store for this database.
+ *
+ * @param {String} collection The collection to work on
+ * @return {Object} An express-session memory store
+ */
+MemoryDatabase.prototype.getStore = function(collection) {
+  return new session.MemoryStore();
+};
+
+/**
+ * Renames a collection.
+ *
+ * @param {String} collection The collection to work on
+ * @param {String} target The new name of the collection
+ * @param {callback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.renameCollection = function(collection, target, callback) {
+  if (!this.collections[collection]) {
+    return process.nextTick(callback, new StorageError(
+      'Collection "' + collection + '" not found',
+      databaseErrors.RENAME_COLLECTION_NOT_FOUND_ERROR
+    ));
+  }
+
+  if (this.collections[target]) {
+    return process.nextTick(callback, new StorageError(
+      'Collection "' + target + '" already exists',
+      databaseErrors.RENAME_COLLECTION_TARGET_EXISTS_ERROR
+    ));
+  }
+
+  this.collections[target] = this.collections[collection];
+  delete this.collections[collection];
+
+  this.persist(collection, {renamed: target}, callback);
+};
+
+/**
+ * Removes a collection from the database.
+ *
+ * @param {String} collection The collection to work on
+ * @param {callback} callback The function to call when it's done
+ */
+MemoryDatabase.prototype.removeCollection = function(collection, callback) {
+  if (!this.collections[collection]) {
+    return process.nextTick(callback, new StorageError(
+      'Collection "' + collection + '" not found',
+      databaseErrors.REMOVE_COLLECTION_NOT_FOUND_ERROR
+    ));
+  }
+
+  delete this.collections[collection];
+  this.persist(collection, {dropped: true}, callback);
+};
+
+promiseSupport.addPromiseSupportToMethods(MemoryDatabase.prototype, {
+  add: ['total', 'resources'],
+  get: ['resources', 'pagination'],
+  getOne: null,
+  updateOne: null,
+  updateMany: null,
+  upsertOne: null,
+  remove: null,
+  removeField: null,
+  count: null,
+  distinct: null,
+  aggregate: null,
+  connect: null,
+  close: null,
+  getIndexes: null,
+  createIndexes: null,
+  dropIndex: null,
+  renameCollection: null,
+  removeCollection: null
+});
+
+// Work, the first argument, is a function too
+MemoryDatabase.prototype.transaction = promiseSupport.addPromiseSupport(MemoryDatabase.prototype.transaction, null, 1);
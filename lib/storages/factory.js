@@ -11,9 +11,15 @@
  * // Create a new Storage instance
  * var db = openVeoApi.storages.factory.get('mongodb', mongoDbConfiguration);
  *
+ * // Create a new Storage instance keeping everything in memory
+ * var memoryDb = openVeoApi.storages.factory.get('memory', {});
+ *
+ * // Create a new Storage instance persisting collections into JSON files
+ * var fileDb = openVeoApi.storages.factory.get('jsonfile', {directory: '/var/lib/openveo/data'});
+ *
  * @method get
  * @static
- * @param {String} type The expected storage type, could be "mongodb"
+ * @param {String} type The expected storage type, could be "mongodb", "memory" or "jsonfile"
  * @param {Object} configuration A storage configuration object which depends on the storage type
  * @return {module:storages/Storage~Storage} The Storage instance
  * @throws {TypeError} If the specified storage type does not exist
@@ -25,6 +31,14 @@ module.exports.get = function(type, configuration) {
       var MongoDatabase = process.requireApi('lib/storages/databases/mongodb/MongoDatabase.js');
       return new MongoDatabase(configuration);
 
+    case 'memory':
+      var MemoryDatabase = process.requireApi('lib/storages/databases/memory/MemoryDatabase.js');
+      return new MemoryDatabase(configuration);
+
+    case 'jsonfile':
+      var JsonFileDatabase = process.requireApi('lib/storages/databases/jsonfile/JsonFileDatabase.js');
+      return new JsonFileDatabase(configuration);
+
     default:
       throw new TypeError('Unknown Storage type');
   }
@@ -14,6 +14,8 @@
  * @property {module:storages/Storage} Storage Storage module
  * @property {module:storages/Database} Database Database module
  * @property {module:storages/ResourceFilter} ResourceFilter ResourceFilter module
+ * @property {module:storages/ResourceUpdate} ResourceUpdate ResourceUpdate module
+ * @property {module:storages/MigrationRunner} MigrationRunner MigrationRunner module
  * @property {module:storages/factory} factory factory module
  * @property {module:storages/databaseErrors} databaseErrors databaseErrors module
  */
@@ -21,5 +23,7 @@
 module.exports.Storage = process.requireApi('lib/storages/Storage.js');
 module.exports.Database = process.requireApi('lib/storages/databases/Database.js');
 module.exports.ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+module.exports.ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+module.exports.MigrationRunner = process.requireApi('lib/storages/MigrationRunner.js');
 module.exports.factory = process.requireApi('lib/storages/factory.js');
 module.exports.databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
@@ -0,0 +1,366 @@
+'use strict';
+
+/**
+ * Defines functions to paginate resources using cursors instead of page numbers (keyset pagination).
+ *
+ * A cursor is an opaque token holding the values of the sort fields of a resource. Resources of the next page are the
+ * ones sorted after the resource of the cursor, they are fetched using a filter on sort fields instead of skipping
+ * resources of previous pages. Property "id" is always used as the last sort field to order resources with the same
+ * values, thus resources are expected to have a unique "id" property.
+ *
+ * @module storages/keyset
+ * @ignore
+ */
+
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var ndjson = process.requireApi('lib/storages/ndjson.js');
+
+/**
+ * The directions of a cursor.
+ *
+ * @const
+ * @type {Object}
+ * @private
+ */
+var DIRECTIONS = {
+  NEXT: 'next',
+  PREVIOUS: 'previous'
+};
+
+/**
+ * Gets the ordered list of sort fields with the "id" field as the last one.
+ *
+ * @method getSortFields
+ * @private
+ * @memberof module:storages/keyset
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as value
+ * @return {Array} The list of sort fields as [field, order] pairs
+ * @throws {module:errors/StorageError~StorageError} If sorting by text score
+ */
+function getSortFields(sort) {
+  var sortFields = [];
+
+  for (var field in sort || {}) {
+    if (sort[field] !== 'asc' && sort[field] !== 'desc') {
+      throw new StorageError(
+        'Cursors can only be used with ascendant or descendant sort orders',
+        databaseErrors.INVALID_CURSOR_ERROR
+      );
+    }
+    sortFields.push([field, sort[field]]);
+  }
+
+  if (!sort || !sort.id) sortFields.push(['id', 'asc']);
+  return sortFields;
+}
+
+/**
+ * Gets the value of a resource property.
+ *
+ * @method getValue
+ * @private
+ * @memberof module:storages/keyset
+ * @param {Object} resource The resource
+ * @param {String} path The path of the property
+ * @return {*} The value or null if the property does not exist
+ */
+function getValue(resource, path) {
+  var value = path.split('.').reduce(function(object, property) {
+    return (object !== null && object !== undefined) ? object[property] : undefined;
+  }, resource);
+
+  return value === undefined ? null : value;
+}
+
+/**
+ * Removes a property from a resource, parent objects left empty are removed too.
+ *
+ * @method removeValue
+ * @private
+ * @memberof module:storages/keyset
+ * @param {Object} resource The resource
+ * @param {String} path The path of the property
+ */
+function removeValue(resource, path) {
+  var properties = path.split('.');
+  var property = properties.shift();
+
+  if (Object.prototype.toString.call(resource) !== '[object Object]' || resource[property] === undefined) return;
+
+  if (properties.length) {
+    removeValue(resource[property], properties.join('.'));
+    var isEmpty = Object.prototype.toString.call(resource[property]) === '[object Object]' &&
+      !Object.keys(resource[property]).length;
+    if (isEmpty) delete resource[property];
+  } else
+    delete resource[property];
+}
+
+/**
+ * Tests if a field is part of a list of fields, directly or through one of its parents.
+ *
+ * @method isCovered
+ * @private
+ * @memberof module:storages/keyset
+ * @param {String} field The field
+ * @param {Array} fields The list of fields
+ * @return {Boolean} true if the field or one of its parents is in the list
+ */
+function isCovered(field, fields) {
+  return fields.some(function(coveringField) {
+    return field === coveringField || field.indexOf(coveringField + '.') === 0;
+  });
+}
+
+/**
+ * Builds the fields to retrieve so that sort fields are part of fetched resources.
+ *
+ * @method buildFields
+ * @private
+ * @memberof module:storages/keyset
+ * @param {Object} fields The expected fields with "include" or "exclude" property
+ * @param {Array} sortFields The list of sort fields as [field, order] pairs
+ * @return {Object} The fields to fetch as "fields" and the list of fields to remove from fetched resources as
+ * "removedFields"
+ */
+function buildFields(fields, sortFields) {
+  var removedFields = [];
+  var names = sortFields.map(function(sortField) {
+    return sortField[0];
+  });
+
+  if (fields.include) {
+    var include = fields.include.slice();
+    names.forEach(function(name) {
+      if (isCovered(name, include)) return;
+      include.push(name);
+      removedFields.push(name);
+    });
+    return {fields: {include: include}, removedFields: removedFields};
+  }
+
+  if (fields.exclude) {
+    var exclude = fields.exclude.filter(function(excludedField) {
+      var isSortField = names.some(function(name) {
+        return isCovered(name, [excludedField]);
+      });
+      if (isSortField) removedFields.push(excludedField);
+      return !isSortField;
+    });
+    return {fields: {exclude: exclude}, removedFields: removedFields};
+  }
+
+  return {fields: fields, removedFields: removedFields};
+}
+
+/**
+ * Encodes a cursor pointing to a resource.
+ *
+ * @method encodeCursor
+ * @private
+ * @memberof module:storages/keyset
+ * @param {Object} resource The resource
+ * @param {Array} sortFields The list of sort fields as [field, order] pairs
+ * @param {String} direction The direction of the cursor, either "next" for resources sorted after the resource or
+ * "previous" for resources sorted before the resource
+ * @return {String} The cursor token
+ */
+function encodeCursor(resource, sortFields, direction) {
+  return Buffer.from(ndjson.stringify({
+    sort: sortFields,
+    values: sortFields.map(function(sortField) {
+      return getValue(resource, sortField[0]);
+    }),
+    direction: direction
+  })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor token.
+ *
+ * @method decodeCursor
+ * @private
+ * @memberof module:storages/keyset
+ * @param {String} token The cursor token
+ * @param {Array} sortFields The list of sort fields the cursor must have been built with
+ * @return {Object} The cursor with the values of the sort fields as "values" and its direction as "direction"
+ * @throws {module:errors/StorageError~StorageError} If the cursor is not valid or does not match the sort fields
+ */
+function decodeCursor(token, sortFields) {
+  var cursor;
+
+  try {
+    cursor = ndjson.parse(Buffer.from(token, 'base64url').toString());
+  } catch (error) {
+    cursor = null;
+  }
+
+  if (
+    !cursor ||
+    JSON.stringify(cursor.sort) !== JSON.stringify(sortFields) ||
+    !Array.isArray(cursor.values) ||
+    cursor.values.length !== sortFields.length ||
+    (cursor.direction !== DIRECTIONS.NEXT && cursor.direction !== DIRECTIONS.PREVIOUS)
+  ) {
+    throw new StorageError('Invalid cursor ' + token, databaseErrors.INVALID_CURSOR_ERROR);
+  }
+
+  return cursor;
+}
+
+/**
+ * Builds the filter of the resources sorted after the resource of a cursor.
+ *
+ * For sort fields f1, f2 and values v1, v2 it builds f1 > v1 OR (f1 = v1 AND f2 > v2), with comparisons inverted for
+ * descendant orders. Null values are sorted before any other value, just like MongoDB does.
+ *
+ * @method buildCursorFilter
+ * @private
+ * @memberof module:storages/keyset
+ * @param {Object} cursor The decoded cursor
+ * @param {Array} sortFields The list of sort fields as [field, order] pairs, in the order resources are fetched
+ * @return {module:storages/ResourceFilter~ResourceFilter} The filter
+ * @throws {module:errors/StorageError~StorageError} If a value of the cursor can't be used in a filter
+ */
+function buildCursorFilter(cursor, sortFields) {
+  var branches = [];
+
+  try {
+    sortFields.forEach(function(sortField, index) {
+      var branch = new ResourceFilter();
+      var value = cursor.values[index];
+
+      for (var i = 0; i < index; i++) {
+        if (cursor.values[i] === null) branch.exists(sortFields[i][0], false);
+        else branch.equal(sortFields[i][0], cursor.values[i]);
+      }
+
+      if (sortField[1] === 'asc') {
+        if (value === null) branch.exists(sortField[0], true);
+        else branch.greaterThan(sortField[0], value);
+      } else {
+
+        // Nothing is sorted after a null value in descendant order
+        if (value === null) return;
+        branch.or([
+          new ResourceFilter().lesserThan(sortField[0], value),
+          new ResourceFilter().exists(sortField[0], false)
+        ]);
+      }
+
+      branches.push(branch);
+    });
+  } catch (error) {
+    throw new StorageError('Invalid cursor values', databaseErrors.INVALID_CURSOR_ERROR);
+  }
+
+  // A filter matching nothing
+  if (!branches.length) return new ResourceFilter().in('id', []);
+
+  return new ResourceFilter().or(branches);
+}
+
+/**
+ * Fetches a page of resources from the storage using a cursor.
+ *
+ * Resources are fetched using the given functions of the storage: fetch must not count resources as resources are
+ * counted only once, with count.
+ *
+ * @method get
+ * @static
+ * @param {module:storages/keyset~fetch} fetch The function fetching resources of the storage location
+ * @param {module:storages/keyset~count} count The function counting resources of the storage location
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources
+ * @param {Object} [fields] Expected resource fields to be included or excluded from the response
+ * @param {Number} [limit] A limit number of resources to retrieve (10 by default)
+ * @param {String} [cursor] The cursor returned by a previous call, the first page is returned if not specified
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order, either "asc" or
+ * "desc", as value
+ * @param {module:storages/Storage~Storage~getCallback} callback The function to call when it's done
+ */
+module.exports.get = function(fetch, count, filter, fields, limit, cursor, sort, callback) {
+  var sortFields;
+  var decodedCursor;
+  var cursorFilter;
+  limit = limit || 10;
+
+  try {
+    sortFields = getSortFields(sort);
+    decodedCursor = cursor ? decodeCursor(cursor, sortFields) : null;
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  var direction = decodedCursor ? decodedCursor.direction : DIRECTIONS.NEXT;
+
+  // Resources before the cursor are fetched in reverse order
+  var fetchSortFields = sortFields.map(function(sortField) {
+    if (direction === DIRECTIONS.NEXT) return sortField;
+    return [sortField[0], sortField[1] === 'asc' ? 'desc' : 'asc'];
+  });
+  var fetchSort = {};
+  var fetchFields = buildFields(fields || {}, sortFields);
+  fetchSortFields.forEach(function(sortField) {
+    fetchSort[sortField[0]] = sortField[1];
+  });
+
+  try {
+    if (decodedCursor) {
+      cursorFilter = buildCursorFilter(decodedCursor, fetchSortFields);
+      cursorFilter = filter ? new ResourceFilter().and([filter, cursorFilter]) : cursorFilter;
+    }
+  } catch (error) {
+    return process.nextTick(callback, error);
+  }
+
+  // Fetch one more resource to know if there are resources after the page
+  var fetchFilter = cursorFilter || filter;
+  fetch(fetchFilter, fetchFields.fields, limit + 1, 0, fetchSort, function(error, resources) {
+    if (error) return callback(error);
+
+    count(filter, function(countError, total) {
+      if (countError) return callback(countError);
+
+      var hasMore = resources.length > limit;
+      resources = resources.slice(0, limit);
+      if (direction === DIRECTIONS.PREVIOUS) resources.reverse();
+
+      var hasNext = direction === DIRECTIONS.NEXT ? hasMore : true;
+      var hasPrevious = direction === DIRECTIONS.NEXT ? decodedCursor !== null : hasMore;
+      var first = resources[0];
+      var last = resources[resources.length - 1];
+      var pagination = {
+        limit: limit,
+        size: total,
+        nextCursor: (hasNext && last) ? encodeCursor(last, sortFields, DIRECTIONS.NEXT) : null,
+        previousCursor: (hasPrevious && first) ? encodeCursor(first, sortFields, DIRECTIONS.PREVIOUS) : null
+      };
+
+      resources.forEach(function(resource) {
+        fetchFields.removedFields.forEach(function(field) {
+          removeValue(resource, field);
+        });
+      });
+
+      callback(null, resources, pagination);
+    });
+  });
+};
+
+/**
+ * @callback module:storages/keyset~fetch
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources
+ * @param {Object} [fields] Expected resource fields to be included or excluded from the response
+ * @param {Number} limit The maximum number of resources to fetch
+ * @param {Number} skip The number of resources to skip
+ * @param {Object} [sort] The list of fields to sort by with the field name as key and the sort order as value
+ * @param {Function} callback The function to call with an eventual error and the list of fetched resources
+ */
+
+/**
+ * @callback module:storages/keyset~count
+ * @param {module:storages/ResourceFilter~ResourceFilter} [filter] Rules to filter resources
+ * @param {Function} callback The function to call with an eventual error and the number of resources
+ */
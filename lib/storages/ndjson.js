@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Defines functions to serialize resources into NDJSON (newline delimited JSON) lines.
+ *
+ * JSON can't represent dates nor regular expressions, thus they are encoded as objects with a single "$date" or
+ * "$regex" / "$options" properties, just like MongoDB extended JSON does.
+ *
+ * @module storages/ndjson
+ * @ignore
+ */
+
+/**
+ * Converts a resource into a single NDJSON line.
+ *
+ * @method stringify
+ * @static
+ * @param {*} resource The resource to convert
+ * @return {String} The JSON representation of the resource, without the new line character
+ */
+module.exports.stringify = function(resource) {
+  return JSON.stringify(resource, function(key, value) {
+    var originalValue = this[key];
+
+    if (originalValue instanceof Date) return {$date: originalValue.getTime()};
+    if (originalValue instanceof RegExp) return {$regex: originalValue.source, $options: originalValue.flags};
+    return value;
+  });
+};
+
+/**
+ * Converts a single NDJSON line into a resource.
+ *
+ * @method parse
+ * @static
+ * @param {String} line The NDJSON line
+ * @return {*} The resource
+ * @throws {SyntaxError} If line is not a valid JSON
+ */
+module.exports.parse = function(line) {
+  return JSON.parse(line, function(key, value) {
+    if (Object.prototype.toString.call(value) !== '[object Object]') return value;
+
+    var properties = Object.keys(value);
+    if (properties.length === 1 && properties[0] === '$date') return new Date(value.$date);
+    if (properties.length === 2 && value.$regex !== undefined && value.$options !== undefined)
+      return new RegExp(value.$regex, value.$options);
+
+    return value;
+  });
+};
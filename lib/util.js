@@ -4,6 +4,7 @@ var path = require('path');
 var async = require('async');
 var he = require('he');
 var fileSystem = process.requireApi('lib/fileSystem.js');
+var promiseSupport = process.requireApi('lib/promiseSupport.js');
 
 /**
  * Provides functions for common JavaScript operations.
@@ -662,6 +663,42 @@ module.exports.removeHtmlFromText = function(text) {
 
 };
 
+/**
+ * Makes a callback based function return a Promise when called without callback.
+ *
+ * If the last argument is a function, the original function is called as is. Otherwise the Promise is rejected with
+ * the error given to the callback or resolved with the result. If the callback receives several results, the Promise
+ * is resolved with an object containing results by names.
+ *
+ * @example
+ * // Load module "util"
+ * var util = require('@openveo/api').util;
+ *
+ * var get = util.addPromiseSupport(function(id, callback) {
+ *   callback(null, {id: id}, 42);
+ * }, ['resource', 'total']);
+ *
+ * // Using a callback
+ * get('1', function(error, resource, total) {
+ *   console.log(resource, total);
+ * });
+ *
+ * // Using a Promise
+ * get('1').then(function(result) {
+ *   console.log(result.resource, result.total);
+ * });
+ *
+ * @method addPromiseSupport
+ * @static
+ * @param {Function} func The callback based function with the callback as last parameter
+ * @param {Array} [resultNames] The names of the results received by the callback (except the error), required if
+ * the callback receives several results
+ * @param {Number} [requiredArgumentsCount=0] The number of arguments always expected before the callback, a function
+ * given as one of these arguments is not taken for the callback
+ * @return {Function} The function returning a Promise if called without callback
+ */
+module.exports.addPromiseSupport = promiseSupport.addPromiseSupport;
+
 /**
  * @callback module:util~validateFilesCallback
  * @param {(Error|null)} error The error if an error occurred, null otherwise
@@ -0,0 +1,140 @@
+'use strict';
+
+var assert = require('chai').assert;
+var MemoryCache = process.requireApi('lib/caches/MemoryCache.js');
+
+describe('MemoryCache', function() {
+  var cache;
+
+  // Initiates tests
+  beforeEach(function() {
+    cache = new MemoryCache({max: 2, ttl: 1000});
+  });
+
+  describe('properties', function() {
+
+    it('should not be editable', function() {
+      var properties = ['configuration', 'statistics', 'max', 'ttl', 'entries'];
+
+      properties.forEach(function(property) {
+        assert.throws(function() {
+          cache[property] = null;
+        }, null, null, 'Expected property "' + property + '" to be unalterable');
+      });
+
+    });
+
+  });
+
+  describe('constructor', function() {
+
+    it('should throw a TypeError if max or ttl are not valid', function() {
+      assert.throws(function() {
+        new MemoryCache({max: 0});
+      }, TypeError);
+      assert.throws(function() {
+        new MemoryCache({ttl: -1});
+      }, TypeError);
+    });
+
+  });
+
+  describe('get', function() {
+
+    it('should get a stored value and count hits and misses', function(done) {
+      cache.set('key', 'value', function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        cache.get('key', function(error, value) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(value, 'value', 'Wrong value');
+
+          cache.get('unknown', function(error, value) {
+            assert.isNull(error, 'Unexpected error');
+            assert.isUndefined(value, 'Unexpected value');
+            assert.deepEqual(cache.statistics, {hits: 1, misses: 1}, 'Wrong statistics');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not get an expired value', function(done) {
+      cache.set('key', 'value', function() {
+        cache.entries.get('key').expiresAt = Date.now() - 1;
+
+        cache.get('key', function(error, value) {
+          assert.isNull(error, 'Unexpected error');
+          assert.isUndefined(value, 'Unexpected value');
+          assert.isFalse(cache.entries.has('key'), 'Expected expired value to be removed');
+          done();
+        });
+      });
+    });
+
+    it('should return a Promise if called without callback', function() {
+      cache.set('key', 'value');
+
+      return cache.get('key').then(function(value) {
+        assert.equal(value, 'value', 'Wrong value');
+      });
+    });
+
+  });
+
+  describe('set', function() {
+
+    it('should remove the least recently used value when full', function(done) {
+      cache.set('key1', 'value1', function() {
+        cache.set('key2', 'value2', function() {
+          cache.get('key1', function() {
+            cache.set('key3', 'value3', function() {
+              assert.deepEqual(Array.from(cache.entries.keys()), ['key1', 'key3'], 'Wrong values');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should replace the value of an existing key', function(done) {
+      cache.set('key', 'value1', function() {
+        cache.set('key', 'value2', function() {
+          assert.equal(cache.entries.size, 1, 'Wrong number of values');
+          assert.equal(cache.entries.get('key').value, 'value2', 'Wrong value');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('clear', function() {
+
+    beforeEach(function(done) {
+      cache.set('location1:key', 'value1', function() {
+        cache.set('location2:key', 'value2', done);
+      });
+    });
+
+    it('should remove values with keys starting with the prefix', function(done) {
+      cache.clear('location1:', function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        assert.deepEqual(Array.from(cache.entries.keys()), ['location2:key'], 'Wrong values');
+        done();
+      });
+    });
+
+    it('should remove all values without prefix', function(done) {
+      cache.clear(function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 2, 'Wrong total');
+        assert.equal(cache.entries.size, 0, 'Unexpected values');
+        done();
+      });
+    });
+
+  });
+
+});
@@ -6,6 +6,8 @@ var spies = require('chai-spies');
 var ContentController = process.requireApi('lib/controllers/ContentController.js');
 var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
 var httpErrors = process.requireApi('lib/controllers/httpErrors.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
 var assert = chai.assert;
 
 chai.should();
@@ -30,6 +32,12 @@ describe('ContentController', function() {
       get: function(filter, fields, limit, page, sort, callback) {
         callback(null, expectedEntities, expectedPagination);
       },
+      withContext: function(context) {
+        return this;
+      },
+      getTrash: function(filter, fields, limit, page, sort, callback) {
+        callback(null, expectedEntities, expectedPagination);
+      },
       getOne: function(filter, fields, callback) {
         callback(null, expectedEntities[0]);
       },
@@ -114,6 +122,26 @@ describe('ContentController', function() {
       });
     });
 
+    it('should send only entities of the tenant of the super administrator', function(done) {
+      request.user = {id: superAdminId, tenant: 'tenant1'};
+      ProviderMock.tenantField = 'tenant';
+      ProviderMock.withContext = function(context) {
+        assert.deepEqual(context, {tenant: 'tenant1'}, 'Wrong context');
+        return ProviderMock;
+      };
+      ProviderMock.withAllTenants = function() {
+        assert.ok(false, 'Unexpected call to withAllTenants');
+      };
+
+      response.send = function() {
+        done();
+      };
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
     it('should send only entities the authenticated user can access', function(done) {
       var expectedGroupIds = ['1', '2'];
       var userPermissions = [];
@@ -242,6 +270,22 @@ describe('ContentController', function() {
       });
     });
 
+    it('should send an HTTP wrong parameters error if sortBy is not a sortable field', function(done) {
+      TestContentController.prototype.getSortableFields = function() {
+        return ['title'];
+      };
+      ProviderMock.get = function() {
+        assert.ok(false, 'Unexpected call to get');
+      };
+
+      request.query.sortBy = 'secret';
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
     it('should set default limit to 10 if not specified', function(done) {
       ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
         assert.equal(limit, 10, 'Wrong limit');
@@ -368,6 +412,126 @@ describe('ContentController', function() {
       });
     });
 
+    it('should apply access rules on top of the filter from the query', function(done) {
+      TestContentController.prototype.getFilterableFields = function() {
+        return {title: 'string'};
+      };
+
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        var queryOperation = filter.operations[0];
+        var accessOperation = filter.operations[1];
+
+        assert.equal(queryOperation.type, ResourceFilter.OPERATORS.AND, 'Expected filter from query to be wrapped');
+        assert.equal(accessOperation.type, ResourceFilter.OPERATORS.OR, 'Expected access rules');
+        accessOperation.filters.forEach(function(accessFilter) {
+          assert.isNull(
+            accessFilter.getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'title'),
+            'Unexpected filter from query in access rules'
+          );
+        });
+        assert.deepEqual(queryOperation.filters[0].operations, [
+          {
+            type: ResourceFilter.OPERATORS.OR,
+            filters: [new ResourceFilter().equal('title', 'foo'), new ResourceFilter().equal('title', 'bar')]
+          }
+        ], 'Wrong filter from query');
+        done();
+      };
+
+      request.user.id = '20';
+      request.query.filter = {or: [{title: 'foo'}, {title: 'bar'}]};
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should send an HTTP wrong parameters if filter is not valid', function(done) {
+      response.send = function() {
+        assert.ok(false, 'Unexpected response');
+      };
+
+      request.query.filter = {title: 'foo'};
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+
+    it('should paginate using cursors if cursor is specified', function(done) {
+      var expectedCursor = 'cursor';
+
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(page, {cursor: expectedCursor}, 'Wrong page');
+        done();
+      };
+
+      request.query.cursor = expectedCursor;
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should get the first page using cursors if cursor is empty', function(done) {
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(page, {cursor: null}, 'Wrong page');
+        done();
+      };
+
+      request.query.cursor = '';
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should send an HTTP wrong parameters if cursor is not valid', function(done) {
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        callback(new StorageError('Invalid cursor', databaseErrors.INVALID_CURSOR_ERROR));
+      };
+
+      request.query.cursor = 'wrong';
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+
+    it('should be able to sort entities on several sortable fields', function(done) {
+      TestContentController.prototype.getSortableFields = function() {
+        return ['published', 'title'];
+      };
+
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(sort, {published: 'desc', title: 'asc'}, 'Wrong sort');
+        done();
+      };
+
+      request.query.sort = 'published:desc,title:asc';
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should send an HTTP wrong parameters if a sort field is not sortable', function(done) {
+      response.send = function() {
+        assert.ok(false, 'Unexpected response');
+      };
+
+      request.query.sort = 'title';
+
+      testContentController.getEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
   });
 
   describe('getEntityAction', function() {
@@ -982,6 +1146,33 @@ describe('ContentController', function() {
       });
     });
 
+    it('should send an HTTP conflict error if entity has been modified since the given version', function(done) {
+      expectedEntities = [
+        {
+          id: '42',
+          metadata: {
+            user: anonymousId
+          }
+        }
+      ];
+
+      response.send = function() {
+        assert.ok(false, 'Unexpected response');
+      };
+
+      ProviderMock.updateOne = function(filter, data, callback) {
+        callback(new StorageError('Conflict', databaseErrors.UPDATE_VERSION_CONFLICT_ERROR));
+      };
+
+      request.params.id = expectedEntities[0].id;
+      request.body = {version: 1};
+
+      testContentController.updateEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.UPDATE_ENTITY_CONFLICT_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
     it('should send an HTTP forbidden error if user has not enough privileges to update entity', function(done) {
       expectedEntities = [
         {
@@ -1592,4 +1783,235 @@ describe('ContentController', function() {
 
   });
 
+  describe('getTrashAction', function() {
+
+    it('should send the list of entities in the trash the user has access to', function(done) {
+      expectedEntities = [{}];
+      expectedPagination = {};
+
+      ProviderMock.getTrash = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.IN, 'metadata.user').value,
+          [request.user.id, anonymousId],
+          'Expected access rules'
+        );
+        callback(null, expectedEntities, expectedPagination);
+      };
+
+      response.send = function(result) {
+        assert.strictEqual(result.entities, expectedEntities, 'Wrong entities');
+        assert.strictEqual(result.pagination, expectedPagination, 'Wrong pagination');
+        done();
+      };
+
+      testContentController.getTrashAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP wrong parameters error if sortBy is not a sortable field', function(done) {
+      TestContentController.prototype.getSortableFields = function() {
+        return ['title'];
+      };
+      request.query = {sortBy: 'metadata.user'};
+      ProviderMock.getTrash = function() {
+        assert.ok(false, 'Unexpected call to getTrash');
+      };
+
+      testContentController.getTrashAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_TRASH_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('restoreEntitiesAction', function() {
+
+    it('should restore entities the user is authorized to remove', function(done) {
+      var expectedIds = ['41', '42'];
+      expectedIds.forEach(function(expectedId) {
+        expectedEntities.push({id: expectedId, metadata: {user: request.user.id}});
+      });
+
+      ProviderMock.restore = function(filter, callback) {
+        assert.deepEqual(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.IN, 'id').value,
+          expectedIds,
+          'Wrong ids'
+        );
+        callback(null, expectedIds.length);
+      };
+
+      response.send = function(result) {
+        assert.equal(result.total, expectedIds.length, 'Wrong total');
+        done();
+      };
+
+      request.params.id = expectedIds.join(',');
+
+      testContentController.restoreEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP forbidden error if user is not authorized to remove one of the entities', function(done) {
+      expectedEntities.push({id: '41', metadata: {user: request.user.id}});
+      expectedEntities.push({id: '42', metadata: {user: 'Something else'}});
+
+      ProviderMock.restore = function() {
+        assert.ok(false, 'Unexpected restore');
+      };
+
+      request.params.id = '41,42';
+
+      testContentController.restoreEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.RESTORE_ENTITIES_FORBIDDEN, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP server error if getting entities from the trash failed', function(done) {
+      ProviderMock.getTrash = function(filter, fields, limit, page, sort, callback) {
+        callback(new Error('Error'));
+      };
+
+      request.params.id = '42';
+
+      testContentController.restoreEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.RESTORE_ENTITIES_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP missing parameters error if id is not specified', function(done) {
+      testContentController.restoreEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.RESTORE_ENTITIES_MISSING_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('purgeTrashAction', function() {
+
+    it('should purge the trash if user is the super administrator', function(done) {
+      ProviderMock.purge = function(filter, retention, callback) {
+        callback(null, expectedCount);
+      };
+
+      response.send = function(result) {
+        assert.equal(result.total, expectedCount, 'Wrong total');
+        done();
+      };
+
+      request.user.id = superAdminId;
+
+      testContentController.purgeTrashAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP forbidden error if user is neither the super administrator nor a manager', function(done) {
+      ProviderMock.purge = function() {
+        assert.ok(false, 'Unexpected purge');
+      };
+
+      testContentController.purgeTrashAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.PURGE_TRASH_FORBIDDEN, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('getRevisionsAction', function() {
+
+    beforeEach(function() {
+      request.params.id = '42';
+      ProviderMock.getRevisions = function(id, callback) {
+        callback(null, [{revision: 1, state: {id: '42', metadata: {user: 'Something else'}}}]);
+      };
+    });
+
+    it('should send revisions if user is authorized to update the entity', function(done) {
+      expectedEntities = [{id: '42', metadata: {user: request.user.id}}];
+
+      response.send = function(result) {
+        assert.lengthOf(result.revisions, 1, 'Wrong revisions');
+        done();
+      };
+
+      testContentController.getRevisionsAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP forbidden error if user is not authorized to update the entity', function(done) {
+      expectedEntities = [{id: '42', metadata: {user: 'Something else'}}];
+
+      testContentController.getRevisionsAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_REVISIONS_FORBIDDEN, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should check permissions on the last revision if entity does not exist anymore', function(done) {
+      testContentController.getRevisionsAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_REVISIONS_FORBIDDEN, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('revertEntityAction', function() {
+
+    beforeEach(function() {
+      request.params = {id: '42', revision: '1'};
+      ProviderMock.getRevisions = function(id, callback) {
+        callback(null, []);
+      };
+    });
+
+    it('should revert the entity if user is authorized to update it', function(done) {
+      expectedEntities = [{id: '42', metadata: {user: request.user.id}}];
+
+      ProviderMock.revert = function(id, revision, callback) {
+        assert.equal(id, '42', 'Wrong id');
+        assert.strictEqual(revision, 1, 'Wrong revision');
+        callback(null, 1);
+      };
+      response.send = function(result) {
+        assert.equal(result.total, 1, 'Wrong total');
+        done();
+      };
+
+      testContentController.revertEntityAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP forbidden error if user is not authorized to update the entity', function(done) {
+      expectedEntities = [{id: '42', metadata: {user: 'Something else'}}];
+
+      ProviderMock.revert = function() {
+        assert.ok(false, 'Unexpected revert');
+      };
+
+      testContentController.revertEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.REVERT_ENTITY_FORBIDDEN, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP not found error if entity never existed', function(done) {
+      testContentController.revertEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.REVERT_ENTITY_NOT_FOUND_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
 });
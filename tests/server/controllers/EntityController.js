@@ -5,6 +5,8 @@ var assert = require('chai').assert;
 var EntityController = process.requireApi('lib/controllers/EntityController.js');
 var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
 var httpErrors = process.requireApi('lib/controllers/httpErrors.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
 
 describe('EntityController', function() {
   var ProviderMock;
@@ -22,6 +24,12 @@ describe('EntityController', function() {
       get: function(filter, fields, limit, page, sort, callback) {
         callback(null, expectedEntities, expectedPagination);
       },
+      withContext: function(context) {
+        return this;
+      },
+      getTrash: function(filter, fields, limit, page, sort, callback) {
+        callback(null, expectedEntities, expectedPagination);
+      },
       getOne: function(filter, fields, callback) {
         callback(null, expectedEntities[0]);
       },
@@ -177,6 +185,22 @@ describe('EntityController', function() {
       });
     });
 
+    it('should send an HTTP wrong parameters error if sortBy is not a sortable field', function(done) {
+      TestEntityController.prototype.getSortableFields = function() {
+        return ['title'];
+      };
+      ProviderMock.get = function() {
+        assert.ok(false, 'Unexpected call to get');
+      };
+
+      request.query.sortBy = 'secret';
+
+      testEntityController.getEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
     it('should set default limit to 10 if not specified', function(done) {
       ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
         assert.equal(limit, 10, 'Wrong limit');
@@ -301,6 +325,155 @@ describe('EntityController', function() {
       });
     });
 
+    it('should be able to filter entities by filterable fields', function(done) {
+      TestEntityController.prototype.getFilterableFields = function() {
+        return {
+          title: 'string',
+          duration: {type: 'number', operators: ['gte', 'lt']}
+        };
+      };
+
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(filter.operations, [
+          {type: ResourceFilter.OPERATORS.GREATER_THAN_EQUAL, field: 'duration', value: 60},
+          {type: ResourceFilter.OPERATORS.EQUAL, field: 'title', value: 'foo'}
+        ], 'Wrong filter');
+        done();
+      };
+
+      request.query.filter = {duration: {gte: '60'}, title: 'foo'};
+
+      testEntityController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should send an HTTP wrong parameters if filter is not valid', function(done) {
+      var wrongFilters = [
+        {title: 'foo'},
+        {duration: 'not a number'},
+        {duration: {eq: '42'}},
+        {duration: {gte: '-1'}},
+        'foo'
+      ];
+
+      TestEntityController.prototype.getFilterableFields = function() {
+        return {duration: {type: 'number', operators: ['gte'], gte: 0}};
+      };
+
+      response.send = function() {
+        assert.ok(false, 'Unexpected response');
+      };
+
+      wrongFilters.forEach(function(wrongFilter) {
+        request.query.filter = wrongFilter;
+        testEntityController.getEntitiesAction(request, response, function(error) {
+          assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error');
+        });
+      });
+
+      done();
+    });
+
+
+    it('should paginate using cursors if cursor is specified', function(done) {
+      var expectedCursor = 'cursor';
+
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(page, {cursor: expectedCursor}, 'Wrong page');
+        done();
+      };
+
+      request.query.cursor = expectedCursor;
+
+      testEntityController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should get the first page using cursors if cursor is empty', function(done) {
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(page, {cursor: null}, 'Wrong page');
+        done();
+      };
+
+      request.query.cursor = '';
+
+      testEntityController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should send an HTTP wrong parameters if cursor is not valid', function(done) {
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        callback(new StorageError('Invalid cursor', databaseErrors.INVALID_CURSOR_ERROR));
+      };
+
+      request.query.cursor = 'wrong';
+
+      testEntityController.getEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+
+    it('should be able to sort entities on several sortable fields', function(done) {
+      TestEntityController.prototype.getSortableFields = function() {
+        return ['published', 'title', 'views'];
+      };
+
+      ProviderMock.get = function(filter, fields, limit, page, sort, callback) {
+        assert.deepEqual(sort, {published: 'desc', title: 'asc', views: 'asc'}, 'Wrong sort');
+        assert.deepEqual(Object.keys(sort), ['published', 'title', 'views'], 'Wrong sort order');
+        done();
+      };
+
+      request.query.sort = ['published:desc,title', 'views:asc'];
+      request.query.sortBy = 'ignored';
+
+      testEntityController.getEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error : ' + error.message);
+      });
+    });
+
+    it('should send an HTTP wrong parameters if sort is not valid', function(done) {
+      var wrongValues = ['unknown', 'title:up', 'title,title:desc', 'title:asc:desc', 'score'];
+
+      TestEntityController.prototype.getSortableFields = function() {
+        return ['title'];
+      };
+
+      response.send = function() {
+        assert.ok(false, 'Unexpected response');
+      };
+
+      wrongValues.forEach(function(wrongValue) {
+        request.query.sort = wrongValue;
+        testEntityController.getEntitiesAction(request, response, function(error) {
+          assert.strictEqual(error, httpErrors.GET_ENTITIES_WRONG_PARAMETERS, 'Wrong error for ' + wrongValue);
+        });
+      });
+
+      done();
+    });
+
+  });
+
+  describe('buildSort', function() {
+
+    it('should sort by text score if the filter has a search operation', function() {
+      TestEntityController.prototype.getSortableFields = function() {
+        return ['title'];
+      };
+
+      assert.deepEqual(
+        testEntityController.buildSort(['score', 'title:desc'], new ResourceFilter().search('query')),
+        {score: 'score', title: 'desc'},
+        'Wrong sort'
+      );
+    });
+
   });
 
   describe('getEntityAction', function() {
@@ -498,6 +671,24 @@ describe('EntityController', function() {
       });
     });
 
+    it('should send an HTTP conflict error if entity has been modified since the given version', function(done) {
+      response.send = function() {
+        assert.ok(false, 'Unexpected response');
+      };
+
+      ProviderMock.updateOne = function(filter, data, callback) {
+        callback(new StorageError('Conflict', databaseErrors.UPDATE_VERSION_CONFLICT_ERROR));
+      };
+
+      request.params.id = '42';
+      request.body = {version: 1};
+
+      testEntityController.updateEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.UPDATE_ENTITY_CONFLICT_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
   });
 
   describe('addEntitiesAction', function() {
@@ -597,6 +788,26 @@ describe('EntityController', function() {
       });
     });
 
+    it('should remove entities on behalf of the authenticated user', function(done) {
+      request.user = {id: '43'};
+      request.params.id = '42';
+
+      ProviderMock.withContext = function(context) {
+        assert.deepEqual(context, {user: '43'}, 'Wrong context');
+        return ProviderMock;
+      };
+      ProviderMock.remove = function(filter, callback) {
+        callback(null, 1);
+      };
+      response.send = function() {
+        done();
+      };
+
+      testEntityController.removeEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
     it('should send an HTTP missing parameters error if id is not specified', function(done) {
       response.send = function(result) {
         assert.ok(false, 'Unexpected error');
@@ -646,4 +857,321 @@ describe('EntityController', function() {
 
   });
 
+  describe('getTrashAction', function() {
+
+    it('should send the list of entities in the trash with pagination', function(done) {
+      expectedEntities = [{}];
+      expectedPagination = {};
+
+      response.send = function(result) {
+        assert.strictEqual(result.entities, expectedEntities, 'Wrong entities');
+        assert.strictEqual(result.pagination, expectedPagination, 'Wrong pagination');
+        done();
+      };
+
+      request.query = {limit: 5, page: 1, sortBy: 'title', sortOrder: 'asc'};
+
+      ProviderMock.getTrash = function(filter, fields, limit, page, sort, callback) {
+        assert.equal(limit, 5, 'Wrong limit');
+        assert.equal(page, 1, 'Wrong page');
+        assert.deepEqual(sort, {title: 'asc'}, 'Wrong sort');
+        callback(null, expectedEntities, expectedPagination);
+      };
+
+      testEntityController.getTrashAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP wrong parameters error if parameters are wrong', function(done) {
+      request.query = {page: -1};
+
+      testEntityController.getTrashAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_TRASH_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP wrong parameters error if sortBy is not a sortable field', function(done) {
+      TestEntityController.prototype.getSortableFields = function() {
+        return ['title'];
+      };
+      request.query = {sortBy: 'secret'};
+      ProviderMock.getTrash = function() {
+        assert.ok(false, 'Unexpected call to getTrash');
+      };
+
+      testEntityController.getTrashAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_TRASH_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP server error if getting the trash failed', function(done) {
+      ProviderMock.getTrash = function(filter, fields, limit, page, sort, callback) {
+        callback(new Error('Error'));
+      };
+
+      testEntityController.getTrashAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_TRASH_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('restoreEntitiesAction', function() {
+
+    it('should restore entities and send operation result', function(done) {
+      var expectedIds = ['41', '42'];
+
+      response.send = function(result) {
+        assert.equal(result.total, expectedIds.length, 'Wrong total');
+        done();
+      };
+
+      ProviderMock.restore = function(filter, callback) {
+        assert.deepEqual(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.IN, 'id').value,
+          expectedIds,
+          'Wrong ids'
+        );
+        callback(null, expectedIds.length);
+      };
+
+      request.params.id = expectedIds.join(',');
+
+      testEntityController.restoreEntitiesAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP missing parameters error if id is not specified', function(done) {
+      testEntityController.restoreEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.RESTORE_ENTITIES_MISSING_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP server error if restoring entities partially failed', function(done) {
+      ProviderMock.restore = function(filter, callback) {
+        callback(null, 1);
+      };
+
+      request.params.id = '42,43';
+
+      testEntityController.restoreEntitiesAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.RESTORE_ENTITIES_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('purgeTrashAction', function() {
+
+    it('should purge the trash and send operation result', function(done) {
+      response.send = function(result) {
+        assert.equal(result.total, expectedCount, 'Wrong total');
+        done();
+      };
+
+      ProviderMock.purge = function(filter, retention, callback) {
+        assert.equal(retention, 42000, 'Wrong retention');
+        callback(null, expectedCount);
+      };
+
+      request.query.retention = '42000';
+
+      testEntityController.purgeTrashAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP wrong parameters error if retention is not valid', function(done) {
+      request.query.retention = -1;
+
+      testEntityController.purgeTrashAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.PURGE_TRASH_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP server error if purging the trash failed', function(done) {
+      ProviderMock.purge = function(filter, retention, callback) {
+        callback(new Error('Error'));
+      };
+
+      testEntityController.purgeTrashAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.PURGE_TRASH_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('getRevisionsAction', function() {
+
+    it('should send the revisions of the entity', function(done) {
+      var expectedRevisions = [{}];
+
+      ProviderMock.getRevisions = function(id, callback) {
+        assert.equal(id, '42', 'Wrong id');
+        callback(null, expectedRevisions);
+      };
+      response.send = function(result) {
+        assert.strictEqual(result.revisions, expectedRevisions, 'Wrong revisions');
+        done();
+      };
+
+      request.params.id = '42';
+
+      testEntityController.getRevisionsAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP missing parameters error if id is not specified', function(done) {
+      testEntityController.getRevisionsAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_REVISIONS_MISSING_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP server error if getting revisions failed', function(done) {
+      ProviderMock.getRevisions = function(id, callback) {
+        callback(new Error('Error'));
+      };
+
+      request.params.id = '42';
+
+      testEntityController.getRevisionsAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.GET_REVISIONS_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('revertEntityAction', function() {
+
+    it('should revert the entity on behalf of the authenticated user', function(done) {
+      ProviderMock.withContext = function(context) {
+        assert.deepEqual(context, {user: '43'}, 'Wrong context');
+        return ProviderMock;
+      };
+      ProviderMock.revert = function(id, revision, callback) {
+        assert.equal(id, '42', 'Wrong id');
+        assert.strictEqual(revision, 3, 'Wrong revision');
+        callback(null, 1);
+      };
+      response.send = function(result) {
+        assert.equal(result.total, 1, 'Wrong total');
+        done();
+      };
+
+      request.user = {id: '43'};
+      request.params = {id: '42', revision: '3'};
+
+      testEntityController.revertEntityAction(request, response, function(error) {
+        assert.ok(false, 'Unexpected error');
+      });
+    });
+
+    it('should send an HTTP missing parameters error if revision is not specified', function(done) {
+      request.params.id = '42';
+
+      testEntityController.revertEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.REVERT_ENTITY_MISSING_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP wrong parameters error if revision is not valid', function(done) {
+      request.params = {id: '42', revision: 'wrong'};
+
+      testEntityController.revertEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.REVERT_ENTITY_WRONG_PARAMETERS, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP not found error if revision does not exist', function(done) {
+      ProviderMock.revert = function(id, revision, callback) {
+        callback(new StorageError('Not found', databaseErrors.REVISION_NOT_FOUND_ERROR));
+      };
+
+      request.params = {id: '42', revision: '3'};
+
+      testEntityController.revertEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.REVERT_ENTITY_NOT_FOUND_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should send an HTTP server error if reverting failed', function(done) {
+      ProviderMock.revert = function(id, revision, callback) {
+        callback(new Error('Error'));
+      };
+
+      request.params = {id: '42', revision: '3'};
+
+      testEntityController.revertEntityAction(request, response, function(error) {
+        assert.strictEqual(error, httpErrors.REVERT_ENTITY_ERROR, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('getTenantProvider', function() {
+
+    beforeEach(function() {
+      ProviderMock.tenantField = 'tenant';
+      ProviderMock.withAllTenants = function() {
+        assert.ok(false, 'Unexpected call to withAllTenants');
+      };
+    });
+
+    it('should return the provider as is if it does not isolate tenants', function() {
+      delete ProviderMock.tenantField;
+      assert.strictEqual(testEntityController.getTenantProvider(request), ProviderMock, 'Wrong provider');
+    });
+
+    it('should restrict the provider to the tenant of the authenticated user', function() {
+      var expectedProvider = {};
+      request.user = {id: '42', tenant: 'tenant1'};
+      ProviderMock.withContext = function(context) {
+        assert.deepEqual(context, {tenant: 'tenant1'}, 'Wrong context');
+        return expectedProvider;
+      };
+
+      assert.strictEqual(testEntityController.getTenantProvider(request), expectedProvider, 'Wrong provider');
+    });
+
+    it('should not let the super administrator access all tenants by default', function() {
+      request.user = {id: '0'};
+      ProviderMock.withContext = function(context) {
+        assert.deepEqual(context, {tenant: undefined}, 'Wrong context');
+        return ProviderMock;
+      };
+
+      testEntityController.getTenantProvider(request);
+    });
+
+    it('should access all tenants if explicitly granted', function() {
+      var expectedProvider = {};
+      request.user = {id: '0', tenant: 'tenant1'};
+      ProviderMock.withAllTenants = function() {
+        return expectedProvider;
+      };
+      TestEntityController.prototype.canAccessAllTenants = function(request) {
+        return request.user.id === '0';
+      };
+
+      assert.strictEqual(testEntityController.getTenantProvider(request), expectedProvider, 'Wrong provider');
+    });
+
+  });
+
 });
@@ -119,6 +119,42 @@ describe('fileSystem', function() {
 
   });
 
+  // pack method
+  describe('pack', function() {
+
+    it('should pack a directory into a tar file', function(done) {
+      var archivePath = path.join(tmpPath, 'archive.tar');
+      var extractedDirectory = path.join(tmpPath, 'pack');
+
+      fileSystem.pack(path.join(resourcesPath, 'dir1'), archivePath, function(error) {
+        assert.isUndefined(error, 'Unexpected error');
+
+        fileSystem.getFileType(archivePath, function(error, type) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(type, fileSystem.FILE_TYPES.TAR, 'Wrong file type');
+
+          fileSystem.extract(archivePath, extractedDirectory, function(error) {
+            assert.isUndefined(error, 'Unexpected error');
+
+            fs.readdir(extractedDirectory, function(error, archiveFiles) {
+              assert.isNull(error, 'Failed reading extracted content');
+              assert.sameMembers(archiveFiles, ['dir1.txt', 'dir2'], 'Wrong archive content');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should execute callback with an error in case of invalid paths', function(done) {
+      fileSystem.pack(null, path.join(tmpPath, 'archive.tar'), function(error) {
+        assert.instanceOf(error, TypeError, 'Error expected');
+        done();
+      });
+    });
+
+  });
+
   // mkdir method
   describe('mkdir', function() {
 
@@ -140,6 +176,15 @@ describe('fileSystem', function() {
       });
     });
 
+    it('should return a Promise if callback is not specified', function() {
+      var directoryPath = path.join(tmpPath, 'mkdir1');
+
+      return fileSystem.mkdir(directoryPath).then(function() {
+        // eslint-disable-next-line node/no-sync
+        assert.ok(fs.existsSync(directoryPath), 'Expected directory to be created');
+      });
+    });
+
   });
 
   // rmdir method
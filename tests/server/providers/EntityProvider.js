@@ -1,9 +1,15 @@
 'use strict';
 
 var path = require('path');
+var crypto = require('crypto');
 var assert = require('chai').assert;
 var mock = require('mock-require');
+var PassThrough = require('stream').PassThrough;
 var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var MemoryCache = process.requireApi('lib/caches/MemoryCache.js');
 
 describe('EntityProvider', function() {
   var EntityProvider;
@@ -60,7 +66,18 @@ describe('EntityProvider', function() {
   describe('properties', function() {
 
     it('should not be editable', function() {
-      var properties = ['location'];
+      var properties = [
+        'location',
+        'indexes',
+        'indexesPrefix',
+        'versionField',
+        'softDelete',
+        'revisionsLocation',
+        'encryption',
+        'tenantField',
+        'hooks',
+        'caches'
+      ];
       var provider = new EntityProvider(new Storage({}), 'location');
 
       properties.forEach(function(property) {
@@ -152,6 +169,20 @@ describe('EntityProvider', function() {
       );
     });
 
+    it('should return a Promise resolving with entities and pagination if callback is not specified', function() {
+      var expectedPagination = {limit: 10, page: 0, pages: 1, size: 1};
+      expectedEntities = [{}];
+
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        callback(null, expectedEntities, expectedPagination);
+      };
+
+      return provider.get(null, null, 10, 0).then(function(result) {
+        assert.strictEqual(result.entities, expectedEntities, 'Wrong entities');
+        assert.strictEqual(result.pagination, expectedPagination, 'Wrong pagination');
+      });
+    });
+
   });
 
   describe('add', function() {
@@ -223,6 +254,21 @@ describe('EntityProvider', function() {
       );
     });
 
+
+    it('should return a Promise rejected with the error if callback is not specified', function() {
+      var expectedError = new Error('Something went wrong');
+
+      storage.updateOne = function(location, filter, data, callback) {
+        callback(expectedError);
+      };
+
+      return provider.updateOne(new ResourceFilter(), {}).then(function() {
+        assert.ok(false, 'Unexpected resolution');
+      }, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+      });
+    });
+
   });
 
   describe('remove', function() {
@@ -251,15 +297,20 @@ describe('EntityProvider', function() {
 
   describe('removeField', function() {
 
-    it('should remove a field from a list of entities', function(done) {
+    it('should remove a field from the entities holding it', function(done) {
       var expectedFilter = new ResourceFilter();
       var expectedField = 'field';
       var expectedUpdatedCount = 42;
 
       storage.removeField = function(location, field, filter, callback) {
+        var filters = filter.getLogicalOperation(ResourceFilter.OPERATORS.AND).filters;
         assert.equal(location, expectedLocation, 'Wrong location');
         assert.equal(field, expectedField, 'Wrong field');
-        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        assert.strictEqual(filters[0], expectedFilter, 'Wrong filter');
+        assert.isTrue(
+          filters[1].getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, expectedField).value,
+          'Expected entities to hold the field'
+        );
         callback(null, expectedUpdatedCount);
       };
 
@@ -276,6 +327,330 @@ describe('EntityProvider', function() {
 
   });
 
+  describe('count', function() {
+
+    it('should count entities in the storage', function(done) {
+      var expectedFilter = new ResourceFilter();
+
+      storage.count = function(location, filter, callback) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        callback(null, 42);
+      };
+
+      provider.count(expectedFilter, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 42, 'Wrong total');
+        done();
+      });
+    });
+
+  });
+
+  describe('distinct', function() {
+
+    it('should get distinct values of a field from the storage', function(done) {
+      var expectedFilter = new ResourceFilter();
+      var expectedValues = ['value1'];
+
+      storage.distinct = function(location, field, filter, callback) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        assert.equal(field, 'field', 'Wrong field');
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        callback(null, expectedValues);
+      };
+
+      provider.distinct('field', expectedFilter, function(error, values) {
+        assert.isNull(error, 'Unexpected error');
+        assert.strictEqual(values, expectedValues, 'Wrong values');
+        done();
+      });
+    });
+
+  });
+
+  describe('aggregate', function() {
+
+    it('should aggregate entities from the storage', function(done) {
+      var expectedFilter = new ResourceFilter();
+      var expectedGroupBy = {group: 'group'};
+      var expectedAccumulators = {total: {type: 'count'}};
+      var expectedGroups = [{group: 'group1', total: 42}];
+
+      storage.aggregate = function(location, filter, groupBy, accumulators, callback) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        assert.strictEqual(groupBy, expectedGroupBy, 'Wrong groupBy');
+        assert.strictEqual(accumulators, expectedAccumulators, 'Wrong accumulators');
+        callback(null, expectedGroups);
+      };
+
+      provider.aggregate(expectedFilter, expectedGroupBy, expectedAccumulators, function(error, groups) {
+        assert.isNull(error, 'Unexpected error');
+        assert.strictEqual(groups, expectedGroups, 'Wrong groups');
+        done();
+      });
+    });
+
+  });
+
+  describe('updateMany', function() {
+
+    it('should update entities', function(done) {
+      var expectedFilter = new ResourceFilter();
+      var expectedData = {};
+
+      storage.updateMany = function(location, filter, data, callback) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        assert.strictEqual(data, expectedData, 'Wrong data');
+        callback(null, 42);
+      };
+
+      provider.updateMany(expectedFilter, expectedData, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 42, 'Wrong total');
+        done();
+      });
+    });
+
+  });
+
+  describe('upsertOne', function() {
+
+    it('should upsert an entity with a generated id', function(done) {
+      var expectedFilter = new ResourceFilter().equal('videoId', '42');
+      var expectedData = new ResourceUpdate().increment('views', 1);
+
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        assert.strictEqual(data, expectedData, 'Wrong data');
+        assert.equal(insertDefaults.created, 42, 'Wrong default fields');
+        assert.isString(insertDefaults.id, 'Expected an id to be generated');
+        callback(null, true);
+      };
+
+      provider.upsertOne(expectedFilter, expectedData, {created: 42}, function(error, inserted) {
+        assert.isNull(error, 'Unexpected error');
+        assert.isTrue(inserted, 'Expected entity to be inserted');
+        done();
+      });
+    });
+
+    it('should not generate an id if already given', function() {
+      var cases = [
+        {filter: new ResourceFilter().equal('id', '42'), data: {}, insertDefaults: null},
+        {filter: null, data: new ResourceUpdate().set('id', '42'), insertDefaults: null},
+        {filter: null, data: {id: '42'}, insertDefaults: null},
+        {filter: null, data: {}, insertDefaults: {id: '42'}}
+      ];
+
+      cases.forEach(function(testCase) {
+        storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+          assert.oneOf(insertDefaults.id, [undefined, '42'], 'Unexpected generated id');
+          callback(null, false);
+        };
+
+        provider.upsertOne(testCase.filter, testCase.data, testCase.insertDefaults, function() {});
+      });
+    });
+
+    it('should execute callback with an error if upsert failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        callback(expectedError);
+      };
+
+      provider.upsertOne(null, {}, null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('ensureIndexes', function() {
+    var existingIndexes;
+
+    beforeEach(function() {
+      existingIndexes = [{v: 2, key: {_id: 1}, name: '_id_'}];
+      storage.getIndexes = function(location, callback) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        callback(null, existingIndexes);
+      };
+      storage.createIndexes = function(location, indexes, callback) {
+        callback(null);
+      };
+      storage.dropIndex = function(location, name, callback) {
+        callback(null);
+      };
+    });
+
+    it('should create missing indexes and drop obsolete ones', function(done) {
+      var createdIndexes;
+      var droppedIndexes = [];
+      existingIndexes.push({v: 2, key: {field1: 1}, name: 'byField1'});
+      existingIndexes.push({v: 2, key: {field2: 1}, name: 'byField2'});
+      provider = new EntityProvider(storage, expectedLocation, {
+        indexes: [{key: {field1: 1}, name: 'byField1'}, {key: {field3: -1}, name: 'byField3', unique: true}],
+        indexesPrefix: 'by'
+      });
+
+      storage.createIndexes = function(location, indexes, callback) {
+        createdIndexes = indexes;
+        callback(null);
+      };
+      storage.dropIndex = function(location, name, callback) {
+        droppedIndexes.push(name);
+        callback(null);
+      };
+
+      provider.ensureIndexes(function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(createdIndexes, [provider.indexes[1]], 'Wrong created indexes');
+        assert.deepEqual(droppedIndexes, ['byField2'], 'Wrong dropped indexes');
+        assert.deepEqual(result, {created: ['byField3'], dropped: ['byField2'], conflicts: []}, 'Wrong result');
+        done();
+      });
+    });
+
+    it('should also create the unique index of the revisions', function(done) {
+      var createdIndexes = {};
+      provider = new EntityProvider(storage, expectedLocation, {revisions: true});
+
+      storage.getIndexes = function(location, callback) {
+        callback(null, existingIndexes);
+      };
+      storage.createIndexes = function(location, indexes, callback) {
+        createdIndexes[location] = indexes;
+        callback(null);
+      };
+
+      provider.ensureIndexes(function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(Object.keys(createdIndexes), [expectedLocation + '_revisions'], 'Wrong locations');
+        assert.deepEqual(
+          createdIndexes[expectedLocation + '_revisions'],
+          [{key: {entity: 1, revision: 1}, name: 'byEntityRevision', unique: true}],
+          'Wrong created indexes'
+        );
+        assert.deepEqual(result, {created: ['byEntityRevision'], dropped: [], conflicts: []}, 'Wrong result');
+        done();
+      });
+    });
+
+    it('should not drop indexes without prefix of the indexes owned by the provider', function(done) {
+      existingIndexes.push({v: 2, key: {field1: 1}, name: 'byField1'});
+      provider = new EntityProvider(storage, expectedLocation);
+
+      storage.dropIndex = function() {
+        assert.ok(false, 'Unexpected call to dropIndex');
+      };
+
+      provider.ensureIndexes(function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(result, {created: [], dropped: [], conflicts: []}, 'Wrong result');
+        done();
+      });
+    });
+
+    it('should consider text indexes with the same weights as equal', function(done) {
+      existingIndexes.push({
+        v: 2,
+        key: {_fts: 'text', _ftsx: 1},
+        name: 'querySearch',
+        weights: {title: 2, description: 1}
+      });
+      provider = new EntityProvider(storage, expectedLocation, {
+        indexes: [{key: {title: 'text', description: 'text'}, weights: {title: 2}, name: 'querySearch'}]
+      });
+
+      provider.ensureIndexes(function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(result, {created: [], dropped: [], conflicts: []}, 'Wrong result');
+        done();
+      });
+    });
+
+    it('should report a conflict if an index has changed', function(done) {
+      existingIndexes.push({v: 2, key: {_fts: 'text', _ftsx: 1}, name: 'querySearch', weights: {title: 1}});
+      provider = new EntityProvider(storage, expectedLocation, {
+        indexes: [{key: {title: 'text'}, weights: {title: 2}, name: 'querySearch'}]
+      });
+
+      storage.dropIndex = storage.createIndexes = function() {
+        assert.ok(false, 'Unexpected index modification');
+      };
+
+      provider.ensureIndexes(function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.lengthOf(result.conflicts, 1, 'Wrong number of conflicts');
+        assert.equal(result.conflicts[0].name, 'querySearch', 'Wrong conflict name');
+        assert.strictEqual(result.conflicts[0].declared, provider.indexes[0], 'Wrong declared index');
+        assert.strictEqual(result.conflicts[0].existing, existingIndexes[1], 'Wrong existing index');
+        done();
+      });
+    });
+
+    it('should report a conflict if a not owned index prevents a declared index from being created', function(done) {
+      existingIndexes.push({v: 2, key: {_fts: 'text', _ftsx: 1}, name: 'otherSearch', weights: {title: 1}});
+      provider = new EntityProvider(storage, expectedLocation, {
+        indexes: [{key: {title: 'text'}, name: 'provider_querySearch'}],
+        indexesPrefix: 'provider_'
+      });
+
+      provider.ensureIndexes(function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(result.dropped, [], 'Unexpected dropped indexes');
+        assert.deepEqual(result.created, [], 'Unexpected created indexes');
+        assert.strictEqual(result.conflicts[0].existing, existingIndexes[1], 'Wrong existing index');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if getting indexes failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+      storage.getIndexes = function(location, callback) {
+        callback(expectedError);
+      };
+
+      provider.ensureIndexes(function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should throw a TypeError if a declared index does not have a name', function() {
+      assert.throws(function() {
+        new EntityProvider(storage, expectedLocation, {indexes: [{key: {field: 1}}]});
+      }, TypeError);
+    });
+
+  });
+
+  describe('stream', function() {
+
+    it('should get a stream of entities from the storage', function() {
+      var expectedFilter = new ResourceFilter();
+      var expectedFields = {include: ['field']};
+      var expectedSort = {field: 'asc'};
+      var expectedStream = {};
+
+      storage.stream = function(location, filter, fields, sort) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        assert.strictEqual(fields, expectedFields, 'Wrong fields');
+        assert.strictEqual(sort, expectedSort, 'Wrong sort');
+        return expectedStream;
+      };
+
+      assert.strictEqual(provider.stream(expectedFilter, expectedFields, expectedSort), expectedStream, 'Wrong stream');
+    });
+
+  });
+
   describe('getAll', function() {
 
     it('should fetch all entities in all pages', function(done) {
@@ -347,4 +722,1539 @@ describe('EntityProvider', function() {
 
   });
 
+  describe('versioning', function() {
+
+    beforeEach(function() {
+      provider = new EntityProvider(storage, expectedLocation, {versionField: 'version'});
+    });
+
+    it('should add entities at version 0', function(done) {
+      storage.add = function(location, resources, callback) {
+        assert.deepEqual(resources, [{id: '42', version: 0}, {id: '43', version: 3}], 'Wrong entities');
+        callback(null, resources.length, resources);
+      };
+
+      provider.add([{id: '42'}, {id: '43', version: 3}], function(error) {
+        assert.isNull(error, 'Unexpected error');
+        done();
+      });
+    });
+
+    it('should increment version and update only the expected version when updating an entity', function(done) {
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+
+      storage.updateOne = function(location, filter, data, callback) {
+        var filters = filter.getLogicalOperation(ResourceFilter.OPERATORS.AND).filters;
+        assert.strictEqual(filters[0], expectedFilter, 'Wrong filter');
+        assert.equal(
+          filters[1].getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'version').value,
+          3,
+          'Wrong version'
+        );
+        assert.deepEqual(data.operations, [
+          {type: ResourceUpdate.OPERATORS.SET, field: 'title', value: 'title'},
+          {type: ResourceUpdate.OPERATORS.INCREMENT, field: 'version', value: 1}
+        ], 'Wrong operations');
+        callback(null, 1);
+      };
+
+      provider.updateOne(expectedFilter, {title: 'title', version: 3}, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should increment version without checking it if no version is expected', function(done) {
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+
+      storage.updateOne = function(location, filter, data, callback) {
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        assert.deepEqual(data.operations, [
+          {type: ResourceUpdate.OPERATORS.SET, field: 'title', value: 'title'},
+          {type: ResourceUpdate.OPERATORS.INCREMENT, field: 'version', value: 1}
+        ], 'Wrong operations');
+        callback(null, 1);
+      };
+
+      provider.updateOne(expectedFilter, {title: 'title'}, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if entity is not at the expected version anymore', function(done) {
+      storage.updateOne = function(location, filter, data, callback) {
+        callback(null, 0);
+      };
+      storage.getOne = function(location, filter, fields, callback) {
+        callback(null, {id: '42'});
+      };
+
+      provider.updateOne(new ResourceFilter().equal('id', '42'), {version: 3}, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.UPDATE_VERSION_CONFLICT_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should not execute callback with an error if entity does not exist', function(done) {
+      storage.updateOne = function(location, filter, data, callback) {
+        callback(null, 0);
+      };
+      storage.getOne = function(location, filter, fields, callback) {
+        callback(null);
+      };
+
+      provider.updateOne(new ResourceFilter().equal('id', '42'), {version: 3}, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 0, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should increment versions when updating several entities', function(done) {
+      storage.updateMany = function(location, filter, data, callback) {
+        assert.isNull(filter, 'Unexpected filter');
+        assert.deepEqual(data.operations, [
+          {type: ResourceUpdate.OPERATORS.PUSH, field: 'tags', value: 'tag'},
+          {type: ResourceUpdate.OPERATORS.INCREMENT, field: 'version', value: 1}
+        ], 'Wrong operations');
+        callback(null, 42);
+      };
+
+      provider.updateMany(null, new ResourceUpdate().push('tags', 'tag'), function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 42, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should increment versions of the entities holding a removed field', function(done) {
+      storage.removeField = function() {
+        assert.ok(false, 'Unexpected call to removeField');
+      };
+      storage.updateMany = function(location, filter, data, callback) {
+        assert.isTrue(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'title').value,
+          'Expected entities to hold the field'
+        );
+        assert.deepEqual(data.operations, [
+          {type: ResourceUpdate.OPERATORS.UNSET, field: 'title', value: undefined},
+          {type: ResourceUpdate.OPERATORS.INCREMENT, field: 'version', value: 1}
+        ], 'Wrong operations');
+        callback(null, 42);
+      };
+
+      provider.removeField('title', null, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 42, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should increment version and ignore the expected version when upserting an entity', function(done) {
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        assert.deepEqual(data.operations, [
+          {type: ResourceUpdate.OPERATORS.SET, field: 'title', value: 'title'},
+          {type: ResourceUpdate.OPERATORS.INCREMENT, field: 'version', value: 1}
+        ], 'Wrong operations');
+        callback(null, false);
+      };
+
+      provider.upsertOne(null, {title: 'title', version: 3}, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        done();
+      });
+    });
+
+  });
+
+  describe('soft delete', function() {
+
+    beforeEach(function() {
+      provider = new EntityProvider(storage, expectedLocation, {softDelete: true});
+    });
+
+    it('should move entities to the trash with the date and the user of the removal', function(done) {
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+      var expectedUser = '43';
+      var now = Date.now();
+
+      storage.remove = function() {
+        assert.ok(false, 'Unexpected removal');
+      };
+      storage.updateMany = function(location, filter, data, callback) {
+        var filters = filter.getLogicalOperation(ResourceFilter.OPERATORS.AND).filters;
+        assert.strictEqual(filters[0], expectedFilter, 'Wrong filter');
+        assert.isFalse(
+          filters[1].getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value,
+          'Expected entities in the trash to be excluded'
+        );
+        assert.equal(data.operations[0].field, 'deleted', 'Wrong field');
+        assert.equal(data.operations[0].value.user, expectedUser, 'Wrong user');
+        assert.isAtLeast(data.operations[0].value.date, now, 'Wrong date');
+        callback(null, 1);
+      };
+
+      provider.withContext({user: expectedUser}).remove(expectedFilter, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should exclude entities in the trash when fetching entities', function(done) {
+      storage.getOne = function(location, filter, fields, callback) {
+        assert.isFalse(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value,
+          'Expected entities in the trash to be excluded'
+        );
+        callback(null, expectedEntity);
+      };
+
+      provider.getOne(null, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        done();
+      });
+    });
+
+    it('should fetch only entities in the trash when getting the trash', function(done) {
+      expectedEntities = [{id: '42'}];
+
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        assert.isTrue(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value,
+          'Expected only entities in the trash'
+        );
+        callback(null, expectedEntities, {});
+      };
+
+      provider.getTrash(null, null, 10, 0, null, function(error, entities) {
+        assert.isNull(error, 'Unexpected error');
+        assert.strictEqual(entities, expectedEntities, 'Wrong entities');
+        done();
+      });
+    });
+
+    it('should restore entities from the trash', function(done) {
+      storage.updateMany = function(location, filter, data, callback) {
+        assert.isTrue(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value,
+          'Expected only entities in the trash'
+        );
+        assert.deepEqual(data.operations, [
+          {type: ResourceUpdate.OPERATORS.UNSET, field: 'deleted', value: undefined}
+        ], 'Wrong operations');
+        callback(null, 1);
+      };
+
+      provider.restore(new ResourceFilter().equal('id', '42'), function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should exclude entities in the trash when upserting an entity', function(done) {
+      storage.getOne = function(location, filter, fields, callback) {
+        assert.isTrue(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value,
+          'Expected to look for entities in the trash'
+        );
+        callback(null, undefined);
+      };
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        assert.isFalse(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value,
+          'Expected entities in the trash to be excluded'
+        );
+        callback(null, true);
+      };
+
+      provider.upsertOne(null, {title: 'title'}, null, function(error, inserted) {
+        assert.isNull(error, 'Unexpected error');
+        assert.isTrue(inserted, 'Expected entity to be added');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if upserting an entity in the trash', function(done) {
+      storage.getOne = function(location, filter, fields, callback) {
+        var inTrash = filter.getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value;
+        callback(null, inTrash ? {id: '42'} : undefined);
+      };
+      storage.upsertOne = function() {
+        assert.ok(false, 'Unexpected call to upsertOne');
+      };
+
+      provider.upsertOne(null, {title: 'title'}, null, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.TRASHED_ENTITY_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should purge entities in the trash for longer than the retention period', function(done) {
+      var expectedRetention = 42000;
+      var now = Date.now();
+
+      storage.remove = function(location, filter, callback) {
+        var operation = filter.getComparisonOperation(ResourceFilter.OPERATORS.LESSER_THAN_EQUAL, 'deleted.date');
+        assert.isAtLeast(operation.value, now - expectedRetention, 'Wrong date');
+        assert.isAtMost(operation.value, Date.now() - expectedRetention, 'Wrong date');
+        callback(null, 42);
+      };
+
+      provider.purge(null, expectedRetention, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 42, 'Wrong total');
+        done();
+      });
+    });
+
+  });
+
+  describe('revisions', function() {
+    var expectedRevisionsLocation = expectedLocation + '_revisions';
+    var states;
+    var revisions;
+
+    beforeEach(function() {
+      provider = new EntityProvider(storage, expectedLocation, {revisions: true});
+      states = [{id: '42', title: 'before', tags: ['tag']}, {id: '42', title: 'after'}];
+      revisions = [];
+
+      storage.getOne = function(location, filter, fields, callback) {
+        if (location === expectedRevisionsLocation) return callback(null, revisions[0]);
+        callback(null, states.shift());
+      };
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        assert.equal(location, expectedRevisionsLocation, 'Wrong location');
+        assert.equal(filter.getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'entity').value, '42', 'Wrong id');
+        assert.deepEqual(sort, {revision: 'desc'}, 'Wrong sort');
+        callback(null, [{revision: 2}], {limit: limit, page: page, pages: 2, size: 2});
+      };
+      storage.add = function(location, resources, callback) {
+        if (location === expectedRevisionsLocation) revisions = revisions.concat(resources);
+        callback(null, resources.length, resources);
+      };
+    });
+
+    it('should save the previous state of an updated entity with the differences', function(done) {
+      var now = Date.now();
+
+      provider.withContext({user: '43'}).updateOne(null, {title: 'after'}, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 42, 'Wrong total');
+        assert.lengthOf(revisions, 1, 'Wrong number of revisions');
+        assert.isString(revisions[0].id, 'Expected revision to have an id');
+        assert.isAtLeast(revisions[0].date, now, 'Wrong date');
+        assert.equal(revisions[0].entity, '42', 'Wrong entity');
+        assert.equal(revisions[0].revision, 3, 'Wrong revision');
+        assert.equal(revisions[0].operation, 'update', 'Wrong operation');
+        assert.equal(revisions[0].user, '43', 'Wrong user');
+        assert.deepEqual(revisions[0].state, {id: '42', title: 'before', tags: ['tag']}, 'Wrong state');
+        assert.deepEqual(revisions[0].diff, [
+          {field: 'title', before: 'before', after: 'after'},
+          {field: 'tags', before: ['tag'], after: undefined}
+        ], 'Wrong diff');
+        done();
+      });
+    });
+
+    it('should save the previous states of removed entities', function(done) {
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        if (location === expectedRevisionsLocation) return callback(null, [], {limit: limit, page: page, pages: 0});
+        callback(null, [{id: '42', title: 'title'}], {limit: limit, page: page, pages: 1, size: 1});
+      };
+      storage.getOne = function(location, filter, fields, callback) {
+        callback(null);
+      };
+
+      provider.remove(null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        assert.lengthOf(revisions, 1, 'Wrong number of revisions');
+        assert.equal(revisions[0].revision, 1, 'Wrong revision');
+        assert.equal(revisions[0].operation, 'remove', 'Wrong operation');
+        assert.deepEqual(revisions[0].diff, [
+          {field: 'id', before: '42', after: undefined},
+          {field: 'title', before: 'title', after: undefined}
+        ], 'Wrong diff');
+        done();
+      });
+    });
+
+    it('should save the previous states of entities updated by updateMany', function(done) {
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        if (location === expectedRevisionsLocation) return callback(null, [], {limit: limit, page: page, pages: 0});
+        callback(null, [{id: '42', title: 'before'}], {limit: limit, page: page, pages: 1, size: 1});
+      };
+      storage.getOne = function(location, filter, fields, callback) {
+        callback(null, {id: '42', title: 'after'});
+      };
+      storage.updateMany = function(location, filter, data, callback) {
+        callback(null, 1);
+      };
+
+      provider.updateMany(null, {title: 'after'}, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        assert.lengthOf(revisions, 1, 'Wrong number of revisions');
+        assert.equal(revisions[0].operation, 'update', 'Wrong operation');
+        assert.deepEqual(revisions[0].diff, [{field: 'title', before: 'before', after: 'after'}], 'Wrong diff');
+        done();
+      });
+    });
+
+    it('should save the previous states of entities updated by removeField', function(done) {
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        if (location === expectedRevisionsLocation) return callback(null, [], {limit: limit, page: page, pages: 0});
+        callback(null, [{id: '42', title: 'title'}], {limit: limit, page: page, pages: 1, size: 1});
+      };
+      storage.getOne = function(location, filter, fields, callback) {
+        callback(null, {id: '42'});
+      };
+
+      provider.removeField('title', null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        assert.lengthOf(revisions, 1, 'Wrong number of revisions');
+        assert.equal(revisions[0].operation, 'update', 'Wrong operation');
+        assert.deepEqual(revisions[0].diff, [{field: 'title', before: 'title', after: undefined}], 'Wrong diff');
+        done();
+      });
+    });
+
+    it('should save the previous state of an entity updated by upsertOne', function(done) {
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        callback(null, false);
+      };
+
+      provider.upsertOne(new ResourceFilter().equal('id', '42'), {title: 'after'}, null, function(error, inserted) {
+        assert.isNull(error, 'Unexpected error');
+        assert.isFalse(inserted, 'Unexpected insertion');
+        assert.lengthOf(revisions, 1, 'Wrong number of revisions');
+        assert.equal(revisions[0].operation, 'update', 'Wrong operation');
+        assert.deepEqual(revisions[0].state, {id: '42', title: 'before', tags: ['tag']}, 'Wrong state');
+        done();
+      });
+    });
+
+    it('should not save a revision for an entity added by upsertOne', function(done) {
+      states = [null];
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        callback(null, true);
+      };
+
+      provider.upsertOne(new ResourceFilter().equal('id', '42'), {title: 'after'}, null, function(error, inserted) {
+        assert.isNull(error, 'Unexpected error');
+        assert.isTrue(inserted, 'Expected an insertion');
+        assert.isEmpty(revisions, 'Unexpected revisions');
+        done();
+      });
+    });
+
+    it('should number the revision again if a concurrent operation took its number', function(done) {
+      var lastRevision = 2;
+      var attempts = 0;
+
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        callback(null, [{revision: lastRevision++}], {limit: limit, page: page, pages: 1, size: 1});
+      };
+      storage.add = function(location, resources, callback) {
+        if (++attempts === 1) return callback(new StorageError('Duplicate key', databaseErrors.DUPLICATE_KEY_ERROR));
+        revisions = revisions.concat(resources);
+        callback(null, resources.length, resources);
+      };
+
+      provider.updateOne(null, {title: 'after'}, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(attempts, 2, 'Wrong number of attempts');
+        assert.lengthOf(revisions, 1, 'Wrong number of revisions');
+        assert.equal(revisions[0].revision, 4, 'Wrong revision');
+        done();
+      });
+    });
+
+    it('should not save a revision if nothing has been updated', function(done) {
+      storage.updateOne = function(location, filter, data, callback) {
+        callback(null, 0);
+      };
+
+      provider.updateOne(null, {title: 'after'}, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.isEmpty(revisions, 'Unexpected revisions');
+        done();
+      });
+    });
+
+    it('should get the revisions of an entity from the most recent', function(done) {
+      expectedEntities = [{revision: 2}, {revision: 1}];
+
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        assert.equal(location, expectedRevisionsLocation, 'Wrong location');
+        assert.equal(filter.getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'entity').value, '42', 'Wrong id');
+        assert.deepEqual(sort, {revision: 'desc'}, 'Wrong sort');
+        callback(null, expectedEntities, {limit: limit, page: page, pages: 1, size: expectedEntities.length});
+      };
+
+      provider.getRevisions('42', function(error, revisions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(revisions, expectedEntities, 'Wrong revisions');
+        done();
+      });
+    });
+
+    it('should revert an entity to the state of a revision', function(done) {
+      revisions = [{entity: '42', revision: 1, state: {id: '42', title: 'before', tags: ['tag']}}];
+      states = [{id: '42', title: 'after', description: 'description'}];
+      states.push(states[0], {id: '42', title: 'before', tags: ['tag']});
+
+      storage.updateOne = function(location, filter, data, callback) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        assert.equal(filter.getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'id').value, '42', 'Wrong id');
+        assert.deepEqual(data.operations, [
+          {type: ResourceUpdate.OPERATORS.SET, field: 'title', value: 'before'},
+          {type: ResourceUpdate.OPERATORS.SET, field: 'tags', value: ['tag']},
+          {type: ResourceUpdate.OPERATORS.UNSET, field: 'description', value: undefined}
+        ], 'Wrong operations');
+        callback(null, 1);
+      };
+
+      provider.revert('42', 1, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        assert.equal(revisions[1].operation, 'revert', 'Wrong operation');
+        done();
+      });
+    });
+
+    it('should add back a removed entity when reverting it', function(done) {
+      var expectedState = {id: '42', title: 'before'};
+      revisions = [{entity: '42', revision: 1, state: expectedState}];
+      states = [null, expectedState];
+
+      storage.add = function(location, resources, callback) {
+        if (location === expectedLocation) assert.deepEqual(resources, [expectedState], 'Wrong entity');
+        else revisions = revisions.concat(resources);
+        callback(null, resources.length, resources);
+      };
+
+      provider.revert('42', 1, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        assert.isNull(revisions[1].state, 'Unexpected previous state');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if revision does not exist', function(done) {
+      provider.revert('42', 1, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.REVISION_NOT_FOUND_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+  });
+
+  describe('events', function() {
+
+    beforeEach(function() {
+      expectedEntity = {id: '42'};
+      expectedEntities = [{id: '42'}, {id: '43'}];
+      storage.add = function(location, resources, callback) {
+        callback(null, resources.length, resources);
+      };
+      storage.distinct = function(location, field, filter, callback) {
+        assert.equal(field, 'id', 'Wrong field');
+        callback(null, expectedEntities.map(function(entity) {
+          return entity.id;
+        }));
+      };
+    });
+
+    it('should emit "added" with the ids of added entities', function(done) {
+      provider.on('added', function(event) {
+        assert.deepEqual(event, {ids: ['42', '43']}, 'Wrong event');
+        done();
+      });
+
+      provider.add(expectedEntities, function() {});
+    });
+
+    it('should emit "updated" with the ids and the fields of updated entities', function(done) {
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+
+      storage.getOne = function(location, filter, fields, callback) {
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        assert.deepEqual(fields, {include: ['id']}, 'Wrong fields');
+        callback(null, expectedEntity);
+      };
+
+      provider.on('updated', function(event) {
+        assert.deepEqual(event, {ids: ['42'], fields: ['title', 'views']}, 'Wrong event');
+        done();
+      });
+
+      provider.updateOne(expectedFilter, {title: 'title', views: 1}, function() {});
+    });
+
+    it('should emit "updated" with all ids and the fields of entities updated by updateMany', function(done) {
+      storage.updateMany = function(location, filter, data, callback) {
+        callback(null, 2);
+      };
+
+      provider.on('updated', function(event) {
+        assert.deepEqual(event, {ids: ['42', '43'], fields: ['views']}, 'Wrong event');
+        done();
+      });
+
+      provider.updateMany(null, new ResourceUpdate().increment('views', 1), function() {});
+    });
+
+    it('should emit "updated" with the removed field', function(done) {
+      provider.on('updated', function(event) {
+        assert.deepEqual(event, {ids: ['42', '43'], fields: ['field']}, 'Wrong event');
+        done();
+      });
+
+      provider.removeField('field', null, function() {});
+    });
+
+    it('should emit "removed" with the ids of removed entities', function(done) {
+      provider.on('removed', function(event) {
+        assert.deepEqual(event, {ids: ['42', '43']}, 'Wrong event');
+        done();
+      });
+
+      provider.remove(null, function() {});
+    });
+
+    it('should emit "removed" with the ids of entities purged from the trash', function(done) {
+      provider = new EntityProvider(storage, expectedLocation, {softDelete: true});
+      storage.distinct = function(location, field, filter, callback) {
+        assert.ok(
+          filter.getComparisonOperation(ResourceFilter.OPERATORS.LESSER_THAN_EQUAL, 'deleted.date'),
+          'Expected ids of entities in the trash'
+        );
+        callback(null, ['42', '43']);
+      };
+
+      provider.on('removed', function(event) {
+        assert.deepEqual(event, {ids: ['42', '43']}, 'Wrong event');
+        done();
+      });
+
+      provider.purge(null, 0, function() {});
+    });
+
+    it('should emit "added" with the id of an entity inserted by upsertOne', function(done) {
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        callback(null, true);
+      };
+
+      provider.on('added', function(event) {
+        assert.deepEqual(event, {ids: ['44']}, 'Wrong event');
+        done();
+      });
+
+      provider.upsertOne(new ResourceFilter().equal('id', '44'), {title: 'title'}, null, function() {});
+    });
+
+    it('should emit "updated" with the id of an entity updated by upsertOne', function(done) {
+      storage.upsertOne = function(location, filter, data, insertDefaults, callback) {
+        callback(null, false);
+      };
+
+      provider.on('updated', function(event) {
+        assert.deepEqual(event, {ids: ['42'], fields: ['title']}, 'Wrong event');
+        done();
+      });
+
+      provider.upsertOne(null, {title: 'title'}, null, function() {});
+    });
+
+    it('should not fetch ids if event is not listened to', function(done) {
+      storage.getOne = storage.distinct = function() {
+        assert.ok(false, 'Unexpected ids fetching');
+      };
+
+      provider.updateOne(null, {title: 'title'}, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        provider.remove(null, function(error) {
+          assert.isNull(error, 'Unexpected error');
+          done();
+        });
+      });
+    });
+
+    it('should not emit if nothing changed', function(done) {
+      storage.remove = function(location, filter, callback) {
+        callback(null, 0);
+      };
+
+      provider.on('removed', function() {
+        assert.ok(false, 'Unexpected event');
+      });
+
+      provider.remove(null, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 0, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should not emit if operation failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+      storage.updateOne = function(location, filter, data, callback) {
+        callback(expectedError);
+      };
+
+      provider.on('updated', function() {
+        assert.ok(false, 'Unexpected event');
+      });
+
+      provider.updateOne(null, {title: 'title'}, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if fetching ids failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+      storage.distinct = function(location, field, filter, callback) {
+        callback(expectedError);
+      };
+      storage.remove = function() {
+        assert.ok(false, 'Unexpected removal');
+      };
+
+      provider.on('removed', function() {});
+      provider.remove(null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+  });
+
+  describe('archives', function() {
+
+    it('should export entities which are not in the trash', function(done) {
+      var expectedPath = '/tmp/archive.tar';
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+      provider = new EntityProvider(storage, expectedLocation, {softDelete: true});
+
+      storage.exportArchive = function(locations, filePath, callback) {
+        var filters = locations[expectedLocation].getLogicalOperation(ResourceFilter.OPERATORS.AND).filters;
+        assert.deepEqual(Object.keys(locations), [expectedLocation], 'Wrong locations');
+        assert.strictEqual(filters[0], expectedFilter, 'Wrong filter');
+        assert.isFalse(
+          filters[1].getComparisonOperation(ResourceFilter.OPERATORS.EXISTS, 'deleted').value,
+          'Expected entities in the trash to be excluded'
+        );
+        assert.equal(filePath, expectedPath, 'Wrong path');
+        callback(null, {location: 42});
+      };
+
+      provider.exportArchive(expectedPath, expectedFilter, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 42, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should import only entities of the location of the provider', function(done) {
+      var expectedResult = {added: 1, overwritten: 2, skipped: 3};
+
+      storage.importArchive = function(filePath, options, callback) {
+        assert.deepEqual(options, {policy: 'skip', locations: [expectedLocation]}, 'Wrong options');
+        callback(null, {location: expectedResult});
+      };
+
+      provider.importArchive('/tmp/archive.tar', 'skip', function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.strictEqual(result, expectedResult, 'Wrong result');
+        done();
+      });
+    });
+
+  });
+
+  describe('encryption', function() {
+    var encryption;
+    var storedEntities;
+
+    beforeEach(function() {
+      encryption = {
+        fields: [{field: 'email', deterministic: true}, 'secret'],
+        keys: {key1: crypto.randomBytes(32)}
+      };
+      provider = new EntityProvider(storage, expectedLocation, {encryption: encryption});
+      storedEntities = [];
+
+      storage.add = function(location, resources, callback) {
+        storedEntities = storedEntities.concat(resources);
+        callback(null, resources.length, resources);
+      };
+      storage.getOne = function(location, filter, fields, callback) {
+        callback(null, storedEntities[0]);
+      };
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        callback(null, storedEntities, {limit: limit, page: page, pages: 1, size: storedEntities.length});
+      };
+    });
+
+    it('should throw a TypeError if encryption configuration is not valid', function() {
+      assert.throws(function() {
+        new EntityProvider(storage, expectedLocation, {encryption: {fields: ['secret'], keys: {}}});
+      }, TypeError);
+    });
+
+    it('should store encrypted entities and return them decrypted', function(done) {
+      var expectedEntity = {id: '42', email: 'john@example.com', secret: 'secret'};
+
+      provider.add([expectedEntity], function(error, total, entities) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(storedEntities[0].id, '42', 'Wrong id');
+        assert.match(storedEntities[0].email, /^enc:v1:key1:d:/, 'Expected email to be encrypted');
+        assert.match(storedEntities[0].secret, /^enc:v1:key1:r:/, 'Expected secret to be encrypted');
+        assert.deepEqual(entities, [expectedEntity], 'Wrong entities');
+
+        provider.get(null, null, 10, 0, null, function(error, entities) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(entities, [expectedEntity], 'Wrong fetched entities');
+          done();
+        });
+      });
+    });
+
+    it('should filter deterministic fields on their encrypted values', function(done) {
+      provider.add([{id: '42', email: 'john@example.com'}], function() {
+        storage.getOne = function(location, filter, fields, callback) {
+          assert.equal(
+            filter.getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'email').value,
+            storedEntities[0].email,
+            'Wrong email'
+          );
+          callback(null, storedEntities[0]);
+        };
+
+        provider.getOne(new ResourceFilter().equal('email', 'john@example.com'), null, function(error, entity) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(entity.email, 'john@example.com', 'Wrong entity');
+          done();
+        });
+      });
+    });
+
+    it('should execute callback with an error if an encrypted field can not be used in the filter', function(done) {
+      storage.count = function() {
+        assert.fail('Unexpected count');
+      };
+
+      provider.count(new ResourceFilter().regex('email', /john/), function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.ENCRYPTED_FIELD_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should encrypt modifications of encrypted fields', function(done) {
+      storage.updateOne = function(location, filter, data, callback) {
+        assert.equal(data.operations[0].field, 'secret', 'Wrong field');
+        assert.match(data.operations[0].value, /^enc:v1:key1:r:/, 'Expected secret to be encrypted');
+        callback(null, 1);
+      };
+
+      provider.updateOne(null, {secret: 'new secret'}, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should re-encrypt entities which are not encrypted with the current key', function(done) {
+      var rotatedEncryption = Object.assign({}, encryption, {
+        keys: {key1: encryption.keys.key1, key2: crypto.randomBytes(32)},
+        currentKey: 'key2'
+      });
+      var updatedIds = [];
+
+      provider.add([{id: '1', email: 'john@example.com'}], function() {
+        provider = new EntityProvider(storage, expectedLocation, {encryption: rotatedEncryption});
+
+        provider.add([{id: '2', secret: 'secret'}], function() {
+          storage.updateOne = function(location, filter, data, callback) {
+            updatedIds.push(filter.getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'id').value);
+            assert.equal(data.operations[0].field, 'email', 'Wrong field');
+            assert.match(data.operations[0].value, /^enc:v1:key2:d:/, 'Expected email to be encrypted with new key');
+            callback(null, 1);
+          };
+
+          provider.reencrypt(function(error, total) {
+            assert.isNull(error, 'Unexpected error');
+            assert.equal(total, 1, 'Wrong total');
+            assert.deepEqual(updatedIds, ['1'], 'Wrong entities');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should get a stream of decrypted entities', function(done) {
+      var entities = [];
+
+      provider.add([{id: '42', secret: 'secret'}], function() {
+        storage.stream = function(location, filter, fields, sort) {
+          var entitiesStream = new PassThrough({objectMode: true});
+          entitiesStream.end(storedEntities[0]);
+          return entitiesStream;
+        };
+
+        provider.stream()
+          .on('data', function(entity) {
+            entities.push(entity);
+          })
+          .on('end', function() {
+            assert.deepEqual(entities, [{id: '42', secret: 'secret'}], 'Wrong entities');
+            done();
+          });
+      });
+    });
+
+  });
+
+  describe('tenants', function() {
+
+    beforeEach(function() {
+      provider = new EntityProvider(storage, expectedLocation, {tenantField: 'tenant'});
+    });
+
+    it('should throw a TypeError if tenantField is not a string', function() {
+      assert.throws(function() {
+        new EntityProvider(storage, expectedLocation, {tenantField: 42});
+      }, TypeError);
+    });
+
+    it('should throw a TypeError if tenantField is a nested field', function() {
+      assert.throws(function() {
+        new EntityProvider(storage, expectedLocation, {tenantField: 'metadata.tenant'});
+      }, TypeError);
+    });
+
+    it('should restrict filters to the tenant of the context', function(done) {
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        var filters = filter.getLogicalOperation(ResourceFilter.OPERATORS.AND).filters;
+        assert.strictEqual(filters[0], expectedFilter, 'Wrong filter');
+        assert.equal(
+          filters[1].getComparisonOperation(ResourceFilter.OPERATORS.EQUAL, 'tenant').value,
+          'tenant1',
+          'Expected entities to be restricted to the tenant'
+        );
+        callback(null, [], {});
+      };
+
+      provider.withContext({tenant: 'tenant1'}).get(expectedFilter, null, 10, 0, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if context has no tenant', function(done) {
+      storage.getOne = function() {
+        assert.ok(false, 'Unexpected call to getOne');
+      };
+
+      provider.getOne(null, null, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.TENANT_ISOLATION_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should not restrict filters if explicitly executed for all tenants', function(done) {
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+
+      storage.getOne = function(location, filter, fields, callback) {
+        assert.strictEqual(filter, expectedFilter, 'Wrong filter');
+        callback(null, {id: '42'});
+      };
+
+      provider.withAllTenants().getOne(expectedFilter, null, function(error, entity) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(entity, {id: '42'}, 'Wrong entity');
+        done();
+      });
+    });
+
+    it('should add entities to the tenant of the context', function(done) {
+      storage.add = function(location, resources, callback) {
+        assert.equal(resources[0].tenant, 'tenant1', 'Wrong tenant');
+        callback(null, resources.length, resources);
+      };
+
+      provider.withContext({tenant: 'tenant1'}).add([{id: '42', tenant: 'tenant2'}], function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if entities added for all tenants have no tenant', function(done) {
+      storage.add = function() {
+        assert.ok(false, 'Unexpected call to add');
+      };
+
+      provider.withAllTenants().add([{id: '42'}], function(error) {
+        assert.strictEqual(error.code, databaseErrors.TENANT_ISOLATION_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if tenant field is modified for a tenant', function(done) {
+      storage.updateOne = function() {
+        assert.ok(false, 'Unexpected call to updateOne');
+      };
+
+      provider.withContext({tenant: 'tenant1'}).updateOne(null, {tenant: 'tenant2'}, function(error) {
+        assert.strictEqual(error.code, databaseErrors.TENANT_ISOLATION_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should import archives only for all tenants', function(done) {
+      storage.importArchive = function(filePath, options, callback) {
+        callback(null, {location: {added: 1, overwritten: 0, skipped: 0}});
+      };
+
+      provider.withContext({tenant: 'tenant1'}).importArchive('/tmp/archive.tar', 'skip', function(error) {
+        assert.strictEqual(error.code, databaseErrors.TENANT_ISOLATION_ERROR, 'Wrong error code');
+
+        provider.withAllTenants().importArchive('/tmp/archive.tar', 'skip', function(error) {
+          assert.isNull(error, 'Unexpected error');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('hooks', function() {
+
+    it('should throw a TypeError if hook or middleware are not valid', function() {
+      var wrongHooks = ['add', 'beforeUnknown', 'beforeadd', 'beforeGetAll', 'beforeHasOwnProperty'];
+
+      wrongHooks.forEach(function(wrongHook) {
+        assert.throws(function() {
+          provider.use(wrongHook, function() {});
+        }, TypeError);
+      });
+      assert.throws(function() {
+        provider.use('beforeAdd', {});
+      }, TypeError);
+    });
+
+    it('should execute before middlewares in registration order with modifiable arguments', function(done) {
+      var calls = [];
+
+      storage.add = function(location, resources, callback) {
+        assert.deepEqual(calls, [1, 2], 'Wrong middlewares');
+        assert.equal(resources[0].title, 'TITLE', 'Wrong entity');
+        callback(null, resources.length, resources);
+      };
+
+      provider.use('beforeAdd', function(args, callback) {
+        calls.push(1);
+        args.entities = [{title: args.entities[0].title.trim()}];
+        callback();
+      }).use('beforeAdd', function(args, callback) {
+        calls.push(2);
+        args.entities[0].title = args.entities[0].title.toUpperCase();
+        callback();
+      });
+
+      provider.add([{title: ' title '}], function(error, total, entities) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        assert.equal(entities[0].title, 'TITLE', 'Wrong added entity');
+        done();
+      });
+    });
+
+    it('should execute after middlewares with modifiable results and arguments', function(done) {
+      var expectedFilter = new ResourceFilter().equal('id', '42');
+      expectedEntity = {id: '42'};
+
+      provider.use('afterGetOne', function(results, args, callback) {
+        assert.strictEqual(args.filter, expectedFilter, 'Wrong filter');
+        results.entity = Object.assign({url: '/entities/42'}, results.entity);
+        callback();
+      });
+
+      provider.getOne(expectedFilter, null, function(error, entity) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(entity, {url: '/entities/42', id: '42'}, 'Wrong entity');
+        done();
+      });
+    });
+
+    it('should abort the operation if a middleware fails', function(done) {
+      var expectedError = new Error('Something went wrong');
+
+      storage.remove = function() {
+        assert.ok(false, 'Unexpected call to remove');
+      };
+
+      provider.use('beforeRemove', function(args, callback) {
+        callback(expectedError);
+      }).use('beforeRemove', function() {
+        assert.ok(false, 'Unexpected middleware');
+      });
+
+      provider.remove(null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should execute middlewares returning promises', function(done) {
+      var calls = [];
+
+      storage.add = function(location, resources, callback) {
+        assert.deepEqual(calls, [1, 2], 'Wrong middlewares');
+        callback(null, resources.length, resources);
+      };
+
+      provider.use('beforeAdd', function(args) {
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            calls.push(1);
+            resolve();
+          }, 1);
+        });
+      }).use('beforeAdd', function(args) {
+        calls.push(2);
+        return Promise.resolve();
+      });
+
+      provider.add([{title: 'title'}], function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+        done();
+      });
+    });
+
+    it('should abort the operation if a middleware returns a rejected promise', function(done) {
+      var expectedError = new Error('Something went wrong');
+
+      storage.remove = function() {
+        assert.ok(false, 'Unexpected call to remove');
+      };
+
+      provider.use('beforeRemove', function(args) {
+        return Promise.reject(expectedError);
+      });
+
+      provider.remove(null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should abort the operation if a middleware throws an error', function(done) {
+      var expectedError = new Error('Something went wrong');
+
+      storage.remove = function() {
+        assert.ok(false, 'Unexpected call to remove');
+      };
+
+      provider.use('beforeRemove', function(args) {
+        throw expectedError;
+      });
+
+      provider.remove(null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should execute the next middleware only once if a middleware calls its callback several times', function(done) {
+      var calls = 0;
+
+      storage.count = function(location, filter, callback) {
+        callback(null, 42);
+      };
+
+      provider.use('beforeCount', function(args, callback) {
+        callback();
+        callback();
+        return Promise.resolve();
+      }).use('beforeCount', function(args, callback) {
+        calls++;
+        callback();
+      });
+
+      provider.count(null, function(error, count) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(count, 42, 'Wrong count');
+        setTimeout(function() {
+          assert.equal(calls, 1, 'Wrong number of calls');
+          done();
+        }, 5);
+      });
+    });
+
+    it('should execute middlewares of purge', function(done) {
+      var expectedError = new Error('Something went wrong');
+      provider = new EntityProvider(storage, expectedLocation, {softDelete: true});
+
+      storage.remove = function() {
+        assert.ok(false, 'Unexpected call to remove');
+      };
+
+      provider.use('beforePurge', function(args, callback) {
+        assert.equal(args.retention, 42, 'Wrong retention');
+        callback(expectedError);
+      });
+
+      provider.purge(null, 42, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should not execute after middlewares if the operation failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+
+      storage.count = function(location, filter, callback) {
+        callback(expectedError);
+      };
+
+      provider.use('afterCount', function() {
+        assert.ok(false, 'Unexpected middleware');
+      });
+
+      provider.count(null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+    });
+
+    it('should execute middlewares of the copies of the provider with the copy as this', function() {
+      var expectedPagination = {limit: 10, page: 0, pages: 1, size: 1};
+      var copy = provider.withContext({user: '42'});
+      expectedEntities = [{id: '42'}];
+
+      provider.use('afterGet', function(results, args, callback) {
+        assert.strictEqual(this, copy, 'Wrong provider');
+        results.entities = results.entities.map(function(entity) {
+          return Object.assign({user: this.context.user}, entity);
+        }.bind(this));
+        callback();
+      });
+
+      return copy.get(null, null, 10, 0, null).then(function(result) {
+        assert.deepEqual(result.entities, [{user: '42', id: '42'}], 'Wrong entities');
+        assert.deepEqual(result.pagination, expectedPagination, 'Wrong pagination');
+      });
+    });
+
+  });
+
+  describe('cache', function() {
+    var cache;
+    var cachedProvider;
+    var fetches;
+
+    beforeEach(function() {
+      fetches = 0;
+      expectedEntity = {id: '42', date: new Date(42)};
+      expectedEntities = [expectedEntity];
+      cache = new MemoryCache({});
+      cachedProvider = provider.withCache(cache);
+
+      storage.getOne = function(location, filter, fields, callback) {
+        fetches++;
+        callback(null, expectedEntity);
+      };
+      storage.get = function(location, filter, fields, limit, page, sort, callback) {
+        fetches++;
+        callback(null, expectedEntities, {limit: limit, page: page, pages: 1, size: expectedEntities.length});
+      };
+    });
+
+    it('should fetch an entity from the cache the second time', function(done) {
+      var filter = new ResourceFilter().equal('id', '42');
+
+      cachedProvider.getOne(filter, null, function(error, entity) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(entity, expectedEntity, 'Wrong entity');
+
+        cachedProvider.getOne(new ResourceFilter().equal('id', '42'), null, function(error, entity) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(entity, expectedEntity, 'Wrong cached entity');
+          assert.notStrictEqual(entity, expectedEntity, 'Expected a copy of the entity');
+          assert.instanceOf(entity.date, Date, 'Expected dates to be kept');
+          assert.equal(fetches, 1, 'Wrong number of fetches');
+          assert.deepEqual(cache.statistics, {hits: 1, misses: 1}, 'Wrong statistics');
+          done();
+        });
+      });
+    });
+
+    it('should cache entities by filter, fields, limit, page and sort', function(done) {
+      var filter = new ResourceFilter().equal('type', 'video');
+
+      cachedProvider.get(filter, null, 10, 0, {date: 'desc'}, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        cachedProvider.get(filter, null, 10, 0, {date: 'desc'}, function(error, entities, pagination) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(entities, expectedEntities, 'Wrong cached entities');
+          assert.equal(pagination.size, expectedEntities.length, 'Wrong cached pagination');
+          assert.equal(fetches, 1, 'Expected entities to be cached');
+
+          cachedProvider.get(filter, null, 10, 1, {date: 'desc'}, function(error) {
+            assert.isNull(error, 'Unexpected error');
+            assert.equal(fetches, 2, 'Expected another page to be fetched');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not use the cache of the provider it has been created from', function(done) {
+      provider.getOne(null, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        provider.getOne(null, null, function(error) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(fetches, 2, 'Unexpected cached entity');
+          assert.deepEqual(cache.statistics, {hits: 0, misses: 0}, 'Wrong statistics');
+          done();
+        });
+      });
+    });
+
+    it('should invalidate the cache when modifying entities', function(done) {
+      cachedProvider.getOne(null, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        cachedProvider.withContext({user: '42'}).updateOne(null, {title: 'title'}, function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          cachedProvider.getOne(null, null, function(error) {
+            assert.isNull(error, 'Unexpected error');
+            assert.equal(fetches, 2, 'Expected entity to be fetched again');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should invalidate the cache when modifying entities through the original provider', function(done) {
+      cachedProvider.getOne(null, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        provider.updateOne(null, {title: 'title'}, function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          cachedProvider.getOne(null, null, function(error) {
+            assert.isNull(error, 'Unexpected error');
+            assert.equal(fetches, 2, 'Expected entity to be fetched again');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should invalidate the cache when purging the trash', function(done) {
+      cachedProvider.getOne(null, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        cachedProvider.purge(null, 0, function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          cachedProvider.getOne(null, null, function(error) {
+            assert.isNull(error, 'Unexpected error');
+            assert.equal(fetches, 2, 'Expected entity to be fetched again');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should only invalidate the cached entities of the provider', function(done) {
+      var otherProvider = new EntityProvider(storage, 'otherLocation').withCache(cache);
+
+      otherProvider.getOne(null, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        cachedProvider.remove(null, function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          otherProvider.getOne(null, null, function(error) {
+            assert.isNull(error, 'Unexpected error');
+            assert.equal(fetches, 1, 'Unexpected fetch');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fetch entities from the storage if the cache fails', function(done) {
+      cache.get = function(key, callback) {
+        callback(new Error('Something went wrong'));
+      };
+
+      cachedProvider.getOne(null, null, function(error, entity) {
+        assert.isNull(error, 'Unexpected error');
+        assert.strictEqual(entity, expectedEntity, 'Wrong entity');
+        done();
+      });
+    });
+
+    it('should not cache errors', function(done) {
+      var expectedError = new Error('Something went wrong');
+      storage.getOne = function(location, filter, fields, callback) {
+        fetches++;
+        callback(expectedError);
+      };
+
+      cachedProvider.getOne(null, null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        assert.equal(cache.entries.size, 0, 'Unexpected cached error');
+        done();
+      });
+    });
+
+  });
+
+  describe('watch', function() {
+    var changeStream;
+
+    beforeEach(function() {
+      changeStream = new PassThrough({objectMode: true});
+      storage.watch = function(location, options) {
+        assert.equal(location, expectedLocation, 'Wrong location');
+        return changeStream;
+      };
+    });
+
+    it('should emit events from storage changes', function(done) {
+      var events = [];
+      provider.on('added', function(event) {
+        events.push(['added', event]);
+      });
+      provider.on('updated', function(event) {
+        events.push(['updated', event]);
+      });
+      provider.on('removed', function(event) {
+        events.push(['removed', event]);
+        assert.deepEqual(events, [
+          ['added', {ids: ['42']}],
+          ['updated', {ids: ['42'], fields: ['title']}],
+          ['removed', {ids: []}]
+        ], 'Wrong events');
+        done();
+      });
+
+      provider.watch();
+      changeStream.write({type: 'added', id: '42'});
+      changeStream.write({type: 'updated', id: '42', fields: ['title']});
+      changeStream.write({type: 'removed'});
+    });
+
+    it('should not emit events from provider operations while watching', function(done) {
+      storage.getOne = function() {
+        assert.ok(false, 'Unexpected ids fetching');
+      };
+      provider.on('updated', function() {
+        assert.ok(false, 'Unexpected event');
+      });
+
+      provider.watch();
+      provider.updateOne(null, {title: 'title'}, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        done();
+      });
+    });
+
+    it('should emit an "error" event if observing changes failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+
+      provider.on('error', function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        done();
+      });
+
+      provider.watch();
+      changeStream.emit('error', expectedError);
+    });
+
+    it('should stop observing changes if observing changes failed', function(done) {
+      provider.on('updated', function(event) {
+        assert.isNull(provider.changeStream, 'Unexpected change stream');
+        assert.isTrue(changeStream.destroyed, 'Expected change stream to be destroyed');
+        assert.deepEqual(event, {ids: ['42'], fields: ['title']}, 'Wrong event');
+        done();
+      });
+      storage.getOne = function(location, filter, fields, callback) {
+        callback(null, {id: '42'});
+      };
+      storage.updateOne = function(location, filter, data, callback) {
+        callback(null, 1);
+      };
+
+      provider.watch();
+      changeStream.emit('error', new Error('Something went wrong'));
+      provider.updateOne(null, {title: 'title'}, function(error) {
+        assert.isNull(error, 'Unexpected error');
+      });
+    });
+
+    it('should not throw if observing changes failed without "error" listeners', function() {
+      provider.watch();
+
+      assert.doesNotThrow(function() {
+        changeStream.emit('error', new Error('Something went wrong'));
+      });
+      assert.isNull(provider.changeStream, 'Unexpected change stream');
+    });
+
+    it('should stop observing changes if the storage closed the change stream', function(done) {
+      provider.watch();
+      changeStream.on('close', function() {
+        assert.isNull(provider.changeStream, 'Unexpected change stream');
+        done();
+      });
+      changeStream.destroy();
+    });
+
+    it('should keep observing changes if a previous change stream is closed', function() {
+      var previousChangeStream = changeStream;
+      provider.watch();
+      provider.unwatch();
+      changeStream = new PassThrough({objectMode: true});
+      provider.watch();
+      previousChangeStream.emit('close');
+
+      assert.strictEqual(provider.changeStream, changeStream, 'Wrong change stream');
+    });
+
+    it('should stop observing changes when calling unwatch', function() {
+      provider.watch();
+      provider.unwatch();
+
+      assert.isTrue(changeStream.destroyed, 'Expected change stream to be destroyed');
+      assert.isNull(provider.changeStream, 'Unexpected change stream');
+    });
+
+  });
+
 });
@@ -0,0 +1,292 @@
+'use strict';
+
+var crypto = require('crypto');
+var assert = require('chai').assert;
+var FieldEncryption = process.requireApi('lib/providers/FieldEncryption.js');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+
+describe('FieldEncryption', function() {
+  var encryption;
+  var configuration;
+
+  // Initiates tests
+  beforeEach(function() {
+    configuration = {
+      fields: ['credentials.secret', {field: 'email', deterministic: true}, 'contacts.phone'],
+      keys: {key1: crypto.randomBytes(32), key2: crypto.randomBytes(32).toString('base64')},
+      currentKey: 'key2'
+    };
+    encryption = new FieldEncryption(configuration);
+  });
+
+  describe('properties', function() {
+
+    it('should not be editable', function() {
+      var properties = ['fields', 'keys', 'currentKey'];
+
+      properties.forEach(function(property) {
+        assert.throws(function() {
+          encryption[property] = null;
+        }, null, null, 'Expected property "' + property + '" to be unalterable');
+      });
+
+    });
+
+  });
+
+  describe('constructor', function() {
+
+    it('should throw a TypeError if fields are not valid', function() {
+      var wrongValues = [undefined, [], [42], [{deterministic: true}]];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          new FieldEncryption({fields: wrongValue, keys: configuration.keys, currentKey: 'key1'});
+        }, TypeError);
+      });
+    });
+
+    it('should throw a TypeError if keys are not valid', function() {
+      var wrongValues = [{key1: crypto.randomBytes(16)}, {key1: 42}, {'key:1': crypto.randomBytes(32)}];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          new FieldEncryption({fields: ['field'], keys: wrongValue, currentKey: 'key1'});
+        }, TypeError);
+      });
+    });
+
+    it('should throw a TypeError if current key is not a configured key', function() {
+      assert.throws(function() {
+        new FieldEncryption({fields: ['field'], keys: configuration.keys});
+      }, TypeError);
+      assert.throws(function() {
+        new FieldEncryption({fields: ['field'], keys: configuration.keys, currentKey: 'key3'});
+      }, TypeError);
+    });
+
+    it('should use the only key as current key by default', function() {
+      encryption = new FieldEncryption({fields: ['field'], keys: {key1: configuration.keys.key1}});
+      assert.equal(encryption.currentKey, 'key1', 'Wrong current key');
+    });
+
+  });
+
+  describe('encryptEntity / decryptEntity', function() {
+
+    it('should encrypt and decrypt encrypted fields with the current key', function() {
+      var entity = {
+        id: '42',
+        email: 'john@example.com',
+        credentials: {login: 'john', secret: {token: 'token', expiration: new Date(42)}},
+        contacts: [{phone: '0123456789'}, {name: 'Jane'}]
+      };
+      var encryptedEntity = encryption.encryptEntity(entity);
+
+      assert.equal(encryptedEntity.id, '42', 'Wrong id');
+      assert.equal(encryptedEntity.credentials.login, 'john', 'Wrong login');
+      assert.match(encryptedEntity.email, /^enc:v1:key2:d:/, 'Wrong email');
+      assert.match(encryptedEntity.credentials.secret, /^enc:v1:key2:r:/, 'Wrong secret');
+      assert.match(encryptedEntity.contacts[0].phone, /^enc:v1:key2:r:/, 'Wrong phone');
+      assert.deepEqual(encryptedEntity.contacts[1], {name: 'Jane'}, 'Wrong contact');
+      assert.equal(entity.credentials.secret.token, 'token', 'Expected entity to be left untouched');
+      assert.deepEqual(encryption.decryptEntity(encryptedEntity), entity, 'Wrong decrypted entity');
+    });
+
+    it('should always encrypt the same value the same way in deterministic mode only', function() {
+      var entity = {email: 'john@example.com', credentials: {secret: 'secret'}};
+      var encryptedEntity1 = encryption.encryptEntity(entity);
+      var encryptedEntity2 = encryption.encryptEntity(entity);
+
+      assert.equal(encryptedEntity1.email, encryptedEntity2.email, 'Expected same email');
+      assert.notEqual(encryptedEntity1.credentials.secret, encryptedEntity2.credentials.secret, 'Unexpected secret');
+    });
+
+    it('should decrypt values encrypted with a previous key and read values which are not encrypted', function() {
+      var previousEncryption = new FieldEncryption(Object.assign({}, configuration, {currentKey: 'key1'}));
+      var encryptedEntity = previousEncryption.encryptEntity({email: 'john@example.com'});
+      encryptedEntity.credentials = {secret: 'secret'};
+
+      assert.deepEqual(
+        encryption.decryptEntity(encryptedEntity),
+        {email: 'john@example.com', credentials: {secret: 'secret'}},
+        'Wrong entity'
+      );
+    });
+
+    it('should throw a StorageError if a value can not be decrypted', function() {
+      var encryptedEntity = encryption.encryptEntity({email: 'john@example.com'});
+      var otherEncryption = new FieldEncryption({fields: ['email'], keys: {key2: crypto.randomBytes(32)}});
+
+      [
+        new FieldEncryption({fields: ['email'], keys: {key1: configuration.keys.key1}}),
+        otherEncryption
+      ].forEach(function(wrongEncryption) {
+        assert.throws(function() {
+          wrongEncryption.decryptEntity(encryptedEntity);
+        }, StorageError);
+      });
+
+      try {
+        otherEncryption.decryptEntity(encryptedEntity);
+      } catch (error) {
+        assert.strictEqual(error.code, databaseErrors.DECRYPTION_ERROR, 'Wrong error code');
+      }
+    });
+
+  });
+
+  describe('needsEncryption', function() {
+
+    it('should indicate if values are not encrypted with the current key', function() {
+      var previousEncryption = new FieldEncryption(Object.assign({}, configuration, {currentKey: 'key1'}));
+
+      assert.isFalse(encryption.needsEncryption(encryption.encryptEntity({email: 'john@example.com'})));
+      assert.isTrue(encryption.needsEncryption(previousEncryption.encryptEntity({email: 'john@example.com'})));
+      assert.isTrue(encryption.needsEncryption({email: 'john@example.com'}));
+      assert.isFalse(encryption.needsEncryption({id: '42'}));
+    });
+
+  });
+
+  describe('decryptValues', function() {
+
+    it('should decrypt values of an encrypted field without duplicates', function() {
+      var previousEncryption = new FieldEncryption(Object.assign({}, configuration, {currentKey: 'key1'}));
+      var values = [
+        encryption.encryptEntity({email: 'john@example.com'}).email,
+        previousEncryption.encryptEntity({email: 'john@example.com'}).email,
+        encryption.encryptEntity({email: 'jane@example.com'}).email
+      ];
+
+      assert.deepEqual(
+        encryption.decryptValues('email', values),
+        ['john@example.com', 'jane@example.com'],
+        'Wrong values'
+      );
+    });
+
+    it('should decrypt encrypted fields of values', function() {
+      var encryptedEntity = encryption.encryptEntity({credentials: {secret: 'secret'}});
+
+      assert.deepEqual(
+        encryption.decryptValues('credentials', [encryptedEntity.credentials]),
+        [{secret: 'secret'}],
+        'Wrong values'
+      );
+    });
+
+  });
+
+  describe('encryptUpdate', function() {
+
+    it('should encrypt values set to encrypted fields or to fields holding encrypted fields', function() {
+      var update = encryption.encryptUpdate(
+        new ResourceUpdate()
+          .set('email', 'john@example.com')
+          .set('credentials', {login: 'john', secret: 'secret'})
+          .set('contacts.0.phone', '0123456789')
+          .push('contacts', {phone: '9876543210'})
+          .unset('credentials.secret')
+          .set('title', 'title')
+      );
+
+      assert.match(update.operations[0].value, /^enc:v1:key2:d:/, 'Wrong email');
+      assert.equal(update.operations[1].value.login, 'john', 'Wrong login');
+      assert.match(update.operations[1].value.secret, /^enc:v1:key2:r:/, 'Wrong secret');
+      assert.match(update.operations[2].value, /^enc:v1:key2:r:/, 'Wrong phone');
+      assert.match(update.operations[3].value.phone, /^enc:v1:key2:r:/, 'Wrong pushed phone');
+      assert.deepEqual(update.operations[4], {
+        type: ResourceUpdate.OPERATORS.UNSET,
+        field: 'credentials.secret',
+        value: undefined
+      });
+      assert.deepEqual(update.operations[5], {type: ResourceUpdate.OPERATORS.SET, field: 'title', value: 'title'});
+    });
+
+    it('should throw a StorageError if an encrypted field is modified in a way which is not allowed', function() {
+      var wrongUpdates = [
+        new ResourceUpdate().increment('credentials.secret', 1),
+        new ResourceUpdate().pull('contacts.phone', '0123456789'),
+        new ResourceUpdate().push('email', 'john@example.com'),
+        new ResourceUpdate().set('credentials.secret.token', 'token')
+      ];
+
+      wrongUpdates.forEach(function(wrongUpdate) {
+        try {
+          encryption.encryptUpdate(wrongUpdate);
+          assert.fail('Expected an error');
+        } catch (error) {
+          assert.instanceOf(error, StorageError, 'Wrong error');
+          assert.strictEqual(error.code, databaseErrors.ENCRYPTED_FIELD_ERROR, 'Wrong error code');
+        }
+      });
+    });
+
+  });
+
+  describe('encryptFilter', function() {
+
+    it('should compare deterministic fields to their encrypted values with all keys', function() {
+      var filter = new ResourceFilter().equal('id', '42').or([
+        new ResourceFilter().equal('email', 'john@example.com')
+      ]);
+      var encryptedFilter = encryption.encryptFilter(filter);
+      var encryptedValues = encryptedFilter.operations[1].filters[0].operations[0].value;
+
+      assert.deepEqual(encryptedFilter.operations[0], filter.operations[0], 'Wrong id operation');
+      assert.equal(encryptedFilter.operations[1].filters[0].operations[0].type, ResourceFilter.OPERATORS.IN);
+      assert.lengthOf(encryptedValues, 2, 'Wrong number of values');
+      assert.equal(encryptedValues[1], encryption.encryptEntity({email: 'john@example.com'}).email, 'Wrong value');
+      assert.equal(filter.operations[1].filters[0].operations[0].value, 'john@example.com', 'Unexpected change');
+    });
+
+    it('should compare deterministic fields to their encrypted value if there is only one key', function() {
+      encryption = new FieldEncryption({fields: configuration.fields, keys: {key1: configuration.keys.key1}});
+      var encryptedFilter = encryption.encryptFilter(new ResourceFilter().equal('email', 'john@example.com'));
+
+      assert.equal(encryptedFilter.operations[0].type, ResourceFilter.OPERATORS.EQUAL, 'Wrong operation');
+      assert.equal(
+        encryptedFilter.operations[0].value,
+        encryption.encryptEntity({email: 'john@example.com'}).email,
+        'Wrong value'
+      );
+    });
+
+    it('should throw a StorageError if an encrypted field is used in a way which is not allowed', function() {
+      var wrongFilters = [
+        new ResourceFilter().equal('credentials.secret', 'secret'),
+        new ResourceFilter().notEqual('email', 'john@example.com'),
+        new ResourceFilter().in('email', ['john@example.com']),
+        new ResourceFilter().regex('email', /john/),
+        new ResourceFilter().exists('credentials.secret.token', true),
+        new ResourceFilter().elemMatch('contacts', new ResourceFilter().equal('phone', '0123456789')),
+        new ResourceFilter().and([new ResourceFilter().greaterThan('email', 'a')])
+      ];
+
+      wrongFilters.forEach(function(wrongFilter) {
+        try {
+          encryption.encryptFilter(wrongFilter);
+          assert.fail('Expected an error');
+        } catch (error) {
+          assert.instanceOf(error, StorageError, 'Wrong error');
+          assert.strictEqual(error.code, databaseErrors.ENCRYPTED_FIELD_ERROR, 'Wrong error code');
+        }
+      });
+    });
+
+    it('should keep operations on fields which are not encrypted', function() {
+      var filter = new ResourceFilter()
+        .exists('credentials', true)
+        .elemMatch('contacts', new ResourceFilter().equal('name', 'Jane'))
+        .search('john');
+
+      assert.deepEqual(encryption.encryptFilter(filter).toJSON(), filter.toJSON(), 'Wrong filter');
+    });
+
+  });
+
+});
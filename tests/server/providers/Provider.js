@@ -15,7 +15,7 @@ describe('Provider', function() {
   describe('properties', function() {
 
     it('should not be editable', function() {
-      var properties = ['storage'];
+      var properties = ['storage', 'context'];
       var provider = new Provider(new Storage({}));
 
       properties.forEach(function(property) {
@@ -57,4 +57,29 @@ describe('Provider', function() {
 
   });
 
+  describe('withTransaction', function() {
+
+    it('should return a copy of the provider using the transaction as storage', function() {
+      var transaction = new Storage({});
+      var transactionProvider = provider.withTransaction(transaction);
+
+      assert.strictEqual(transactionProvider.storage, transaction, 'Wrong storage');
+      assert.instanceOf(transactionProvider, Provider, 'Wrong provider');
+      assert.notStrictEqual(provider.storage, transaction, 'Unexpected storage on original provider');
+    });
+
+  });
+
+  describe('withContext', function() {
+
+    it('should return a copy of the provider with the context merged into the current one', function() {
+      var contextProvider = provider.withContext({user: '42'}).withContext({tenant: '43'});
+
+      assert.deepEqual(contextProvider.context, {user: '42', tenant: '43'}, 'Wrong context');
+      assert.instanceOf(contextProvider, Provider, 'Wrong provider');
+      assert.deepEqual(provider.context, {}, 'Unexpected context on original provider');
+    });
+
+  });
+
 });
@@ -0,0 +1,261 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('chai').assert;
+var JsonFileDatabase = process.requireApi('lib/storages/databases/jsonfile/JsonFileDatabase.js');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var fileSystem = process.requireApi('lib/fileSystem.js');
+
+describe('JsonFileDatabase', function() {
+  var database;
+  var directory;
+  var expectedCollection = 'collection';
+
+  /**
+   * Creates and connects a new database on the test directory.
+   *
+   * @param {Object} [configuration] Additional database configuration
+   * @param {Function} callback The function to call with the connected database
+   */
+  function createDatabase(configuration, callback) {
+    var newDatabase = new JsonFileDatabase(Object.assign({directory: directory}, configuration));
+    newDatabase.connect(function(error) {
+      callback(error, newDatabase);
+    });
+  }
+
+  /**
+   * Reads lines of a collection file.
+   *
+   * @param {String} collection The name of the collection
+   * @return {Array} The non empty lines of the file
+   */
+  function readLines(collection) {
+    // eslint-disable-next-line node/no-sync
+    return fs.readFileSync(path.join(directory, collection + '.ndjson'), 'utf8').split('\n').filter(function(line) {
+      return line;
+    });
+  }
+
+  beforeEach(function(done) {
+    directory = path.join(os.tmpdir(), 'openveo-api-jsonfile-' + Date.now());
+    createDatabase({}, function(error, newDatabase) {
+      database = newDatabase;
+      done(error);
+    });
+  });
+
+  afterEach(function(done) {
+    database.close(function() {
+      fileSystem.rmdir(directory, false, done);
+    });
+  });
+
+  it('should throw a TypeError if directory is missing', function() {
+    assert.throws(function() {
+      new JsonFileDatabase({});
+    }, TypeError);
+  });
+
+  it('should persist added documents', function(done) {
+    var date = new Date();
+
+    database.add(expectedCollection, [{id: '1', date: date, pattern: /^a/i}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      createDatabase({}, function(error, newDatabase) {
+        assert.isNull(error, 'Unexpected error');
+
+        newDatabase.getOne(expectedCollection, null, null, function(error, document) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(document.id, '1', 'Wrong document');
+          assert.equal(document.date.getTime(), date.getTime(), 'Wrong date');
+          assert.instanceOf(document.pattern, RegExp, 'Wrong regular expression');
+          assert.equal(document.pattern.flags, 'i', 'Wrong regular expression flags');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should persist updated and removed documents', function(done) {
+    database.add(expectedCollection, [{id: '1', title: 'First'}, {id: '2', title: 'Second'}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      database.updateOne(expectedCollection, new ResourceFilter().equal('id', '1'), {title: 'New'}, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.remove(expectedCollection, new ResourceFilter().equal('id', '2'), function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          createDatabase({}, function(error, newDatabase) {
+            assert.isNull(error, 'Unexpected error');
+
+            newDatabase.get(expectedCollection, null, null, null, null, null, function(error, documents) {
+              assert.isNull(error, 'Unexpected error');
+              assert.deepEqual(documents, [{id: '1', title: 'New'}], 'Wrong documents');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should persist indexes', function(done) {
+    database.createIndexes(expectedCollection, [{key: {id: 1}, name: 'byId', unique: true}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      createDatabase({}, function(error, newDatabase) {
+        assert.isNull(error, 'Unexpected error');
+
+        newDatabase.getIndexes(expectedCollection, function(error, indexes) {
+          assert.isNull(error, 'Unexpected error');
+          assert.ok(indexes.some(function(index) {
+            return index.name === 'byId' && index.unique;
+          }), 'Expected index to be persisted');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should ignore a partially written last line', function(done) {
+    database.add(expectedCollection, [{id: '1'}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      // eslint-disable-next-line node/no-sync
+      fs.appendFileSync(path.join(directory, expectedCollection + '.ndjson'), '{"type":"put","docu');
+
+      createDatabase({}, function(error, newDatabase) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(newDatabase.collections[expectedCollection].documents.length, 1, 'Wrong number of documents');
+        done();
+      });
+    });
+  });
+
+  it('should keep documents written after recovering from a partially written last line', function(done) {
+    var filePath = path.join(directory, expectedCollection + '.ndjson');
+
+    database.add(expectedCollection, [{id: '1'}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      // eslint-disable-next-line node/no-sync
+      fs.appendFileSync(filePath, '{"type":"put","docu');
+
+      createDatabase({}, function(error, restartedDatabase) {
+        assert.isNull(error, 'Unexpected error');
+
+        restartedDatabase.add(expectedCollection, [{id: '2'}], function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          createDatabase({}, function(error, newDatabase) {
+            assert.isNull(error, 'Unexpected error');
+
+            newDatabase.get(expectedCollection, null, null, null, null, null, function(error, documents) {
+              assert.isNull(error, 'Unexpected error');
+              assert.deepEqual(documents, [{id: '1'}, {id: '2'}], 'Wrong documents');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should persist restored documents when a transaction failed', function(done) {
+    database.add(expectedCollection, [{id: '1', title: 'First'}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      database.transaction(function(transaction, done) {
+        transaction.updateOne(expectedCollection, new ResourceFilter().equal('id', '1'), {title: 'New'}, function() {
+          transaction.add(expectedCollection, [{id: '2'}], function() {
+            done(new Error('Something went wrong'));
+          });
+        });
+      }, function(error) {
+        assert.instanceOf(error, Error, 'Expected an error');
+
+        createDatabase({}, function(error, newDatabase) {
+          assert.isNull(error, 'Unexpected error');
+
+          newDatabase.get(expectedCollection, null, null, null, null, null, function(error, documents) {
+            assert.isNull(error, 'Unexpected error');
+            assert.deepEqual(documents, [{id: '1', title: 'First'}], 'Wrong documents');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should compact the collection file when the number of obsolete lines reaches the threshold', function(done) {
+    database.close(function() {
+      createDatabase({compactionThreshold: 2}, function(error, newDatabase) {
+        assert.isNull(error, 'Unexpected error');
+        database = newDatabase;
+
+        database.add(expectedCollection, [{id: '1'}, {id: '2'}], function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          database.remove(expectedCollection, new ResourceFilter().in('id', ['1', '2']), function(error) {
+            assert.isNull(error, 'Unexpected error');
+            assert.lengthOf(readLines(expectedCollection), 1, 'Expected only the indexes line');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should compact collection files when closing', function(done) {
+    database.add(expectedCollection, [{id: '1'}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      database.updateOne(expectedCollection, new ResourceFilter().equal('id', '1'), {title: 'New'}, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.close(function(error) {
+          assert.isNull(error, 'Unexpected error');
+          assert.lengthOf(readLines(expectedCollection), 2, 'Expected the indexes line and one document line');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should rename the collection file when renaming a collection', function(done) {
+    database.add(expectedCollection, [{id: '1'}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      database.renameCollection(expectedCollection, 'new/name', function(error) {
+        assert.isNull(error, 'Unexpected error');
+        // eslint-disable-next-line node/no-sync
+        assert.notOk(fs.existsSync(path.join(directory, expectedCollection + '.ndjson')), 'Unexpected old file');
+
+        createDatabase({}, function(error, newDatabase) {
+          assert.isNull(error, 'Unexpected error');
+          assert.lengthOf(newDatabase.collections['new/name'].documents, 1, 'Wrong number of documents');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should remove the collection file when removing a collection', function(done) {
+    database.add(expectedCollection, [{id: '1'}], function(error) {
+      assert.isNull(error, 'Unexpected error');
+
+      database.removeCollection(expectedCollection, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        // eslint-disable-next-line node/no-sync
+        assert.notOk(fs.existsSync(path.join(directory, expectedCollection + '.ndjson')), 'Unexpected file');
+        done();
+      });
+    });
+  });
+
+});
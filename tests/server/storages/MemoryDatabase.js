@@ -0,0 +1,946 @@
+'use strict';
+
+var assert = require('chai').assert;
+var MemoryDatabase = process.requireApi('lib/storages/databases/memory/MemoryDatabase.js');
+var Storage = process.requireApi('lib/storages/Storage.js');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+
+describe('MemoryDatabase', function() {
+  var database;
+  var expectedCollection = 'collection';
+  var expectedDocuments;
+
+  beforeEach(function(done) {
+    database = new MemoryDatabase({});
+    expectedDocuments = [
+      {id: '1', title: 'First video', views: 10, tags: ['news', 'sport'], metadata: {user: 'user1', groups: ['g1']}},
+      {id: '2', title: 'Second video', views: 20, tags: ['news'], metadata: {user: 'user2', groups: []}},
+      {id: '3', title: 'Third one', views: 30, metadata: {user: 'user1', groups: ['g1', 'g2']}}
+    ];
+    database.add(expectedCollection, expectedDocuments, done);
+  });
+
+  describe('properties', function() {
+
+    it('should not be editable', function() {
+      var properties = ['collections'];
+
+      properties.forEach(function(property) {
+        assert.throws(function() {
+          database[property] = null;
+        }, null, null, 'Expected property "' + property + '" to be unalterable');
+      });
+
+    });
+
+  });
+
+  describe('transaction', function() {
+
+    it('should keep modifications if work succeeded', function(done) {
+      database.transaction(function(transaction, done) {
+        transaction.remove(expectedCollection, new ResourceFilter().equal('id', '1'), function(error) {
+          done(error, 42);
+        });
+      }, function(error, result) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(result, 42, 'Wrong result');
+        assert.equal(database.collections[expectedCollection].documents.length, 2, 'Wrong number of documents');
+        done();
+      });
+    });
+
+    it('should restore collections if work failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+      var persistedChanges = {};
+      var originalDocuments = database.collections[expectedCollection].documents;
+
+      database.persist = function(collection, changes, callback) {
+        persistedChanges[collection] = changes;
+        callback(null);
+      };
+
+      database.transaction(function(transaction, done) {
+        transaction.add(expectedCollection, [{id: '4'}], function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          transaction.updateOne(expectedCollection, new ResourceFilter().equal('id', '1'), {views: 42}, function() {
+            transaction.add('newCollection', [{id: '1'}], function() {
+              done(expectedError);
+            });
+          });
+        });
+      }, function(error) {
+        var collectionChanges = persistedChanges[expectedCollection];
+
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        assert.strictEqual(database.collections[expectedCollection].documents, originalDocuments, 'Wrong documents');
+        assert.notProperty(database.collections, 'newCollection', 'Unexpected collection');
+        assert.deepEqual(collectionChanges.documents, [originalDocuments[0]], 'Wrong restored documents');
+        assert.lengthOf(collectionChanges.removed, 1, 'Wrong removed documents');
+        assert.isFalse(collectionChanges.indexes, 'Unexpected indexes change');
+        assert.deepEqual(persistedChanges.newCollection, {dropped: true}, 'Wrong new collection changes');
+        done();
+      });
+    });
+
+    it('should restore collections if work threw an error', function(done) {
+      var expectedError = new Error('Something went wrong');
+
+      database.transaction(function(transaction, done) {
+        transaction.collections[expectedCollection].documents = [];
+        throw expectedError;
+      }, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        assert.lengthOf(database.collections[expectedCollection].documents, 3, 'Wrong number of documents');
+        done();
+      });
+    });
+
+    it('should restore documents modified by removeField if work failed', function(done) {
+      var expectedError = new Error('Something went wrong');
+      var removedFieldFilter = new ResourceFilter().equal('id', '1');
+
+      database.transaction(function(transaction, done) {
+        transaction.removeField(expectedCollection, 'metadata.user', removedFieldFilter, function(error, total) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(total, 1, 'Wrong total');
+          done(expectedError);
+        });
+      }, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+
+        database.getOne(expectedCollection, removedFieldFilter, null, function(error, document) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(document.metadata.user, 'user1', 'Wrong user');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('add', function() {
+
+    it('should add documents and return them without internal id', function(done) {
+      var newDocuments = [{id: '4'}, {id: '5'}];
+
+      database.add(expectedCollection, newDocuments, function(error, total, documents) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, newDocuments.length, 'Wrong total');
+        assert.deepEqual(documents, newDocuments, 'Wrong documents');
+        assert.equal(database.collections[expectedCollection].documents.length, 5, 'Wrong number of documents');
+        done();
+      });
+    });
+
+    it('should not keep references to added documents', function(done) {
+      var newDocument = {id: '4', metadata: {user: 'user1'}};
+
+      database.add(expectedCollection, [newDocument], function(error) {
+        assert.isNull(error, 'Unexpected error');
+        newDocument.metadata.user = 'user2';
+
+        database.getOne(expectedCollection, new ResourceFilter().equal('id', '4'), null, function(error, document) {
+          assert.equal(document.metadata.user, 'user1', 'Wrong user');
+          done();
+        });
+      });
+    });
+
+    it('should execute callback with an error if a unique index is violated', function(done) {
+      database.createIndexes(expectedCollection, [{key: {id: 1}, unique: true}], function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.add(expectedCollection, [{id: '1'}], function(error) {
+          assert.instanceOf(error, StorageError, 'Wrong error');
+          assert.strictEqual(error.code, databaseErrors.DUPLICATE_KEY_ERROR, 'Wrong error code');
+          assert.equal(database.collections[expectedCollection].documents.length, 3, 'Unexpected document');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('get', function() {
+
+    it('should paginate documents', function(done) {
+      database.get(expectedCollection, null, null, 2, 1, null, function(error, documents, pagination) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(documents, [expectedDocuments[2]], 'Wrong documents');
+        assert.deepEqual(pagination, {limit: 2, page: 1, pages: 2, size: 3}, 'Wrong pagination');
+        done();
+      });
+    });
+
+    it('should set default limit to 10 and default page to 0', function(done) {
+      database.get(expectedCollection, null, null, null, null, null, function(error, documents, pagination) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(documents.length, 3, 'Wrong number of documents');
+        assert.deepEqual(pagination, {limit: 10, page: 0, pages: 1, size: 3}, 'Wrong pagination');
+        done();
+      });
+    });
+
+    it('should return a Promise if callback is not specified', function() {
+      return database.get(expectedCollection, null, null, 2, 1, null).then(function(result) {
+        assert.deepEqual(result.resources, [expectedDocuments[2]], 'Wrong documents');
+        assert.deepEqual(result.pagination, {limit: 2, page: 1, pages: 2, size: 3}, 'Wrong pagination');
+      });
+    });
+
+    it('should paginate documents using cursors', function(done) {
+      var sort = {'metadata.user': 'asc', views: 'desc'};
+
+      database.get(expectedCollection, null, {include: ['title']}, 2, {}, sort, function(error, documents, pagination) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(documents, [{title: 'Third one'}, {title: 'First video'}], 'Wrong first page');
+        assert.equal(pagination.size, 3, 'Wrong size');
+        assert.isNull(pagination.previousCursor, 'Unexpected previous cursor');
+
+        database.get(
+          expectedCollection,
+          null,
+          {include: ['title']},
+          2,
+          {cursor: pagination.nextCursor},
+          sort,
+          function(error, documents, pagination) {
+            assert.isNull(error, 'Unexpected error');
+            assert.deepEqual(documents, [{title: 'Second video'}], 'Wrong second page');
+            assert.isNull(pagination.nextCursor, 'Unexpected next cursor');
+
+            database.get(
+              expectedCollection,
+              null,
+              {include: ['title']},
+              2,
+              {cursor: pagination.previousCursor},
+              sort,
+              function(error, documents, pagination) {
+                assert.isNull(error, 'Unexpected error');
+                assert.deepEqual(documents, [{title: 'Third one'}, {title: 'First video'}], 'Wrong previous page');
+                assert.isNull(pagination.previousCursor, 'Unexpected previous cursor');
+                assert.isString(pagination.nextCursor, 'Expected a next cursor');
+                done();
+              }
+            );
+          }
+        );
+      });
+    });
+
+    it('should execute callback with an error if cursor does not match sort', function(done) {
+      database.get(expectedCollection, null, null, 2, {}, {views: 'asc'}, function(error, documents, pagination) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.get(
+          expectedCollection,
+          null,
+          null,
+          2,
+          {cursor: pagination.nextCursor},
+          {views: 'desc'},
+          function(error) {
+            assert.instanceOf(error, StorageError, 'Wrong error');
+            assert.strictEqual(error.code, databaseErrors.INVALID_CURSOR_ERROR, 'Wrong error code');
+            done();
+          }
+        );
+      });
+    });
+
+    it('should return an empty list if collection does not exist', function(done) {
+      database.get('wrongCollection', null, null, null, null, null, function(error, documents, pagination) {
+        assert.isNull(error, 'Unexpected error');
+        assert.isEmpty(documents, 'Unexpected documents');
+        assert.equal(pagination.size, 0, 'Wrong size');
+        done();
+      });
+    });
+
+    it('should be able to sort documents on several fields', function(done) {
+      database.get(
+        expectedCollection,
+        null,
+        {include: ['id']},
+        null,
+        null,
+        {'metadata.user': 'asc', views: 'desc'},
+        function(error, documents) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(documents, [{id: '3'}, {id: '1'}, {id: '2'}], 'Wrong order');
+          done();
+        }
+      );
+    });
+
+    it('should be able to include only certain fields', function(done) {
+      database.get(
+        expectedCollection,
+        new ResourceFilter().equal('id', '1'),
+        {include: ['id', 'metadata.user']},
+        null,
+        null,
+        null,
+        function(error, documents) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(documents, [{id: '1', metadata: {user: 'user1'}}], 'Wrong document');
+          done();
+        }
+      );
+    });
+
+    it('should be able to exclude certain fields', function(done) {
+      database.get(
+        expectedCollection,
+        new ResourceFilter().equal('id', '2'),
+        {exclude: ['title', 'metadata.groups']},
+        null,
+        null,
+        null,
+        function(error, documents) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(documents, [{id: '2', views: 20, tags: ['news'], metadata: {user: 'user2'}}]);
+          done();
+        }
+      );
+    });
+
+    it('should evaluate comparison operations', function(done) {
+      var filters = [
+        {filter: new ResourceFilter().equal('tags', 'news'), expectedIds: ['1', '2']},
+        {filter: new ResourceFilter().notEqual('metadata.user', 'user1'), expectedIds: ['2']},
+        {filter: new ResourceFilter().exists('tags', false), expectedIds: ['3']},
+        {filter: new ResourceFilter().greaterThan('views', 10), expectedIds: ['2', '3']},
+        {filter: new ResourceFilter().greaterThanEqual('views', 20), expectedIds: ['2', '3']},
+        {filter: new ResourceFilter().lesserThan('views', 20), expectedIds: ['1']},
+        {filter: new ResourceFilter().lesserThanEqual('views', 20), expectedIds: ['1', '2']},
+        {filter: new ResourceFilter().greaterThan('views', '1'), expectedIds: []},
+        {filter: new ResourceFilter().in('metadata.groups', ['g2']), expectedIds: ['3']},
+        {filter: new ResourceFilter().notIn('id', ['1', '2']), expectedIds: ['3']},
+        {filter: new ResourceFilter().regex('title', /video$/i), expectedIds: ['1', '2']}
+      ];
+
+      var next = function() {
+        var test = filters.shift();
+        if (!test) return done();
+
+        database.get(expectedCollection, test.filter, null, null, null, null, function(error, documents) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(
+            documents.map(function(document) {
+              return document.id;
+            }),
+            test.expectedIds,
+            'Wrong documents for operation ' + test.filter.operations[0].type
+          );
+          next();
+        });
+      };
+
+      next();
+    });
+
+    it('should evaluate array, type, case insensitive and geospatial operations', function(done) {
+      var documents = [
+        {id: '4', chapters: [{tag: 'intro', time: 0}, {tag: 'end', time: 60}], location: [2.3522, 48.8566]},
+        {id: '5', chapters: [{tag: 'intro', time: 30}], location: {type: 'Point', coordinates: [4.8357, 45.764]}}
+      ];
+      var filters = [
+        {
+          filter: new ResourceFilter().elemMatch(
+            'chapters',
+            new ResourceFilter().equal('tag', 'intro').equal('time', 0)
+          ),
+          expectedIds: ['4']
+        },
+        {filter: new ResourceFilter().size('tags', 1), expectedIds: ['2']},
+        {filter: new ResourceFilter().size('chapters', 1), expectedIds: ['5']},
+        {filter: new ResourceFilter().type('tags', ResourceFilter.TYPES.ARRAY), expectedIds: ['1', '2']},
+        {filter: new ResourceFilter().type('location', ResourceFilter.TYPES.OBJECT), expectedIds: ['5']},
+        {filter: new ResourceFilter().equalIgnoreCase('title', 'first VIDEO'), expectedIds: ['1']},
+        {filter: new ResourceFilter().between('views', 15, 30), expectedIds: ['2', '3']},
+        {filter: new ResourceFilter().near('location', [2.2945, 48.8584], 5000), expectedIds: ['4']},
+        {filter: new ResourceFilter().near('location', [2.2945, 48.8584], 500000), expectedIds: ['4', '5']},
+        {filter: new ResourceFilter().withinBox('location', [[4, 45], [5, 46]]), expectedIds: ['5']}
+      ];
+
+      var next = function() {
+        var test = filters.shift();
+        if (!test) return done();
+
+        database.get(expectedCollection, test.filter, null, null, null, null, function(error, documents) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(
+            documents.map(function(document) {
+              return document.id;
+            }),
+            test.expectedIds,
+            'Wrong documents for operation ' + test.filter.operations[0].type
+          );
+          next();
+        });
+      };
+
+      database.add(expectedCollection, documents, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        next();
+      });
+    });
+
+    it('should evaluate nested logical operations', function(done) {
+      var filter = new ResourceFilter()
+        .or([
+          new ResourceFilter().equal('metadata.user', 'user2'),
+          new ResourceFilter().and([
+            new ResourceFilter().in('metadata.groups', ['g1']),
+            new ResourceFilter().nor([new ResourceFilter().equal('id', '1')])
+          ])
+        ]);
+
+      database.get(expectedCollection, filter, null, null, null, null, function(error, documents) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(
+          documents.map(function(document) {
+            return document.id;
+          }),
+          ['2', '3']
+        );
+        done();
+      });
+    });
+
+    it('should search in text indexed fields and sort by score', function(done) {
+      database.add(expectedCollection, [{id: '4', title: 'Video about a video'}], function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.createIndexes(expectedCollection, [{key: {title: 'text'}}], function(error) {
+          assert.isNull(error, 'Unexpected error');
+
+          database.get(
+            expectedCollection,
+            new ResourceFilter().search('VIDEO'),
+            {include: ['id']},
+            null,
+            null,
+            {score: 'score'},
+            function(error, documents) {
+              assert.isNull(error, 'Unexpected error');
+              assert.deepEqual(documents, [{id: '4', score: 2}, {id: '1', score: 1}, {id: '2', score: 1}]);
+              done();
+            }
+          );
+        });
+      });
+    });
+
+    it('should execute callback with an error if an operation is not supported', function(done) {
+      var filter = new ResourceFilter();
+      filter.operations.push({type: 'wrongOperation', field: 'id', value: '1'});
+
+      database.get(expectedCollection, filter, null, null, null, null, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.BUILD_FILTERS_UNKNOWN_OPERATION_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+  });
+
+  describe('stream', function() {
+
+    it('should emit filtered and sorted documents', function(done) {
+      var streamedDocuments = [];
+      var filter = new ResourceFilter().greaterThan('views', 10);
+
+      database.stream(expectedCollection, filter, {include: ['id']}, {views: 'desc'})
+        .on('data', function(document) {
+          streamedDocuments.push(document);
+        })
+        .on('end', function() {
+          assert.deepEqual(streamedDocuments, [{id: '3'}, {id: '2'}], 'Wrong documents');
+          done();
+        });
+    });
+
+    it('should emit an error if filter is not supported', function(done) {
+      var filter = new ResourceFilter();
+      filter.operations.push({type: 'unknown', field: 'id', value: '1'});
+
+      database.stream(expectedCollection, filter).on('error', function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        done();
+      }).resume();
+    });
+
+  });
+
+  describe('count', function() {
+
+    it('should count documents matching the filter', function(done) {
+      database.count(expectedCollection, new ResourceFilter().equal('metadata.user', 'user1'), function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 2, 'Wrong total');
+        done();
+      });
+    });
+
+  });
+
+  describe('distinct', function() {
+
+    it('should get distinct values expanding arrays', function(done) {
+      database.distinct(expectedCollection, 'tags', null, function(error, values) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(values, ['news', 'sport'], 'Wrong values');
+        done();
+      });
+    });
+
+    it('should only get values of documents matching the filter', function(done) {
+      var filter = new ResourceFilter().equal('metadata.user', 'user2');
+
+      database.distinct(expectedCollection, 'metadata.user', filter, function(error, values) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(values, ['user2'], 'Wrong values');
+        done();
+      });
+    });
+
+  });
+
+  describe('aggregate', function() {
+
+    it('should group documents by field and compute accumulators', function(done) {
+      database.aggregate(
+        expectedCollection,
+        null,
+        {user: 'metadata.user'},
+        {
+          total: {type: Storage.ACCUMULATORS.COUNT},
+          views: {type: Storage.ACCUMULATORS.SUM, field: 'views'},
+          average: {type: Storage.ACCUMULATORS.AVERAGE, field: 'views'},
+          min: {type: Storage.ACCUMULATORS.MIN, field: 'views'},
+          max: {type: Storage.ACCUMULATORS.MAX, field: 'views'}
+        },
+        function(error, groups) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(groups, [
+            {user: 'user1', total: 2, views: 40, average: 20, min: 10, max: 30},
+            {user: 'user2', total: 1, views: 20, average: 20, min: 20, max: 20}
+          ], 'Wrong groups');
+          done();
+        }
+      );
+    });
+
+    it('should group documents by each item of an unwound array', function(done) {
+      database.aggregate(
+        expectedCollection,
+        null,
+        {group: {field: 'metadata.groups', unwind: true}},
+        {total: {type: Storage.ACCUMULATORS.COUNT}},
+        function(error, groups) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(groups, [{group: 'g1', total: 2}, {group: 'g2', total: 1}], 'Wrong groups');
+          done();
+        }
+      );
+    });
+
+    it('should group documents by date unit', function(done) {
+      var documents = [
+        {id: '4', date: new Date('2023-01-15T10:00:00Z').getTime()},
+        {id: '5', date: new Date('2023-01-31T23:00:00Z')},
+        {id: '6', date: new Date('2023-02-01T00:00:00Z').getTime()}
+      ];
+
+      database.add('dates', documents, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.aggregate(
+          'dates',
+          null,
+          {month: {field: 'date', unit: Storage.DATE_UNITS.MONTH}},
+          {total: {type: Storage.ACCUMULATORS.COUNT}},
+          function(error, groups) {
+            assert.isNull(error, 'Unexpected error');
+            assert.deepEqual(groups, [{month: '2023-01', total: 2}, {month: '2023-02', total: 1}], 'Wrong groups');
+            done();
+          }
+        );
+      });
+    });
+
+    it('should put all documents matching the filter in a single group if groupBy is not specified', function(done) {
+      database.aggregate(
+        expectedCollection,
+        new ResourceFilter().greaterThan('views', 10),
+        null,
+        {total: {type: Storage.ACCUMULATORS.COUNT}},
+        function(error, groups) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(groups, [{total: 2}], 'Wrong groups');
+          done();
+        }
+      );
+    });
+
+    it('should execute callback with an error if accumulator is not supported', function(done) {
+      database.aggregate(expectedCollection, null, null, {total: {type: 'unknown'}}, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(
+          error.code,
+          databaseErrors.BUILD_AGGREGATION_UNKNOWN_ACCUMULATOR_ERROR,
+          'Wrong error code'
+        );
+        done();
+      });
+    });
+
+    it('should execute callback with an error if date unit is not supported', function(done) {
+      database.aggregate(
+        expectedCollection,
+        null,
+        {date: {field: 'date', unit: 'week'}},
+        {total: {type: Storage.ACCUMULATORS.COUNT}},
+        function(error) {
+          assert.instanceOf(error, StorageError, 'Wrong error');
+          assert.strictEqual(error.code, databaseErrors.BUILD_AGGREGATION_UNKNOWN_DATE_UNIT_ERROR, 'Wrong error code');
+          done();
+        }
+      );
+    });
+
+  });
+
+  describe('getOne', function() {
+
+    it('should fetch the first document matching the filter', function(done) {
+      database.getOne(
+        expectedCollection,
+        new ResourceFilter().equal('metadata.user', 'user1'),
+        {include: ['id']},
+        function(error, document) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(document, {id: '1'}, 'Wrong document');
+          done();
+        }
+      );
+    });
+
+    it('should execute callback with null if no document matches the filter', function(done) {
+      database.getOne(expectedCollection, new ResourceFilter().equal('id', '42'), null, function(error, document) {
+        assert.isNull(error, 'Unexpected error');
+        assert.isNull(document, 'Unexpected document');
+        done();
+      });
+    });
+
+  });
+
+  describe('updateOne', function() {
+
+    it('should update the first document matching the filter', function(done) {
+      database.updateOne(
+        expectedCollection,
+        new ResourceFilter().equal('id', '1'),
+        {title: 'New title', 'metadata.groups': ['g3']},
+        function(error, total) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(total, 1, 'Wrong total');
+
+          database.getOne(expectedCollection, new ResourceFilter().equal('id', '1'), null, function(error, document) {
+            assert.equal(document.title, 'New title', 'Wrong title');
+            assert.deepEqual(document.metadata, {user: 'user1', groups: ['g3']}, 'Wrong metadata');
+            done();
+          });
+        }
+      );
+    });
+
+    it('should execute callback with 0 if document has not changed', function(done) {
+      database.updateOne(
+        expectedCollection,
+        new ResourceFilter().equal('id', '1'),
+        {title: expectedDocuments[0].title},
+        function(error, total) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(total, 0, 'Wrong total');
+          done();
+        }
+      );
+    });
+
+    it('should apply update operations', function(done) {
+      var update = new ResourceUpdate()
+        .unset('metadata.user')
+        .increment('views', 5)
+        .push('tags', 'music')
+        .pull('tags', 'news')
+        .addToSet('metadata.groups', 'g1')
+        .addToSet('metadata.groups', 'g2')
+        .increment('likes', 1);
+
+      database.updateOne(expectedCollection, new ResourceFilter().equal('id', '1'), update, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+
+        database.getOne(expectedCollection, new ResourceFilter().equal('id', '1'), null, function(error, document) {
+          assert.equal(document.views, 15, 'Wrong views');
+          assert.equal(document.likes, 1, 'Wrong likes');
+          assert.deepEqual(document.tags, ['sport', 'music'], 'Wrong tags');
+          assert.deepEqual(document.metadata, {groups: ['g1', 'g2']}, 'Wrong metadata');
+          done();
+        });
+      });
+    });
+
+    it('should execute callback with an error if an operation does not fit the type of the field', function(done) {
+      var update = new ResourceUpdate().increment('title', 1);
+
+      database.updateOne(expectedCollection, new ResourceFilter().equal('id', '1'), update, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.UPDATE_INVALID_FIELD_TYPE_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+  });
+
+  describe('updateMany', function() {
+
+    it('should update all documents matching the filter', function(done) {
+      var update = new ResourceUpdate().increment('views', 1);
+
+      database.updateMany(expectedCollection, new ResourceFilter().equal('metadata.user', 'user1'), update,
+        function(error, total) {
+          assert.isNull(error, 'Unexpected error');
+          assert.equal(total, 2, 'Wrong total');
+
+          database.distinct(expectedCollection, 'views', null, function(error, views) {
+            assert.sameMembers(views, [11, 20, 31], 'Wrong views');
+            done();
+          });
+        }
+      );
+    });
+
+    it('should not update any document if one of them violates a unique index', function(done) {
+      database.createIndexes(expectedCollection, [{key: {views: 1}, unique: true}], function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.updateMany(expectedCollection, null, {views: 42}, function(error) {
+          assert.instanceOf(error, StorageError, 'Wrong error');
+
+          database.distinct(expectedCollection, 'views', null, function(error, views) {
+            assert.sameMembers(views, [10, 20, 30], 'Wrong views');
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('upsertOne', function() {
+
+    it('should update the first document matching the filter', function(done) {
+      var update = new ResourceUpdate().increment('views', 1);
+
+      database.upsertOne(expectedCollection, new ResourceFilter().equal('id', '1'), update, {created: 42},
+        function(error, inserted) {
+          assert.isNull(error, 'Unexpected error');
+          assert.isFalse(inserted, 'Expected document to be updated');
+
+          database.getOne(expectedCollection, new ResourceFilter().equal('id', '1'), null, function(error, document) {
+            assert.equal(document.views, 11, 'Wrong views');
+            assert.notProperty(document, 'created', 'Unexpected default field');
+            done();
+          });
+        }
+      );
+    });
+
+    it('should insert a document with filter equalities, default fields and modifications', function(done) {
+      var filter = new ResourceFilter().and([
+        new ResourceFilter().equal('id', '4'),
+        new ResourceFilter().equal('metadata.user', 'user3')
+      ]);
+      var update = new ResourceUpdate().increment('views', 1).set('title', 'Fourth video');
+
+      database.upsertOne(expectedCollection, filter, update, {title: 'Default', views: 10},
+        function(error, inserted) {
+          assert.isNull(error, 'Unexpected error');
+          assert.isTrue(inserted, 'Expected document to be inserted');
+
+          database.getOne(expectedCollection, new ResourceFilter().equal('id', '4'), null, function(error, document) {
+            assert.deepEqual(document, {
+              id: '4',
+              title: 'Fourth video',
+              views: 11,
+              metadata: {user: 'user3'}
+            }, 'Wrong document');
+            done();
+          });
+        }
+      );
+    });
+
+    it('should execute callback with an error if inserted document violates a unique index', function(done) {
+      database.createIndexes(expectedCollection, [{key: {views: 1}, unique: true}], function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.upsertOne(expectedCollection, new ResourceFilter().equal('id', '4'), {views: 10}, null,
+          function(error) {
+            assert.instanceOf(error, StorageError, 'Wrong error');
+            assert.strictEqual(error.code, databaseErrors.DUPLICATE_KEY_ERROR, 'Wrong error code');
+            assert.equal(database.collections[expectedCollection].documents.length, 3, 'Wrong number of documents');
+            done();
+          }
+        );
+      });
+    });
+
+  });
+
+  describe('remove', function() {
+
+    it('should remove documents matching the filter', function(done) {
+      database.remove(expectedCollection, new ResourceFilter().equal('metadata.user', 'user1'), function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 2, 'Wrong total');
+        assert.equal(database.collections[expectedCollection].documents.length, 1, 'Wrong number of documents');
+        done();
+      });
+    });
+
+  });
+
+  describe('removeField', function() {
+
+    it('should remove a property from documents matching the filter', function(done) {
+      var filter = new ResourceFilter().in('id', ['2', '3']);
+
+      database.removeField(expectedCollection, 'tags', filter, function(error, total) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(total, 1, 'Wrong total');
+
+        database.getOne(expectedCollection, new ResourceFilter().equal('id', '2'), null, function(error, document) {
+          assert.notProperty(document, 'tags', 'Unexpected property');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('indexes', function() {
+
+    it('should create, list and drop indexes', function(done) {
+      database.createIndexes(expectedCollection, [{key: {title: 1, views: -1}}], function(error, names) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(names, ['title_1_views_-1'], 'Wrong names');
+
+        database.getIndexes(expectedCollection, function(error, indexes) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(
+            indexes.map(function(index) {
+              return index.name;
+            }),
+            ['_id_', 'title_1_views_-1']
+          );
+
+          database.dropIndex(expectedCollection, 'title_1_views_-1', function(error) {
+            assert.isNull(error, 'Unexpected error');
+            assert.equal(database.collections[expectedCollection].indexes.length, 1, 'Wrong number of indexes');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should execute callback with an error when dropping an unknown index', function(done) {
+      database.dropIndex(expectedCollection, 'wrongIndex', function(error) {
+        assert.strictEqual(error.code, databaseErrors.DROP_INDEX_NOT_FOUND_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should execute callback with an error when creating an index conflicting with an existing one', function(done) {
+      database.createIndexes(expectedCollection, [{key: {title: 1}, name: 'index'}], function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        database.createIndexes(expectedCollection, [{key: {views: 1}, name: 'index'}], function(error) {
+          assert.strictEqual(error.code, databaseErrors.CREATE_INDEXES_CONFLICT_ERROR, 'Wrong error code');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('renameCollection', function() {
+
+    it('should rename a collection', function(done) {
+      database.renameCollection(expectedCollection, 'newCollection', function(error) {
+        assert.isNull(error, 'Unexpected error');
+        assert.notProperty(database.collections, expectedCollection, 'Unexpected collection');
+        assert.equal(database.collections.newCollection.documents.length, 3, 'Wrong number of documents');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if collection does not exist', function(done) {
+      database.renameCollection('wrongCollection', 'newCollection', function(error) {
+        assert.strictEqual(error.code, databaseErrors.RENAME_COLLECTION_NOT_FOUND_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if target collection already exists', function(done) {
+      database.add('newCollection', [{}], function() {
+        database.renameCollection(expectedCollection, 'newCollection', function(error) {
+          assert.strictEqual(error.code, databaseErrors.RENAME_COLLECTION_TARGET_EXISTS_ERROR, 'Wrong error code');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('removeCollection', function() {
+
+    it('should remove a collection', function(done) {
+      database.removeCollection(expectedCollection, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        assert.notProperty(database.collections, expectedCollection, 'Unexpected collection');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if collection does not exist', function(done) {
+      database.removeCollection('wrongCollection', function(error) {
+        assert.strictEqual(error.code, databaseErrors.REMOVE_COLLECTION_NOT_FOUND_ERROR, 'Wrong error code');
+        done();
+      });
+    });
+
+  });
+
+  describe('getStore', function() {
+
+    it('should return an express-session store', function() {
+      var store = database.getStore('sessions');
+      assert.isFunction(store.get, 'Wrong store');
+      assert.isFunction(store.set, 'Wrong store');
+    });
+
+  });
+
+});
@@ -0,0 +1,277 @@
+'use strict';
+
+var assert = require('chai').assert;
+var MigrationRunner = process.requireApi('lib/storages/MigrationRunner.js');
+var MemoryDatabase = process.requireApi('lib/storages/databases/memory/MemoryDatabase.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+
+describe('MigrationRunner', function() {
+  var database;
+  var runner;
+  var executed;
+  var migrations;
+  var expectedPlugin = 'plugin';
+
+  /**
+   * Builds a migration recording its executions.
+   *
+   * @param {String} version The version of the migration
+   * @return {Object} The migration
+   */
+  function buildMigration(version) {
+    return {
+      version: version,
+      up: function(database, callback) {
+        executed.push('up ' + version);
+        callback();
+      },
+      down: function(database, callback) {
+        executed.push('down ' + version);
+        callback();
+      }
+    };
+  }
+
+  // Initiates tests
+  beforeEach(function() {
+    executed = [];
+    database = new MemoryDatabase({});
+    runner = new MigrationRunner(database);
+    migrations = [buildMigration('1.10.0'), buildMigration('1.2.0'), buildMigration('2.0.0')];
+  });
+
+  describe('properties', function() {
+
+    it('should not be editable', function() {
+      var properties = ['database', 'location', 'lockLocation', 'lockTimeout', 'id'];
+
+      properties.forEach(function(property) {
+        assert.throws(function() {
+          runner[property] = null;
+        }, null, null, 'Expected property "' + property + '" to be unalterable');
+      });
+
+    });
+
+  });
+
+  describe('compareVersions', function() {
+
+    it('should compare versions number by number', function() {
+      assert.isBelow(MigrationRunner.compareVersions('1.2.0', '1.10.0'), 0, 'Expected 1.2.0 to be lower');
+      assert.isAbove(MigrationRunner.compareVersions('2.0.0', '1.10.0'), 0, 'Expected 2.0.0 to be greater');
+      assert.equal(MigrationRunner.compareVersions('1.0', '1.0.0'), 0, 'Expected versions to be equal');
+    });
+
+  });
+
+  describe('up', function() {
+
+    it('should apply pending migrations in version order and record them', function(done) {
+      runner.up(expectedPlugin, migrations, null, function(error, versions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(versions, ['1.2.0', '1.10.0', '2.0.0'], 'Wrong versions');
+        assert.deepEqual(executed, ['up 1.2.0', 'up 1.10.0', 'up 2.0.0'], 'Wrong executed migrations');
+
+        runner.getApplied(expectedPlugin, function(error, applied) {
+          assert.deepEqual(applied, ['1.2.0', '1.10.0', '2.0.0'], 'Wrong applied migrations');
+          assert.lengthOf(database.collections[runner.lockLocation].documents, 0, 'Expected lock to be released');
+          done();
+        });
+      });
+    });
+
+    it('should not apply already applied migrations', function(done) {
+      runner.up(expectedPlugin, migrations.slice(0, 1), null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        executed = [];
+
+        runner.up(expectedPlugin, migrations, null, function(error, versions) {
+          assert.isNull(error, 'Unexpected error');
+          assert.deepEqual(versions, ['1.2.0', '2.0.0'], 'Wrong versions');
+          assert.deepEqual(executed, ['up 1.2.0', 'up 2.0.0'], 'Wrong executed migrations');
+          done();
+        });
+      });
+    });
+
+    it('should record migrations per plugin', function(done) {
+      runner.up('otherPlugin', migrations, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        runner.up(expectedPlugin, migrations, {dryRun: true}, function(error, versions) {
+          assert.isNull(error, 'Unexpected error');
+          assert.lengthOf(versions, 3, 'Wrong versions');
+          done();
+        });
+      });
+    });
+
+    it('should stop at the given version', function(done) {
+      runner.up(expectedPlugin, migrations, {version: '1.10.0'}, function(error, versions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(versions, ['1.2.0', '1.10.0'], 'Wrong versions');
+        done();
+      });
+    });
+
+    it('should not execute anything in dry-run mode', function(done) {
+      runner.up(expectedPlugin, migrations, {dryRun: true}, function(error, versions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(versions, ['1.2.0', '1.10.0', '2.0.0'], 'Wrong versions');
+        assert.isEmpty(executed, 'Unexpected executed migrations');
+        assert.notProperty(database.collections, runner.location, 'Unexpected records');
+        done();
+      });
+    });
+
+    it('should stop at the first failing migration and release the lock', function(done) {
+      var expectedError = new Error('Something went wrong');
+      migrations[0].up = function(database, callback) {
+        callback(expectedError);
+      };
+
+      runner.up(expectedPlugin, migrations, null, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        assert.deepEqual(executed, ['up 1.2.0'], 'Wrong executed migrations');
+        assert.lengthOf(database.collections[runner.lockLocation].documents, 0, 'Expected lock to be released');
+
+        runner.getApplied(expectedPlugin, function(error, applied) {
+          assert.deepEqual(applied, ['1.2.0'], 'Wrong applied migrations');
+          done();
+        });
+      });
+    });
+
+    it('should execute callback with an error if another runner holds the lock', function(done) {
+      var otherRunner = new MigrationRunner(database);
+
+      migrations[0].up = function(database, callback) {
+        runner.up(expectedPlugin, migrations, null, function(error) {
+          assert.instanceOf(error, StorageError, 'Wrong error');
+          assert.strictEqual(error.code, databaseErrors.MIGRATION_LOCKED_ERROR, 'Wrong error code');
+          callback();
+        });
+      };
+
+      otherRunner.up(expectedPlugin, migrations, null, function(error, versions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.lengthOf(versions, 3, 'Wrong versions');
+        done();
+      });
+    });
+
+    it('should extend the lock before each migration', function(done) {
+      runner = new MigrationRunner(database, {lockTimeout: 60000});
+      migrations[1].up = function(database, callback) {
+        executed.push('up 1.2.0');
+        database.updateOne(runner.lockLocation, null, {expiresAt: Date.now() + 1}, callback);
+      };
+      migrations[0].up = function(database, callback) {
+        executed.push('up 1.10.0');
+        assert.isAbove(
+          database.collections[runner.lockLocation].documents[0].expiresAt,
+          Date.now() + 50000,
+          'Expected lock to be extended'
+        );
+        callback();
+      };
+
+      runner.up(expectedPlugin, migrations, null, function(error) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(executed, ['up 1.2.0', 'up 1.10.0', 'up 2.0.0'], 'Wrong executed migrations');
+        done();
+      });
+    });
+
+    it('should stop with an error if the lock has been taken over by another runner', function(done) {
+      migrations[1].up = function(database, callback) {
+        executed.push('up 1.2.0');
+        database.updateOne(runner.lockLocation, null, {owner: 'other'}, callback);
+      };
+
+      runner.up(expectedPlugin, migrations, null, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.MIGRATION_LOCKED_ERROR, 'Wrong error code');
+        assert.deepEqual(executed, ['up 1.2.0'], 'Wrong executed migrations');
+        assert.equal(
+          database.collections[runner.lockLocation].documents[0].owner,
+          'other',
+          'Expected lock of the other runner to be kept'
+        );
+        done();
+      });
+    });
+
+    it('should take over an expired lock', function(done) {
+      database.add(runner.lockLocation, [
+        {id: MigrationRunner.LOCK_ID, owner: 'crashed', expiresAt: Date.now() - 1}
+      ], function(error) {
+        assert.isNull(error, 'Unexpected error');
+
+        runner.up(expectedPlugin, migrations, null, function(error, versions) {
+          assert.isNull(error, 'Unexpected error');
+          assert.lengthOf(versions, 3, 'Wrong versions');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('down', function() {
+
+    beforeEach(function(done) {
+      runner.up(expectedPlugin, migrations, null, function(error) {
+        executed = [];
+        done(error);
+      });
+    });
+
+    it('should revert the last applied migration', function(done) {
+      runner.down(expectedPlugin, migrations, null, function(error, versions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(versions, ['2.0.0'], 'Wrong versions');
+        assert.deepEqual(executed, ['down 2.0.0'], 'Wrong executed migrations');
+
+        runner.getApplied(expectedPlugin, function(error, applied) {
+          assert.deepEqual(applied, ['1.2.0', '1.10.0'], 'Wrong applied migrations');
+          done();
+        });
+      });
+    });
+
+    it('should revert migrations down to the given version', function(done) {
+      runner.down(expectedPlugin, migrations, {version: '1.2.0'}, function(error, versions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(versions, ['2.0.0', '1.10.0'], 'Wrong versions');
+        assert.deepEqual(executed, ['down 2.0.0', 'down 1.10.0'], 'Wrong executed migrations');
+        done();
+      });
+    });
+
+    it('should not execute anything in dry-run mode', function(done) {
+      runner.down(expectedPlugin, migrations, {version: '0.0.0', dryRun: true}, function(error, versions) {
+        assert.isNull(error, 'Unexpected error');
+        assert.deepEqual(versions, ['2.0.0', '1.10.0', '1.2.0'], 'Wrong versions');
+        assert.isEmpty(executed, 'Unexpected executed migrations');
+        done();
+      });
+    });
+
+    it('should execute callback with an error if a migration can not be reverted', function(done) {
+      delete migrations[2].down;
+
+      runner.down(expectedPlugin, migrations, null, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.MIGRATION_NOT_REVERSIBLE_ERROR, 'Wrong error code');
+        assert.isEmpty(executed, 'Unexpected executed migrations');
+        assert.lengthOf(database.collections[runner.lockLocation].documents, 0, 'Expected lock to be released');
+        done();
+      });
+    });
+
+  });
+
+});
@@ -251,6 +251,169 @@ describe('ResourceFilter', function() {
 
   });
 
+  describe(ResourceFilter.OPERATORS.ELEM_MATCH, function() {
+
+    it('should add a "' + ResourceFilter.OPERATORS.ELEM_MATCH + '" operation', function() {
+      var expectedValue = new ResourceFilter().equal('tag', 'intro');
+      filter.elemMatch('chapters', expectedValue);
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.ELEM_MATCH, field: 'chapters', value: expectedValue}
+      ], 'Wrong operations');
+    });
+
+    it('should throw a TypeError if value is not a ResourceFilter', function() {
+      var wrongValues = [[], 42, true, {}, 'String', null];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          filter.elemMatch('field', wrongValue);
+        }, TypeError, null, 'Expected exception when value is ' + wrongValue);
+      });
+    });
+
+  });
+
+  describe(ResourceFilter.OPERATORS.SIZE, function() {
+
+    it('should add a "' + ResourceFilter.OPERATORS.SIZE + '" operation', function() {
+      filter.size('field', 0);
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.SIZE, field: 'field', value: 0}
+      ], 'Wrong operations');
+    });
+
+    it('should throw a TypeError if value is not a positive integer', function() {
+      var wrongValues = [[], -1, 4.2, true, {}, '42'];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          filter.size('field', wrongValue);
+        }, TypeError, null, 'Expected exception when value is ' + wrongValue);
+      });
+    });
+
+  });
+
+  describe(ResourceFilter.OPERATORS.TYPE, function() {
+
+    it('should add a "' + ResourceFilter.OPERATORS.TYPE + '" operation', function() {
+      filter.type('field', ResourceFilter.TYPES.ARRAY);
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.TYPE, field: 'field', value: ResourceFilter.TYPES.ARRAY}
+      ], 'Wrong operations');
+    });
+
+    it('should throw a TypeError if value is not a known type', function() {
+      var wrongValues = ['int', 42, {}, null];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          filter.type('field', wrongValue);
+        }, TypeError, null, 'Expected exception when value is ' + wrongValue);
+      });
+    });
+
+  });
+
+  describe(ResourceFilter.OPERATORS.EQUAL_IGNORE_CASE, function() {
+
+    it('should add a "' + ResourceFilter.OPERATORS.EQUAL_IGNORE_CASE + '" operation', function() {
+      filter.equalIgnoreCase('field', 'Value');
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.EQUAL_IGNORE_CASE, field: 'field', value: 'Value'}
+      ], 'Wrong operations');
+    });
+
+    it('should throw a TypeError if value is not a String', function() {
+      var wrongValues = [[], 42, true, {}, /regexp/];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          filter.equalIgnoreCase('field', wrongValue);
+        }, TypeError, null, 'Expected exception when value is ' + wrongValue);
+      });
+    });
+
+  });
+
+  describe('between', function() {
+
+    it('should add a "greater than or equal" and a "lesser than or equal" operations', function() {
+      filter.between('field', 42, 43);
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.GREATER_THAN_EQUAL, field: 'field', value: 42},
+        {type: ResourceFilter.OPERATORS.LESSER_THAN_EQUAL, field: 'field', value: 43}
+      ], 'Wrong operations');
+    });
+
+    it('should throw a TypeError if min or max is not valid', function() {
+      assert.throws(function() {
+        filter.between('field', 42);
+      }, TypeError);
+
+      assert.throws(function() {
+        filter.between('field', {}, 43);
+      }, TypeError);
+    });
+
+  });
+
+  describe(ResourceFilter.OPERATORS.NEAR, function() {
+
+    it('should add a "' + ResourceFilter.OPERATORS.NEAR + '" operation', function() {
+      filter.near('field', [2.35, 48.85], 1000);
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.NEAR, field: 'field', value: {coordinates: [2.35, 48.85], distance: 1000}}
+      ], 'Wrong operations');
+    });
+
+    it('should throw a TypeError if coordinates or distance are not valid', function() {
+      var wrongValues = [
+        [[181, 0], 1000],
+        [[0, 91], 1000],
+        [[0], 1000],
+        ['0,0', 1000],
+        [[0, 0], -1],
+        [[0, 0], '1000']
+      ];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          filter.near('field', wrongValue[0], wrongValue[1]);
+        }, TypeError, null, 'Expected exception when values are ' + JSON.stringify(wrongValue));
+      });
+    });
+
+  });
+
+  describe(ResourceFilter.OPERATORS.WITHIN_BOX, function() {
+
+    it('should add a "' + ResourceFilter.OPERATORS.WITHIN_BOX + '" operation', function() {
+      filter.withinBox('field', [[2, 48], [3, 49]]);
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.WITHIN_BOX, field: 'field', value: [[2, 48], [3, 49]]}
+      ], 'Wrong operations');
+    });
+
+    it('should throw a TypeError if value is not a box', function() {
+      var wrongValues = [[[2, 48]], [[2, 48], [3, 491]], [2, 48, 3, 49], {}];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          filter.withinBox('field', wrongValue);
+        }, TypeError, null, 'Expected exception when value is ' + JSON.stringify(wrongValue));
+      });
+    });
+
+  });
+
   describe('hasOperation', function() {
 
     it('should return true if an operation type is already present in the list of operations', function() {
@@ -387,4 +550,177 @@ describe('ResourceFilter', function() {
 
   });
 
+  describe('toJSON', function() {
+
+    it('should serialize operations with dates and regular expressions', function() {
+      var expectedDate = new Date('2020-01-01T00:00:00.000Z');
+      filter.equal('field1', 42)
+        .in('field2', [expectedDate])
+        .or([new ResourceFilter().regex('field3', /^foo/i)])
+        .search('query');
+
+      assert.deepEqual(JSON.parse(JSON.stringify(filter)), [
+        {type: ResourceFilter.OPERATORS.EQUAL, field: 'field1', value: 42},
+        {type: ResourceFilter.OPERATORS.IN, field: 'field2', value: [{$date: expectedDate.toISOString()}]},
+        {
+          type: ResourceFilter.OPERATORS.OR,
+          filters: [
+            [{type: ResourceFilter.OPERATORS.REGEX, field: 'field3', value: {$regex: '^foo', $flags: 'i'}}]
+          ]
+        },
+        {type: ResourceFilter.OPERATORS.SEARCH, value: 'query'}
+      ], 'Wrong JSON');
+    });
+
+  });
+
+  describe('fromJSON', function() {
+
+    it('should build back a serialized filter', function() {
+      var expectedDate = new Date('2020-01-01T00:00:00.000Z');
+      filter.greaterThan('field1', expectedDate)
+        .and([new ResourceFilter().regex('field2', /^foo/i).notIn('field3', ['bar'])])
+        .exists('field4', true);
+
+      var builtFilter = ResourceFilter.fromJSON(JSON.stringify(filter));
+
+      assert.deepEqual(builtFilter, filter, 'Wrong filter');
+      assert.instanceOf(builtFilter.operations[0].value, Date, 'Expected a date');
+      assert.instanceOf(
+        builtFilter.getLogicalOperation('and').filters[0].operations[0].value,
+        RegExp,
+        'Expected a RegExp'
+      );
+    });
+
+    it('should build back element match and geospatial operations', function() {
+      filter.elemMatch('chapters', new ResourceFilter().equal('tag', 'intro'))
+        .near('location', [2.35, 48.85], 1000)
+        .withinBox('location', [[2, 48], [3, 49]]);
+
+      assert.deepEqual(ResourceFilter.fromJSON(JSON.stringify(filter)), filter, 'Wrong filter');
+    });
+
+    it('should throw a TypeError if an operator is unknown', function() {
+      assert.throws(function() {
+        ResourceFilter.fromJSON([{type: 'where', field: 'field', value: 42}]);
+      }, TypeError);
+    });
+
+    it('should throw a TypeError if a value is not valid for its operator', function() {
+      var wrongJsons = [
+        [{type: ResourceFilter.OPERATORS.IN, field: 'field', value: 42}],
+        [{type: ResourceFilter.OPERATORS.REGEX, field: 'field', value: {$regex: '('}}],
+        [{type: ResourceFilter.OPERATORS.EQUAL, field: 'field', value: {$date: 'wrong'}}],
+        [{type: ResourceFilter.OPERATORS.OR, filters: 42}],
+        '[{',
+        {}
+      ];
+
+      wrongJsons.forEach(function(wrongJson) {
+        assert.throws(function() {
+          ResourceFilter.fromJSON(wrongJson);
+        }, TypeError, null, 'Expected exception for ' + JSON.stringify(wrongJson));
+      });
+    });
+
+  });
+
+  describe('fromQuery', function() {
+    var fields;
+
+    beforeEach(function() {
+      fields = {duration: 'number', title: 'string', date: 'date', published: 'boolean'};
+    });
+
+    it('should build a filter from a parsed query string', function() {
+      filter = ResourceFilter.fromQuery({
+        duration: {gte: '60', lt: '120'},
+        title: 'foo',
+        published: {exists: 'true', ne: 'false'},
+        date: {in: '0,2020-01-01'}
+      }, {fields: fields});
+
+      assert.deepEqual(filter.operations, [
+        {type: ResourceFilter.OPERATORS.GREATER_THAN_EQUAL, field: 'duration', value: 60},
+        {type: ResourceFilter.OPERATORS.LESSER_THAN, field: 'duration', value: 120},
+        {type: ResourceFilter.OPERATORS.EQUAL, field: 'title', value: 'foo'},
+        {type: ResourceFilter.OPERATORS.EXISTS, field: 'published', value: true},
+        {type: ResourceFilter.OPERATORS.NOT_EQUAL, field: 'published', value: false},
+        {type: ResourceFilter.OPERATORS.IN, field: 'date', value: [new Date(0), new Date('2020-01-01')]}
+      ], 'Wrong operations');
+    });
+
+    it('should build logical operations from lists of filters', function() {
+      filter = ResourceFilter.fromQuery({
+        or: [{title: {regex: 'f.o'}}, {duration: {nin: ['1', '2']}}]
+      }, {fields: fields});
+
+      var filters = filter.getLogicalOperation(ResourceFilter.OPERATORS.OR).filters;
+      assert.lengthOf(filters, 2, 'Wrong number of filters');
+      assert.deepEqual(filters[0].operations, [
+        {type: ResourceFilter.OPERATORS.REGEX, field: 'title', value: /f\.o/i}
+      ], 'Wrong first filter');
+      assert.deepEqual(filters[1].operations, [
+        {type: ResourceFilter.OPERATORS.NOT_IN, field: 'duration', value: [1, 2]}
+      ], 'Wrong second filter');
+    });
+
+    it('should accept logical operations with filters indexed in an object', function() {
+      filter = ResourceFilter.fromQuery({and: {0: {title: 'foo'}, 1: {duration: '42'}}}, {fields: fields});
+
+      assert.lengthOf(filter.getLogicalOperation(ResourceFilter.OPERATORS.AND).filters, 2, 'Wrong number of filters');
+    });
+
+    it('should return an empty filter if query is not defined', function() {
+      assert.isEmpty(ResourceFilter.fromQuery(undefined, {fields: fields}).operations);
+    });
+
+    it('should authorize search only if specified', function() {
+      assert.throws(function() {
+        ResourceFilter.fromQuery({search: 'query'}, {fields: fields});
+      }, TypeError);
+
+      filter = ResourceFilter.fromQuery({search: 'query'}, {fields: fields, search: true});
+      assert.deepEqual(filter.operations, [{type: ResourceFilter.OPERATORS.SEARCH, value: 'query'}]);
+    });
+
+    it('should restrict operators and validate values of described fields', function() {
+      fields.duration = {type: 'number', operators: ['gte', 'in'], gte: 0};
+
+      filter = ResourceFilter.fromQuery({duration: {gte: '0', in: '1,2'}}, {fields: fields});
+      assert.lengthOf(filter.operations, 2, 'Wrong number of operations');
+
+      [{duration: {lt: '42'}}, {duration: '42'}, {duration: {gte: '-1'}}, {duration: {in: '1,-2'}}].forEach(
+        function(wrongQuery) {
+          assert.throws(function() {
+            ResourceFilter.fromQuery(wrongQuery, {fields: fields});
+          }, TypeError, null, 'Expected exception for ' + JSON.stringify(wrongQuery));
+        }
+      );
+    });
+
+    it('should throw a TypeError if query is not valid', function() {
+      var wrongQueries = [
+        {unknown: 'value'},
+        {constructor: 'value'},
+        {duration: {where: '42'}},
+        {duration: 'not a number'},
+        {date: 'not a date'},
+        {published: 'yes'},
+        {duration: {exists: 'yes'}},
+        {title: {eq: {}}},
+        {or: 'value'},
+        'value'
+      ];
+
+      wrongQueries.forEach(function(wrongQuery) {
+        assert.throws(function() {
+          ResourceFilter.fromQuery(wrongQuery, {fields: fields});
+        }, TypeError, null, 'Expected exception for ' + JSON.stringify(wrongQuery));
+      });
+    });
+
+  });
+
 });
@@ -0,0 +1,108 @@
+'use strict';
+
+var assert = require('chai').assert;
+var ResourceUpdate = process.requireApi('lib/storages/ResourceUpdate.js');
+
+describe('ResourceUpdate', function() {
+  var update;
+  var operators = [
+    ResourceUpdate.OPERATORS.SET,
+    ResourceUpdate.OPERATORS.INCREMENT,
+    ResourceUpdate.OPERATORS.PUSH,
+    ResourceUpdate.OPERATORS.PULL,
+    ResourceUpdate.OPERATORS.ADD_TO_SET
+  ];
+
+  // Initiates tests
+  beforeEach(function() {
+    update = new ResourceUpdate();
+  });
+
+  describe('properties', function() {
+
+    it('should not be editable', function() {
+      var properties = ['operations'];
+
+      properties.forEach(function(property) {
+        assert.throws(function() {
+          update[property] = null;
+        }, null, null, 'Expected property "' + property + '" to be unalterable');
+      });
+
+    });
+
+  });
+
+  operators.forEach(function(operator) {
+
+    describe(operator, function() {
+
+      it('should add a "' + operator + '" operation', function() {
+        var expectedField = 'field';
+        var expectedValue = 42;
+        update[operator](expectedField, expectedValue);
+
+        assert.equal(update.operations.length, 1, 'Wrong number of operations');
+        assert.equal(update.operations[0].type, operator, 'Wrong operation type');
+        assert.equal(update.operations[0].field, expectedField, 'Wrong operation field');
+        assert.equal(update.operations[0].value, expectedValue, 'Wrong operation value');
+      });
+
+      it('should throw a TypeError if field is not a String', function() {
+        var wrongValues = [{}, [], 42, true, null, undefined, ''];
+
+        wrongValues.forEach(function(wrongValue) {
+          assert.throws(function() {
+            update[operator](wrongValue, 42);
+          }, TypeError, null, 'Expected exception when field is ' + wrongValue);
+        });
+      });
+
+    });
+
+  });
+
+  describe('unset', function() {
+
+    it('should add an "unset" operation', function() {
+      update.unset('field');
+
+      assert.deepEqual(update.operations, [
+        {type: ResourceUpdate.OPERATORS.UNSET, field: 'field', value: undefined}
+      ], 'Wrong operations');
+    });
+
+  });
+
+  describe('increment', function() {
+
+    it('should throw a TypeError if value is not a Number', function() {
+      var wrongValues = [{}, [], '42', true, null, undefined];
+
+      wrongValues.forEach(function(wrongValue) {
+        assert.throws(function() {
+          update.increment('field', wrongValue);
+        }, TypeError, null, 'Expected exception when value is ' + wrongValue);
+      });
+    });
+
+  });
+
+  describe('from', function() {
+
+    it('should build an update setting all fields of an object', function() {
+      update = ResourceUpdate.from({field1: 'value1', 'field2.field3': 42});
+
+      assert.deepEqual(update.operations, [
+        {type: ResourceUpdate.OPERATORS.SET, field: 'field1', value: 'value1'},
+        {type: ResourceUpdate.OPERATORS.SET, field: 'field2.field3', value: 42}
+      ], 'Wrong operations');
+    });
+
+    it('should return the update as is if already an update', function() {
+      assert.strictEqual(ResourceUpdate.from(update), update, 'Wrong update');
+    });
+
+  });
+
+});
@@ -1,7 +1,14 @@
 'use strict';
 
+var os = require('os');
+var path = require('path');
 var assert = require('chai').assert;
 var Storage = process.requireApi('lib/storages/Storage.js');
+var MemoryDatabase = process.requireApi('lib/storages/databases/memory/MemoryDatabase.js');
+var ResourceFilter = process.requireApi('lib/storages/ResourceFilter.js');
+var StorageError = process.requireApi('lib/errors/StorageError.js');
+var databaseErrors = process.requireApi('lib/storages/databases/databaseErrors.js');
+var fileSystem = process.requireApi('lib/fileSystem.js');
 
 describe('Storage', function() {
 
@@ -35,4 +42,179 @@ describe('Storage', function() {
 
   });
 
+  describe('transaction', function() {
+
+    it('should execute work on the storage itself by default', function() {
+      var storage = new Storage({});
+
+      return storage.transaction(function(transaction, done) {
+        assert.strictEqual(transaction, storage, 'Wrong transaction');
+        done(null, 42);
+      }).then(function(result) {
+        assert.equal(result, 42, 'Wrong result');
+      });
+    });
+
+  });
+
+
+  describe('archives', function() {
+    var directory;
+    var archivePath;
+    var source;
+    var destination;
+
+    beforeEach(function(done) {
+      directory = path.join(os.tmpdir(), 'openveo-api-archive-' + Date.now());
+      archivePath = path.join(directory, 'archive.tar');
+      source = new MemoryDatabase({});
+      destination = new MemoryDatabase({});
+
+      source.add('videos', [
+        {id: '1', title: 'Video 1', date: new Date(1)},
+        {id: '2', title: 'Video 2', date: new Date(2)},
+        {id: '3', title: 'Video 3', date: new Date(3)}
+      ], function(error) {
+        if (error) return done(error);
+        source.add('categories', [{id: '1', title: 'Category 1'}], done);
+      });
+    });
+
+    afterEach(function(done) {
+      fileSystem.rm(directory, function() {
+        done();
+      });
+    });
+
+    it('should export and import filtered locations', function() {
+      return source.exportArchive({
+        videos: new ResourceFilter().in('id', ['1', '2']),
+        categories: null
+      }, archivePath).then(function(totals) {
+        assert.deepEqual(totals, {videos: 2, categories: 1}, 'Wrong totals');
+        return destination.importArchive(archivePath);
+      }).then(function(results) {
+        assert.deepEqual(results, {
+          videos: {added: 2, overwritten: 0, skipped: 0},
+          categories: {added: 1, overwritten: 0, skipped: 0}
+        }, 'Wrong results');
+        return destination.getOne('videos', new ResourceFilter().equal('id', '2'), null);
+      }).then(function(video) {
+        assert.equal(video.title, 'Video 2', 'Wrong title');
+        assert.instanceOf(video.date, Date, 'Expected dates to be kept');
+      });
+    });
+
+    it('should import only the given locations', function() {
+      return source.exportArchive(['videos', 'categories'], archivePath).then(function() {
+        return destination.importArchive(archivePath, {locations: ['categories']});
+      }).then(function(results) {
+        assert.deepEqual(Object.keys(results), ['categories'], 'Wrong imported locations');
+      });
+    });
+
+    it('should import nothing if a resource already exists with the "fail" policy', function() {
+      return source.exportArchive(['videos'], archivePath).then(function() {
+        return destination.add('videos', [{id: '3', title: 'Existing video'}]);
+      }).then(function() {
+        return destination.importArchive(archivePath, {policy: Storage.CONFLICT_POLICIES.FAIL});
+      }).then(function() {
+        assert.ok(false, 'Unexpected import');
+      }, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.IMPORT_CONFLICT_ERROR, 'Wrong error code');
+        return destination.count('videos', null);
+      }).then(function(total) {
+        assert.equal(total, 1, 'Unexpected imported resources');
+      });
+    });
+
+    it('should keep existing resources with the "skip" policy', function() {
+      return source.exportArchive(['videos'], archivePath).then(function() {
+        return destination.add('videos', [{id: '3', title: 'Existing video'}]);
+      }).then(function() {
+        return destination.importArchive(archivePath, {policy: Storage.CONFLICT_POLICIES.SKIP});
+      }).then(function(results) {
+        assert.deepEqual(results.videos, {added: 2, overwritten: 0, skipped: 1}, 'Wrong results');
+        return destination.getOne('videos', new ResourceFilter().equal('id', '3'), null);
+      }).then(function(video) {
+        assert.equal(video.title, 'Existing video', 'Expected existing video to be kept');
+      });
+    });
+
+    it('should replace existing resources with the "overwrite" policy', function() {
+      return source.exportArchive(['videos'], archivePath).then(function() {
+        return destination.add('videos', [{id: '3', title: 'Existing video', views: 42}]);
+      }).then(function() {
+        return destination.importArchive(archivePath, {policy: Storage.CONFLICT_POLICIES.OVERWRITE});
+      }).then(function(results) {
+        assert.deepEqual(results.videos, {added: 2, overwritten: 1, skipped: 0}, 'Wrong results');
+        return destination.getOne('videos', new ResourceFilter().equal('id', '3'), null);
+      }).then(function(video) {
+        assert.equal(video.title, 'Video 3', 'Wrong title');
+        assert.notProperty(video, 'views', 'Expected video to be replaced');
+      });
+    });
+
+    it('should keep existing resources if replacing them failed with the "overwrite" policy', function() {
+      var expectedError = new Error('Something went wrong');
+
+      return source.exportArchive(['videos'], archivePath).then(function() {
+        return destination.add('videos', [{id: '3', title: 'Existing video'}]);
+      }).then(function() {
+        destination.add = function(collection, documents, callback) {
+          callback(expectedError);
+        };
+        return destination.importArchive(archivePath, {policy: Storage.CONFLICT_POLICIES.OVERWRITE});
+      }).then(function() {
+        assert.ok(false, 'Unexpected import');
+      }, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+        return destination.getOne('videos', new ResourceFilter().equal('id', '3'), null);
+      }).then(function(video) {
+        assert.equal(video.title, 'Existing video', 'Expected existing video to be kept');
+      });
+    });
+
+    it('should reject an archive with several resources having the same id', function() {
+      var policies = Object.keys(Storage.CONFLICT_POLICIES).map(function(key) {
+        return Storage.CONFLICT_POLICIES[key];
+      });
+
+      return source.add('videos', [{id: '2', title: 'Duplicated video 2'}]).then(function() {
+        return source.exportArchive(['videos'], archivePath);
+      }).then(function() {
+        return Promise.all(policies.map(function(policy) {
+          return destination.importArchive(archivePath, {policy: policy}).then(function() {
+            assert.ok(false, 'Unexpected import with policy ' + policy);
+          }, function(error) {
+            assert.instanceOf(error, StorageError, 'Wrong error');
+            assert.strictEqual(error.code, databaseErrors.INVALID_ARCHIVE_ERROR, 'Wrong error code');
+          });
+        }));
+      }).then(function() {
+        return destination.count('videos', null);
+      }).then(function(total) {
+        assert.equal(total, 0, 'Unexpected imported resources');
+      });
+    });
+
+    it('should reject an archive which is not an export', function() {
+      return destination.importArchive(path.join(process.rootApi, 'package.json')).then(function() {
+        assert.ok(false, 'Unexpected import');
+      }, function(error) {
+        assert.instanceOf(error, StorageError, 'Wrong error');
+        assert.strictEqual(error.code, databaseErrors.INVALID_ARCHIVE_ERROR, 'Wrong error code');
+      });
+    });
+
+    it('should reject an unknown conflict policy', function() {
+      return destination.importArchive(archivePath, {policy: 'unknown'}).then(function() {
+        assert.ok(false, 'Unexpected import');
+      }, function(error) {
+        assert.instanceOf(error, TypeError, 'Wrong error');
+      });
+    });
+
+  });
 });
@@ -3,6 +3,8 @@
 var assert = require('chai').assert;
 var factory = process.requireApi('lib/storages/factory.js');
 var MongoDatabase = process.requireApi('lib/storages/databases/mongodb/MongoDatabase.js');
+var MemoryDatabase = process.requireApi('lib/storages/databases/memory/MemoryDatabase.js');
+var JsonFileDatabase = process.requireApi('lib/storages/databases/jsonfile/JsonFileDatabase.js');
 
 describe('Storage factory', function() {
 
@@ -13,6 +15,16 @@ describe('Storage factory', function() {
       assert.ok(database instanceof MongoDatabase);
     });
 
+    it('should be able to instanciate a MemoryDatabase', function() {
+      var database = factory.get('memory', {});
+      assert.ok(database instanceof MemoryDatabase);
+    });
+
+    it('should be able to instanciate a JsonFileDatabase', function() {
+      var database = factory.get('jsonfile', {directory: '/tmp'});
+      assert.ok(database instanceof JsonFileDatabase);
+    });
+
     it('should throw a TypeError if unknown storage type', function() {
       assert.throws(function() {
         factory.get('wrongType');
@@ -1385,4 +1385,102 @@ describe('util', function() {
     });
   });
 
+  // addPromiseSupport method
+  describe('addPromiseSupport', function() {
+
+    it('should call the function as is if a callback is specified', function(done) {
+      var func = util.addPromiseSupport(function(value1, value2, callback) {
+        callback(null, value1, value2);
+      }, ['value1', 'value2']);
+
+      assert.isUndefined(func('1', '2', function(error, value1, value2) {
+        assert.isNull(error, 'Unexpected error');
+        assert.equal(value1, '1', 'Wrong first value');
+        assert.equal(value2, '2', 'Wrong second value');
+        done();
+      }), 'Unexpected returned value');
+    });
+
+    it('should call the function as is if callback is specified in place of optional parameters', function(done) {
+      var func = util.addPromiseSupport(function(value1, value2, callback) {
+        assert.isFunction(value2, 'Expected callback in place of second value');
+        value2(null);
+      });
+
+      func('1', done);
+    });
+
+    it('should return a Promise resolving with the result if callback is not specified', function() {
+      var func = util.addPromiseSupport(function(value, callback) {
+        callback(null, value);
+      });
+
+      return func('1').then(function(result) {
+        assert.equal(result, '1', 'Wrong result');
+      });
+    });
+
+    it('should resolve with results by names if callback receives several results', function() {
+      var func = util.addPromiseSupport(function(value1, value2, callback) {
+        callback(null, value1, value2);
+      }, ['value1', 'value2']);
+
+      return func('1', '2').then(function(results) {
+        assert.deepEqual(results, {value1: '1', value2: '2'}, 'Wrong results');
+      });
+    });
+
+    it('should put the callback at its position in the signature when optional parameters are omitted', function() {
+      var func = util.addPromiseSupport(function(value1, value2, callback) {
+        assert.isUndefined(value2, 'Unexpected second value');
+        callback(null, value1);
+      });
+
+      return func('1').then(function(result) {
+        assert.equal(result, '1', 'Wrong result');
+      });
+    });
+
+    it('should not take a required function argument for the callback', function() {
+      var work = function() {
+        return '1';
+      };
+      var func = util.addPromiseSupport(function(workFunction, callback) {
+        callback(null, workFunction());
+      }, null, 1);
+
+      return func(work).then(function(result) {
+        assert.equal(result, '1', 'Wrong result');
+      });
+    });
+
+    it('should return a Promise rejected with the error if callback is not specified', function() {
+      var expectedError = new Error('Something went wrong');
+      var func = util.addPromiseSupport(function(callback) {
+        callback(expectedError);
+      });
+
+      return func().then(function() {
+        assert.ok(false, 'Unexpected resolution');
+      }, function(error) {
+        assert.strictEqual(error, expectedError, 'Wrong error');
+      });
+    });
+
+    it('should keep the context and the number of parameters of the function', function() {
+      var object = {
+        value: '1',
+        get: util.addPromiseSupport(function(callback) {
+          callback(null, this.value);
+        })
+      };
+
+      assert.equal(object.get.length, 1, 'Wrong number of parameters');
+      return object.get().then(function(result) {
+        assert.equal(result, '1', 'Wrong result');
+      });
+    });
+
+  });
+
 });